@@ -0,0 +1,27 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+class RebuildStockCommandDao extends DaoBase {
+
+  constructor() {
+    super( 'RebuildStockCommandDao' );
+  }
+
+  execute( ctx, data ) {
+    console.log( '--- Rebuild stock command DAO.execute' );
+
+    // Simulates a long running statement that stops when the action is aborted.
+    const timer = setTimeout( () => {
+      data.result = true;
+      ctx.fulfill( data );
+    }, data.delay );
+    if (ctx.signal)
+      ctx.signal.addEventListener( 'abort', () => {
+        clearTimeout( timer );
+        ctx.reject( ctx.signal.reason );
+      } );
+  }
+}
+
+module.exports = RebuildStockCommandDao;
@@ -0,0 +1,28 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const dt = bo.dataTypes;
+const cr = bo.commonRules;
+
+const delay = new Property( 'delay', dt.Integer );
+const result = new Property( 'result', dt.Boolean );
+
+const properties = new Properties(
+  delay,
+  result
+);
+
+const rules = new Rules(
+  cr.required( delay )
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const RebuildStockCommand = new bo.CommandObject( 'RebuildStockCommand', properties, rules, extensions );
+
+module.exports = RebuildStockCommand;
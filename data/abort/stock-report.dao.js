@@ -0,0 +1,26 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+class StockReportDao extends DaoBase {
+
+  constructor() {
+    super( 'StockReportDao' );
+  }
+
+  fetch( ctx, filter ) {
+    console.log( '--- Stock report DAO.fetch' );
+
+    // Simulates a slow query that stops when the action is aborted.
+    const timer = setTimeout( () => {
+      ctx.fulfill( { productCode: filter.productCode, quantity: 42 } );
+    }, filter.delay );
+    if (ctx.signal)
+      ctx.signal.addEventListener( 'abort', () => {
+        clearTimeout( timer );
+        ctx.reject( ctx.signal.reason );
+      } );
+  }
+}
+
+module.exports = StockReportDao;
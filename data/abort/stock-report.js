@@ -0,0 +1,31 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const dt = bo.dataTypes;
+
+const productCode = new Property( 'productCode', dt.Text );
+const quantity = new Property( 'quantity', dt.Integer );
+
+const properties = new Properties(
+  productCode,
+  quantity
+);
+
+const rules = new Rules();
+
+const extensions = new Extensions( 'dao', __filename );
+
+const StockReport = new bo.ReadOnlyRootObject( 'StockReport', properties, rules, extensions );
+
+const StockReportFactory = {
+  get: function ( filter, options ) {
+    return StockReport.fetch( filter, null, null, options );
+  }
+};
+
+module.exports = StockReportFactory;
@@ -0,0 +1,38 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+const articles = {};
+let articleKey = 0;
+
+class ArticleDao extends DaoBase {
+
+  constructor() {
+    super( 'ArticleDao' );
+  }
+
+  create( ctx ) {
+    console.log( '--- Article DAO.create' );
+
+    ctx.fulfill( {} );
+  }
+
+  insert( ctx, data ) {
+    console.log( '--- Article DAO.insert' );
+
+    data.articleKey = ++articleKey;
+    articles[ data.articleKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+
+  update( ctx, data ) {
+    console.log( '--- Article DAO.update' );
+
+    articles[ data.articleKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+}
+
+ArticleDao.articles = articles;
+
+module.exports = ArticleDao;
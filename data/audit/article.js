@@ -0,0 +1,41 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+const cr = bo.commonRules;
+
+const Comments = require( './comments.js' );
+
+const articleKey = new Property( 'articleKey', dt.Integer, F.key | F.readOnly );
+const title = new Property( 'title', dt.Text );
+const comments = new Property( 'comments', Comments );
+const createdBy = new Property( 'createdBy', dt.Text, F.createdBy | F.readOnly );
+const createdAt = new Property( 'createdAt', dt.DateTime, F.createdAt | F.readOnly );
+const modifiedBy = new Property( 'modifiedBy', dt.Text, F.modifiedBy | F.readOnly );
+const modifiedAt = new Property( 'modifiedAt', dt.DateTime, F.modifiedAt | F.readOnly );
+
+const properties = new Properties(
+  articleKey,
+  title,
+  comments,
+  createdBy,
+  createdAt,
+  modifiedBy,
+  modifiedAt
+);
+
+const rules = new Rules(
+  cr.required( title )
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const Article = new bo.EditableRootObject( 'Article', properties, rules, extensions );
+
+module.exports = Article;
@@ -0,0 +1,38 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+const comments = {};
+let commentKey = 0;
+
+class CommentDao extends DaoBase {
+
+  constructor() {
+    super( 'CommentDao' );
+  }
+
+  create( ctx ) {
+    console.log( '--- Comment DAO.create' );
+
+    ctx.fulfill( {} );
+  }
+
+  insert( ctx, data ) {
+    console.log( '--- Comment DAO.insert' );
+
+    data.commentKey = ++commentKey;
+    comments[ data.commentKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+
+  update( ctx, data ) {
+    console.log( '--- Comment DAO.update' );
+
+    comments[ data.commentKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+}
+
+CommentDao.comments = comments;
+
+module.exports = CommentDao;
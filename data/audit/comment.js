@@ -0,0 +1,35 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+const cr = bo.commonRules;
+
+const commentKey = new Property( 'commentKey', dt.Integer, F.key | F.readOnly );
+const articleKey = new Property( 'articleKey', dt.Integer, F.parentKey | F.readOnly );
+const text = new Property( 'text', dt.Text );
+const createdAt = new Property( 'createdAt', dt.DateTime, F.createdAt | F.readOnly );
+const modifiedBy = new Property( 'modifiedBy', dt.Text, F.modifiedBy | F.readOnly );
+
+const properties = new Properties(
+  commentKey,
+  articleKey,
+  text,
+  createdAt,
+  modifiedBy
+);
+
+const rules = new Rules(
+  cr.required( text )
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const Comment = new bo.EditableChildObject( 'Comment', properties, rules, extensions );
+
+module.exports = Comment;
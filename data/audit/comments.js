@@ -0,0 +1,12 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Comment = require( './comment.js' );
+
+const Comments = new bo.EditableChildCollection(
+  'Comments',
+  Comment
+);
+
+module.exports = Comments;
@@ -0,0 +1,38 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+const notes = {};
+let noteKey = 0;
+
+class NoteDao extends DaoBase {
+
+  constructor() {
+    super( 'NoteDao' );
+  }
+
+  create( ctx ) {
+    console.log( '--- Note DAO.create' );
+
+    ctx.fulfill( {} );
+  }
+
+  insert( ctx, data ) {
+    console.log( '--- Note DAO.insert' );
+
+    data.noteKey = ++noteKey;
+    notes[ data.noteKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+
+  update( ctx, data ) {
+    console.log( '--- Note DAO.update' );
+
+    notes[ data.noteKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+}
+
+NoteDao.notes = notes;
+
+module.exports = NoteDao;
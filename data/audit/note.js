@@ -0,0 +1,48 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+const Model = bo.ModelComposer;
+const F = bo.common.PropertyFlag;
+
+function dataInsert( ctx ) {
+  const dto = {
+    text: ctx.getValue( 'text' ),
+    createdBy: ctx.getValue( 'createdBy' ),
+    createdAt: ctx.getValue( 'createdAt' ),
+    modifiedBy: ctx.getValue( 'modifiedBy' ),
+    modifiedAt: ctx.getValue( 'modifiedAt' )
+  };
+  ctx.insert( dto ).then( dto => {
+    ctx.setValue( 'noteKey', dto.noteKey );
+    ctx.fulfill( null );
+  } );
+}
+
+function dataUpdate( ctx ) {
+  const dto = {
+    noteKey: ctx.getValue( 'noteKey' ),
+    text: ctx.getValue( 'text' ),
+    createdBy: ctx.getValue( 'createdBy' ),
+    createdAt: ctx.getValue( 'createdAt' ),
+    modifiedBy: ctx.getValue( 'modifiedBy' ),
+    modifiedAt: ctx.getValue( 'modifiedAt' )
+  };
+  ctx.update( dto ).then( dto => {
+    ctx.fulfill( null );
+  } );
+}
+
+const Note = new Model( 'Note' )
+  .editableRootObject( 'dao', __filename )
+  // --- Properties
+  .integer( 'noteKey', F.key | F.readOnly )
+  .text( 'text' )
+    .required()
+  .audited()
+  // --- Customization
+  .dataInsert( dataInsert )
+  .dataUpdate( dataUpdate )
+  // --- Build model class
+  .compose();
+
+module.exports = Note;
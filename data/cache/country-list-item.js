@@ -0,0 +1,29 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+
+const countryCode = new Property( 'countryCode', dt.Text, F.key );
+const countryName = new Property( 'countryName', dt.Text );
+
+const properties = new Properties(
+  countryCode,
+  countryName
+);
+
+const rules = new Rules(
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const CountryListItem = new bo.ReadOnlyChildObject(
+  'CountryListItem', properties, rules, extensions
+);
+
+module.exports = CountryListItem;
@@ -0,0 +1,28 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+const countries = [
+  { countryCode: 'AT', countryName: 'Austria', region: 'Europe' },
+  { countryCode: 'HU', countryName: 'Hungary', region: 'Europe' },
+  { countryCode: 'JP', countryName: 'Japan', region: 'Asia' }
+];
+
+class CountryListDao extends DaoBase {
+
+  constructor() {
+    super( 'CountryListDao' );
+  }
+
+  fetch( ctx, filter ) {
+    console.log( '--- Country list DAO.fetch' );
+
+    ctx.fulfill( countries
+      .filter( country => !filter || country.region === filter )
+      .map( country => Object.assign( {}, country ) ) );
+  }
+}
+
+CountryListDao.countries = countries;
+
+module.exports = CountryListDao;
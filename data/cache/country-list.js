@@ -0,0 +1,23 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+
+const CountryListItem = require( './country-list-item.js' );
+
+const rules = new Rules(
+);
+
+const extensions = new Extensions( 'dao', __filename );
+extensions.cacheDuration = 60000;
+
+const CountryList = new bo.ReadOnlyRootCollection(
+  'CountryList',
+  CountryListItem,
+  rules,
+  extensions
+);
+
+module.exports = CountryList;
@@ -0,0 +1,26 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+const countries = require( './country-list.dao.js' ).countries;
+
+class CountryDao extends DaoBase {
+
+  constructor() {
+    super( 'CountryDao' );
+  }
+
+  create( ctx ) {
+    console.log( '--- Country DAO.create' );
+
+    ctx.fulfill( {} );
+  }
+
+  insert( ctx, data ) {
+    console.log( '--- Country DAO.insert' );
+
+    countries.push( Object.assign( {}, data ) );
+    ctx.fulfill( data );
+  }
+}
+
+module.exports = CountryDao;
@@ -0,0 +1,33 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+const cr = bo.commonRules;
+
+const countryCode = new Property( 'countryCode', dt.Text, F.key );
+const countryName = new Property( 'countryName', dt.Text );
+const region = new Property( 'region', dt.Text );
+
+const properties = new Properties(
+  countryCode,
+  countryName,
+  region
+);
+
+const rules = new Rules(
+  cr.required( countryCode ),
+  cr.required( countryName )
+);
+
+const extensions = new Extensions( 'dao', __filename );
+extensions.evicts = [ 'CountryList' ];
+
+const Country = new bo.EditableRootObject( 'Country', properties, rules, extensions );
+
+module.exports = Country;
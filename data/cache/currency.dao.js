@@ -0,0 +1,29 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+const rates = {
+  EUR: 1,
+  HUF: 0.0025
+};
+
+class CurrencyDao extends DaoBase {
+
+  constructor() {
+    super( 'CurrencyDao' );
+  }
+
+  fetch( ctx, filter ) {
+    console.log( '--- Currency DAO.fetch' );
+
+    if (rates[ filter ] === undefined) {
+      ctx.reject( new Error( 'Currency not found.' ) );
+      return;
+    }
+    ctx.fulfill( { currencyCode: filter, rate: rates[ filter ] } );
+  }
+}
+
+CurrencyDao.rates = rates;
+
+module.exports = CurrencyDao;
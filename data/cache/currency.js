@@ -0,0 +1,29 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+
+const currencyCode = new Property( 'currencyCode', dt.Text, F.key );
+const rate = new Property( 'rate', dt.Decimal );
+
+const properties = new Properties(
+  currencyCode,
+  rate
+);
+
+const rules = new Rules(
+);
+
+const extensions = new Extensions( 'dao', __filename );
+// Exchange rates become stale quickly.
+extensions.cacheDuration = 50;
+
+const Currency = new bo.ReadOnlyRootObject( 'Currency', properties, rules, extensions );
+
+module.exports = Currency;
@@ -0,0 +1,47 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+const ConnectionManager = require( '../connection-manager.js' );
+const SavepointConnectionManager = require( '../savepoint/connection-manager.js' );
+const User = require( '../user.js' );
+
+// Collects the change sets of the saved models.
+class AuditLog extends bo.dataAccess.AuditSink {
+
+  constructor() {
+    super();
+    this.entries = [];
+  }
+
+  write( changeSet ) {
+    console.log( '--- Audit log.write' );
+
+    this.entries.push( changeSet );
+    return Promise.resolve( null );
+  }
+}
+
+const log = new AuditLog();
+
+function userReader() {
+  return new User( 'grace-hopper', 'Grace Hopper', 'grace.hopper@navy.mil', [ 'clerks' ] );
+}
+
+const environment = new bo.system.Environment( {
+  connectionManager: ConnectionManager,
+  userReader: userReader,
+  auditSink: log
+} );
+
+// The same audit log with savepoints isolating the failed children.
+const savepointEnvironment = new bo.system.Environment( {
+  connectionManager: SavepointConnectionManager,
+  userReader: userReader,
+  auditSink: log
+} );
+
+module.exports = {
+  log: log,
+  environment: environment,
+  savepointEnvironment: savepointEnvironment
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+const orderItems = {};
+let orderItemKey = 0;
+
+class OrderItemDao extends DaoBase {
+
+  constructor() {
+    super( 'OrderItemDao' );
+  }
+
+  create( ctx ) {
+    console.log( '--- OrderItem DAO.create' );
+
+    ctx.fulfill( {} );
+  }
+
+  insert( ctx, data ) {
+    console.log( '--- OrderItem DAO.insert' );
+
+    if (data.quantity < 1) {
+      ctx.reject( new Error( 'The quantity must be positive.' ) );
+      return;
+    }
+    data.orderItemKey = ++orderItemKey;
+    orderItems[ data.orderItemKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+
+  update( ctx, data ) {
+    console.log( '--- OrderItem DAO.update' );
+
+    orderItems[ data.orderItemKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+
+  remove( ctx, filter ) {
+    console.log( '--- OrderItem DAO.remove' );
+
+    delete orderItems[ filter ];
+    ctx.fulfill( null );
+  }
+}
+
+OrderItemDao.orderItems = orderItems;
+
+module.exports = OrderItemDao;
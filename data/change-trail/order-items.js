@@ -0,0 +1,12 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const OrderItem = require( './order-item.js' );
+
+const OrderItems = new bo.EditableChildCollection(
+  'OrderItems',
+  OrderItem
+);
+
+module.exports = OrderItems;
@@ -0,0 +1,59 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+const orderItems = require( './order-item.dao.js' ).orderItems;
+
+const orders = {};
+let orderKey = 0;
+
+class OrderDao extends DaoBase {
+
+  constructor() {
+    super( 'OrderDao' );
+  }
+
+  create( ctx ) {
+    console.log( '--- Order DAO.create' );
+
+    ctx.fulfill( {} );
+  }
+
+  fetch( ctx, filter ) {
+    console.log( '--- Order DAO.fetch' );
+
+    if (!orders[ filter ]) {
+      ctx.reject( new Error( 'Order not found.' ) );
+      return;
+    }
+    const order = Object.assign( {}, orders[ filter ] );
+    order.items = Object.keys( orderItems )
+      .map( key => orderItems[ key ] )
+      .filter( item => item.orderKey === filter )
+      .map( item => Object.assign( {}, item ) );
+    ctx.fulfill( order );
+  }
+
+  insert( ctx, data ) {
+    console.log( '--- Order DAO.insert' );
+
+    data.orderKey = ++orderKey;
+    orders[ data.orderKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+
+  update( ctx, data ) {
+    console.log( '--- Order DAO.update' );
+
+    orders[ data.orderKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+
+  remove( ctx, filter ) {
+    console.log( '--- Order DAO.remove' );
+
+    delete orders[ filter ];
+    ctx.fulfill( null );
+  }
+}
+
+module.exports = OrderDao;
@@ -0,0 +1,36 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+const cr = bo.commonRules;
+
+const OrderItems = require( './order-items.js' );
+
+const orderKey = new Property( 'orderKey', dt.Integer, F.key | F.readOnly );
+const customer = new Property( 'customer', dt.Text );
+const orderDate = new Property( 'orderDate', dt.DateTime );
+const items = new Property( 'items', OrderItems );
+
+const properties = new Properties(
+  orderKey,
+  customer,
+  orderDate,
+  items
+);
+
+const rules = new Rules(
+  cr.required( customer )
+);
+
+const extensions = new Extensions( 'dao', __filename );
+extensions.recordChanges = true;
+
+const Order = new bo.EditableRootObject( 'Order', properties, rules, extensions );
+
+module.exports = Order;
@@ -0,0 +1,18 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+class CartLineDao extends DaoBase {
+
+  constructor() {
+    super( 'CartLineDao' );
+  }
+
+  create( ctx ) {
+    console.log( '--- CartLine DAO.create' );
+
+    ctx.fulfill( {} );
+  }
+}
+
+module.exports = CartLineDao;
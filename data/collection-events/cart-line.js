@@ -0,0 +1,32 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+const cr = bo.commonRules;
+
+const lineKey = new Property( 'lineKey', dt.Integer, F.key | F.readOnly );
+const product = new Property( 'product', dt.Text );
+const quantity = new Property( 'quantity', dt.Integer );
+
+const properties = new Properties(
+  lineKey,
+  product,
+  quantity
+);
+
+const rules = new Rules(
+  cr.required( product ),
+  cr.required( quantity )
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const CartLine = new bo.EditableChildObject( 'CartLine', properties, rules, extensions );
+
+module.exports = CartLine;
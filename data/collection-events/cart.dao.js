@@ -0,0 +1,24 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+const lines = [
+  { lineKey: 1, product: 'Slide rule', quantity: 1 },
+  { lineKey: 2, product: 'Pencil', quantity: 12 },
+  { lineKey: 3, product: 'Notebook', quantity: 3 }
+];
+
+class CartDao extends DaoBase {
+
+  constructor() {
+    super( 'CartDao' );
+  }
+
+  fetch( ctx ) {
+    console.log( '--- Cart DAO.fetch' );
+
+    ctx.fulfill( lines.map( line => Object.assign( {}, line ) ) );
+  }
+}
+
+module.exports = CartDao;
@@ -0,0 +1,22 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+
+const CartLine = require( './cart-line.js' );
+
+const rules = new Rules(
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const Cart = new bo.EditableRootCollection(
+  'Cart',
+  CartLine,
+  rules,
+  extensions
+);
+
+module.exports = Cart;
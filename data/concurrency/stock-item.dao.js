@@ -0,0 +1,68 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+const ConcurrencyError = require( '../../source/common/concurrency-error.js' );
+
+const stock = {};
+let stockKey = 0;
+
+class StockItemDao extends DaoBase {
+
+  constructor() {
+    super( 'StockItemDao' );
+  }
+
+  create( ctx ) {
+    console.log( '--- Stock item DAO.create' );
+
+    ctx.fulfill( {} );
+  }
+
+  fetch( ctx, filter ) {
+    console.log( '--- Stock item DAO.fetch' );
+
+    const key = filter;
+    if (!stock[ key ])
+      ctx.reject( new Error( 'Stock item not found.' ) );
+    else
+      ctx.fulfill( Object.assign( {}, stock[ key ] ) );
+  }
+
+  insert( ctx, data ) {
+    console.log( '--- Stock item DAO.insert' );
+
+    data.stockKey = ++stockKey;
+    data.version = 1;
+    stock[ data.stockKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+
+  update( ctx, data ) {
+    console.log( '--- Stock item DAO.update' );
+
+    const key = data.stockKey;
+    if (!stock[ key ])
+      ctx.reject( new Error( 'Stock item not found.' ) );
+    else if (stock[ key ].version !== data.version)
+      ctx.reject( new ConcurrencyError( 'modified', 'StockItem' ) );
+    else {
+      data.version++;
+      stock[ key ] = Object.assign( {}, data );
+      ctx.fulfill( data );
+    }
+  }
+
+  remove( ctx, filter ) {
+    console.log( '--- Stock item DAO.remove' );
+
+    const key = filter.stockKey;
+    if (stock[ key ] && stock[ key ].version !== filter.version)
+      ctx.reject( new ConcurrencyError( 'modified', 'StockItem' ) );
+    else {
+      delete stock[ key ];
+      ctx.fulfill( null );
+    }
+  }
+}
+
+module.exports = StockItemDao;
@@ -0,0 +1,43 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+const cr = bo.commonRules;
+
+const stockKey = new Property( 'stockKey', dt.Integer, F.key | F.readOnly );
+const productName = new Property( 'productName', dt.Text );
+const quantity = new Property( 'quantity', dt.Integer );
+const version = new Property( 'version', dt.Integer, F.rowVersion | F.readOnly );
+
+const properties = new Properties(
+  stockKey,
+  productName,
+  quantity,
+  version
+);
+
+const rules = new Rules(
+  cr.required( productName ),
+  cr.required( quantity )
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const StockItem = new bo.EditableRootObject( 'StockItem', properties, rules, extensions );
+
+const StockItemFactory = {
+  create: function ( eventHandlers ) {
+    return StockItem.create( eventHandlers );
+  },
+  get: function ( key, eventHandlers ) {
+    return StockItem.fetch( key, null, eventHandlers );
+  }
+};
+
+module.exports = StockItemFactory;
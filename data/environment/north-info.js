@@ -0,0 +1,36 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+const Model = bo.ModelComposer;
+const tenants = require( './tenants.js' );
+
+function dataFetch( ctx, filter, method ) {
+  ctx.fetch( filter )
+    .then( dto => {
+      ctx.setValue( 'database', dto.database );
+      ctx.setValue( 'viewer', ctx.user.userCode );
+      ctx.setValue( 'locale', ctx.locale );
+      ctx.fulfill( dto );
+    } );
+}
+
+// The model is bound to the environment of the north tenant.
+const NorthInfo = new Model( 'NorthInfo' )
+  .readOnlyRootObject( 'dao', __filename )
+  .environment( tenants.north )
+  // --- Properties
+  .text( 'database' )
+  .text( 'viewer' )
+  .text( 'locale' )
+  // --- Customization
+  .dataFetch( dataFetch )
+  // --- Build model class
+  .compose();
+
+const NorthInfoFactory = {
+  get: function ( filter ) {
+    return NorthInfo.fetch( filter );
+  }
+};
+
+module.exports = NorthInfoFactory;
@@ -0,0 +1,22 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+class TenantInfoDao extends DaoBase {
+
+  constructor( database ) {
+    super( 'TenantInfoDao' );
+    this.database = database || 'default';
+  }
+
+  fetch( ctx, filter ) {
+    console.log( '--- Tenant info DAO.fetch' );
+
+    // Simulates a query that completes on a later tick.
+    setTimeout( () => {
+      ctx.fulfill( { database: this.database } );
+    }, 5 );
+  }
+}
+
+module.exports = TenantInfoDao;
@@ -0,0 +1,34 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+const Model = bo.ModelComposer;
+
+function dataFetch( ctx, filter, method ) {
+  ctx.fetch( filter )
+    .then( dto => {
+      ctx.setValue( 'database', dto.database );
+      ctx.setValue( 'viewer', ctx.user.userCode );
+      ctx.setValue( 'locale', ctx.locale );
+      ctx.fulfill( dto );
+    } );
+}
+
+// The model uses the environment running when it is fetched.
+const TenantInfo = new Model( 'TenantInfo' )
+  .readOnlyRootObject( 'dao', __filename )
+  // --- Properties
+  .text( 'database' )
+  .text( 'viewer' )
+  .text( 'locale' )
+  // --- Customization
+  .dataFetch( dataFetch )
+  // --- Build model class
+  .compose();
+
+const TenantInfoFactory = {
+  get: function ( filter ) {
+    return TenantInfo.fetch( filter );
+  }
+};
+
+module.exports = TenantInfoFactory;
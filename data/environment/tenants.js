@@ -0,0 +1,36 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+const ConnectionManager = require( '../connection-manager.js' );
+const TenantInfoDao = require( './tenant-info.dao.js' );
+const User = require( '../user.js' );
+
+// Each tenant has its own database and users.
+const north = new bo.system.Environment( {
+  connectionManager: new ConnectionManager(),
+  daoBuilder: function ( dataSource, modelPath, modelName ) {
+    return new TenantInfoDao( 'north-db' );
+  },
+  userReader: function () {
+    return new User( 'grace-hopper', 'Grace Hopper', 'grace.hopper@north.com', [ 'members' ] );
+  },
+  localeReader: function () {
+    return 'en-US';
+  },
+  pathOfLocales: '/data/environment/locales'
+} );
+
+const south = new bo.system.Environment( {
+  connectionManager: ConnectionManager,
+  daoBuilder: function ( dataSource, modelPath, modelName ) {
+    return new TenantInfoDao( 'south-db' );
+  },
+  userReader: function () {
+    return new User( 'alan-turing', 'Alan Turing', 'alan.turing@south.com', [ 'members' ] );
+  }
+} );
+
+module.exports = {
+  north: north,
+  south: south
+};
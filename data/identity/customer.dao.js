@@ -0,0 +1,69 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+const customers = {
+  1: { customerKey: 1, name: 'Ada Lovelace', email: 'ada@example.com' },
+  2: { customerKey: 2, name: 'Alan Turing', email: 'alan@example.com' }
+};
+
+function find( predicate ) {
+  const key = Object.keys( customers ).find( key => predicate( customers[ key ] ) );
+  return key ? Object.assign( {}, customers[ key ] ) : null;
+}
+
+class CustomerDao extends DaoBase {
+
+  constructor() {
+    super( 'CustomerDao' );
+  }
+
+  create( ctx ) {
+    console.log( '--- Customer DAO.create' );
+
+    ctx.fulfill( {} );
+  }
+
+  fetch( ctx, filter ) {
+    console.log( '--- Customer DAO.fetch' );
+
+    const customer = find( customer => customer.customerKey === filter );
+    if (customer)
+      ctx.fulfill( customer );
+    else
+      ctx.reject( new Error( 'Customer not found.' ) );
+  }
+
+  fetchByEmail( ctx, filter ) {
+    console.log( '--- Customer DAO.fetchByEmail' );
+
+    const customer = find( customer => customer.email === filter );
+    if (customer)
+      ctx.fulfill( customer );
+    else
+      ctx.reject( new Error( 'Customer not found.' ) );
+  }
+
+  insert( ctx, data ) {
+    console.log( '--- Customer DAO.insert' );
+
+    customers[ data.customerKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+
+  update( ctx, data ) {
+    console.log( '--- Customer DAO.update' );
+
+    customers[ data.customerKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+
+  remove( ctx, filter ) {
+    console.log( '--- Customer DAO.remove' );
+
+    delete customers[ filter ];
+    ctx.fulfill( null );
+  }
+}
+
+module.exports = CustomerDao;
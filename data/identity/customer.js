@@ -0,0 +1,32 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+const cr = bo.commonRules;
+
+const customerKey = new Property( 'customerKey', dt.Integer, F.key );
+const name = new Property( 'name', dt.Text );
+const email = new Property( 'email', dt.Text );
+
+const properties = new Properties(
+  customerKey,
+  name,
+  email
+);
+
+const rules = new Rules(
+  cr.required( customerKey ),
+  cr.required( name )
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const Customer = new bo.EditableRootObject( 'Customer', properties, rules, extensions );
+
+module.exports = Customer;
@@ -0,0 +1,9 @@
+'use strict';
+
+const transientCodes = [ 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT' ];
+
+const isTransient = function ( error ) {
+  return error instanceof Error && transientCodes.indexOf( error.code ) >= 0;
+};
+
+module.exports = isTransient;
@@ -0,0 +1,27 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+const lines = {
+  1: { lineKey: 1, orderKey: 1, productName: 'Difference engine', quantity: 1 },
+  2: { lineKey: 2, orderKey: 1, productName: 'Punched card', quantity: 500 },
+  3: { lineKey: 3, orderKey: 2, productName: 'Bombe', quantity: 2 }
+};
+
+class OrderLineDao extends DaoBase {
+
+  constructor() {
+    super( 'OrderLineDao' );
+  }
+
+  update( ctx, data ) {
+    console.log( '--- Order line DAO.update' );
+
+    lines[ data.lineKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+}
+
+OrderLineDao.lines = lines;
+
+module.exports = OrderLineDao;
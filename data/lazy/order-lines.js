@@ -0,0 +1,12 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const OrderLine = require( './order-line.js' );
+
+const OrderLines = new bo.EditableChildCollection(
+  'OrderLines',
+  OrderLine
+);
+
+module.exports = OrderLines;
@@ -0,0 +1,53 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+const lines = require( './order-line.dao.js' ).lines;
+
+const orders = {
+  1: { orderKey: 1, customerName: 'Ada Lovelace' },
+  2: { orderKey: 2, customerName: 'Alan Turing' }
+};
+
+class OrderDao extends DaoBase {
+
+  constructor() {
+    super( 'OrderDao' );
+  }
+
+  create( ctx ) {
+    console.log( '--- Order DAO.create' );
+
+    ctx.fulfill( {} );
+  }
+
+  fetch( ctx, filter ) {
+    console.log( '--- Order DAO.fetch' );
+
+    if (!orders[ filter ]) {
+      ctx.reject( new Error( 'Order not found.' ) );
+      return;
+    }
+    ctx.fulfill( Object.assign( {}, orders[ filter ] ) );
+  }
+
+  fetchLines( ctx, filter ) {
+    console.log( '--- Order DAO.fetchLines' );
+
+    // Simulates a query that completes on a later tick.
+    setTimeout( () => {
+      ctx.fulfill( Object.keys( lines )
+        .map( key => lines[ key ] )
+        .filter( line => line.orderKey === filter )
+        .map( line => Object.assign( {}, line ) ) );
+    }, 5 );
+  }
+
+  update( ctx, data ) {
+    console.log( '--- Order DAO.update' );
+
+    orders[ data.orderKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+}
+
+module.exports = OrderDao;
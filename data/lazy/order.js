@@ -0,0 +1,42 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+const cr = bo.commonRules;
+
+const OrderLines = require( './order-lines.js' );
+
+const orderKey = new Property( 'orderKey', dt.Integer, F.key | F.readOnly );
+const customerName = new Property( 'customerName', dt.Text );
+const lines = new Property( 'lines', OrderLines, F.lazy );
+
+const properties = new Properties(
+  orderKey,
+  customerName,
+  lines
+);
+
+const rules = new Rules(
+  cr.required( customerName )
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const Order = new bo.EditableRootObject( 'Order', properties, rules, extensions );
+
+const OrderFactory = {
+  create: function ( eventHandlers ) {
+    return Order.create( eventHandlers );
+  },
+  get: function ( key, eventHandlers ) {
+    return Order.fetch( key, null, eventHandlers );
+  }
+};
+
+module.exports = OrderFactory;
@@ -0,0 +1,31 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+
+const cityKey = new Property( 'cityKey', dt.Integer, F.key );
+const cityName = new Property( 'cityName', dt.Text );
+const country = new Property( 'country', dt.Text );
+
+const properties = new Properties(
+  cityKey,
+  cityName,
+  country
+);
+
+const rules = new Rules(
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const CityListItem = new bo.ReadOnlyChildObject(
+  'CityListItem', properties, rules, extensions
+);
+
+module.exports = CityListItem;
@@ -0,0 +1,47 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+const PagingCriteria = require( '../../source/common/paging-criteria.js' );
+
+const cities = [
+  { cityKey: 1, cityName: 'Budapest', country: 'HU' },
+  { cityKey: 2, cityName: 'Debrecen', country: 'HU' },
+  { cityKey: 3, cityName: 'Szeged', country: 'HU' },
+  { cityKey: 4, cityName: 'Pécs', country: 'HU' },
+  { cityKey: 5, cityName: 'Győr', country: 'HU' },
+  { cityKey: 6, cityName: 'Vienna', country: 'AT' },
+  { cityKey: 7, cityName: 'Graz', country: 'AT' }
+];
+
+function getPage( criteria, list ) {
+  if (!(criteria instanceof PagingCriteria))
+    return list.map( city => Object.assign( {}, city ) );
+
+  const page = list
+    .slice( criteria.skip, criteria.skip + criteria.pageSize )
+    .map( city => Object.assign( {}, city ) );
+  page.totalItems = list.length;
+  return page;
+}
+
+class CityListDao extends DaoBase {
+
+  constructor() {
+    super( 'CityListDao' );
+  }
+
+  fetch( ctx, criteria ) {
+    console.log( '--- City list DAO.fetch' );
+
+    const country = criteria instanceof PagingCriteria ? criteria.filter : criteria;
+    ctx.fulfill( getPage( criteria, cities.filter( city => city.country === country ) ) );
+  }
+
+  fetchByName( ctx, criteria ) {
+    console.log( '--- City list DAO.fetchByName' );
+
+    ctx.fulfill( getPage( criteria, cities.slice().sort( ( a, b ) => a.cityName.localeCompare( b.cityName ) ) ) );
+  }
+}
+
+module.exports = CityListDao;
@@ -0,0 +1,22 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+
+const CityListItem = require( './city-list-item.js' );
+
+const rules = new Rules(
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const CityList = new bo.ReadOnlyRootCollection(
+  'CityList',
+  CityListItem,
+  rules,
+  extensions
+);
+
+module.exports = CityList;
@@ -0,0 +1,62 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+const products = {};
+let productKey = 0;
+
+class ProductDao extends DaoBase {
+
+  constructor() {
+    super( 'ProductDao' );
+  }
+
+  create( ctx ) {
+    console.log( '--- Product DAO.create' );
+
+    ctx.fulfill( {} );
+  }
+
+  fetch( ctx, filter ) {
+    console.log( '--- Product DAO.fetch' );
+
+    const key = filter;
+    if (!products[ key ])
+      ctx.reject( new Error( 'Product not found.' ) );
+    else
+      ctx.fulfill( Object.assign( {}, products[ key ] ) );
+  }
+
+  insert( ctx, data ) {
+    console.log( '--- Product DAO.insert' );
+
+    data.productKey = ++productKey;
+    data.version = 1;
+    products[ data.productKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+
+  update( ctx, data ) {
+    console.log( '--- Product DAO.update' );
+
+    global.lastProductUpdate = Object.assign( {}, data );
+
+    const key = data.productKey;
+    if (!products[ key ])
+      ctx.reject( new Error( 'Product not found.' ) );
+    else {
+      Object.assign( products[ key ], data );
+      products[ key ].version++;
+      ctx.fulfill( { version: products[ key ].version } );
+    }
+  }
+
+  remove( ctx, filter ) {
+    console.log( '--- Product DAO.remove' );
+
+    delete products[ filter.productKey ];
+    ctx.fulfill( null );
+  }
+}
+
+module.exports = ProductDao;
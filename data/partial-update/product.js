@@ -0,0 +1,45 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+const cr = bo.commonRules;
+
+const productKey = new Property( 'productKey', dt.Integer, F.key | F.readOnly );
+const productName = new Property( 'productName', dt.Text );
+const unitPrice = new Property( 'unitPrice', dt.Decimal );
+const launchDate = new Property( 'launchDate', dt.DateTime );
+const version = new Property( 'version', dt.Integer, F.rowVersion | F.readOnly );
+
+const properties = new Properties(
+  productKey,
+  productName,
+  unitPrice,
+  launchDate,
+  version
+);
+
+const rules = new Rules(
+  cr.required( productName )
+);
+
+const extensions = new Extensions( 'dao', __filename );
+extensions.updateChangedOnly = true;
+
+const Product = new bo.EditableRootObject( 'Product', properties, rules, extensions );
+
+const ProductFactory = {
+  create: function ( eventHandlers ) {
+    return Product.create( eventHandlers );
+  },
+  get: function ( key, eventHandlers ) {
+    return Product.fetch( key, null, eventHandlers );
+  }
+};
+
+module.exports = ProductFactory;
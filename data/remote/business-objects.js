@@ -0,0 +1,11 @@
+'use strict';
+
+// Configuration of the remote data portal client.
+module.exports = {
+  transport: '/data/remote/client-transport.js',
+  daoBuilder: '/source/data-access/dao-builder.js',
+  userReader: '/data/get-user.js',
+  localeReader: '/data/get-locale.js',
+  pathOfLocales: '/locales',
+  noAccessBehavior: 'throwError'
+};
@@ -0,0 +1,12 @@
+'use strict';
+
+const HttpTransport = require( '../../source/data-access/http-transport.js' );
+
+class ClientTransport extends HttpTransport {
+
+  constructor() {
+    super( process.env.DATA_PORTAL_URL );
+  }
+}
+
+module.exports = ClientTransport;
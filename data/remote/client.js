@@ -0,0 +1,83 @@
+'use strict';
+
+// Runs the remote data portal operations of the test in a separate process,
+// and reports the results to the parent process.
+
+const bo = require( '../../source/index.js' );
+bo.initialize( '/data/remote/business-objects.js' );
+
+const SalesOrder = require( './sales-order.js' );
+const SalesOrderList = require( './sales-order-list.js' );
+
+const results = {};
+let order = null;
+
+SalesOrder.create()
+  .then( created => {
+    order = created;
+    results.created = {
+      state: order.getModelState(),
+      orderDate: order.orderDate.toISOString()
+    };
+    order.customerName = 'Acme Ltd.';
+    return order.lines.createItem();
+  } )
+  .then( line => {
+    line.productName = 'Widget';
+    line.quantity = 10;
+    return order.save();
+  } )
+  .then( inserted => {
+    results.inserted = {
+      state: inserted.getModelState(),
+      orderKey: inserted.orderKey,
+      lineKey: inserted.lines.at( 0 ).lineKey
+    };
+    return SalesOrder.fetch( inserted.orderKey );
+  } )
+  .then( fetched => {
+    order = fetched;
+    results.fetched = {
+      state: order.getModelState(),
+      customerName: order.customerName,
+      lineCount: order.lines.count,
+      productName: order.lines.at( 0 ).productName
+    };
+    order.lines.at( 0 ).quantity = 25;
+    return order.save();
+  } )
+  .then( updated => {
+    results.updated = {
+      state: updated.getModelState(),
+      quantity: updated.lines.at( 0 ).quantity
+    };
+    return SalesOrderList.fetch();
+  } )
+  .then( list => {
+    results.list = {
+      totalItems: list.totalItems,
+      customerName: list.at( 0 ).customerName
+    };
+    order.remove();
+    return order.save();
+  } )
+  .then( removed => {
+    results.removed = {
+      result: removed,
+      state: order.getModelState()
+    };
+    return SalesOrder.fetch( 1 );
+  } )
+  .then( none => {
+    results.missing = null;
+  } )
+  .catch( reason => {
+    results.missing = {
+      name: reason.name,
+      action: reason.action,
+      message: reason.innerError ? reason.innerError.message : reason.message
+    };
+  } )
+  .then( none => {
+    process.send( results );
+  } );
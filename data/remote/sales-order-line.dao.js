@@ -0,0 +1,50 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+const repository = require( './sales-repository.js' );
+
+class SalesOrderLineDao extends DaoBase {
+
+  constructor() {
+    super( 'SalesOrderLineDao' );
+  }
+
+  create( ctx ) {
+    ctx.fulfill( {} );
+  }
+
+  /* Special fetch method for test circumstances. */
+  fetchForOrder( ctx, filter ) {
+    const lines = [];
+    for (const key in repository.lines) {
+      if (repository.lines.hasOwnProperty( key )) {
+        const line = repository.lines[ key ];
+        if (line.orderKey === filter)
+          lines.push( line );
+      }
+    }
+    ctx.fulfill( lines );
+  }
+
+  insert( ctx, data ) {
+    data.lineKey = ++repository.lineKey;
+    repository.lines[ data.lineKey ] = data;
+    ctx.fulfill( data );
+  }
+
+  update( ctx, data ) {
+    if (!repository.lines[ data.lineKey ])
+      ctx.reject( new Error( 'Sales order line not found.' ) );
+    else {
+      repository.lines[ data.lineKey ] = data;
+      ctx.fulfill( data );
+    }
+  }
+
+  remove( ctx, filter ) {
+    delete repository.lines[ filter ];
+    ctx.fulfill( null );
+  }
+}
+
+module.exports = SalesOrderLineDao;
@@ -0,0 +1,34 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+const cr = bo.commonRules;
+
+const lineKey = new Property( 'lineKey', dt.Integer, F.key | F.readOnly );
+const orderKey = new Property( 'orderKey', dt.Integer, F.parentKey | F.readOnly );
+const productName = new Property( 'productName', dt.Text );
+const quantity = new Property( 'quantity', dt.Integer );
+
+const properties = new Properties(
+  lineKey,
+  orderKey,
+  productName,
+  quantity
+);
+
+const rules = new Rules(
+  cr.required( productName ),
+  cr.required( quantity )
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const SalesOrderLine = new bo.EditableChildObject( 'SalesOrderLine', properties, rules, extensions );
+
+module.exports = SalesOrderLine;
@@ -0,0 +1,12 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const SalesOrderLine = require( './sales-order-line.js' );
+
+const SalesOrderLines = new bo.EditableChildCollection(
+  'SalesOrderLines',
+  SalesOrderLine
+);
+
+module.exports = SalesOrderLines;
@@ -0,0 +1,31 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+
+const orderKey = new Property( 'orderKey', dt.Integer, F.key );
+const customerName = new Property( 'customerName', dt.Text );
+const orderDate = new Property( 'orderDate', dt.DateTime );
+
+const properties = new Properties(
+  orderKey,
+  customerName,
+  orderDate
+);
+
+const rules = new Rules(
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const SalesOrderListItem = new bo.ReadOnlyChildObject(
+  'SalesOrderListItem', properties, rules, extensions
+);
+
+module.exports = SalesOrderListItem;
@@ -0,0 +1,23 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+const repository = require( './sales-repository.js' );
+
+class SalesOrderListDao extends DaoBase {
+
+  constructor() {
+    super( 'SalesOrderListDao' );
+  }
+
+  fetch( ctx, filter ) {
+    const orderList = [];
+    for (const key in repository.orders) {
+      if (repository.orders.hasOwnProperty( key ))
+        orderList.push( repository.orders[ key ] );
+    }
+    orderList.totalItems = orderList.length;
+    ctx.fulfill( orderList );
+  }
+}
+
+module.exports = SalesOrderListDao;
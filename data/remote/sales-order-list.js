@@ -0,0 +1,22 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+
+const SalesOrderListItem = require( './sales-order-list-item.js' );
+
+const rules = new Rules(
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const SalesOrderList = new bo.ReadOnlyRootCollection(
+  'SalesOrderList',
+  SalesOrderListItem,
+  rules,
+  extensions
+);
+
+module.exports = SalesOrderList;
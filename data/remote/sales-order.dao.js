@@ -0,0 +1,54 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+const repository = require( './sales-repository.js' );
+
+const daoLineCtor = require( './sales-order-line.dao.js' );
+const daoLine = new daoLineCtor();
+
+class SalesOrderDao extends DaoBase {
+
+  constructor() {
+    super( 'SalesOrderDao' );
+  }
+
+  create( ctx ) {
+    ctx.fulfill( {
+      orderDate: new Date( 2016, 4, 16 )
+    } );
+  }
+
+  fetch( ctx, filter ) {
+    const order = repository.orders[ filter ];
+    if (!order) {
+      ctx.reject( new Error( 'Sales order not found.' ) );
+      return;
+    }
+    return daoLine.$runMethod( 'fetchForOrder', ctx.connection, order.orderKey )
+      .then( lines => {
+        ctx.fulfill( Object.assign( { lines: lines }, order ) );
+      } );
+  }
+
+  insert( ctx, data ) {
+    data.orderKey = ++repository.orderKey;
+    repository.orders[ data.orderKey ] = data;
+    ctx.fulfill( data );
+  }
+
+  update( ctx, data ) {
+    if (!repository.orders[ data.orderKey ])
+      ctx.reject( new Error( 'Sales order not found.' ) );
+    else {
+      repository.orders[ data.orderKey ] = data;
+      ctx.fulfill( data );
+    }
+  }
+
+  remove( ctx, filter ) {
+    delete repository.orders[ filter ];
+    ctx.fulfill( null );
+  }
+}
+
+module.exports = SalesOrderDao;
@@ -0,0 +1,35 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+const cr = bo.commonRules;
+
+const SalesOrderLines = require( './sales-order-lines.js' );
+
+const orderKey = new Property( 'orderKey', dt.Integer, F.key | F.readOnly );
+const customerName = new Property( 'customerName', dt.Text );
+const orderDate = new Property( 'orderDate', dt.DateTime );
+const lines = new Property( 'lines', SalesOrderLines );
+
+const properties = new Properties(
+  orderKey,
+  customerName,
+  orderDate,
+  lines
+);
+
+const rules = new Rules(
+  cr.required( customerName )
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const SalesOrder = new bo.EditableRootObject( 'SalesOrder', properties, rules, extensions );
+
+module.exports = SalesOrder;
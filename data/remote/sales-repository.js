@@ -0,0 +1,9 @@
+'use strict';
+
+// In-memory storage of the data portal server.
+module.exports = {
+  orderKey: 0,
+  orders: {},
+  lineKey: 0,
+  lines: {}
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+class ProfileViewDao extends DaoBase {
+
+  constructor() {
+    super( 'ProfileViewDao' );
+  }
+
+  fetch( ctx, filter ) {
+    console.log( '--- Profile view DAO.fetch' );
+
+    // Simulates a query that completes on a later tick.
+    setTimeout( () => {
+      ctx.fulfill( { title: 'Profile #' + filter } );
+    }, 5 );
+  }
+}
+
+module.exports = ProfileViewDao;
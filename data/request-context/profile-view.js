@@ -0,0 +1,50 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Action = bo.rules.AuthorizationAction;
+const Property = bo.common.PropertyInfo;
+const dt = bo.dataTypes;
+const cr = bo.commonRules;
+
+const title = new Property( 'title', dt.Text );
+const viewer = new Property( 'viewer', dt.Text );
+const locale = new Property( 'locale', dt.Text );
+
+const properties = new Properties(
+  title,
+  viewer,
+  locale
+);
+
+const rules = new Rules(
+  cr.isInRole( Action.fetchObject, null, 'auditors', 'You are not authorized to retrieve the profile.' )
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+function dataFetch( ctx, filter, method ) {
+  ctx.fetch( filter )
+    .then( dto => {
+      // The data portal context reads the user and locale of the request.
+      ctx.setValue( 'title', dto.title );
+      ctx.setValue( 'viewer', ctx.user.userCode );
+      ctx.setValue( 'locale', ctx.locale );
+      ctx.fulfill( dto );
+    } );
+}
+
+extensions.dataFetch = dataFetch;
+
+const ProfileView = new bo.ReadOnlyRootObject( 'ProfileView', properties, rules, extensions );
+
+const ProfileViewFactory = {
+  get: function ( key, eventHandlers ) {
+    return ProfileView.fetch( key, null, eventHandlers );
+  }
+};
+
+module.exports = ProfileViewFactory;
@@ -0,0 +1,28 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+const calls = {};
+
+class ExchangeRateDao extends DaoBase {
+
+  constructor() {
+    super( 'ExchangeRateDao' );
+  }
+
+  fetch( ctx, filter ) {
+    console.log( '--- Exchange rate DAO.fetch' );
+
+    // Simulates a database failover that lasts for the given number of calls.
+    calls[ filter.currency ] = (calls[ filter.currency ] || 0) + 1;
+    if (calls[ filter.currency ] <= filter.failures) {
+      const error = new Error( filter.fatal ? 'Invalid currency.' : 'Connection reset.' );
+      error.code = filter.fatal ? 'EINVAL' : 'ECONNRESET';
+      ctx.reject( error );
+      return;
+    }
+    ctx.fulfill( { currency: filter.currency, rate: 1.25 } );
+  }
+}
+
+module.exports = ExchangeRateDao;
@@ -0,0 +1,31 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const dt = bo.dataTypes;
+
+const currency = new Property( 'currency', dt.Text );
+const rate = new Property( 'rate', dt.Decimal );
+
+const properties = new Properties(
+  currency,
+  rate
+);
+
+const rules = new Rules();
+
+const extensions = new Extensions( 'dao', __filename );
+
+const ExchangeRate = new bo.ReadOnlyRootObject( 'ExchangeRate', properties, rules, extensions );
+
+const ExchangeRateFactory = {
+  get: function ( filter ) {
+    return ExchangeRate.fetch( filter );
+  }
+};
+
+module.exports = ExchangeRateFactory;
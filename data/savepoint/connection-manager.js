@@ -0,0 +1,39 @@
+'use strict';
+
+const ConnectionManager = require( '../connection-manager.js' );
+
+let savepointId = 0;
+
+// Connection manager class that supports savepoints.
+class SavepointConnectionManager extends ConnectionManager {
+
+  constructor() {
+    super();
+  }
+
+  beginTransaction( dataSource ) {
+    return super.beginTransaction( dataSource )
+      .then( connection => {
+        connection.savepoints = [];
+        return connection;
+      } );
+  }
+
+  createSavepoint( connection ) {
+    const savepoint = 'sp' + ++savepointId;
+    connection.savepoints.push( 'create ' + savepoint );
+    return Promise.resolve( savepoint );
+  }
+
+  rollbackToSavepoint( connection, savepoint ) {
+    connection.savepoints.push( 'rollback ' + savepoint );
+    return Promise.resolve( connection );
+  }
+
+  releaseSavepoint( connection, savepoint ) {
+    connection.savepoints.push( 'release ' + savepoint );
+    return Promise.resolve( connection );
+  }
+}
+
+module.exports = SavepointConnectionManager;
@@ -0,0 +1,47 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+const lines = {};
+let lineKey = 0;
+
+class InvoiceLineDao extends DaoBase {
+
+  constructor() {
+    super( 'InvoiceLineDao' );
+  }
+
+  create( ctx ) {
+    console.log( '--- Invoice line DAO.create' );
+
+    ctx.fulfill( {} );
+  }
+
+  insert( ctx, data ) {
+    console.log( '--- Invoice line DAO.insert' );
+
+    if (data.quantity < 1) {
+      ctx.reject( new Error( 'The quantity must be positive.' ) );
+      return;
+    }
+    data.lineKey = ++lineKey;
+    lines[ data.lineKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+
+  update( ctx, data ) {
+    console.log( '--- Invoice line DAO.update' );
+
+    lines[ data.lineKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+
+  remove( ctx, filter ) {
+    console.log( '--- Invoice line DAO.remove' );
+
+    delete lines[ filter ];
+    ctx.fulfill( null );
+  }
+}
+
+module.exports = InvoiceLineDao;
@@ -0,0 +1,12 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const InvoiceLine = require( './invoice-line.js' );
+
+const InvoiceLines = new bo.EditableChildCollection(
+  'InvoiceLines',
+  InvoiceLine
+);
+
+module.exports = InvoiceLines;
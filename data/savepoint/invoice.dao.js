@@ -0,0 +1,36 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+const invoices = {};
+let invoiceKey = 0;
+
+class InvoiceDao extends DaoBase {
+
+  constructor() {
+    super( 'InvoiceDao' );
+  }
+
+  create( ctx ) {
+    console.log( '--- Invoice DAO.create' );
+
+    ctx.fulfill( {} );
+  }
+
+  insert( ctx, data ) {
+    console.log( '--- Invoice DAO.insert' );
+
+    data.invoiceKey = ++invoiceKey;
+    invoices[ data.invoiceKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+
+  update( ctx, data ) {
+    console.log( '--- Invoice DAO.update' );
+
+    invoices[ data.invoiceKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+}
+
+module.exports = InvoiceDao;
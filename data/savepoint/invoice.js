@@ -0,0 +1,39 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+const cr = bo.commonRules;
+
+const InvoiceLines = require( './invoice-lines.js' );
+
+const invoiceKey = new Property( 'invoiceKey', dt.Integer, F.key | F.readOnly );
+const customerName = new Property( 'customerName', dt.Text );
+const lines = new Property( 'lines', InvoiceLines );
+
+const properties = new Properties(
+  invoiceKey,
+  customerName,
+  lines
+);
+
+const rules = new Rules(
+  cr.required( customerName )
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const Invoice = new bo.EditableRootObject( 'Invoice', properties, rules, extensions );
+
+const InvoiceFactory = {
+  create: function ( eventHandlers ) {
+    return Invoice.create( eventHandlers );
+  }
+};
+
+module.exports = InvoiceFactory;
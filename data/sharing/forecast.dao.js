@@ -0,0 +1,21 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+class ForecastDao extends DaoBase {
+
+  constructor() {
+    super( 'ForecastDao' );
+  }
+
+  fetch( ctx, filter ) {
+    console.log( '--- Forecast DAO.fetch' );
+
+    // Simulates a slow query.
+    setTimeout( () => {
+      ctx.fulfill( { city: filter, outlook: 'Sunny' } );
+    }, 10 );
+  }
+}
+
+module.exports = ForecastDao;
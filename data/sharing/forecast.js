@@ -0,0 +1,31 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+const cr = bo.commonRules;
+const Action = bo.rules.AuthorizationAction;
+
+const city = new Property( 'city', dt.Text, F.key );
+const outlook = new Property( 'outlook', dt.Text );
+
+const properties = new Properties(
+  city,
+  outlook
+);
+
+const rules = new Rules(
+  cr.isInRole( Action.fetchObject, null, 'designers', 'You are not authorized to retrieve the forecast.' )
+);
+
+const extensions = new Extensions( 'dao', __filename );
+extensions.fetchSharing = bo.common.FetchSharing.copy;
+
+const Forecast = new bo.ReadOnlyRootObject( 'Forecast', properties, rules, extensions );
+
+module.exports = Forecast;
@@ -0,0 +1,35 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+const headlines = {
+  sport: [
+    { headlineKey: 1, title: 'Local team wins the cup' },
+    { headlineKey: 2, title: 'Marathon record broken' }
+  ],
+  science: [
+    { headlineKey: 3, title: 'New comet discovered' }
+  ]
+};
+
+class HeadlineListDao extends DaoBase {
+
+  constructor() {
+    super( 'HeadlineListDao' );
+  }
+
+  fetch( ctx, filter ) {
+    console.log( '--- Headline list DAO.fetch' );
+
+    // Simulates a slow query.
+    setTimeout( () => {
+      if (!headlines[ filter ]) {
+        ctx.reject( new Error( 'Unknown topic.' ) );
+        return;
+      }
+      ctx.fulfill( headlines[ filter ].map( headline => Object.assign( {}, headline ) ) );
+    }, 10 );
+  }
+}
+
+module.exports = HeadlineListDao;
@@ -0,0 +1,23 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+
+const Headline = require( './headline.js' );
+
+const rules = new Rules(
+);
+
+const extensions = new Extensions( 'dao', __filename );
+extensions.fetchSharing = bo.common.FetchSharing.copy;
+
+const HeadlineList = new bo.ReadOnlyRootCollection(
+  'HeadlineList',
+  Headline,
+  rules,
+  extensions
+);
+
+module.exports = HeadlineList;
@@ -0,0 +1,29 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+
+const headlineKey = new Property( 'headlineKey', dt.Integer, F.key );
+const title = new Property( 'title', dt.Text );
+
+const properties = new Properties(
+  headlineKey,
+  title
+);
+
+const rules = new Rules(
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const Headline = new bo.ReadOnlyChildObject(
+  'Headline', properties, rules, extensions
+);
+
+module.exports = Headline;
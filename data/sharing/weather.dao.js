@@ -0,0 +1,21 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+class WeatherDao extends DaoBase {
+
+  constructor() {
+    super( 'WeatherDao' );
+  }
+
+  fetch( ctx, filter ) {
+    console.log( '--- Weather DAO.fetch' );
+
+    // Simulates a slow query.
+    setTimeout( () => {
+      ctx.fulfill( { city: filter, temperature: 21 } );
+    }, 10 );
+  }
+}
+
+module.exports = WeatherDao;
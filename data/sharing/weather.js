@@ -0,0 +1,28 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+
+const city = new Property( 'city', dt.Text, F.key );
+const temperature = new Property( 'temperature', dt.Integer );
+
+const properties = new Properties(
+  city,
+  temperature
+);
+
+const rules = new Rules(
+);
+
+const extensions = new Extensions( 'dao', __filename );
+extensions.fetchSharing = bo.common.FetchSharing.instance;
+
+const Weather = new bo.ReadOnlyRootObject( 'Weather', properties, rules, extensions );
+
+module.exports = Weather;
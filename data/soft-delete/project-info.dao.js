@@ -0,0 +1,24 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+const projects = require( './project.dao.js' ).projects;
+
+class ProjectInfoDao extends DaoBase {
+
+  constructor() {
+    super( 'ProjectInfoDao' );
+  }
+
+  fetch( ctx, filter ) {
+    console.log( '--- Project info DAO.fetch' );
+
+    // Returns the soft deleted projects as well.
+    if (!projects[ filter ]) {
+      ctx.reject( new Error( 'Project not found.' ) );
+      return;
+    }
+    ctx.fulfill( Object.assign( {}, projects[ filter ] ) );
+  }
+}
+
+module.exports = ProjectInfoDao;
@@ -0,0 +1,30 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+
+const projectKey = new Property( 'projectKey', dt.Integer, F.key );
+const projectName = new Property( 'projectName', dt.Text );
+const deletedAt = new Property( 'deletedAt', dt.DateTime );
+
+const properties = new Properties(
+  projectKey,
+  projectName,
+  deletedAt
+);
+
+const rules = new Rules(
+);
+
+const extensions = new Extensions( 'dao', __filename );
+extensions.softDelete = 'deletedAt';
+
+const ProjectInfo = new bo.ReadOnlyRootObject( 'ProjectInfo', properties, rules, extensions );
+
+module.exports = ProjectInfo;
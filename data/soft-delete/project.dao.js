@@ -0,0 +1,49 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+const tasks = require( './task.dao.js' ).tasks;
+
+const projects = {
+  1: { projectKey: 1, projectName: 'Analytical engine', deletedAt: null },
+  2: { projectKey: 2, projectName: 'Enigma', deletedAt: null }
+};
+
+class ProjectDao extends DaoBase {
+
+  constructor() {
+    super( 'ProjectDao' );
+  }
+
+  fetch( ctx, filter ) {
+    console.log( '--- Project DAO.fetch' );
+
+    if (!projects[ filter ]) {
+      ctx.reject( new Error( 'Project not found.' ) );
+      return;
+    }
+    const project = Object.assign( {}, projects[ filter ] );
+    project.tasks = Object.keys( tasks )
+      .map( key => tasks[ key ] )
+      .filter( task => task.projectKey === filter && !task.isDeleted )
+      .map( task => Object.assign( {}, task ) );
+    ctx.fulfill( project );
+  }
+
+  update( ctx, data ) {
+    console.log( '--- Project DAO.update' );
+
+    projects[ data.projectKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+
+  remove( ctx, filter ) {
+    console.log( '--- Project DAO.remove' );
+
+    delete projects[ filter ];
+    ctx.fulfill( null );
+  }
+}
+
+ProjectDao.projects = projects;
+
+module.exports = ProjectDao;
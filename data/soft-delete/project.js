@@ -0,0 +1,36 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+const cr = bo.commonRules;
+
+const Tasks = require( './tasks.js' );
+
+const projectKey = new Property( 'projectKey', dt.Integer, F.key | F.readOnly );
+const projectName = new Property( 'projectName', dt.Text );
+const deletedAt = new Property( 'deletedAt', dt.DateTime, F.readOnly );
+const tasks = new Property( 'tasks', Tasks );
+
+const properties = new Properties(
+  projectKey,
+  projectName,
+  deletedAt,
+  tasks
+);
+
+const rules = new Rules(
+  cr.required( projectName )
+);
+
+const extensions = new Extensions( 'dao', __filename );
+extensions.softDelete = 'deletedAt';
+
+const Project = new bo.EditableRootObject( 'Project', properties, rules, extensions );
+
+module.exports = Project;
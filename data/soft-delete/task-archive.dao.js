@@ -0,0 +1,23 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+const tasks = require( './task.dao.js' ).tasks;
+
+class TaskArchiveDao extends DaoBase {
+
+  constructor() {
+    super( 'TaskArchiveDao' );
+  }
+
+  fetch( ctx, filter ) {
+    console.log( '--- Task archive DAO.fetch' );
+
+    // Returns the soft deleted tasks as well.
+    ctx.fulfill( Object.keys( tasks )
+      .map( key => tasks[ key ] )
+      .filter( task => task.projectKey === filter )
+      .map( task => Object.assign( {}, task ) ) );
+  }
+}
+
+module.exports = TaskArchiveDao;
@@ -0,0 +1,22 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+
+const TaskArchiveItem = require( './task-archive-item.js' );
+
+const rules = new Rules(
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const TaskArchive = new bo.ReadOnlyRootCollection(
+  'TaskArchive',
+  TaskArchiveItem,
+  rules,
+  extensions
+);
+
+module.exports = TaskArchive;
@@ -0,0 +1,32 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+
+const taskKey = new Property( 'taskKey', dt.Integer, F.key );
+const title = new Property( 'title', dt.Text );
+const isDeleted = new Property( 'isDeleted', dt.Boolean );
+
+const properties = new Properties(
+  taskKey,
+  title,
+  isDeleted
+);
+
+const rules = new Rules(
+);
+
+const extensions = new Extensions( 'dao', __filename );
+extensions.softDelete = 'isDeleted';
+
+const TaskListItem = new bo.ReadOnlyChildObject(
+  'TaskListItem', properties, rules, extensions
+);
+
+module.exports = TaskListItem;
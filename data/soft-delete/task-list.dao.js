@@ -0,0 +1,23 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+const tasks = require( './task.dao.js' ).tasks;
+
+class TaskListDao extends DaoBase {
+
+  constructor() {
+    super( 'TaskListDao' );
+  }
+
+  fetch( ctx, filter ) {
+    console.log( '--- Task list DAO.fetch' );
+
+    // Leaves out the soft deleted tasks.
+    ctx.fulfill( Object.keys( tasks )
+      .map( key => tasks[ key ] )
+      .filter( task => task.projectKey === filter && !(ctx.softDelete && task[ ctx.softDelete ]) )
+      .map( task => Object.assign( {}, task ) ) );
+  }
+}
+
+module.exports = TaskListDao;
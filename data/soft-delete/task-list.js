@@ -0,0 +1,22 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+
+const TaskListItem = require( './task-list-item.js' );
+
+const rules = new Rules(
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const TaskList = new bo.ReadOnlyRootCollection(
+  'TaskList',
+  TaskListItem,
+  rules,
+  extensions
+);
+
+module.exports = TaskList;
@@ -0,0 +1,34 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+const tasks = {
+  1: { taskKey: 1, projectKey: 1, title: 'Design the engine', isDeleted: false },
+  2: { taskKey: 2, projectKey: 1, title: 'Punch the cards', isDeleted: false },
+  3: { taskKey: 3, projectKey: 1, title: 'Write the notes', isDeleted: true }
+};
+
+class TaskDao extends DaoBase {
+
+  constructor() {
+    super( 'TaskDao' );
+  }
+
+  update( ctx, data ) {
+    console.log( '--- Task DAO.update' );
+
+    tasks[ data.taskKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+
+  remove( ctx, filter ) {
+    console.log( '--- Task DAO.remove' );
+
+    delete tasks[ filter ];
+    ctx.fulfill( null );
+  }
+}
+
+TaskDao.tasks = tasks;
+
+module.exports = TaskDao;
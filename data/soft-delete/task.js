@@ -0,0 +1,34 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+const cr = bo.commonRules;
+
+const taskKey = new Property( 'taskKey', dt.Integer, F.key | F.readOnly );
+const projectKey = new Property( 'projectKey', dt.Integer, F.parentKey | F.readOnly );
+const title = new Property( 'title', dt.Text );
+const isDeleted = new Property( 'isDeleted', dt.Boolean, F.readOnly );
+
+const properties = new Properties(
+  taskKey,
+  projectKey,
+  title,
+  isDeleted
+);
+
+const rules = new Rules(
+  cr.required( title )
+);
+
+const extensions = new Extensions( 'dao', __filename );
+extensions.softDelete = 'isDeleted';
+
+const Task = new bo.EditableChildObject( 'Task', properties, rules, extensions );
+
+module.exports = Task;
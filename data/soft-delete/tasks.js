@@ -0,0 +1,12 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Task = require( './task.js' );
+
+const Tasks = new bo.EditableChildCollection(
+  'Tasks',
+  Task
+);
+
+module.exports = Tasks;
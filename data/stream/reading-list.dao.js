@@ -0,0 +1,25 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+const source = require( './reading-source.js' );
+
+class ReadingListDao extends DaoBase {
+
+  constructor() {
+    super( 'ReadingListDao' );
+  }
+
+  fetch( ctx, filter ) {
+    console.log( '--- Reading list DAO.fetch' );
+
+    ctx.fulfill( source.read( filter.count, filter.batchSize, filter.failAt ) );
+  }
+
+  fetchRecent( ctx, filter ) {
+    console.log( '--- Reading list DAO.fetchRecent' );
+
+    ctx.fulfill( [ { readingKey: 1, value: 0.1 }, { readingKey: 2, value: 0.2 } ] );
+  }
+}
+
+module.exports = ReadingListDao;
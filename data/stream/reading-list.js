@@ -0,0 +1,22 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+
+const Reading = require( './reading.js' );
+
+const rules = new Rules(
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const ReadingList = new bo.ReadOnlyRootCollection(
+  'ReadingList',
+  Reading,
+  rules,
+  extensions
+);
+
+module.exports = ReadingList;
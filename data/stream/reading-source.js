@@ -0,0 +1,23 @@
+'use strict';
+
+// Simulates a cursor that yields the readings in batches.
+const source = {
+  closed: 0,
+  read: async function* ( count, batchSize, failAt ) {
+    try {
+      for (let index = 0; index < count; index += batchSize) {
+        await new Promise( fulfill => setTimeout( fulfill, 1 ) );
+        if (failAt !== undefined && index >= failAt)
+          throw new Error( 'The cursor has been lost.' );
+        const batch = [];
+        for (let key = index + 1; key <= Math.min( index + batchSize, count ); key++)
+          batch.push( { readingKey: key, value: key / 10 } );
+        yield batch;
+      }
+    } finally {
+      source.closed++;
+    }
+  }
+};
+
+module.exports = source;
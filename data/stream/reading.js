@@ -0,0 +1,29 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+
+const readingKey = new Property( 'readingKey', dt.Integer, F.key );
+const value = new Property( 'value', dt.Decimal );
+
+const properties = new Properties(
+  readingKey,
+  value
+);
+
+const rules = new Rules(
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const Reading = new bo.ReadOnlyChildObject(
+  'Reading', properties, rules, extensions
+);
+
+module.exports = Reading;
@@ -0,0 +1,12 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Reading = require( './reading.js' );
+
+const Readings = new bo.ReadOnlyChildCollection(
+  'Readings',
+  Reading
+);
+
+module.exports = Readings;
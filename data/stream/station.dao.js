@@ -0,0 +1,23 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+const source = require( './reading-source.js' );
+
+class StationDao extends DaoBase {
+
+  constructor() {
+    super( 'StationDao' );
+  }
+
+  fetch( ctx, filter ) {
+    console.log( '--- Station DAO.fetch' );
+
+    ctx.fulfill( {
+      stationKey: filter,
+      stationName: 'Station ' + filter,
+      readings: source.read( 5, 2 )
+    } );
+  }
+}
+
+module.exports = StationDao;
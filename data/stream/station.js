@@ -0,0 +1,36 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+
+const Readings = require( './readings.js' );
+
+const stationKey = new Property( 'stationKey', dt.Integer, F.key );
+const stationName = new Property( 'stationName', dt.Text );
+const readings = new Property( 'readings', Readings );
+
+const properties = new Properties(
+  stationKey,
+  stationName,
+  readings
+);
+
+const rules = new Rules();
+
+const extensions = new Extensions( 'dao', __filename );
+
+const Station = new bo.ReadOnlyRootObject( 'Station', properties, rules, extensions );
+
+const StationFactory = {
+  get: function ( key ) {
+    return Station.fetch( key );
+  }
+};
+
+module.exports = StationFactory;
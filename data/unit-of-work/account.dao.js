@@ -0,0 +1,56 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+const accounts = {};
+let accountKey = 0;
+
+class AccountDao extends DaoBase {
+
+  constructor() {
+    super( 'AccountDao' );
+  }
+
+  create( ctx ) {
+    console.log( '--- Account DAO.create' );
+
+    ctx.fulfill( {} );
+  }
+
+  fetch( ctx, filter ) {
+    console.log( '--- Account DAO.fetch' );
+
+    if (!accounts[ filter ])
+      ctx.reject( new Error( 'Account not found.' ) );
+    else
+      ctx.fulfill( Object.assign( {}, accounts[ filter ] ) );
+  }
+
+  insert( ctx, data ) {
+    console.log( '--- Account DAO.insert' );
+
+    data.accountKey = ++accountKey;
+    accounts[ data.accountKey ] = Object.assign( {}, data );
+    ctx.fulfill( data );
+  }
+
+  update( ctx, data ) {
+    console.log( '--- Account DAO.update' );
+
+    if (!accounts[ data.accountKey ])
+      ctx.reject( new Error( 'Account not found.' ) );
+    else {
+      accounts[ data.accountKey ] = Object.assign( {}, data );
+      ctx.fulfill( data );
+    }
+  }
+
+  remove( ctx, filter ) {
+    console.log( '--- Account DAO.remove' );
+
+    delete accounts[ filter ];
+    ctx.fulfill( null );
+  }
+}
+
+module.exports = AccountDao;
@@ -0,0 +1,41 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const F = bo.common.PropertyFlag;
+const dt = bo.dataTypes;
+const cr = bo.commonRules;
+
+const accountKey = new Property( 'accountKey', dt.Integer, F.key | F.readOnly );
+const owner = new Property( 'owner', dt.Text );
+const balance = new Property( 'balance', dt.Integer );
+
+const properties = new Properties(
+  accountKey,
+  owner,
+  balance
+);
+
+const rules = new Rules(
+  cr.required( owner ),
+  cr.required( balance )
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const Account = new bo.EditableRootObject( 'Account', properties, rules, extensions );
+
+const AccountFactory = {
+  create: function ( eventHandlers ) {
+    return Account.create( eventHandlers );
+  },
+  get: function ( key, eventHandlers ) {
+    return Account.fetch( key, null, eventHandlers );
+  }
+};
+
+module.exports = AccountFactory;
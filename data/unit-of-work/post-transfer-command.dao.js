@@ -0,0 +1,23 @@
+'use strict';
+
+const DaoBase = require( '../../source/data-access/dao-base.js' );
+
+class PostTransferCommandDao extends DaoBase {
+
+  constructor() {
+    super( 'PostTransferCommandDao' );
+  }
+
+  execute( ctx, data ) {
+    console.log( '--- Post transfer command DAO.execute' );
+
+    if (data.amount > 1000) {
+      ctx.reject( new Error( 'Transfer limit exceeded.' ) );
+      return;
+    }
+    data.result = true;
+    ctx.fulfill( data );
+  }
+}
+
+module.exports = PostTransferCommandDao;
@@ -0,0 +1,28 @@
+'use strict';
+
+const bo = require( '../../source/index.js' );
+
+const Properties = bo.common.PropertyManager;
+const Rules = bo.rules.RuleManager;
+const Extensions = bo.common.ExtensionManager;
+const Property = bo.common.PropertyInfo;
+const dt = bo.dataTypes;
+const cr = bo.commonRules;
+
+const amount = new Property( 'amount', dt.Integer );
+const result = new Property( 'result', dt.Boolean );
+
+const properties = new Properties(
+  amount,
+  result
+);
+
+const rules = new Rules(
+  cr.required( amount )
+);
+
+const extensions = new Extensions( 'dao', __filename );
+
+const PostTransferCommand = new bo.CommandObject( 'PostTransferCommand', properties, rules, extensions );
+
+module.exports = PostTransferCommand;
@@ -29,7 +29,12 @@ const DataPortalAction = require( './common/data-portal-action.js' );
 const DataPortalContext = require( './common/data-portal-context.js' );
 const DataPortalEvent = require( './common/data-portal-event.js' );
 const DataPortalEventArgs = require( './common/data-portal-event-args.js' );
+const PropertyChangedEventArgs = require( './common/property-changed-event-args.js' );
 const DataPortalError = require( './common/data-portal-error.js' );
+const AbortError = require( './common/abort-error.js' );
+const dataPortalPipeline = require( './common/data-portal-pipeline.js' );
+const DataPortalAbort = require( './common/data-portal-abort.js' );
+const dataPortalRetry = require( './common/data-portal-retry.js' );
 
 //endregion
 
@@ -145,12 +150,43 @@ function baseFromCto( cto ) {
   }
 }
 
+function toTransfer() {
+  const properties = _properties.get( this );
+  const store = _store.get( this );
+  const transfer = {
+    data: {},
+    children: {}
+  };
+  properties.forEach( property => {
+    if (property.type instanceof DataType)
+      transfer.data[ property.name ] = store.getValue( property );
+    else
+      transfer.children[ property.name ] = store.getValue( property ).$toTransfer();
+  } );
+  return transfer;
+}
+
+function fromTransfer( transfer ) {
+  const properties = _properties.get( this );
+  const store = _store.get( this );
+  properties.forEach( property => {
+    if (property.type instanceof DataType) {
+      if (transfer.data[ property.name ] !== undefined)
+        store.setValue( property, transfer.data[ property.name ] );
+    } else
+      store.getValue( property ).$fromTransfer( transfer.children[ property.name ] );
+  } );
+}
+
 //endregion
 
 //region Permissions
 
 function getAuthorizationContext(action, targetName) {
-  return new AuthorizationContext( action, targetName || '', _brokenRules.get( this ) );
+  const brokenRules = _brokenRules.get( this );
+  return _extensions.get( this ).$runInEnvironment( () => {
+    return new AuthorizationContext( action, targetName || '', brokenRules );
+  } );
 }
 
 function canBeRead (property) {
@@ -236,7 +272,11 @@ function getPropertyValue(property) {
 
 function setPropertyValue(property, value) {
   const store = _store.get( this );
-  store.setValue( property, value );
+  // The old value is read for the listeners only.
+  const hasListeners = this.listenerCount( 'propertyChanged' ) > 0;
+  const oldValue = hasListeners ? store.getValue( property ) : undefined;
+  if (store.setValue( property, value ) && hasListeners)
+    raisePropertyChanged.call( this, property, oldValue );
   _store.set( this, store );
 }
 
@@ -253,16 +293,33 @@ function readPropertyValue(property) {
 
 function writePropertyValue(property, value) {
   if (canBeWritten.call( this, property )) {
+    const hasListeners = this.listenerCount( 'propertyChanged' ) > 0;
+    const oldValue = hasListeners ? getPropertyValue.call( this, property ) : undefined;
+    let changed = false;
     if (property.setter)
-      property.setter( getPropertyContext.call( this, property ), value );
+      changed = property.setter( getPropertyContext.call( this, property ), value );
     else {
       const store = _store.get( this );
-      store.setValue( property, value );
+      changed = store.setValue( property, value );
       _store.set( this, store );
     }
+    if (changed === true && hasListeners)
+      raisePropertyChanged.call( this, property, oldValue );
   }
 }
 
+function raisePropertyChanged(property, oldValue) {
+  /**
+   * The event arises when the value of a property of the command object has changed.
+   * @event CommandObject#propertyChanged
+   * @param {bo.common.PropertyChangedEventArgs} eventArgs - Property changed event arguments.
+   */
+  this.emit(
+    'propertyChanged',
+    new PropertyChangedEventArgs( this.$modelName, property.name, oldValue, getPropertyValue.call( this, property ) )
+  );
+}
+
 function getPropertyContext(primaryProperty) {
   let propertyContext = _propertyContext.get( this );
   if (!propertyContext) {
@@ -309,15 +366,44 @@ function raiseEvent( event, methodName, error ) {
 }
 
 function wrapError( error ) {
-  return new DataPortalError( MODEL_DESC, this.$modelName, DataPortalAction.execute, error );
+  // Aborted actions are passed unchanged.
+  return error instanceof AbortError ?
+    error :
+    new DataPortalError( MODEL_DESC, this.$modelName, DataPortalAction.execute, error );
+}
+
+//endregion
+
+//region Remote
+
+function data_remote( method, isTransaction, options ) {
+  const self = this;
+  const abort = new DataPortalAbort( self.$modelName, DataPortalAction.execute, options );
+  return abort.watch( abort.race( () => config.transport.$execute( {
+    modelName: self.$modelName,
+    action: DataPortalAction.getName( DataPortalAction.execute ),
+    method: method,
+    isTransaction: isTransaction,
+    transfer: toTransfer.call( self )
+  }, abort.signal ) )
+    .then( transfer => {
+      fromTransfer.call( self, transfer );
+      return self;
+    } )
+    .catch( reason => {
+      throw wrapError.call( self, reason );
+    } ) );
 }
 
 //endregion
 
 //region Execute
 
-function data_execute( method, isTransaction ) {
-  return new Promise( (fulfill, reject) => {
+function data_execute( method, isTransaction, transaction, options ) {
+  if (config.transport)
+    return data_remote.call( this, method, isTransaction, options );
+  const abort = new DataPortalAbort( this.$modelName, DataPortalAction.execute, options );
+  return abort.watch( new Promise( (fulfill, reject) => {
     const self = this;
     // Check permissions.
     if (method === M_EXECUTE ?
@@ -326,11 +412,16 @@ function data_execute( method, isTransaction ) {
 
       let connection = null;
       const extensions = _extensions.get( self );
-      (isTransaction ?
-        config.connectionManager.beginTransaction( extensions.dataSource ) :
-        config.connectionManager.openConnection( extensions.dataSource ))
+      (transaction ?
+        Promise.resolve( transaction ) :
+        isTransaction ?
+          dataPortalRetry( self.$modelName, DataPortalAction.execute, abort.signal, () =>
+            config.connectionManager.beginTransaction( extensions.dataSource ) ) :
+          dataPortalRetry( self.$modelName, DataPortalAction.execute, abort.signal, () =>
+            config.connectionManager.openConnection( extensions.dataSource ) ))
         .then( dsc => {
           connection = dsc;
+          abort.attach( connection );
           // Launch start event.
           /**
            * The event arises before the command object will be executed in the repository.
@@ -341,16 +432,18 @@ function data_execute( method, isTransaction ) {
           raiseEvent.call( self, DataPortalEvent.preExecute, method );
           // Execute command.
           const dao = _dao.get( self );
-          return extensions.dataExecute ?
-            // *** Custom execute.
-            extensions.$runMethod( 'execute', self, getDataContext.call( self, connection ), method ) :
-            // *** Standard execute.
-            dao.$runMethod( method, connection, toDto.call( self ))
-              .then( dto => {
-                // Load property values.
-                fromDto.call( self, dto );
-                return dto;
-              });
+          return dataPortalPipeline( self.$modelName, DataPortalAction.execute, connection, () => {
+            return extensions.dataExecute ?
+              // *** Custom execute.
+              extensions.$runMethod( 'execute', self, getDataContext.call( self, connection ), method ) :
+              // *** Standard execute.
+              dao.$runMethod( method, connection, toDto.call( self ))
+                .then( dto => {
+                  // Load property values.
+                  fromDto.call( self, dto );
+                  return dto;
+                });
+          } );
         })
         .then( dto => {
           // Fetch children as well.
@@ -366,9 +459,11 @@ function data_execute( method, isTransaction ) {
            */
           raiseEvent.call( self, DataPortalEvent.postExecute, method );
           // Close connection/Finish transaction.
-          (isTransaction ?
-            config.connectionManager.commitTransaction( extensions.dataSource, connection ) :
-            config.connectionManager.closeConnection( extensions.dataSource, connection ))
+          (transaction ?
+            Promise.resolve( null ) :
+            isTransaction ?
+              config.connectionManager.commitTransaction( extensions.dataSource, connection ) :
+              config.connectionManager.closeConnection( extensions.dataSource, connection ))
             .then( none => {
               // Returns the executed command object.
               fulfill( self );
@@ -381,16 +476,18 @@ function data_execute( method, isTransaction ) {
           if (connection)
             raiseEvent.call( self, DataPortalEvent.postExecute, method, dpe );
           // Close connection/Undo transaction.
-          (isTransaction ?
-            config.connectionManager.rollbackTransaction( extensions.dataSource, connection ) :
-            config.connectionManager.closeConnection( extensions.dataSource, connection ))
+          (transaction ?
+            Promise.resolve( null ) :
+            isTransaction ?
+              config.connectionManager.rollbackTransaction( extensions.dataSource, connection ) :
+              config.connectionManager.closeConnection( extensions.dataSource, connection ))
             .then( none => {
               // Pass the error.
               reject( dpe );
             });
         });
     }
-  });
+  } ) );
 }
 
 //endregion
@@ -441,7 +538,7 @@ class CommandObject extends ModelBase {
     _dao.set( this, extensions.getDataAccessObject( name ) );
 
     // Set up business rules.
-    rules.initialize(config.noAccessBehavior);
+    rules.initialize( extensions.$runInEnvironment( () => config.noAccessBehavior ) );
 
     // Set up event handlers.
     if (eventHandlers)
@@ -565,6 +662,30 @@ class CommandObject extends ModelBase {
     } );
   }
 
+  /**
+   * Exports the state of the command object to send to the other side of the remote data portal.
+   * <br/>_This method is called by the remote data portal._
+   *
+   * @function CommandObject#$toTransfer
+   * @protected
+   * @returns {object} The state of the command object.
+   */
+  $toTransfer() {
+    return toTransfer.call( this );
+  }
+
+  /**
+   * Restores the state of the command object received from the other side of the remote data portal.
+   * <br/>_This method is called by the remote data portal._
+   *
+   * @function CommandObject#$fromTransfer
+   * @protected
+   * @param {object} transfer - The state of the command object.
+   */
+  $fromTransfer( transfer ) {
+    fromTransfer.call( this, transfer );
+  }
+
   //endregion
 
   //region Actions
@@ -577,6 +698,9 @@ class CommandObject extends ModelBase {
    * @function CommandObject#execute
    * @param {string} [method] - An alternative execute method of the data access object.
    * @param {boolean} [isTransaction] - Indicates whether transaction is required.
+   * @param {object} [options] - The options of the data portal action.
+   * @param {AbortSignal} [options.signal] - The signal to abort the action.
+   * @param {number} [options.timeout] - The time limit of the action in milliseconds.
    * @returns {Promise.<CommandObject>} Returns a promise to the command object with the result.
    *
    * @throws {@link bo.system.ArgumentError Argument error}:
@@ -587,11 +711,14 @@ class CommandObject extends ModelBase {
    *      The callback must be a function.
    * @throws {@link bo.rules.AuthorizationError Authorization error}:
    *      The user has no permission to execute the action.
+   * @throws {@link bo.common.AbortError Abort error}:
+   *      The action has been aborted or its time limit has elapsed.
    */
-  execute( method, isTransaction ) {
+  execute( method, isTransaction, options ) {
     const check = Argument.inMethod( this.$modelName, 'execute' );
 
     if (typeof method === 'boolean' || method instanceof Boolean) {
+      options = isTransaction;
       isTransaction = method;
       method = M_EXECUTE;
     }
@@ -599,7 +726,30 @@ class CommandObject extends ModelBase {
     method = check( method ).forOptional( 'method' ).asString();
     isTransaction = check( isTransaction ).forOptional( 'isTransaction' ).asBoolean();
 
-    return data_execute.call( this, method || M_EXECUTE, isTransaction);
+    return _extensions.get( this ).$runInEnvironment( () => {
+      return data_execute.call( this, method || M_EXECUTE, isTransaction, null, options );
+    } );
+  }
+
+  /**
+   * Executes the business object's statements in the repository in the transaction
+   * of a unit of work. The transaction is neither committed nor rolled back.
+   * <br/>_This method is called by the unit of work._
+   *
+   * @function CommandObject#$execute
+   * @protected
+   * @param {object} connection - The connection of the transaction.
+   * @param {string} [method] - An alternative execute method of the data access object.
+   * @returns {Promise.<CommandObject>} Returns a promise to the command object with the result.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}:
+   *      The method must be a string or null.
+   */
+  $execute( connection, method ) {
+    method = Argument.inMethod( this.$modelName, '$execute' )
+      .check( method ).forOptional( 'method' ).asString();
+
+    return _extensions.get( this ).$runInEnvironment( () => data_execute.call( this, method || M_EXECUTE, true, connection ) );
   }
 
   //endregion
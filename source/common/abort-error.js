@@ -0,0 +1,39 @@
+'use strict';
+
+const t = require( '../locales/i18n-bo.js' )( 'AbortError' );
+
+/**
+ * Represents an abort error. Data portal actions reject with this error,
+ * when their abort signal fires or their timeout elapses.
+ *
+ * @memberof bo.common
+ * @extends {Error}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error Error} for further information.
+ */
+class AbortError extends Error {
+
+  /**
+   * Creates an abort error object.
+   *
+   * @param {string} [message] - Human-readable description of the error.
+   * @param {...*} [params] - Optional interpolation parameters of the message.
+   */
+  constructor( message, ...params ) {
+    super();
+
+    /**
+     * The name of the error type.
+     * @member {string} bo.common.AbortError#name
+     * @default AbortError
+     */
+    this.name = AbortError.name;
+
+    /**
+     * Human-readable description of the error.
+     * @member {string} bo.common.AbortError#message
+     */
+    this.message = t( ...arguments );
+  }
+}
+
+module.exports = AbortError;
@@ -0,0 +1,48 @@
+'use strict';
+
+//region Imports
+
+const config = require( '../system/configuration-reader.js' );
+
+//endregion
+
+/**
+ * Fills the audit properties of the editable models, i.e. the properties
+ * marked by the {@link bo.common.PropertyFlag#createdBy createdBy},
+ * {@link bo.common.PropertyFlag#createdAt createdAt},
+ * {@link bo.common.PropertyFlag#modifiedBy modifiedBy} and
+ * {@link bo.common.PropertyFlag#modifiedAt modifiedAt} flags.
+ * The user comes from the configuration, the time from its clock.
+ *
+ * @private
+ */
+const auditFields = {
+
+  /**
+   * Sets the audit properties before the model is saved. Both the creation and the
+   * modification properties are set on insert, the modification ones on update.
+   *
+   * @param {bo.common.PropertyManager} properties - The property definitions of the model.
+   * @param {function} setValue - The function that stores the value of a property.
+   * @param {boolean} isNew - Indicates whether the model is inserted.
+   */
+  stamp: function ( properties, setValue, isNew ) {
+    const audited = properties.filter( property => {
+      return (isNew && (property.isCreatedBy || property.isCreatedAt)) ||
+        property.isModifiedBy || property.isModifiedAt;
+    } );
+    if (!audited.length)
+      return;
+
+    const user = config.getUser();
+    const userCode = user ? user.userCode : null;
+    const time = config.now();
+    audited.forEach( property => {
+      setValue( property, property.isCreatedBy || property.isModifiedBy ? userCode : time );
+    } );
+  }
+};
+
+Object.freeze( auditFields );
+
+module.exports = auditFields;
@@ -0,0 +1,151 @@
+'use strict';
+
+//region Imports
+
+const config = require( '../system/configuration-reader.js' );
+const contextStorage = require( '../system/context-storage.js' );
+const DataType = require( '../data-types/data-type.js' );
+const DataPortalAction = require( './data-portal-action.js' );
+const ChangeSet = require( './change-set.js' );
+
+//endregion
+
+//region Private variables
+
+const CONTEXT_STATE = 'changeSets';
+
+//endregion
+
+//region Helper methods
+
+function isSame( oldValue, newValue ) {
+  if (oldValue instanceof Date && newValue instanceof Date)
+    return oldValue.getTime() === newValue.getTime();
+  // Undefined and null values mean the same.
+  return oldValue === newValue ||
+    (oldValue === undefined || oldValue === null) && (newValue === undefined || newValue === null);
+}
+
+function hasChildren( changeSet ) {
+  return changeSet instanceof Array ? changeSet.length > 0 : changeSet !== null;
+}
+
+//endregion
+
+/**
+ * Records the changes of the editable models saved by a root model, and passes
+ * the change sets to the audit sink of the configuration. The old values are read
+ * before the save, the new ones after it. Within a unit of work the change sets
+ * are collected, and they are written after the transaction has been committed.
+ *
+ * @private
+ */
+const changeRecorder = {
+
+  /**
+   * Indicates whether the changes can be recorded, i.e. the configuration has an audit sink
+   * and the data portal runs locally.
+   *
+   * @returns {boolean} True when the changes can be recorded, otherwise false.
+   */
+  isEnabled: function () {
+    return !config.transport && config.auditSink !== null;
+  },
+
+  /**
+   * Starts to record the changes of a business object before it is saved.
+   *
+   * @param {string} modelName - The name of the model.
+   * @param {bo.common.DataPortalAction} action - The action the save will execute,
+   *      or null when the business object itself is not saved.
+   * @param {bo.common.PropertyManager} properties - The property definitions of the model.
+   * @param {function} getOriginalValue - The function that reads the original value of a property.
+   * @param {function} getValue - The function that reads the value of a property.
+   * @param {boolean} isErased - Indicates whether the removal deletes the data, i.e. it is not soft.
+   * @returns {function} A function that returns the change set of the business object
+   *      after the save, or null when nothing has been changed.
+   */
+  record: function ( modelName, action, properties, getOriginalValue, getValue, isErased ) {
+    if (action === null)
+      return () => null;
+
+    // Read the values before the save, the new objects have none.
+    const dataProperties = properties.filter( property => property.type instanceof DataType );
+    const oldValues = new Map();
+    if (action !== DataPortalAction.insert)
+      dataProperties.forEach( property => {
+        oldValues.set( property.name, getOriginalValue( property ) );
+      } );
+    const children = properties.children().map( property => {
+      return {
+        name: property.name,
+        finish: getValue( property ).$recordChanges()
+      };
+    } );
+
+    return () => {
+      const changes = dataProperties
+        .map( property => {
+          return {
+            propertyName: property.name,
+            oldValue: oldValues.has( property.name ) ? oldValues.get( property.name ) : null,
+            newValue: isErased ? null : getValue( property )
+          };
+        } )
+        .filter( change => !isSame( change.oldValue, change.newValue ) );
+      const childChanges = {};
+      children.forEach( child => {
+        const changeSet = child.finish();
+        if (hasChildren( changeSet ))
+          childChanges[ child.name ] = changeSet;
+      } );
+      return changes.length || Object.keys( childChanges ).length ?
+        new ChangeSet( modelName, properties.getKey( getValue ), action, changes, childChanges ) :
+        null;
+    };
+  },
+
+  /**
+   * Passes the change sets to the audit sink, or collects them when a unit of work is running.
+   *
+   * @param {Array.<bo.common.ChangeSet>} changeSets - The change sets to write.
+   * @returns {Promise.<null>} Returns a promise that is fulfilled when the change sets are written.
+   */
+  write: function ( changeSets ) {
+    const collected = contextStorage.getState( CONTEXT_STATE );
+    if (collected) {
+      Array.prototype.push.apply( collected, changeSets );
+      return Promise.resolve( null );
+    }
+    return changeRecorder.flush( changeSets );
+  },
+
+  /**
+   * Runs a function that collects the change sets of the saved models instead of writing them.
+   *
+   * @param {Array.<bo.common.ChangeSet>} changeSets - The array to collect the change sets into.
+   * @param {function} fn - The function to run.
+   * @returns {*} The return value of the function.
+   */
+  collect: function ( changeSets, fn ) {
+    return contextStorage.runState( CONTEXT_STATE, changeSets, fn );
+  },
+
+  /**
+   * Writes the change sets to the audit sink one after the other.
+   *
+   * @param {Array.<bo.common.ChangeSet>} changeSets - The change sets to write.
+   * @returns {Promise.<null>} Returns a promise that is fulfilled when the change sets are written.
+   */
+  flush: function ( changeSets ) {
+    const auditSink = config.auditSink;
+    return changeSets.reduce( ( previous, changeSet ) => {
+      return previous.then( none => auditSink.write( changeSet ) );
+    }, Promise.resolve( null ) )
+      .then( none => null );
+  }
+};
+
+Object.freeze( changeRecorder );
+
+module.exports = changeRecorder;
@@ -0,0 +1,88 @@
+'use strict';
+
+//region Imports
+
+const config = require( '../system/configuration-reader.js' );
+const Argument = require( '../system/argument-check.js' );
+const DataPortalAction = require( './data-portal-action.js' );
+
+//endregion
+
+/**
+ * Describes the changes of a business object made by a successful save, i.e. the old
+ * and new values of its changed properties and the changes of its child objects and
+ * collections. The change sets of the models recording their changes are passed to the
+ * {@link bo.system.configuration.auditSink audit sink} of the configuration.
+ *
+ * @memberof bo.common
+ */
+class ChangeSet {
+
+  /**
+   * Creates a new change set of a business object.
+   *
+   * @param {string} modelName - The name of the model.
+   * @param {*} key - The value of the key properties of the business object.
+   * @param {bo.common.DataPortalAction} action - The data portal action that saved the changes.
+   * @param {Array.<object>} [changes] - The changes of the properties.
+   * @param {object} [children] - The change sets of the child objects and collections.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The model name must be a non-empty string.
+   * @throws {@link bo.system.ArgumentError Argument error}: The action must be a DataPortalAction item.
+   * @throws {@link bo.system.ArgumentError Argument error}: The changes must be an array.
+   * @throws {@link bo.system.ArgumentError Argument error}: The children must be an object.
+   */
+  constructor( modelName, key, action, changes, children ) {
+    const check = Argument.inConstructor( ChangeSet.name );
+
+    /**
+     * The name of the model.
+     * @member {string} bo.common.ChangeSet#modelName
+     * @readonly
+     */
+    this.modelName = check( modelName ).forMandatory( 'modelName' ).asString();
+    /**
+     * The value of the key properties of the business object.
+     * @member {*} bo.common.ChangeSet#key
+     * @readonly
+     */
+    this.key = key === undefined ? null : key;
+    /**
+     * The data portal action that saved the changes: insert, update or remove.
+     * @member {bo.common.DataPortalAction} bo.common.ChangeSet#action
+     * @readonly
+     */
+    this.action = check( action ).forMandatory( 'action' ).asEnumMember( DataPortalAction, null );
+    /**
+     * The current user.
+     * @member {bo.system.UserInfo} bo.common.ChangeSet#user
+     * @readonly
+     */
+    this.user = config.getUser();
+    /**
+     * The time of the change.
+     * @member {Date} bo.common.ChangeSet#time
+     * @readonly
+     */
+    this.time = config.now();
+    /**
+     * The changes of the properties. Every item has a propertyName, an oldValue
+     * and a newValue property.
+     * @member {Array.<object>} bo.common.ChangeSet#changes
+     * @readonly
+     */
+    this.changes = Object.freeze( check( changes ).forOptional( 'changes' ).asType( Array ) || [] );
+    /**
+     * The change sets of the changed children by the name of the child property:
+     * a change set for a child object, an array of change sets for a child collection.
+     * @member {object} bo.common.ChangeSet#children
+     * @readonly
+     */
+    this.children = Object.freeze( check( children ).forOptional( 'children' ).asObject() || {} );
+
+    // Immutable object.
+    Object.freeze( this );
+  }
+}
+
+module.exports = ChangeSet;
@@ -1,13 +1,13 @@
 'use strict';
 
-const events = require( 'events' );
+const ModelEmitter = require( './model-emitter.js' );
 
 /**
  * Serves as the base class for collections.
  *
  * @extends EventEmitter
  */
-class CollectionBase extends events.EventEmitter {
+class CollectionBase extends ModelEmitter {
 
   /**
    * Creates a base collection instance.
@@ -0,0 +1,58 @@
+'use strict';
+
+//region Imports
+
+const Argument = require( '../system/argument-check.js' );
+
+//endregion
+
+/**
+ * Provides the context for the events of editable collections that report
+ * the changes of their items: itemAdded, itemRemoved, itemChanged and sorted.
+ *
+ * @memberof bo.common
+ */
+class CollectionChangedEventArgs {
+
+  /**
+   * Creates new collection changed event arguments.
+   *   </br></br>
+   * <i><b>Warning:</b> Collection changed event arguments are created in collections internally.
+   * They are intended only to make publicly available the context for collection events.</i>
+   *
+   * @param {string} modelName - The name of the collection model.
+   * @param {number} [index] - The index of the affected item.
+   * @param {object} [item] - The affected item.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The model name must be a non-empty string.
+   * @throws {@link bo.system.ArgumentError Argument error}: The index must be an integer or null.
+   * @throws {@link bo.system.ArgumentError Argument error}: The item must be an object or null.
+   */
+  constructor( modelName, index, item ) {
+    const check = Argument.inConstructor( CollectionChangedEventArgs.name );
+
+    /**
+     * The name of the collection model.
+     * @member {string} bo.common.CollectionChangedEventArgs#modelName
+     * @readonly
+     */
+    this.modelName = check( modelName ).forMandatory( 'modelName' ).asString();
+    /**
+     * The index of the affected item, null for the sorted event.
+     * @member {number} bo.common.CollectionChangedEventArgs#index
+     * @readonly
+     */
+    this.index = check( index ).forOptional( 'index' ).asInteger();
+    /**
+     * The affected item, null for the sorted event.
+     * @member {object} bo.common.CollectionChangedEventArgs#item
+     * @readonly
+     */
+    this.item = check( item ).forOptional( 'item' ).asObject();
+
+    // Immutable object.
+    Object.freeze( this );
+  }
+}
+
+module.exports = CollectionChangedEventArgs;
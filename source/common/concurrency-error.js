@@ -0,0 +1,40 @@
+'use strict';
+
+const t = require( '../locales/i18n-bo.js' )( 'ConcurrencyError' );
+
+/**
+ * Represents a concurrency error. Data access objects reject the update or
+ * remove action with this error, when the row version of the model does not
+ * match the one stored in the repository.
+ *
+ * @memberof bo.common
+ * @extends {Error}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error Error} for further information.
+ */
+class ConcurrencyError extends Error {
+
+  /**
+   * Creates a concurrency error object.
+   *
+   * @param {string} [message] - Human-readable description of the error.
+   * @param {...*} [params] - Optional interpolation parameters of the message.
+   */
+  constructor( message, ...params ) {
+    super();
+
+    /**
+     * The name of the error type.
+     * @member {string} bo.common.ConcurrencyError#name
+     * @default ConcurrencyError
+     */
+    this.name = ConcurrencyError.name;
+
+    /**
+     * Human-readable description of the error.
+     * @member {string} bo.common.ConcurrencyError#message
+     */
+    this.message = t( ...arguments );
+  }
+}
+
+module.exports = ConcurrencyError;
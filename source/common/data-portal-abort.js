@@ -0,0 +1,208 @@
+'use strict';
+
+//region Imports
+
+const Argument = require( '../system/argument-check.js' );
+const DataPortalAction = require( './data-portal-action.js' );
+const AbortError = require( './abort-error.js' );
+
+//endregion
+
+//region Private variables
+
+const _controller = new WeakMap();
+const _error = new WeakMap();
+const _aborted = new WeakMap();
+const _dispose = new WeakMap();
+const _connections = new WeakMap();
+
+// The abort scopes of the open connections.
+const _scopes = new WeakMap();
+
+// AbortController and AbortSignal are global objects since Node 15.
+const hasAbortController = typeof AbortController !== 'undefined';
+
+//endregion
+
+/**
+ * Combines the abort signal and the timeout of a data portal action.
+ * The signal of the scope is available for the data access objects and
+ * the custom data portal methods through the connection of the action,
+ * and the data portal pipeline rejects the operations of an aborted action.
+ *
+ * @private
+ */
+class DataPortalAbort {
+
+  /**
+   * Creates a new abort scope for a data portal action.
+   *
+   * Before Node 15 the signal can be any object that implements the aborted property
+   * and the addEventListener and removeEventListener methods, and the action exposes
+   * no signal for the data access objects.
+   *
+   * @param {string} modelName - The name of the model that executes the action.
+   * @param {bo.common.DataPortalAction} action - The data portal action.
+   * @param {object} [options] - The options of the action.
+   * @param {AbortSignal} [options.signal] - The signal to abort the action.
+   * @param {number} [options.timeout] - The time limit of the action in milliseconds.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The options must be an object.
+   * @throws {@link bo.system.ArgumentError Argument error}: The signal must be an AbortSignal object.
+   * @throws {@link bo.system.ArgumentError Argument error}: The timeout must be an integer.
+   */
+  constructor( modelName, action, options ) {
+    const check = Argument.inConstructor( DataPortalAbort.name );
+
+    options = check( options ).forOptional( 'options' ).asObject() || {};
+    const signal = hasAbortController ?
+      check( options.signal ).forOptional( 'signal' ).asType( AbortSignal ) :
+      check( options.signal ).forOptional( 'signal' ).asObject();
+    const timeout = check( options.timeout ).forOptional( 'timeout' ).asInteger();
+    const actionName = DataPortalAction.getName( action );
+    const self = this;
+
+    _error.set( this, null );
+    _connections.set( this, [] );
+
+    let controller = null;
+    let rejectAborted = null;
+    let timer = null;
+    const onAbort = () => {
+      abort( new AbortError( 'aborted', modelName, actionName ) );
+    };
+    function abort( error ) {
+      if (_error.get( self ) === null) {
+        _error.set( self, error );
+        if (controller)
+          controller.abort( error );
+        rejectAborted( error );
+      }
+    }
+
+    if (signal || timeout) {
+      if (hasAbortController)
+        controller = new AbortController();
+      const aborted = new Promise( ( fulfill, reject ) => {
+        rejectAborted = reject;
+      } );
+      // The rejection is handled by the raced operations.
+      aborted.catch( () => null );
+      _aborted.set( this, aborted );
+
+      if (signal) {
+        if (signal.aborted)
+          onAbort();
+        else
+          signal.addEventListener( 'abort', onAbort );
+      }
+      if (timeout)
+        timer = setTimeout( () => {
+          abort( new AbortError( 'timeout', modelName, actionName, timeout ) );
+        }, timeout );
+    }
+    _controller.set( this, controller );
+    _dispose.set( this, () => {
+      if (timer)
+        clearTimeout( timer );
+      if (signal)
+        signal.removeEventListener( 'abort', onAbort );
+    } );
+
+    // Immutable object.
+    Object.freeze( this );
+  }
+
+  /**
+   * The signal that fires when the action is aborted or its time limit elapses,
+   * or null when the action has neither signal nor timeout, or the platform
+   * has no AbortController.
+   * @member {AbortSignal} DataPortalAbort#signal
+   * @readonly
+   */
+  get signal() {
+    const controller = _controller.get( this );
+    return controller ? controller.signal : null;
+  }
+
+  /**
+   * Registers the connection of the action, so the data portal operations
+   * using the connection can be aborted.
+   *
+   * @param {object} connection - The connection of the action.
+   * @returns {object} The connection itself.
+   *
+   * @throws {@link bo.common.AbortError Abort error}: The action has been aborted.
+   */
+  attach( connection ) {
+    if (connection && _aborted.get( this )) {
+      _scopes.set( connection, this );
+      _connections.get( this ).push( connection );
+    }
+    const error = _error.get( this );
+    if (error)
+      throw error;
+    return connection;
+  }
+
+  /**
+   * Executes an operation of the action. The returned promise is rejected
+   * as soon as the action is aborted.
+   *
+   * @param {function} operation - A function that returns the promise of the operation.
+   * @returns {Promise.<*>} Returns a promise to the result of the operation.
+   */
+  race( operation ) {
+    const error = _error.get( this );
+    if (error)
+      return Promise.reject( error );
+    const promise = new Promise( ( fulfill, reject ) => {
+      fulfill( operation() );
+    } );
+    const aborted = _aborted.get( this );
+    return aborted ?
+      Promise.race( [ promise, aborted ] ) :
+      promise;
+  }
+
+  /**
+   * Releases the signal and the timer of the action when it has been finished.
+   *
+   * @param {Promise.<*>} promise - The promise of the action.
+   * @returns {Promise.<*>} Returns the promise of the action.
+   */
+  watch( promise ) {
+    const self = this;
+    const dispose = () => {
+      _dispose.get( self )();
+      _connections.get( self ).forEach( connection => {
+        _scopes.delete( connection );
+      } );
+    };
+    promise.then( dispose, dispose );
+    return promise;
+  }
+
+  /**
+   * Gets the abort scope of a connection.
+   *
+   * @param {object} connection - The connection of a data portal action.
+   * @returns {DataPortalAbort} The abort scope of the connection, or null when it has none.
+   */
+  static of( connection ) {
+    return connection && _scopes.get( connection ) || null;
+  }
+
+  /**
+   * Gets the abort signal of a connection.
+   *
+   * @param {object} connection - The connection of a data portal action.
+   * @returns {AbortSignal} The abort signal of the connection, or null when it has none.
+   */
+  static signalOf( connection ) {
+    const scope = DataPortalAbort.of( connection );
+    return scope ? scope.signal : null;
+  }
+}
+
+module.exports = DataPortalAbort;
@@ -5,7 +5,9 @@
 const configuration = require( './../system/configuration-reader.js' );
 const Argument = require( '../system/argument-check.js' );
 const ModelError = require( './model-error.js' );
+const DataPortalAbort = require( './data-portal-abort.js' );
 const PropertyInfo = require( './property-info.js' );
+const DataType = require( '../data-types/data-type.js' );
 
 //endregion
 
@@ -13,8 +15,11 @@ const PropertyInfo = require( './property-info.js' );
 
 const _getValue = new WeakMap();
 const _setValue = new WeakMap();
+const _getOriginalValue = new WeakMap();
+const _hasChanged = new WeakMap();
 const _isDirty = new WeakMap();
 const _connection = new WeakMap();
+const _softDelete = new WeakMap();
 const _fulfill = new WeakMap();
 const _reject = new WeakMap();
 
@@ -52,14 +57,18 @@ class DataPortalContext {
    * @param {Array.<bo.common.PropertyInfo>} properties - An array of property definitions.
    * @param {internal~getValue} [getValue] - A function that returns the current value of a property.
    * @param {internal~setValue} [setValue] - A function that changes the current value of a property.
+   * @param {internal~getValue} [getOriginalValue] - A function that returns the original value of a property.
+   * @param {internal~hasChanged} [hasChanged] - A function that indicates whether a property has been changed.
    *
    * @throws {@link bo.system.ArgumentError Argument error}: The dao argument must be an object.
    * @throws {@link bo.system.ArgumentError Argument error}: The properties must be an array
    *    of PropertyInfo objects, or a single PropertyInfo object or null.
    * @throws {@link bo.system.ArgumentError Argument error}: The getValue argument must be a function.
    * @throws {@link bo.system.ArgumentError Argument error}: The setValue argument must be a function.
+   * @throws {@link bo.system.ArgumentError Argument error}: The getOriginalValue argument must be a function.
+   * @throws {@link bo.system.ArgumentError Argument error}: The hasChanged argument must be a function.
    */
-  constructor( dao, properties, getValue, setValue ) {
+  constructor( dao, properties, getValue, setValue, getOriginalValue, hasChanged ) {
     const check = Argument.inConstructor( DataPortalContext.name );
 
     /**
@@ -78,9 +87,12 @@ class DataPortalContext {
 
     _getValue.set( this, check( getValue ).forOptional( 'getValue' ).asFunction() );
     _setValue.set( this, check( setValue ).forOptional( 'setValue' ).asFunction() );
+    _getOriginalValue.set( this, check( getOriginalValue ).forOptional( 'getOriginalValue' ).asFunction() );
+    _hasChanged.set( this, check( hasChanged ).forOptional( 'hasChanged' ).asFunction() );
 
     _isDirty.set( this, false );
     _connection.set( this, null );
+    _softDelete.set( this, null );
     _fulfill.set( this, null );
     _reject.set( this, null );
 
@@ -119,6 +131,26 @@ class DataPortalContext {
     return _connection.get( this );
   }
 
+  /**
+   * The signal that fires when the data portal action is aborted,
+   * or null when the action cannot be aborted.
+   * @member {AbortSignal} bo.common.DataPortalContext#signal
+   * @readonly
+   */
+  get signal() {
+    return DataPortalAbort.signalOf( _connection.get( this ) );
+  }
+
+  /**
+   * The name of the property that marks the soft deleted items to leave out,
+   * or null when the deleted items are requested as well.
+   * @member {string} bo.common.DataPortalContext#softDelete
+   * @readonly
+   */
+  get softDelete() {
+    return _softDelete.get( this );
+  }
+
   /**
    * Indicates whether the current model itself has been changed.
    * @member {boolean} bo.common.DataPortalContext#isSelfDirty
@@ -157,11 +189,13 @@ class DataPortalContext {
    *
    * @param {object} [connection] - The current connection for the data store.
    * @param {boolean} [isSelfDirty] - Indicates whether the current model itself has been changed.
+   * @param {string} [softDelete] - The name of the property that marks the soft deleted items to leave out.
    * @returns {bo.common.DataPortalContext} The data context object itself.
    */
-  setState( connection, isSelfDirty ) {
+  setState( connection, isSelfDirty, softDelete ) {
     _connection.set( this, connection || null );
     _isDirty.set( this, isSelfDirty === true );
+    _softDelete.set( this, softDelete || null );
     return this;
   }
 
@@ -219,20 +253,82 @@ class DataPortalContext {
       throw new ModelError( 'writeCollection', this.properties.name, propertyName );
   }
 
+  /**
+   * Gets the value a model property had when the model was retrieved from
+   * or saved to the repository.
+   *
+   * @param {string} propertyName - The name of the property.
+   * @returns {*} The original value of the model property.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The name must be a non-empty string.
+   * @throws {@link bo.system.ArgumentError Argument error}: The model has no property with the given name.
+   * @throws {@link bo.common.ModelError Model error}: Cannot read the properties of a collection.
+   */
+  getOriginalValue( propertyName ) {
+    propertyName = Argument.inMethod( DataPortalContext.name, 'getOriginalValue' )
+      .check( propertyName ).forMandatory( 'propertyName' ).asString();
+    const getOriginalValue = _getOriginalValue.get( this );
+    if (getOriginalValue)
+      return getOriginalValue( getByName( this.properties, propertyName ) );
+    else
+      throw new ModelError( 'readCollection', this.properties.name, propertyName );
+  }
+
+  /**
+   * Indicates whether the value of a model property differs from the one
+   * the model had when it was retrieved from or saved to the repository.
+   *
+   * @param {string} propertyName - The name of the property.
+   * @returns {boolean} True if the value of the property has been changed, otherwise false.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The name must be a non-empty string.
+   * @throws {@link bo.system.ArgumentError Argument error}: The model has no property with the given name.
+   * @throws {@link bo.common.ModelError Model error}: Cannot read the properties of a collection.
+   */
+  isPropertyDirty( propertyName ) {
+    propertyName = Argument.inMethod( DataPortalContext.name, 'isPropertyDirty' )
+      .check( propertyName ).forMandatory( 'propertyName' ).asString();
+    const hasChanged = _hasChanged.get( this );
+    if (hasChanged)
+      return hasChanged( getByName( this.properties, propertyName ) );
+    else
+      throw new ModelError( 'readCollection', this.properties.name, propertyName );
+  }
+
+  /**
+   * Gets the names of the model properties that have been changed since
+   * the model was retrieved from or saved to the repository.
+   * Custom data update methods can use it to write the modified values only.
+   *
+   * @returns {Array.<string>} The names of the changed properties.
+   */
+  getChangedProperties() {
+    const hasChanged = _hasChanged.get( this );
+    return hasChanged ?
+      this.properties
+        .filter( property => {
+          return property.type instanceof DataType && hasChanged( property );
+        } )
+        .map( property => {
+          return property.name;
+        } ) :
+      [];
+  }
+
   //endregion
 
   //region Call DAO methods
 
   /**
    * Calls a method on the data access object with current context.
-   * The method is a shorthand for `dpContext.dao.$runMethod( methodName, dpContext.connection, methodArg )`.
+   * The method is a shorthand for `dpContext.dao.$runMethod( methodName, dpContext.connection, methodArg, dpContext.softDelete )`.
    *
    * @param {string} methodName - The name of the method to call.
    * @param {*} methodArg - Additional argument of the method to call.
    * @returns {Promise.<*>} Returns a promise to the result of the method.
    */
   call( methodName, methodArg ) {
-    return this.dao.$runMethod( methodName, this.connection, methodArg );
+    return this.dao.$runMethod( methodName, this.connection, methodArg, this.softDelete );
   }
 
   /**
@@ -247,13 +343,13 @@ class DataPortalContext {
 
   /**
    * Calls the fetch method on the data access object with current context.
-   * The method is a shorthand for `dpContext.dao.$runMethod( 'fetch', dpContext.connection, filter )`.
+   * The method is a shorthand for `dpContext.dao.$runMethod( 'fetch', dpContext.connection, filter, dpContext.softDelete )`.
    *
    * @param {*} filter - The search conditions of the retrieval.
    * @returns {Promise.<*>} Returns a promise to the result of the fetch method.
    */
   fetch( filter ) {
-    return this.dao.$runMethod( 'fetch', this.connection, filter );
+    return this.dao.$runMethod( 'fetch', this.connection, filter, this.softDelete );
   }
 
   /**
@@ -7,6 +7,8 @@ const Argument = require( '../system/argument-check.js' );
 const DataPortalAction = require( './data-portal-action.js' );
 const DataPortalEvent = require( './data-portal-event.js' );
 const DataPortalError = require( './data-portal-error.js' );
+const ConcurrencyError = require( './concurrency-error.js' );
+const AbortError = require( './abort-error.js' );
 
 //endregion
 
@@ -58,13 +60,15 @@ class DataPortalEventArgs {
    * @param {string} modelName - The name of the business object model.
    * @param {bo.common.DataPortalAction} [action] - The type of the data portal operation.
    * @param {string} [methodName] - The name of the data access object method called.
-   * @param {bo.common.DataPortalError} [error] - The eventual error occurred in data portal action.
+   * @param {(bo.common.DataPortalError|bo.common.ConcurrencyError|bo.common.AbortError)} [error] - The eventual error
+   *      occurred in data portal action.
    *
    * @throws {@link bo.system.ArgumentError Argument error}: The event must be a DataPortalEvent item.
    * @throws {@link bo.system.ArgumentError Argument error}: The model name must be a non-empty string.
    * @throws {@link bo.system.ArgumentError Argument error}: The action must be a DataPortalAction item.
    * @throws {@link bo.system.ArgumentError Argument error}: The method name must be a string value.
-   * @throws {@link bo.system.ArgumentError Argument error}: The error must be a DataPortalError object.
+   * @throws {@link bo.system.ArgumentError Argument error}:
+   *      The error must be a DataPortalError, ConcurrencyError or AbortError object.
    */
   constructor( event, modelName, action, methodName, error ) {
 
@@ -98,10 +102,10 @@ class DataPortalEventArgs {
     this.methodName = methodName || DataPortalAction.getName( this.action );
     /**
      * The error occurred in data portal action, otherwise null.
-     * @member {bo.common.DataPortalError} bo.common.DataPortalEventArgs#error
+     * @member {(bo.common.DataPortalError|bo.common.ConcurrencyError|bo.common.AbortError)} bo.common.DataPortalEventArgs#error
      * @readonly
      */
-    this.error = check( error ).forOptional( 'error' ).asType( DataPortalError );
+    this.error = check( error ).forOptional( 'error' ).asType( [ DataPortalError, ConcurrencyError, AbortError ] );
 
     /**
      * The current user.
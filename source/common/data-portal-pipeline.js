@@ -0,0 +1,43 @@
+'use strict';
+
+//region Imports
+
+const config = require( './../system/configuration-reader.js' );
+const DataPortalAbort = require( './data-portal-abort.js' );
+const dataPortalRetry = require( './data-portal-retry.js' );
+
+//endregion
+
+/**
+ * Executes a data portal operation of a model through the registered interceptors.
+ * The first registered interceptor is the outermost one, the operation itself
+ * runs after the last interceptor called its next function, and it is repeated
+ * by the retry policy of the configuration when it fails with a transient error.
+ * When the connection belongs to an abortable action, the operation is rejected
+ * as soon as the action is aborted.
+ *
+ * @private
+ * @param {string} modelName - The name of the model that executes the operation.
+ * @param {bo.common.DataPortalAction} action - The data portal action of the operation.
+ * @param {object} connection - The connection of the operation, or null when it has none.
+ * @param {function} operation - The data access step of the operation.
+ * @returns {Promise.<*>} Returns a promise to the result of the operation.
+ */
+const dataPortalPipeline = function ( modelName, action, connection, operation ) {
+
+  const interceptors = config.interceptors;
+
+  function invoke( position ) {
+    return new Promise( ( fulfill, reject ) => {
+      fulfill( position < interceptors.length ?
+        interceptors[ position ]( modelName, action, connection, () => invoke( position + 1 ) ) :
+        dataPortalRetry( modelName, action, DataPortalAbort.signalOf( connection ), operation )
+      );
+    } );
+  }
+
+  const scope = DataPortalAbort.of( connection );
+  return scope ? scope.race( () => invoke( 0 ) ) : invoke( 0 );
+};
+
+module.exports = dataPortalPipeline;
@@ -0,0 +1,31 @@
+'use strict';
+
+//region Imports
+
+const config = require( './../system/configuration-reader.js' );
+
+//endregion
+
+/**
+ * Executes a step of a data portal action through the retry policy of the configuration.
+ * Without retry policy the step is executed only once.
+ *
+ * @private
+ * @param {string} modelName - The name of the model that executes the step.
+ * @param {bo.common.DataPortalAction} action - The data portal action of the step.
+ * @param {AbortSignal} signal - The signal that stops the further attempts, or null when it has none.
+ * @param {function} operation - A function that returns the promise of the step.
+ * @returns {Promise.<*>} Returns a promise to the result of the step.
+ */
+const dataPortalRetry = function ( modelName, action, signal, operation ) {
+
+  const policy = config.retryPolicy;
+
+  return policy ?
+    policy.$execute( modelName, action, operation, signal ) :
+    new Promise( ( fulfill, reject ) => {
+      fulfill( operation() );
+    } );
+};
+
+module.exports = dataPortalRetry;
@@ -0,0 +1,160 @@
+'use strict';
+
+//region Private variables
+
+const _abort = new WeakMap();
+const _open = new WeakMap();
+const _loadItem = new WeakMap();
+const _close = new WeakMap();
+const _source = new WeakMap();
+const _batch = new WeakMap();
+const _isClosed = new WeakMap();
+const _finished = new WeakMap();
+
+const DONE = { value: undefined, done: true };
+
+//endregion
+
+//region Helper methods
+
+function getSource() {
+  const source = _source.get( this );
+  if (source)
+    return Promise.resolve( source );
+  const abort = _abort.get( this );
+  return abort.race( _open.get( this ) )
+    .then( iterable => {
+      const source = !iterable ? [][ Symbol.iterator ]() :
+        typeof iterable[ Symbol.asyncIterator ] === 'function' ?
+          iterable[ Symbol.asyncIterator ]() :
+          iterable[ Symbol.iterator ]();
+      _source.set( this, source );
+      return source;
+    } );
+}
+
+function readItem() {
+  const batch = _batch.get( this );
+  if (batch.length)
+    return _loadItem.get( this )( batch.shift() )
+      .then( item => {
+        return { value: item, done: false };
+      } );
+
+  // Read the next batch of data transfer objects.
+  const abort = _abort.get( this );
+  return getSource.call( this )
+    .then( source => abort.race( () => source.next() ) )
+    .then( result => {
+      if (result.done)
+        return finish.call( this, null )
+          .then( none => DONE );
+      _batch.set( this, result.value instanceof Array ? result.value.slice() : [ result.value ] );
+      return readItem.call( this );
+    } );
+}
+
+function finish( error ) {
+  if (_isClosed.get( this ))
+    return error ? Promise.reject( error ) : Promise.resolve( null );
+  _isClosed.set( this, true );
+  _batch.set( this, [] );
+  const source = _source.get( this );
+  if (error && source && typeof source.return === 'function')
+    // Release the resources of the data access object, e.g. when the action has been aborted.
+    Promise.resolve( null )
+      .then( none => source.return() )
+      .catch( reason => null );
+  return _close.get( this )( error )
+    .then( reason => {
+      _finished.get( this )();
+      if (reason)
+        throw reason;
+      return null;
+    } );
+}
+
+//endregion
+
+/**
+ * Reads the items of a collection one by one from the data transfer objects
+ * yielded by the data access object, so the whole result is never held in memory.
+ * It implements the async iterator protocol, i.e. it can be consumed by a
+ * __for await...of__ statement.
+ *
+ * @private
+ */
+class DataPortalStream {
+
+  /**
+   * Creates a new stream of collection items.
+   *
+   * @param {DataPortalAbort} abort - The abort scope of the action.
+   * @param {function} open - A function that returns a promise to the (async) iterable
+   *      of the data transfer objects, or of their arrays.
+   * @param {function} loadItem - A function that returns a promise to the item
+   *      loaded from a data transfer object.
+   * @param {function} close - A function that finishes the action; it gets the error
+   *      occurred, and returns a promise to the error to pass to the consumer.
+   */
+  constructor( abort, open, loadItem, close ) {
+
+    _abort.set( this, abort );
+    _open.set( this, open );
+    _loadItem.set( this, loadItem );
+    _close.set( this, close );
+    _source.set( this, null );
+    _batch.set( this, [] );
+    _isClosed.set( this, false );
+
+    // The signal and the timer of the action are released when the stream is closed.
+    abort.watch( new Promise( fulfill => {
+      _finished.set( this, fulfill );
+    } ) );
+
+    // Immutable object.
+    Object.freeze( this );
+  }
+
+  /**
+   * Reads the next item of the collection.
+   *
+   * @returns {Promise.<object>} Returns a promise to the result of the iteration.
+   */
+  next() {
+    if (_isClosed.get( this ))
+      return Promise.resolve( DONE );
+    return readItem.call( this )
+      .catch( reason => finish.call( this, reason ) );
+  }
+
+  /**
+   * Stops reading the items, e.g. when the consumer leaves the loop early.
+   *
+   * @returns {Promise.<object>} Returns a promise to the final result of the iteration.
+   */
+  return() {
+    if (_isClosed.get( this ))
+      return Promise.resolve( DONE );
+    const source = _source.get( this );
+    return new Promise( fulfill => {
+      fulfill( source && typeof source.return === 'function' ? source.return() : null );
+    } )
+      .then(
+        none => finish.call( this, null ),
+        reason => finish.call( this, reason )
+      )
+      .then( none => DONE );
+  }
+
+  /**
+   * Returns the stream itself as async iterator.
+   *
+   * @returns {DataPortalStream} The stream.
+   */
+  [ Symbol.asyncIterator ]() {
+    return this;
+  }
+}
+
+module.exports = DataPortalStream;
@@ -13,6 +13,7 @@ const ModelBase = require( './model-base.js' );
 
 const _data = new WeakMap();
 const _validity = new WeakMap();
+const _original = new WeakMap();
 
 //endregion
 
@@ -29,6 +30,14 @@ function setPropertyValue( propertyName, value ) {
   _data.set( this, data );
 }
 
+function areEqual( value1, value2 ) {
+  if (value1 === undefined || value1 === null || value2 === undefined || value2 === null)
+    return (value1 === undefined || value1 === null) && (value2 === undefined || value2 === null);
+  return value1 instanceof Date && value2 instanceof Date ?
+    value1.getTime() === value2.getTime() :
+    value1 === value2;
+}
+
 function getValidity( propertyName ) {
   const validity = _validity.get( this );
   return validity.get( propertyName ) || false;
@@ -58,6 +67,7 @@ class DataStore {
 
     _data.set( this, new Map() );
     _validity.set( this, new Map() );
+    _original.set( this, new Map() );
 
     // Immutable object.
     Object.freeze( this );
@@ -84,6 +94,7 @@ class DataStore {
 
     setPropertyValue.call( this, property.name, value );
     setValidity.call( this, property.name, true );
+    _original.get( this ).set( property.name, value );
   }
 
   /**
@@ -153,6 +164,77 @@ class DataStore {
     return getValidity.call( this, property.name );
   }
 
+  /**
+   * Stores the current values of the properties as original values.
+   * The models call it when they are marked as pristine.
+   */
+  setOriginalValues() {
+    _original.set( this, new Map( _data.get( this ) ) );
+  }
+
+  /**
+   * Gets the value a model property had when the model was last marked as pristine.
+   *
+   * @param {bo.common.PropertyInfo} property - The definition of the model property.
+   * @returns {*} The original value of the property.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The property must be a PropertyInfo object.
+   */
+  getOriginalValue( property ) {
+
+    property = Argument.inMethod( DataStore.name, 'getOriginalValue' )
+      .check( property ).forMandatory( 'property' ).asType( PropertyInfo );
+
+    const original = _original.get( this );
+    return original.has( property.name ) ? original.get( property.name ) : null;
+  }
+
+  /**
+   * Indicates whether the value of a model property differs from its original value.
+   *
+   * @param {bo.common.PropertyInfo} property - The definition of the model property.
+   * @returns {boolean} True if the value of the property has been changed, otherwise false.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The property must be a PropertyInfo object.
+   */
+  hasChanged( property ) {
+
+    property = Argument.inMethod( DataStore.name, 'hasChanged' )
+      .check( property ).forMandatory( 'property' ).asType( PropertyInfo );
+
+    const original = _original.get( this );
+    return !areEqual( getPropertyValue.call( this, property.name ), original.get( property.name ) );
+  }
+
+  /**
+   * Creates a copy of the current values and validity of the properties.
+   * Child objects are stored by reference.
+   *
+   * @returns {object} The snapshot of the store.
+   */
+  createSnapshot() {
+    return Object.freeze( {
+      data: new Map( _data.get( this ) ),
+      validity: new Map( _validity.get( this ) )
+    } );
+  }
+
+  /**
+   * Restores the values and validity of the properties from a snapshot.
+   *
+   * @param {object} snapshot - A snapshot created by the createSnapshot method.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The snapshot must be an object.
+   */
+  restoreSnapshot( snapshot ) {
+
+    snapshot = Argument.inMethod( DataStore.name, 'restoreSnapshot' )
+      .check( snapshot ).forMandatory( 'snapshot' ).asObject();
+
+    _data.set( this, new Map( snapshot.data ) );
+    _validity.set( this, new Map( snapshot.validity ) );
+  }
+
   //endregion
 }
 
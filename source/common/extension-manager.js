@@ -4,8 +4,10 @@
 
 const config = require( './../system/configuration-reader.js' );
 const Argument = require( '../system/argument-check.js' );
+const Environment = require( '../system/environment.js' );
 const ModelError = require( './model-error.js' );
 const DataPortalContext = require( './data-portal-context.js' );
+const FetchSharing = require( './fetch-sharing.js' );
 
 //endregion
 
@@ -13,6 +15,14 @@ const DataPortalContext = require( './data-portal-context.js' );
 
 const _methods = new WeakMap();
 const _otherMethods = new WeakMap();
+const _updateChangedOnly = new WeakMap();
+const _environment = new WeakMap();
+const _cacheDuration = new WeakMap();
+const _evicts = new WeakMap();
+const _fetchSharing = new WeakMap();
+const _softDelete = new WeakMap();
+const _includeDeleted = new WeakMap();
+const _recordChanges = new WeakMap();
 
 //endregion
 
@@ -82,6 +92,14 @@ class ExtensionManager {
 
     _methods.set( this, new Map() );
     _otherMethods.set( this, new Set() );
+    _updateChangedOnly.set( this, false );
+    _environment.set( this, null );
+    _cacheDuration.set( this, 0 );
+    _evicts.set( this, [] );
+    _fetchSharing.set( this, FetchSharing.none );
+    _softDelete.set( this, null );
+    _includeDeleted.set( this, false );
+    _recordChanges.set( this, false );
 
     // Immutable object.
     Object.freeze( this );
@@ -214,6 +232,144 @@ class ExtensionManager {
 
   //endregion
 
+  //region Options
+
+  /**
+   * Indicates whether the standard update action passes only the key, parent key
+   * and row version properties and the changed properties to the data access object,
+   * instead of the whole data transfer object.
+   * @member {boolean} bo.common.ExtensionManager#updateChangedOnly
+   * @default false
+   */
+  get updateChangedOnly() {
+    return _updateChangedOnly.get( this );
+  }
+  set updateChangedOnly( value ) {
+    value = Argument.inProperty( ExtensionManager.name, 'updateChangedOnly' )
+      .check( value ).forMandatory().asBoolean();
+    _updateChangedOnly.set( this, value );
+  }
+
+  /**
+   * The environment the model is bound to. The model uses the connection manager,
+   * the data access object builder, the user and locale readers and the other
+   * settings of the environment instead of the current configuration.
+   * @member {bo.system.Environment} bo.common.ExtensionManager#environment
+   * @default null
+   */
+  get environment() {
+    return _environment.get( this );
+  }
+  set environment( value ) {
+    value = Argument.inProperty( ExtensionManager.name, 'environment' )
+      .check( value ).forOptional().asType( Environment );
+    _environment.set( this, value );
+  }
+
+  /**
+   * The time to live of the cached data in milliseconds. When it is positive,
+   * the fetched data of the read-only root object or collection is stored in the
+   * {@link bo.system.configuration.cacheStore cache store}, keyed by the name of the model,
+   * the fetch method and the filter, and the further fetches within the time read it from the cache.
+   * @member {number} bo.common.ExtensionManager#cacheDuration
+   * @default 0
+   */
+  get cacheDuration() {
+    return _cacheDuration.get( this );
+  }
+  set cacheDuration( value ) {
+    value = Argument.inProperty( ExtensionManager.name, 'cacheDuration' )
+      .check( value ).forMandatory().asInteger();
+    _cacheDuration.set( this, Math.max( value, 0 ) );
+  }
+
+  /**
+   * The names of the cached models whose entries are removed from the cache store
+   * when the editable root object or collection has been saved.
+   * The save within a unit of work does not remove them.
+   * @member {Array.<string>} bo.common.ExtensionManager#evicts
+   * @default []
+   */
+  get evicts() {
+    return _evicts.get( this ).slice();
+  }
+  set evicts( value ) {
+    value = Argument.inProperty( ExtensionManager.name, 'evicts' )
+      .check( value ).forMandatory().asArray( String );
+    _evicts.set( this, value );
+  }
+
+  /**
+   * Specifies whether the concurrent identical fetches of the read-only root object or collection,
+   * i.e. the ones with the same fetch method and filter, share the data portal call in progress.
+   * Enable it only when the fetched data does not depend on the current user.
+   * @member {bo.common.FetchSharing} bo.common.ExtensionManager#fetchSharing
+   * @default FetchSharing.none
+   */
+  get fetchSharing() {
+    return _fetchSharing.get( this );
+  }
+  set fetchSharing( value ) {
+    value = Argument.inProperty( ExtensionManager.name, 'fetchSharing' )
+      .check( value ).for().asEnumMember( FetchSharing, null );
+    _fetchSharing.set( this, value );
+  }
+
+  /**
+   * The name of the Boolean or DateTime property that marks the deleted business objects.
+   * When it is set, the removal of the editable root or child object sets the property
+   * to true or to the current time and updates the business object instead of deleting it,
+   * and the read-only root objects marked so are not found. The data access object of
+   * a read-only root collection gets the name of the property in the softDelete member
+   * of its context, and it has to leave out the read-only child objects marked so.
+   * @member {string} bo.common.ExtensionManager#softDelete
+   * @default null
+   */
+  get softDelete() {
+    return _softDelete.get( this );
+  }
+  set softDelete( value ) {
+    value = Argument.inProperty( ExtensionManager.name, 'softDelete' )
+      .check( value ).forOptional().asString();
+    _softDelete.set( this, value );
+  }
+
+  /**
+   * Specifies whether the soft deleted read-only root objects are found, and the soft deleted
+   * read-only child objects are loaded into their collections.
+   * @member {boolean} bo.common.ExtensionManager#includeDeleted
+   * @default false
+   */
+  get includeDeleted() {
+    return _includeDeleted.get( this );
+  }
+  set includeDeleted( value ) {
+    value = Argument.inProperty( ExtensionManager.name, 'includeDeleted' )
+      .check( value ).forMandatory().asBoolean();
+    _includeDeleted.set( this, value );
+  }
+
+  /**
+   * Specifies whether the editable root object or collection records its changes.
+   * When it is set, the changes of the business object and its children made by
+   * a successful save are passed to the {@link bo.system.configuration.auditSink audit sink}
+   * of the configuration as a {@link bo.common.ChangeSet change set}. The save waits for
+   * the sink; when the sink fails, the error is passed although the data has been saved.
+   * Within a unit of work the changes are written after the transaction has been committed.
+   * @member {boolean} bo.common.ExtensionManager#recordChanges
+   * @default false
+   */
+  get recordChanges() {
+    return _recordChanges.get( this );
+  }
+  set recordChanges( value ) {
+    value = Argument.inProperty( ExtensionManager.name, 'recordChanges' )
+      .check( value ).forMandatory().asBoolean();
+    _recordChanges.set( this, value );
+  }
+
+  //endregion
+
   //region Command object extensions
 
   /**
@@ -265,9 +421,26 @@ class ExtensionManager {
    * @returns {bo.dataAccess.DaoBase} The data access object instance of the model.
    */
   getDataAccessObject( modelName ) {
+    const environment = _environment.get( this ) || config;
     return this.daoBuilder ?
       this.daoBuilder( this.dataSource, this.modelPath, modelName ) :
-      config.daoBuilder( this.dataSource, this.modelPath, modelName );
+      environment.daoBuilder( this.dataSource, this.modelPath, modelName );
+  }
+
+  /**
+   * Runs a function of the model within the environment the model is bound to.
+   * When the model is not bound to an environment, the function runs in the current one.
+   *
+   * @function bo.common.ExtensionManager#$runInEnvironment
+   * @protected
+   * @param {function} fn - The function to run.
+   * @returns {*} The return value of the function.
+   */
+  $runInEnvironment( fn ) {
+    const environment = _environment.get( this );
+    return environment && environment !== Environment.current ?
+      environment.run( fn ) :
+      fn();
   }
 
   /**
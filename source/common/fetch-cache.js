@@ -0,0 +1,104 @@
+'use strict';
+
+//region Imports
+
+const config = require( './../system/configuration-reader.js' );
+
+//endregion
+
+//region Helper methods
+
+function getKey( method, filter ) {
+  return method + ':' + (filter === undefined ? '' : JSON.stringify( filter ));
+}
+
+function ignoreError( operation ) {
+  // A failing cache store must not break the data portal actions.
+  return new Promise( ( fulfill, reject ) => {
+    fulfill( operation() );
+  } )
+    .catch( reason => undefined );
+}
+
+//endregion
+
+/**
+ * Reads and writes the cached data of the read-only root objects and collections
+ * through the cache store of the configuration. The entries are keyed by the name
+ * of the model, the fetch method and the JSON representation of the filter.
+ *
+ * @private
+ */
+const fetchCache = {
+
+  /**
+   * Reads the cached data of a fetch.
+   *
+   * @param {string} modelName - The name of the model.
+   * @param {string} method - The name of the fetch method.
+   * @param {*} [filter] - The filter criteria of the fetch.
+   * @returns {Promise.<object>} Returns a promise to the cached transfer object,
+   *      or to undefined when the entry is missing.
+   */
+  read: function ( modelName, method, filter ) {
+    return ignoreError( () => config.cacheStore.get( modelName, getKey( method, filter ) ) );
+  },
+
+  /**
+   * Stores the data of a fetch for the cache duration of the model.
+   *
+   * @param {string} modelName - The name of the model.
+   * @param {bo.common.ExtensionManager} extensions - The extensions of the model.
+   * @param {string} method - The name of the fetch method.
+   * @param {*} [filter] - The filter criteria of the fetch.
+   * @param {function} getTransfer - A function that returns the transfer object to cache.
+   * @returns {Promise.<null>} Returns a promise that is fulfilled when the entry is stored.
+   */
+  write: function ( modelName, extensions, method, filter, getTransfer ) {
+    return ignoreError( () => config.cacheStore.set(
+      modelName, getKey( method, filter ), getTransfer(), extensions.cacheDuration
+    ) )
+      .then( none => null );
+  },
+
+  /**
+   * Removes the cached data of a fetch.
+   *
+   * @param {string} modelName - The name of the model.
+   * @param {string} method - The name of the fetch method.
+   * @param {*} [filter] - The filter criteria of the fetch.
+   * @returns {Promise.<null>} Returns a promise that is fulfilled when the entry is removed.
+   */
+  evict: function ( modelName, method, filter ) {
+    return config.cacheStore.delete( modelName, getKey( method, filter ) );
+  },
+
+  /**
+   * Removes all cached data of a model.
+   *
+   * @param {string} modelName - The name of the model.
+   * @returns {Promise.<null>} Returns a promise that is fulfilled when the entries are removed.
+   */
+  evictAll: function ( modelName ) {
+    return config.cacheStore.clear( modelName );
+  },
+
+  /**
+   * Removes the cached data of the models declared by the evicts extension
+   * of a saved model.
+   *
+   * @param {bo.common.ExtensionManager} extensions - The extensions of the saved model.
+   * @returns {Promise.<null>} Returns a promise that is fulfilled when the entries are removed.
+   */
+  evictDeclared: function ( extensions ) {
+    const modelNames = extensions.evicts;
+    return modelNames.length ?
+      ignoreError( () => Promise.all( modelNames.map( modelName => config.cacheStore.clear( modelName ) ) ) )
+        .then( none => null ) :
+      Promise.resolve( null );
+  }
+};
+
+Object.freeze( fetchCache );
+
+module.exports = fetchCache;
@@ -0,0 +1,50 @@
+'use strict';
+
+const Enumeration = require( '../system/enumeration.js' );
+
+/**
+ * Specifies how the concurrent identical fetches of read-only root models
+ * share one data portal call. Members:
+ *
+ *    * none
+ *    * copy
+ *    * instance
+ *
+ * @memberof bo.common
+ * @extends bo.system.Enumeration
+ */
+class FetchSharing extends Enumeration {
+
+  /**
+   * Creates a new enumeration to define the sharing of concurrent fetches.
+   */
+  constructor() {
+    super();
+
+    /**
+     * Every fetch calls the data portal on its own.
+     * @constant {number} bo.common.FetchSharing#none
+     * @default 0
+     */
+    this.none = 0;
+    /**
+     * The fetches share the data portal call in progress,
+     * and every caller receives its own instance loaded from the shared result.
+     * @constant {number} bo.common.FetchSharing#copy
+     * @default 1
+     */
+    this.copy = 1;
+    /**
+     * The fetches share the data portal call in progress,
+     * and every caller receives the same frozen instance that cannot be fetched again.
+     * @constant {number} bo.common.FetchSharing#instance
+     * @default 2
+     */
+    this.instance = 2;
+
+    // Immutable object.
+    Object.freeze( this );
+  }
+}
+
+module.exports = new FetchSharing();
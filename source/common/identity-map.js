@@ -0,0 +1,210 @@
+'use strict';
+
+//region Imports
+
+const Argument = require( '../system/argument-check.js' );
+const contextStorage = require( '../system/context-storage.js' );
+
+//endregion
+
+//region Private variables
+
+const CONTEXT_STATE = 'identityMap';
+
+const _models = new WeakMap();
+const _fetches = new WeakMap();
+
+//endregion
+
+//region Helper methods
+
+function getModelKey( modelName, key ) {
+  return modelName + '\u0000' + JSON.stringify( key );
+}
+
+function getFetchKey( modelName, method, filter ) {
+  return modelName + '\u0000' + method + ':' + (filter === undefined ? '' : JSON.stringify( filter ));
+}
+
+//endregion
+
+/**
+ * @classdesc
+ *    Keeps track of the editable root objects loaded within a scope, so the
+ *    repeated fetches of the same business object return the already loaded
+ *    instance instead of a second copy. The instances are identified by the
+ *    name of the model and the value of the key properties.
+ *    <br/>_Use {@link bo.common.IdentityMap.run IdentityMap.run} or the
+ *    {@link bo.common.UnitOfWork#run run} method of a unit of work to start a scope._
+ * @description Creates a new identity map.
+ *
+ * @memberof bo.common
+ */
+class IdentityMap {
+
+  /**
+   * Creates a new identity map.
+   */
+  constructor() {
+
+    _models.set( this, new Map() );
+    _fetches.set( this, new Map() );
+
+    // Immutable object.
+    Object.freeze( this );
+  }
+
+  //region Properties
+
+  /**
+   * The count of the business objects in the map.
+   * @member {number} bo.common.IdentityMap#count
+   * @readonly
+   */
+  get count() {
+    return _models.get( this ).size;
+  }
+
+  //endregion
+
+  //region Methods
+
+  /**
+   * Returns a business object of the map.
+   *
+   * @function bo.common.IdentityMap#get
+   * @param {string} modelName - The name of the model.
+   * @param {*} key - The value of the key properties of the business object.
+   * @returns {object} The business object, or undefined when it is not in the map.
+   */
+  get( modelName, key ) {
+    return _models.get( this ).get( getModelKey( modelName, key ) );
+  }
+
+  /**
+   * Adds a business object to the map or replaces the one with the same key.
+   *
+   * @function bo.common.IdentityMap#set
+   * @param {string} modelName - The name of the model.
+   * @param {*} key - The value of the key properties of the business object.
+   * @param {object} model - The business object.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The model name must be a non-empty string.
+   * @throws {@link bo.system.ArgumentError Argument error}: The model must be an object.
+   */
+  set( modelName, key, model ) {
+    const check = Argument.inMethod( IdentityMap.name, 'set' );
+
+    modelName = check( modelName ).forMandatory( 'modelName' ).asString();
+    model = check( model ).forMandatory( 'model' ).asObject();
+
+    _models.get( this ).set( getModelKey( modelName, key ), model );
+  }
+
+  /**
+   * Removes a business object from the map.
+   *
+   * @function bo.common.IdentityMap#delete
+   * @param {string} modelName - The name of the model.
+   * @param {*} key - The value of the key properties of the business object.
+   * @returns {boolean} True when the business object has been in the map, otherwise false.
+   */
+  delete( modelName, key ) {
+    return _models.get( this ).delete( getModelKey( modelName, key ) );
+  }
+
+  /**
+   * Removes all business objects from the map.
+   *
+   * @function bo.common.IdentityMap#clear
+   */
+  clear() {
+    _models.get( this ).clear();
+    _fetches.get( this ).clear();
+  }
+
+  /**
+   * Runs a function within the scope of the identity map. The fetches of the
+   * editable root objects started by the function use the map.
+   *
+   * @function bo.common.IdentityMap#run
+   * @param {function} fn - The function to run within the scope.
+   * @returns {*} The return value of the function.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The fn argument must be a function.
+   */
+  run( fn ) {
+    fn = Argument.inMethod( IdentityMap.name, 'run' )
+      .check( fn ).forMandatory( 'fn' ).asFunction();
+
+    return contextStorage.runState( CONTEXT_STATE, this, fn );
+  }
+
+  /**
+   * Returns the fetch of a business object started in the scope with the same
+   * method and filter.
+   *
+   * @function bo.common.IdentityMap#$findFetch
+   * @protected
+   * @param {string} modelName - The name of the model.
+   * @param {string} method - The name of the fetch method.
+   * @param {*} [filter] - The filter criteria of the fetch.
+   * @returns {Promise.<object>} Returns the promise of the fetch, or undefined when there is no such fetch.
+   */
+  $findFetch( modelName, method, filter ) {
+    return _fetches.get( this ).get( getFetchKey( modelName, method, filter ) );
+  }
+
+  /**
+   * Registers the fetch of a business object. A failed fetch is removed from the map.
+   *
+   * @function bo.common.IdentityMap#$addFetch
+   * @protected
+   * @param {string} modelName - The name of the model.
+   * @param {string} method - The name of the fetch method.
+   * @param {*} [filter] - The filter criteria of the fetch.
+   * @param {Promise.<object>} fetch - The promise of the fetch.
+   * @returns {Promise.<object>} Returns the promise of the fetch.
+   */
+  $addFetch( modelName, method, filter, fetch ) {
+    const fetches = _fetches.get( this );
+    const key = getFetchKey( modelName, method, filter );
+    fetches.set( key, fetch );
+    fetch.catch( reason => {
+      if (fetches.get( key ) === fetch)
+        fetches.delete( key );
+    } );
+    return fetch;
+  }
+
+  //endregion
+
+  //region Static members
+
+  /**
+   * The identity map of the running scope, or null when no scope is running.
+   * @member {bo.common.IdentityMap} bo.common.IdentityMap.current
+   * @readonly
+   * @static
+   */
+  static get current() {
+    return contextStorage.getState( CONTEXT_STATE ) || null;
+  }
+
+  /**
+   * Runs a function within the scope of a new identity map.
+   *
+   * @function bo.common.IdentityMap.run
+   * @param {function} fn - The function to run within the scope.
+   * @returns {*} The return value of the function.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The fn argument must be a function.
+   */
+  static run( fn ) {
+    return new IdentityMap().run( fn );
+  }
+
+  //endregion
+}
+
+module.exports = IdentityMap;
@@ -17,13 +17,24 @@ const PropertyFlag = require( './property-flag.js' );
 const PropertyManager = require( './property-manager.js' );
 const PropertyContext = require( './property-context.js' );
 const ClientTransferContext = require( './client-transfer-context.js' );
+const PagingCriteria = require( './paging-criteria.js' );
+const FetchSharing = require( './fetch-sharing.js' );
 const DataTransferContext = require( './data-transfer-context.js' );
 
 const DataPortalAction = require( './data-portal-action.js' );
 const DataPortalContext = require( './data-portal-context.js' );
 const DataPortalEvent = require( './data-portal-event.js' );
 const DataPortalEventArgs = require( './data-portal-event-args.js' );
+const PropertyChangedEventArgs = require( './property-changed-event-args.js' );
+const StateChangedEventArgs = require( './state-changed-event-args.js' );
+const CollectionChangedEventArgs = require( './collection-changed-event-args.js' );
 const DataPortalError = require( './data-portal-error.js' );
+const ConcurrencyError = require( './concurrency-error.js' );
+const PartialSaveError = require( './partial-save-error.js' );
+const AbortError = require( './abort-error.js' );
+const UnitOfWork = require( './unit-of-work.js' );
+const IdentityMap = require( './identity-map.js' );
+const ChangeSet = require( './change-set.js' );
 
 //endregion
 
@@ -62,6 +73,10 @@ const DataPortalError = require( './data-portal-error.js' );
  *      constructor to create new context object for custom client transfer functions.
  * @property {function} DataTransferContext - {@link bo.common.DataTransferContext Data transfer context}
  *      constructor to create new context object for custom data transfer functions.
+ * @property {function} PagingCriteria - {@link bo.common.PagingCriteria Paging criteria}
+ *      constructor to create a new description of a page of read-only root collections.
+ * @property {function} FetchSharing - {@link bo.common.FetchSharing Fetch sharing}
+ *      enumeration specifies how concurrent identical fetches share one data portal call.
  *
  * @property {function} DataPortalAction - {@link bo.common.DataPortalAction Data portal action}
  *      enumeration specifies the model operations to execute on data access objects.
@@ -71,8 +86,26 @@ const DataPortalError = require( './data-portal-error.js' );
  *      enumeration specifies the events of data portal operations.
  * @property {function} DataPortalEventArgs - {@link bo.common.DataPortalEventArgs Data portal event arguments}
  *      constructor to create new context object for data portal events.
+ * @property {function} PropertyChangedEventArgs - {@link bo.common.PropertyChangedEventArgs Property changed event arguments}
+ *      constructor to create new context object for the propertyChanged event of models.
+ * @property {function} StateChangedEventArgs - {@link bo.common.StateChangedEventArgs State changed event arguments}
+ *      constructor to create new context object for the stateChanged event of models.
+ * @property {function} CollectionChangedEventArgs - {@link bo.common.CollectionChangedEventArgs Collection changed event arguments}
+ *      constructor to create new context object for the item events of editable collections.
  * @property {function} DataPortalError - {@link bo.common.DataPortalError Data portal error}
  *      constructor to create a new error related to data portal actions.
+ * @property {function} ConcurrencyError - {@link bo.common.ConcurrencyError Concurrency error}
+ *      constructor to create a new error related to a stale row version.
+ * @property {function} PartialSaveError - {@link bo.common.PartialSaveError Partial save error}
+ *      constructor to create a new error related to child objects failed to save.
+ * @property {function} AbortError - {@link bo.common.AbortError Abort error}
+ *      constructor to create a new error related to an aborted data portal action.
+ * @property {function} UnitOfWork - {@link bo.common.UnitOfWork Unit of work}
+ *      constructor to create a new object that saves several models in one transaction.
+ * @property {function} IdentityMap - {@link bo.common.IdentityMap Identity map}
+ *      constructor to create a new scope that returns the same instance for the same business object.
+ * @property {function} ChangeSet - {@link bo.common.ChangeSet Change set}
+ *      constructor to create a new description of the changes of a saved business object.
  *
  *
  */
@@ -93,12 +126,23 @@ const index = {
   PropertyContext: PropertyContext,
   ClientTransferContext: ClientTransferContext,
   DataTransferContext: DataTransferContext,
+  PagingCriteria: PagingCriteria,
+  FetchSharing: FetchSharing,
 
   DataPortalAction: DataPortalAction,
   DataPortalContext: DataPortalContext,
   DataPortalEvent: DataPortalEvent,
   DataPortalEventArgs: DataPortalEventArgs,
-  DataPortalError: DataPortalError
+  PropertyChangedEventArgs: PropertyChangedEventArgs,
+  StateChangedEventArgs: StateChangedEventArgs,
+  CollectionChangedEventArgs: CollectionChangedEventArgs,
+  DataPortalError: DataPortalError,
+  ConcurrencyError: ConcurrencyError,
+  PartialSaveError: PartialSaveError,
+  AbortError: AbortError,
+  UnitOfWork: UnitOfWork,
+  IdentityMap: IdentityMap,
+  ChangeSet: ChangeSet
 };
 
 // Immutable object.
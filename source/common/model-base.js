@@ -1,13 +1,13 @@
 'use strict';
 
-const events = require( 'events' );
+const ModelEmitter = require( './model-emitter.js' );
 
 /**
  * Serves as the base class for models.
  *
  * @extends EventEmitter
  */
-class ModelBase extends events.EventEmitter {
+class ModelBase extends ModelEmitter {
 
   /**
    * Creates a base model instance.
@@ -0,0 +1,111 @@
+'use strict';
+
+const events = require( 'events' );
+
+//region Private variables
+
+const _emitters = new WeakMap();
+
+//endregion
+
+/**
+ * Serves as the base class of the models and collections that emit events.
+ * The inherited EventEmitter cannot be used as it is: it keeps its listeners
+ * in fields of the instance, e.g. _events and _eventsCount, and assigning them
+ * throws a TypeError once the model has been frozen. So the methods of EventEmitter
+ * are delegated to an inner emitter, and the listeners can be added and removed
+ * at any time.
+ *
+ * @extends EventEmitter
+ * @private
+ */
+class ModelEmitter extends events.EventEmitter {
+
+  /**
+   * Creates a new event emitter of a model.
+   */
+  constructor() {
+    super();
+    _emitters.set( this, new events.EventEmitter() );
+  }
+
+  addListener( eventName, listener ) {
+    _emitters.get( this ).addListener( eventName, listener );
+    return this;
+  }
+
+  on( eventName, listener ) {
+    _emitters.get( this ).on( eventName, listener );
+    return this;
+  }
+
+  once( eventName, listener ) {
+    _emitters.get( this ).once( eventName, listener );
+    return this;
+  }
+
+  prependListener( eventName, listener ) {
+    _emitters.get( this ).prependListener( eventName, listener );
+    return this;
+  }
+
+  prependOnceListener( eventName, listener ) {
+    _emitters.get( this ).prependOnceListener( eventName, listener );
+    return this;
+  }
+
+  removeListener( eventName, listener ) {
+    _emitters.get( this ).removeListener( eventName, listener );
+    return this;
+  }
+
+  off( eventName, listener ) {
+    // EventEmitter#off is available since Node 10.
+    _emitters.get( this ).removeListener( eventName, listener );
+    return this;
+  }
+
+  removeAllListeners( eventName ) {
+    const emitter = _emitters.get( this );
+    if (eventName === undefined)
+      emitter.removeAllListeners();
+    else
+      emitter.removeAllListeners( eventName );
+    return this;
+  }
+
+  setMaxListeners( n ) {
+    _emitters.get( this ).setMaxListeners( n );
+    return this;
+  }
+
+  getMaxListeners() {
+    return _emitters.get( this ).getMaxListeners();
+  }
+
+  listeners( eventName ) {
+    return _emitters.get( this ).listeners( eventName );
+  }
+
+  rawListeners( eventName ) {
+    // EventEmitter#rawListeners is available since Node 9.4.
+    const emitter = _emitters.get( this );
+    return emitter.rawListeners ?
+      emitter.rawListeners( eventName ) :
+      emitter.listeners( eventName );
+  }
+
+  listenerCount( eventName ) {
+    return _emitters.get( this ).listenerCount( eventName );
+  }
+
+  eventNames() {
+    return _emitters.get( this ).eventNames();
+  }
+
+  emit( eventName, ...args ) {
+    return _emitters.get( this ).emit( eventName, ...args );
+  }
+}
+
+module.exports = ModelEmitter;
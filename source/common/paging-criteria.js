@@ -0,0 +1,68 @@
+'use strict';
+
+//region Imports
+
+const Argument = require( '../system/argument-check.js' );
+
+//endregion
+
+/**
+ * Describes a page of a read-only root collection to retrieve. It is passed
+ * to the fetch method of the data access object as filter, that should
+ * return the items of the page and the count of all available items
+ * in the totalItems property of the result array.
+ *
+ * @memberof bo.common
+ */
+class PagingCriteria {
+
+  /**
+   * Creates a new paging criteria object.
+   *
+   * @param {number} pageIndex - The zero-based index of the page.
+   * @param {number} pageSize - The count of the items on a page.
+   * @param {*} [filter] - The filter criteria of the collection.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The page index must be an integer.
+   * @throws {@link bo.system.ArgumentError Argument error}: The page size must be an integer.
+   */
+  constructor( pageIndex, pageSize, filter ) {
+    const check = Argument.inConstructor( PagingCriteria.name );
+
+    pageIndex = check( pageIndex ).forMandatory( 'pageIndex' ).asInteger();
+    pageSize = check( pageSize ).forMandatory( 'pageSize' ).asInteger();
+
+    /**
+     * The zero-based index of the page.
+     * @member {number} bo.common.PagingCriteria#pageIndex
+     * @readonly
+     */
+    this.pageIndex = Math.max( pageIndex, 0 );
+
+    /**
+     * The count of the items on a page.
+     * @member {number} bo.common.PagingCriteria#pageSize
+     * @readonly
+     */
+    this.pageSize = Math.max( pageSize, 1 );
+
+    /**
+     * The filter criteria of the collection.
+     * @member {*} bo.common.PagingCriteria#filter
+     * @readonly
+     */
+    this.filter = filter === undefined ? null : filter;
+
+    /**
+     * The count of the items preceding the page.
+     * @member {number} bo.common.PagingCriteria#skip
+     * @readonly
+     */
+    this.skip = this.pageIndex * this.pageSize;
+
+    // Immutable object.
+    Object.freeze( this );
+  }
+}
+
+module.exports = PagingCriteria;
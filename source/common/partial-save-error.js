@@ -0,0 +1,70 @@
+'use strict';
+
+//region Imports
+
+const Argument = require( '../system/argument-check.js' );
+const t = require( '../locales/i18n-bo.js' )( 'PartialSaveError' );
+
+//endregion
+
+/**
+ * Represents a partial save error. Editable root models reject the save with
+ * this error, when the connection manager supports savepoints and some of
+ * their child objects have failed to save: the transaction is committed with
+ * the changes of the other objects, and the failed children remain dirty.
+ *
+ * @memberof bo.common
+ * @extends {Error}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error Error} for further information.
+ */
+class PartialSaveError extends Error {
+
+  /**
+   * Creates a partial save error object.
+   *
+   * @param {string} modelName - The name of the saved model.
+   * @param {object} model - The saved model.
+   * @param {Array.<Error>} errors - The errors of the child objects that have failed to save.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The model name must be a non-empty string.
+   * @throws {@link bo.system.ArgumentError Argument error}: The model must be an object.
+   * @throws {@link bo.system.ArgumentError Argument error}: The errors must be an array.
+   */
+  constructor( modelName, model, errors ) {
+    super();
+    const check = Argument.inConstructor( PartialSaveError.name );
+
+    /**
+     * The name of the error type.
+     * @member {string} bo.common.PartialSaveError#name
+     * @default PartialSaveError
+     */
+    this.name = PartialSaveError.name;
+
+    /**
+     * The name of the saved model.
+     * @member {string} bo.common.PartialSaveError#modelName
+     */
+    this.modelName = check( modelName ).forMandatory( 'modelName' ).asString();
+
+    /**
+     * The saved model.
+     * @member {object} bo.common.PartialSaveError#model
+     */
+    this.model = check( model ).forMandatory( 'model' ).asObject();
+
+    /**
+     * The errors of the child objects that have failed to save.
+     * @member {Array.<Error>} bo.common.PartialSaveError#errors
+     */
+    this.errors = check( errors ).forMandatory( 'errors' ).asType( Array );
+
+    /**
+     * Human-readable description of the error.
+     * @member {string} bo.common.PartialSaveError#message
+     */
+    this.message = t( 'failed', this.modelName, this.errors.length );
+  }
+}
+
+module.exports = PartialSaveError;
@@ -0,0 +1,63 @@
+'use strict';
+
+//region Imports
+
+const Argument = require( '../system/argument-check.js' );
+
+//endregion
+
+/**
+ * Provides the context for the propertyChanged event of models.
+ *
+ * @memberof bo.common
+ */
+class PropertyChangedEventArgs {
+
+  /**
+   * Creates new property changed event arguments.
+   *   </br></br>
+   * <i><b>Warning:</b> Property changed event arguments are created in models internally.
+   * They are intended only to make publicly available the context for property changed events.</i>
+   *
+   * @param {string} modelName - The name of the business object model.
+   * @param {string} propertyName - The name of the changed property.
+   * @param {*} oldValue - The value of the property before the change.
+   * @param {*} newValue - The value of the property after the change.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The model name must be a non-empty string.
+   * @throws {@link bo.system.ArgumentError Argument error}: The property name must be a non-empty string.
+   */
+  constructor( modelName, propertyName, oldValue, newValue ) {
+    const check = Argument.inConstructor( PropertyChangedEventArgs.name );
+
+    /**
+     * The name of the business object model.
+     * @member {string} bo.common.PropertyChangedEventArgs#modelName
+     * @readonly
+     */
+    this.modelName = check( modelName ).forMandatory( 'modelName' ).asString();
+    /**
+     * The name of the changed property.
+     * @member {string} bo.common.PropertyChangedEventArgs#propertyName
+     * @readonly
+     */
+    this.propertyName = check( propertyName ).forMandatory( 'propertyName' ).asString();
+    /**
+     * The value of the property before the change.
+     * @member {*} bo.common.PropertyChangedEventArgs#oldValue
+     * @readonly
+     */
+    this.oldValue = oldValue;
+    /**
+     * The value of the property after the change.
+     * @member {*} bo.common.PropertyChangedEventArgs#newValue
+     * @readonly
+     */
+    this.newValue = newValue;
+
+    // Immutable object.
+    Object.freeze( this );
+  }
+}
+
+module.exports = PropertyChangedEventArgs;
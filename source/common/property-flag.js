@@ -53,6 +53,49 @@ class PropertyFlag extends Enumeration {
      * @default 16
      */
     this.onDtoOnly = 16;
+    /**
+     * The model property holds the concurrency token of the model.
+     * Its value is passed to the data access object on update and remove.
+     * @constant {number} bo.common.PropertyFlag#rowVersion
+     * @default 32
+     */
+    this.rowVersion = 32;
+    /**
+     * The child object or collection of the model property is not fetched
+     * together with its parent, it is loaded on first request by the
+     * loadChild method of the root model.
+     * @constant {number} bo.common.PropertyFlag#lazy
+     * @default 64
+     */
+    this.lazy = 64;
+    /**
+     * The model property holds the user code of the user who has created the model.
+     * Its value is set automatically when the model is inserted.
+     * @constant {number} bo.common.PropertyFlag#createdBy
+     * @default 128
+     */
+    this.createdBy = 128;
+    /**
+     * The model property holds the time when the model has been created.
+     * Its value is set automatically when the model is inserted.
+     * @constant {number} bo.common.PropertyFlag#createdAt
+     * @default 256
+     */
+    this.createdAt = 256;
+    /**
+     * The model property holds the user code of the user who has modified the model last.
+     * Its value is set automatically when the model is inserted or updated.
+     * @constant {number} bo.common.PropertyFlag#modifiedBy
+     * @default 512
+     */
+    this.modifiedBy = 512;
+    /**
+     * The model property holds the time when the model has been modified last.
+     * Its value is set automatically when the model is inserted or updated.
+     * @constant {number} bo.common.PropertyFlag#modifiedAt
+     * @default 1024
+     */
+    this.modifiedAt = 1024;
 
     // Immutable object.
     Object.freeze( this );
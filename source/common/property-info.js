@@ -27,7 +27,8 @@ class PropertyInfo {
    * {@link ModelBase ModelBase} or {@link CollectionBase CollectionBase}
    * objects).
    *   </br></br>
-   * The flags parameter is ignored when data type is a model or collection.
+   * The flags parameter is ignored when data type is a model or collection,
+   * except the {@link bo.common.PropertyFlag#lazy lazy} flag.
    *
    * @param {string} name - The name of the property.
    * @param {*} type - The data type of the property.
@@ -82,7 +83,7 @@ class PropertyInfo {
 
     flags = type instanceof DataType ?
       check( flags || PropertyFlag.none ).forMandatory( 'flags' ).asInteger() :
-    PropertyFlag.readOnly | PropertyFlag.onDtoOnly | PropertyFlag.onCtoOnly;
+    PropertyFlag.readOnly | PropertyFlag.onDtoOnly | PropertyFlag.onCtoOnly | (flags & PropertyFlag.lazy);
 
     /**
      * Indicates whether the value of the property can be modified.
@@ -102,6 +103,12 @@ class PropertyInfo {
      * @readonly
      */
     this.isParentKey = (flags & PropertyFlag.parentKey) === PropertyFlag.parentKey;
+    /**
+     * Indicates if the property holds the concurrency token of the model.
+     * @type {boolean}
+     * @readonly
+     */
+    this.isRowVersion = (flags & PropertyFlag.rowVersion) === PropertyFlag.rowVersion;
     /**
      * Indicates whether the value of the property would be passed to the data access object
      * or would be received from the data access object, respectively.
@@ -116,6 +123,37 @@ class PropertyInfo {
      * @readonly
      */
     this.isOnCto = (flags & PropertyFlag.onDtoOnly) === PropertyFlag.none;
+    /**
+     * Indicates whether the child object or collection of the property
+     * is loaded on demand instead of fetching it together with its parent.
+     * @type {boolean}
+     * @readonly
+     */
+    this.isLazy = !(type instanceof DataType) && (flags & PropertyFlag.lazy) === PropertyFlag.lazy;
+    /**
+     * Indicates if the property holds the user who has created the model.
+     * @type {boolean}
+     * @readonly
+     */
+    this.isCreatedBy = (flags & PropertyFlag.createdBy) === PropertyFlag.createdBy;
+    /**
+     * Indicates if the property holds the time when the model has been created.
+     * @type {boolean}
+     * @readonly
+     */
+    this.isCreatedAt = (flags & PropertyFlag.createdAt) === PropertyFlag.createdAt;
+    /**
+     * Indicates if the property holds the user who has modified the model last.
+     * @type {boolean}
+     * @readonly
+     */
+    this.isModifiedBy = (flags & PropertyFlag.modifiedBy) === PropertyFlag.modifiedBy;
+    /**
+     * Indicates if the property holds the time when the model has been modified last.
+     * @type {boolean}
+     * @readonly
+     */
+    this.isModifiedAt = (flags & PropertyFlag.modifiedAt) === PropertyFlag.modifiedAt;
 
     /**
      * Checks if value has the appropriate type and it is not null,
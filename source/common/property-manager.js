@@ -6,7 +6,10 @@ const Argument = require( '../system/argument-check.js' );
 const MethodError = require( '../system/method-error.js' );
 const PropertyInfo = require( './property-info.js' );
 const DataType = require( '../data-types/data-type.js' );
+const BooleanType = require( '../data-types/boolean.js' );
+const DateTimeType = require( '../data-types/date-time.js' );
 const ModelError = require( './model-error.js' );
+const ModelType = require( './model-type.js' );
 
 //endregion
 
@@ -280,6 +283,8 @@ class PropertyManager {
    *      an array of string values or a single string value.
    * @throws {@link bo.common.ModelError Model error}: The type of a model property
    *      should be an allowed type.
+   * @throws {@link bo.common.ModelError Model error}: Only child collections
+   *      can be loaded lazily.
    */
   verifyChildTypes( allowedTypes ) {
     allowedTypes = Argument.inMethod( PropertyManager.name, 'verifyChildTypes' )
@@ -297,11 +302,30 @@ class PropertyManager {
         throw new ModelError( 'invalidChild',
           this.modelName, child.name, childType, allowedTypes.join( ' | ' ) );
       }
+      if (child.isLazy && (child.type.modelType === ModelType.EditableChildObject ||
+          child.type.modelType === ModelType.ReadOnlyChildObject))
+        throw new ModelError( 'lazyChild', this.modelName, child.name );
     } );
 
     _isFrozen.set( this, true );
   };
 
+  /**
+   * Verifies the property that marks the soft deleted business objects.
+   *
+   * @param {string} [propertyName] - The name of the soft delete property, if the model has one.
+   *
+   * @throws {@link bo.common.ModelError Model error}: The soft delete property
+   *      must be a Boolean or DateTime property of the model.
+   */
+  verifySoftDelete( propertyName ) {
+    if (!propertyName)
+      return;
+    const property = _items.get( this ).find( item => item.name === propertyName );
+    if (!property || !(property.type instanceof BooleanType || property.type instanceof DateTimeType))
+      throw new ModelError( 'softDelete', this.modelName, propertyName );
+  }
+
   //endregion
 
   //region Keys
@@ -360,6 +384,49 @@ class PropertyManager {
     return key;
   }
 
+  /**
+   * Gets the key of the current model together with its concurrency token.
+   *    </br></br>
+   * If the model has no row version property, the method returns the same value
+   * as {@link bo.common.PropertyManager#getKey getKey}. Otherwise an object will be
+   * returned whose properties will hold the current values of the key properties
+   * and the row version property.
+   *
+   * @protected
+   * @param {internal~getValue} getPropertyValue - A function that returns
+   *    the current value of the given property.
+   * @returns {*} The key value of the model extended with the row version.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The getPropertyValue argument must be a function.
+   */
+  getKeyWithVersion( getPropertyValue ) {
+
+    getPropertyValue = Argument.inMethod( PropertyManager.name, 'getKeyWithVersion' )
+      .check( getPropertyValue ).forMandatory( 'getPropertyValue' ).asFunction();
+
+    let key = this.getKey( getPropertyValue );
+
+    // Get key and row version properties.
+    const items = _items.get( this );
+    const keys = items.filter( item => {
+      return item.isKey;
+    } );
+    const version = items.find( item => {
+      return item.isRowVersion;
+    } );
+
+    // Add concurrency token when the model has one.
+    if (version && keys.length) {
+      if (keys.length === 1) {
+        const value = key;
+        key = {};
+        key[ keys[ 0 ].name ] = value;
+      }
+      key[ version.name ] = getPropertyValue( version );
+    }
+    return key;
+  }
+
   /**
    * Determines that the passed data contains current values of the model key.
    *
@@ -405,6 +472,42 @@ class PropertyManager {
     return true;
   }
 
+  /**
+   * Determines that the key properties have the given key value. The value of a single
+   * key property is compared to the key itself, the values of more key properties are
+   * compared to the properties of the key object.
+   *
+   * @protected
+   * @param {*} key - The value of the key, or an object that contains the values of the key properties.
+   * @param {internal~getValue} getPropertyValue - A function that returns
+   *    the current value of the given property.
+   * @returns {boolean} True when the values are equal, false otherwise.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The getPropertyValue argument must be a function.
+   */
+  keyMatches( key, getPropertyValue ) {
+    getPropertyValue = Argument.inMethod( PropertyManager.name, 'keyMatches' )
+      .check( getPropertyValue ).forMandatory( 'getPropertyValue' ).asFunction();
+
+    // Get key properties.
+    const keys = _items.get( this ).filter( item => {
+      return item.isKey;
+    } );
+    if (!keys.length || key === undefined || key === null)
+      return false;
+
+    // A single key can be passed as value.
+    if (keys.length === 1 && (typeof key !== 'object' || key instanceof Date)) {
+      const value = getPropertyValue( keys[ 0 ] );
+      return key instanceof Date && value instanceof Date ?
+        key.getTime() === value.getTime() :
+        key === value;
+    }
+    return keys.every( item => {
+      return key[ item.name ] !== undefined && key[ item.name ] === getPropertyValue( item );
+    } );
+  }
+
   //endregion
 }
 
@@ -0,0 +1,62 @@
+'use strict';
+
+//region Imports
+
+const config = require( './../system/configuration-reader.js' );
+
+//endregion
+
+/**
+ * Saves the child models of an editable model. When an error list is passed
+ * and the connection manager supports savepoints, each child is saved in its
+ * own savepoint: the failure of a child is rolled back to its savepoint, and
+ * its error is added to the list, while the other children are saved.
+ * Otherwise the first failure of a child fails the whole save.
+ *
+ * @private
+ * @param {object} connection - The connection of the transaction.
+ * @param {Array.<object>} children - The child objects and collections to save.
+ * @param {Array.<Error>} [errors] - Collects the errors of the isolated children.
+ * @returns {Promise.<Array.<*>>} Returns a promise to the results of the saves.
+ */
+const saveChildModels = function ( connection, children, errors ) {
+
+  const connectionManager = config.connectionManager;
+
+  if (!connection || !errors || !connectionManager.$hasSavepoints())
+    return Promise.all( children.map( child => {
+      return child.save( connection, errors );
+    } ) );
+
+  // The savepoints belong to the connection, so the children are saved one after the other.
+  const results = [];
+  return children.reduce( ( previous, child ) => {
+    return previous
+      .then( none => {
+        return connectionManager.createSavepoint( connection );
+      } )
+      .then( savepoint => {
+        return child.save( connection, errors )
+          .then( result => {
+            results.push( result );
+            return true;
+          } )
+          .catch( reason => {
+            // Isolate the failed child.
+            results.push( null );
+            errors.push( reason );
+            return false;
+          } )
+          .then( isSaved => {
+            return isSaved ?
+              connectionManager.releaseSavepoint( connection, savepoint ) :
+              connectionManager.rollbackToSavepoint( connection, savepoint );
+          } );
+      } );
+  }, Promise.resolve( null ) )
+    .then( none => {
+      return results;
+    } );
+};
+
+module.exports = saveChildModels;
@@ -0,0 +1,85 @@
+'use strict';
+
+//region Imports
+
+const Environment = require( '../system/environment.js' );
+
+//endregion
+
+//region Private variables
+
+// The fetches in progress of the default configuration.
+const _defaultFetches = new Map();
+// The fetches in progress of the isolated environments.
+const _environmentFetches = new WeakMap();
+
+//endregion
+
+//region Helper methods
+
+function getFetches() {
+  const environment = Environment.current;
+  if (!environment)
+    return _defaultFetches;
+  let fetches = _environmentFetches.get( environment );
+  if (!fetches) {
+    fetches = new Map();
+    _environmentFetches.set( environment, fetches );
+  }
+  return fetches;
+}
+
+function getKey( modelName, method, filter ) {
+  return modelName + '\u0000' + method + ':' + (filter === undefined ? '' : JSON.stringify( filter ));
+}
+
+//endregion
+
+/**
+ * Keeps track of the fetches in progress of the read-only root objects and collections,
+ * so the concurrent identical fetches can share one data portal call. The fetches are
+ * identified by the name of the model, the fetch method and the JSON representation
+ * of the filter, separately in every environment.
+ *
+ * @private
+ */
+const sharedFetch = {
+
+  /**
+   * Returns the fetch in progress with the same model, method and filter.
+   *
+   * @param {string} modelName - The name of the model.
+   * @param {string} method - The name of the fetch method.
+   * @param {*} [filter] - The filter criteria of the fetch.
+   * @returns {Promise.<object>} Returns the promise of the fetch in progress,
+   *      or undefined when there is no such fetch.
+   */
+  find: function ( modelName, method, filter ) {
+    return getFetches().get( getKey( modelName, method, filter ) );
+  },
+
+  /**
+   * Registers a fetch until it is finished.
+   *
+   * @param {string} modelName - The name of the model.
+   * @param {string} method - The name of the fetch method.
+   * @param {*} [filter] - The filter criteria of the fetch.
+   * @param {Promise.<object>} fetch - The promise of the fetch.
+   * @returns {Promise.<object>} Returns the promise of the fetch.
+   */
+  add: function ( modelName, method, filter, fetch ) {
+    const fetches = getFetches();
+    const key = getKey( modelName, method, filter );
+    const remove = () => {
+      if (fetches.get( key ) === fetch)
+        fetches.delete( key );
+    };
+    fetches.set( key, fetch );
+    fetch.then( remove, remove );
+    return fetch;
+  }
+};
+
+Object.freeze( sharedFetch );
+
+module.exports = sharedFetch;
@@ -0,0 +1,63 @@
+'use strict';
+
+//region Imports
+
+const Argument = require( '../system/argument-check.js' );
+const ModelState = require( './model-state.js' );
+
+//endregion
+
+/**
+ * Provides the context for the stateChanged event of models.
+ *
+ * @memberof bo.common
+ */
+class StateChangedEventArgs {
+
+  /**
+   * Creates new state changed event arguments.
+   *   </br></br>
+   * <i><b>Warning:</b> State changed event arguments are created in models internally.
+   * They are intended only to make publicly available the context for state changed events.</i>
+   *
+   * @param {string} modelName - The name of the business object model.
+   * @param {bo.common.ModelState} oldState - The state of the model before the transition, or null.
+   * @param {bo.common.ModelState} newState - The state of the model after the transition.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The model name must be a non-empty string.
+   * @throws {@link bo.system.ArgumentError Argument error}: The old state must be a ModelState item or null.
+   * @throws {@link bo.system.ArgumentError Argument error}: The new state must be a ModelState item.
+   */
+  constructor( modelName, oldState, newState ) {
+    const check = Argument.inConstructor( StateChangedEventArgs.name );
+
+    oldState = oldState === null || oldState === undefined ?
+      null :
+      check( oldState ).for( 'oldState' ).asEnumMember( ModelState, null );
+    newState = check( newState ).for( 'newState' ).asEnumMember( ModelState, null );
+
+    /**
+     * The name of the business object model.
+     * @member {string} bo.common.StateChangedEventArgs#modelName
+     * @readonly
+     */
+    this.modelName = check( modelName ).forMandatory( 'modelName' ).asString();
+    /**
+     * The name of the state before the transition, or null when the model has just been initialized.
+     * @member {string} bo.common.StateChangedEventArgs#oldState
+     * @readonly
+     */
+    this.oldState = oldState === null ? null : ModelState.getName( oldState );
+    /**
+     * The name of the state after the transition.
+     * @member {string} bo.common.StateChangedEventArgs#newState
+     * @readonly
+     */
+    this.newState = ModelState.getName( newState );
+
+    // Immutable object.
+    Object.freeze( this );
+  }
+}
+
+module.exports = StateChangedEventArgs;
@@ -0,0 +1,256 @@
+'use strict';
+
+//region Imports
+
+const config = require( './../system/configuration-reader.js' );
+const Argument = require( '../system/argument-check.js' );
+const ModelType = require( './model-type.js' );
+const ModelError = require( './model-error.js' );
+const DaoError = require( '../data-access/dao-error.js' );
+const IdentityMap = require( './identity-map.js' );
+const changeRecorder = require( './change-recorder.js' );
+
+//endregion
+
+//region Private variables
+
+const _dataSource = new WeakMap();
+const _operations = new WeakMap();
+const _identityMap = new WeakMap();
+
+//endregion
+
+//region Helper methods
+
+function modelTypeOf( model ) {
+  return model && model.constructor ? model.constructor.modelType : typeof model;
+}
+
+function modelNameOf( model ) {
+  return model && model.$modelName ? model.$modelName : 'model';
+}
+
+function runOperations( connection ) {
+  const operations = _operations.get( this );
+  const results = [];
+
+  // The operations are executed one after the other in the order of registration.
+  return operations.reduce( ( previous, operation ) => {
+    return previous
+      .then( none => {
+        return operation.run( connection );
+      } )
+      .then( result => {
+        results.push( result );
+      } );
+  }, Promise.resolve( null ) )
+    .then( none => {
+      return results;
+    } );
+}
+
+function takeSnapshots() {
+  // The saved models are restored when the transaction is rolled back.
+  return _operations.get( this )
+    .filter( operation => operation.isSave )
+    .map( operation => {
+      return {
+        model: operation.model,
+        transfer: operation.model.$toTransfer()
+      };
+    } );
+}
+
+function restoreSnapshots( snapshots ) {
+  snapshots.forEach( snapshot => {
+    snapshot.model.$fromTransfer( snapshot.transfer );
+  } );
+}
+
+//endregion
+
+/**
+ * @classdesc
+ *    Saves several editable root objects and collections, and executes command objects
+ *    in a single transaction. The operations are executed in the order of registration,
+ *    and they are committed or rolled back together.
+ *    <br/>_The saved models are restored to their state before the commit
+ *    when the transaction is rolled back._
+ *    <br/>_The editable root objects fetched within the {@link bo.common.UnitOfWork#run run}
+ *    method share the identity map of the unit of work._
+ * @description Creates a new unit of work object.
+ *
+ * @memberof bo.common
+ */
+class UnitOfWork {
+
+  /**
+   * Creates a new unit of work object.
+   *
+   * @param {string} dataSource - The name of the data source shared by the models.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The data source must be a non-empty string.
+   */
+  constructor( dataSource ) {
+
+    dataSource = Argument.inConstructor( UnitOfWork.name )
+      .check( dataSource ).forMandatory( 'dataSource' ).asString();
+
+    _dataSource.set( this, dataSource );
+    _operations.set( this, [] );
+    _identityMap.set( this, new IdentityMap() );
+
+    // Immutable object.
+    Object.freeze( this );
+  }
+
+  /**
+   * The name of the data source that the transaction is started on.
+   * @member {string} bo.common.UnitOfWork#dataSource
+   * @readonly
+   */
+  get dataSource() {
+    return _dataSource.get( this );
+  }
+
+  /**
+   * The identity map of the editable root objects fetched within the unit of work.
+   * @member {bo.common.IdentityMap} bo.common.UnitOfWork#identityMap
+   * @readonly
+   */
+  get identityMap() {
+    return _identityMap.get( this );
+  }
+
+  /**
+   * Runs a function within the scope of the identity map of the unit of work,
+   * so the repeated fetches of an editable root object return the same instance.
+   *
+   * @function bo.common.UnitOfWork#run
+   * @param {function} fn - The function to run within the scope.
+   * @returns {*} The return value of the function.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The fn argument must be a function.
+   */
+  run( fn ) {
+    return _identityMap.get( this ).run( fn );
+  }
+
+  /**
+   * Registers an editable root object or collection to save its changes
+   * when the unit of work is committed.
+   *
+   * @function bo.common.UnitOfWork#save
+   * @param {EditableRootObject|EditableRootCollection} model - The model to save.
+   * @returns {bo.common.UnitOfWork} The unit of work itself to chain registrations.
+   *
+   * @throws {@link bo.common.ModelError Model error}: The model must be an editable root object or collection.
+   */
+  save( model ) {
+    const modelType = modelTypeOf( model );
+    if (modelType !== ModelType.EditableRootObject && modelType !== ModelType.EditableRootCollection)
+      throw new ModelError( 'unitSave', modelNameOf( model ), modelType );
+
+    _operations.get( this ).push( {
+      model: model,
+      run: connection => model.$save( connection ),
+      isSave: true
+    } );
+    return this;
+  }
+
+  /**
+   * Registers a command object to execute it when the unit of work is committed.
+   *
+   * @function bo.common.UnitOfWork#execute
+   * @param {CommandObject} command - The command object to execute.
+   * @param {string} [method] - An alternative execute method of the data access object.
+   * @returns {bo.common.UnitOfWork} The unit of work itself to chain registrations.
+   *
+   * @throws {@link bo.common.ModelError Model error}: The command must be a command object.
+   * @throws {@link bo.system.ArgumentError Argument error}: The method must be a string or null.
+   */
+  execute( command, method ) {
+    const modelType = modelTypeOf( command );
+    if (modelType !== ModelType.CommandObject)
+      throw new ModelError( 'unitExecute', modelNameOf( command ), modelType );
+
+    method = Argument.inMethod( UnitOfWork.name, 'execute' )
+      .check( method ).forOptional( 'method' ).asString();
+
+    _operations.get( this ).push( {
+      model: command,
+      run: connection => command.$execute( connection, method )
+    } );
+    return this;
+  }
+
+  /**
+   * Starts a transaction on the data source, executes the registered operations
+   * in the order of registration, and commits the transaction. When an operation
+   * fails, the transaction is rolled back, the saved models are restored, and the error
+   * of the operation is passed.
+   * When a model is invalid, no transaction is started and the broken rules
+   * response of the model is passed. The changes recorded by the models are
+   * written to the audit sink after the transaction is committed.
+   *
+   * @function bo.common.UnitOfWork#commit
+   * @returns {Promise.<Array.<*>>} Returns a promise to the results of the operations.
+   *
+   * @throws {@link bo.dataAccess.DaoError Dao error}: The unit of work cannot be used through a remote data portal.
+   * @throws {@link bo.common.DataPortalError Data portal error}: An operation has failed.
+   * @throws {@link bo.common.ConcurrencyError Concurrency error}: A model has been modified by another user.
+   */
+  commit() {
+    const self = this;
+    const dataSource = _dataSource.get( this );
+    return _identityMap.get( this ).run( () => new Promise( ( fulfill, reject ) => {
+      if (config.transport)
+        throw new DaoError( 'remoteUnit' );
+
+      // Check the models before starting the transaction.
+      const invalid = _operations.get( self ).filter( operation => !operation.model.isValid() );
+      if (invalid.length) {
+        reject( invalid[ 0 ].model.getResponse() );
+        return;
+      }
+
+      let connection = null;
+      const changeSets = [];
+      const snapshots = takeSnapshots.call( self );
+      config.connectionManager.beginTransaction( dataSource )
+        .then( dsc => {
+          connection = dsc;
+          // Collect the recorded changes until the transaction is committed.
+          return changeRecorder.collect( changeSets, () => runOperations.call( self, connection ) );
+        } )
+        .then( results => {
+          // Finish transaction.
+          return config.connectionManager.commitTransaction( dataSource, connection )
+            .then( none => {
+              // Write the recorded changes, then return the results of the operations.
+              changeRecorder.flush( changeSets )
+                .then( none => {
+                  fulfill( results );
+                }, reject );
+            } );
+        } )
+        .catch( reason => {
+          // No transaction to undo when it has failed to start.
+          if (connection === null) {
+            reject( reason );
+            return null;
+          }
+          // Undo transaction.
+          return config.connectionManager.rollbackTransaction( dataSource, connection )
+            .then( none => {
+              // Restore the models, then pass the error.
+              restoreSnapshots( snapshots );
+              reject( reason );
+            } );
+        } );
+    } ) );
+  }
+}
+
+module.exports = UnitOfWork;
@@ -0,0 +1,29 @@
+'use strict';
+
+const NotImplementedError = require( '../system/not-implemented-error.js' );
+
+/**
+ * @classdesc Serves as the base class of the sinks that store the
+ *      {@link bo.common.ChangeSet change sets} of the saved business objects,
+ *      e.g. in an audit log table or in an external service.
+ * @description Creates a new audit sink object.
+ *
+ * @memberof bo.dataAccess
+ * @constructor
+ */
+class AuditSink {
+
+  /**
+   * Stores the changes of a saved business object.
+   *
+   * @abstract
+   * @function bo.dataAccess.AuditSink#write
+   * @param {bo.common.ChangeSet} changeSet - The changes of the business object.
+   * @returns {Promise.<null>} Returns a promise that is fulfilled when the changes are stored.
+   */
+  write( changeSet ) {
+    throw new NotImplementedError( 'method', this.constructor.name, 'write' );
+  }
+}
+
+module.exports = AuditSink;
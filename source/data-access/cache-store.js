@@ -0,0 +1,70 @@
+'use strict';
+
+const NotImplementedError = require( '../system/not-implemented-error.js' );
+
+/**
+ * @classdesc Serves as the base class of the stores that cache the data
+ *      of the read-only root objects and collections.
+ * @description Creates a new cache store object.
+ *
+ * @memberof bo.dataAccess
+ * @constructor
+ */
+class CacheStore {
+
+  /**
+   * Returns the cached value of an entry.
+   *
+   * @abstract
+   * @function bo.dataAccess.CacheStore#get
+   * @param {string} modelName - The name of the model the entry belongs to.
+   * @param {string} key - The key of the entry.
+   * @returns {Promise.<object>} Returns a promise to the cached value,
+   *      or to undefined when the entry is missing or expired.
+   */
+  get( modelName, key ) {
+    throw new NotImplementedError( 'method', this.constructor.name, 'get' );
+  }
+
+  /**
+   * Adds or replaces an entry of the cache.
+   *
+   * @abstract
+   * @function bo.dataAccess.CacheStore#set
+   * @param {string} modelName - The name of the model the entry belongs to.
+   * @param {string} key - The key of the entry.
+   * @param {object} value - The value to cache.
+   * @param {number} duration - The time to live of the entry in milliseconds.
+   * @returns {Promise.<null>} Returns a promise that is fulfilled when the entry is stored.
+   */
+  set( modelName, key, value, duration ) {
+    throw new NotImplementedError( 'method', this.constructor.name, 'set' );
+  }
+
+  /**
+   * Removes an entry of the cache.
+   *
+   * @abstract
+   * @function bo.dataAccess.CacheStore#delete
+   * @param {string} modelName - The name of the model the entry belongs to.
+   * @param {string} key - The key of the entry.
+   * @returns {Promise.<null>} Returns a promise that is fulfilled when the entry is removed.
+   */
+  delete( modelName, key ) {
+    throw new NotImplementedError( 'method', this.constructor.name, 'delete' );
+  }
+
+  /**
+   * Removes all entries of a model, or all entries of the cache when the model name is omitted.
+   *
+   * @abstract
+   * @function bo.dataAccess.CacheStore#clear
+   * @param {string} [modelName] - The name of the model whose entries are removed.
+   * @returns {Promise.<null>} Returns a promise that is fulfilled when the entries are removed.
+   */
+  clear( modelName ) {
+    throw new NotImplementedError( 'method', this.constructor.name, 'clear' );
+  }
+}
+
+module.exports = CacheStore;
@@ -76,6 +76,54 @@ class ConnectionManagerBase {
   rollbackTransaction( dataSource, connection ) {
     throw new NotImplementedError( 'method', this.constructor.name, 'rollbackTransaction' );
   }
+
+  /**
+   * Creates a new savepoint in the current transaction of the connection.
+   * Savepoints are optional: a connection manager supports them when it
+   * implements createSavepoint, rollbackToSavepoint and releaseSavepoint methods.
+   * The editable models save each child object in its own savepoint then,
+   * so the failure of a child does not fail the whole transaction: the save of
+   * the root model rejects with a partial save error after the commit.
+   *
+   * @abstract
+   * @function bo.dataAccess.ConnectionManagerBase#createSavepoint
+   * @param {object} connection - The connection with initiated transaction.
+   * @returns {Promise.<*>} Returns a promise to the identifier of the new savepoint.
+   */
+
+  /**
+   * Undoes the changes made in the transaction of the connection since
+   * the savepoint has been created, and discards the savepoint.
+   *
+   * @abstract
+   * @function bo.dataAccess.ConnectionManagerBase#rollbackToSavepoint
+   * @param {object} connection - The connection with initiated transaction.
+   * @param {*} savepoint - The identifier of the savepoint.
+   * @returns {Promise.<object>} Returns a promise to the connection.
+   */
+
+  /**
+   * Discards the savepoint, and keeps the changes made in the transaction
+   * of the connection since the savepoint has been created.
+   *
+   * @abstract
+   * @function bo.dataAccess.ConnectionManagerBase#releaseSavepoint
+   * @param {object} connection - The connection with initiated transaction.
+   * @param {*} savepoint - The identifier of the savepoint.
+   * @returns {Promise.<object>} Returns a promise to the connection.
+   */
+
+  /**
+   * Determines if the savepoint methods exist.
+   *
+   * @function bo.dataAccess.ConnectionManagerBase#$hasSavepoints
+   * @returns {boolean} True when the savepoint methods exist, otherwise false.
+   */
+  $hasSavepoints() {
+    return typeof this[ 'createSavepoint' ] === 'function' &&
+      typeof this[ 'rollbackToSavepoint' ] === 'function' &&
+      typeof this[ 'releaseSavepoint' ] === 'function';
+  }
 }
 
 module.exports = ConnectionManagerBase;
@@ -4,6 +4,7 @@
 
 const DaoContext = require( './dao-context.js' );
 const DaoError = require( './dao-error.js' );
+const DataPortalAbort = require( '../common/data-portal-abort.js' );
 
 //endregion
 
@@ -47,6 +48,7 @@ class DaoBase {
    * @param {string} methodName - The name of the method to call.
    * @param {object} [connection] - The connection of the data source.
    * @param {object} [methodArg] - Additional argument of the method to execute.
+   * @param {string} [softDelete] - The name of the property that marks the soft deleted items to leave out.
    * @returns {Promise.<*>} Returns a promise to the result of the method.
    *
    * @throws {@link bo.dataAccess.DaoError Dao error}:
@@ -54,7 +56,7 @@ class DaoBase {
    * @throws {@link bo.dataAccess.DaoError Dao error}:
    *      Data access object has no method with the requested name.
    */
-  $runMethod( methodName, connection, methodArg ) {
+  $runMethod( methodName, connection, methodArg, softDelete ) {
 
     if (typeof methodName !== 'string' || methodName.trim().length === 0)
       throw new DaoError( 'm_manString', this.name, '$runMethod', 'methodName' );
@@ -62,7 +64,7 @@ class DaoBase {
       throw new DaoError( 'noMethod', this.name, methodName );
 
     return new Promise( (fulfill, reject) => {
-      const ctx = new DaoContext( fulfill, reject, connection );
+      const ctx = new DaoContext( fulfill, reject, connection, DataPortalAbort.signalOf( connection ), softDelete );
       this[ methodName ]( ctx, methodArg );
     });
   }
@@ -2,6 +2,9 @@
 
 const Argument = require( '../system/argument-check.js' );
 
+// AbortSignal is a global object since Node 15.
+const hasAbortSignal = typeof AbortSignal !== 'undefined';
+
 /**
  * Represents the context for the methods of data access objects.
  *
@@ -19,8 +22,10 @@ class DaoContext {
    * @param {function} fulfill - The success handler of the promise executor.
    * @param {function} reject - The failure handler of the promise executor.
    * @param {object} connection - The connection to the data source.
+   * @param {AbortSignal} [signal] - The signal of the aborted data portal action.
+   * @param {string} [softDelete] - The name of the property that marks the soft deleted items to leave out.
    */
-  constructor( fulfill, reject, connection ) {
+  constructor( fulfill, reject, connection, signal, softDelete ) {
     const check = Argument.inConstructor( DaoContext.name );
 
     /**
@@ -44,6 +49,24 @@ class DaoContext {
      */
     this.connection = check( connection ).forOptional( 'connection' ).asObject();
 
+    /**
+     * The signal that fires when the data portal action is aborted,
+     * or null when the action cannot be aborted.
+     * @member {AbortSignal} bo.dataAccess.DaoContext#signal
+     * @readonly
+     */
+    this.signal = hasAbortSignal ?
+      check( signal ).forOptional( 'signal' ).asType( AbortSignal ) :
+      check( signal ).forOptional( 'signal' ).asObject();
+
+    /**
+     * The name of the property that marks the soft deleted items the method must leave out,
+     * or null when the deleted items are requested as well.
+     * @member {string} bo.dataAccess.DaoContext#softDelete
+     * @readonly
+     */
+    this.softDelete = check( softDelete ).forOptional( 'softDelete' ).asString();
+
     // Immutable object.
     Object.freeze( this );
   }
@@ -0,0 +1,175 @@
+'use strict';
+
+//region Imports
+
+const http = require( 'http' );
+const Argument = require( '../system/argument-check.js' );
+const DataPortalAction = require( '../common/data-portal-action.js' );
+const DataPortalError = require( '../common/data-portal-error.js' );
+const DaoError = require( './dao-error.js' );
+
+//endregion
+
+//region Private variables
+
+const _models = new WeakMap();
+
+//endregion
+
+//region Helper methods
+
+function fromError( reason ) {
+  const data = {
+    name: reason.name,
+    message: reason.message
+  };
+  Object.keys( reason ).forEach( key => {
+    const value = reason[ key ];
+    data[ key ] = value instanceof Error ? fromError( value ) : value;
+  } );
+  return data;
+}
+
+function runAction( request ) {
+  const Model = _models.get( this )[ request.modelName ];
+  if (!Model)
+    throw new DaoError( 'noModel', request.modelName );
+
+  let instance = null;
+  switch (request.action) {
+
+    case DataPortalAction.getName( DataPortalAction.create ):
+      if (typeof Model.create === 'function')
+        return Promise.resolve( Model.create() );
+      break;
+
+    case DataPortalAction.getName( DataPortalAction.fetch ):
+      if (typeof Model.fetch === 'function')
+        return Model.fetch( request.filter, request.method );
+      break;
+
+    case DataPortalAction.getName( DataPortalAction.insert ):
+    case DataPortalAction.getName( DataPortalAction.update ):
+    case DataPortalAction.getName( DataPortalAction.remove ):
+      instance = new Model();
+      if (typeof instance.save === 'function') {
+        instance.$fromTransfer( request.transfer );
+        return instance.isValid() ?
+          instance.save() :
+          Promise.reject( instance.getResponse() );
+      }
+      break;
+
+    case DataPortalAction.getName( DataPortalAction.execute ):
+      instance = new Model();
+      if (typeof instance.execute === 'function') {
+        instance.$fromTransfer( request.transfer );
+        return instance.isValid() ?
+          instance.execute( request.method, request.isTransaction ) :
+          Promise.reject( instance.getResponse() );
+      }
+      break;
+  }
+  throw new DaoError( 'noAction', request.modelName, request.action );
+}
+
+//endregion
+
+/**
+ * @classdesc
+ *    Executes the data portal requests sent by the models of a client
+ *    through a {@link bo.dataAccess.DataPortalTransport data portal transport}.
+ *    The server runs the data portal operations of the models against the
+ *    configured connection manager, and returns the resulting state of the models.
+ * @description Creates a new data portal server object.
+ *
+ * @memberof bo.dataAccess
+ */
+class DataPortalServer {
+
+  /**
+   * Creates a new data portal server object.
+   *
+   * @param {object} models - The root models served, keyed by their model names.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The models must be an object.
+   */
+  constructor( models ) {
+
+    models = Argument.inConstructor( DataPortalServer.name )
+      .check( models ).forMandatory( 'models' ).asObject();
+
+    _models.set( this, Object.assign( {}, models ) );
+
+    // Immutable object.
+    Object.freeze( this );
+  }
+
+  /**
+   * Executes a serialized data portal request and returns the serialized response.
+   * The response contains either the state of the model or the error occurred.
+   *
+   * @function bo.dataAccess.DataPortalServer#handle
+   * @param {string} message - The JSON text of the request.
+   * @returns {Promise.<string>} Returns a promise to the JSON text of the response.
+   */
+  handle( message ) {
+    const self = this;
+    return new Promise( ( fulfill, reject ) => {
+      fulfill( runAction.call( self, JSON.parse( message ) ) );
+    } )
+      .then( instance => {
+        // The remove action returns no instance.
+        return JSON.stringify( { transfer: instance ? instance.$toTransfer() : null } );
+      } )
+      .catch( reason => {
+        // The client wraps the intercepted error into its own data portal error.
+        if (reason instanceof DataPortalError)
+          reason = reason.innerError;
+        return JSON.stringify( { error: fromError( reason ) } );
+      } );
+  }
+
+  /**
+   * Starts a Node.js HTTP server that accepts the data portal requests
+   * posted by {@link bo.dataAccess.HttpTransport HTTP transports}.
+   *
+   * @function bo.dataAccess.DataPortalServer#listen
+   * @param {number} port - The port to listen on; 0 selects an arbitrary unused port.
+   * @param {string} [hostname] - The host name to listen on.
+   * @returns {Promise.<http.Server>} Returns a promise to the listening HTTP server.
+   */
+  listen( port, hostname ) {
+    const self = this;
+    return new Promise( ( fulfill, reject ) => {
+      const server = http.createServer( ( request, response ) => {
+        if (request.method !== 'POST') {
+          response.writeHead( 405 );
+          response.end();
+          return;
+        }
+        let body = '';
+        request.setEncoding( 'utf8' );
+        request.on( 'data', chunk => {
+          body += chunk;
+        } );
+        request.on( 'end', () => {
+          self.handle( body )
+            .then( message => {
+              response.writeHead( 200, {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength( message )
+              } );
+              response.end( message );
+            } );
+        } );
+      } );
+      server.on( 'error', reject );
+      server.listen( port, hostname, () => {
+        fulfill( server );
+      } );
+    } );
+  }
+}
+
+module.exports = DataPortalServer;
@@ -0,0 +1,79 @@
+'use strict';
+
+//region Imports
+
+const NotImplementedError = require( '../system/not-implemented-error.js' );
+const ConcurrencyError = require( '../common/concurrency-error.js' );
+const AbortError = require( '../common/abort-error.js' );
+
+//endregion
+
+//region Helper methods
+
+function toError( data ) {
+  const error = data.name === ConcurrencyError.name ?
+    new ConcurrencyError() :
+    data.name === AbortError.name ?
+      new AbortError() :
+      new Error();
+  Object.keys( data ).forEach( key => {
+    error[ key ] = data[ key ];
+  } );
+  return error;
+}
+
+//endregion
+
+/**
+ * @classdesc
+ *    Serves as the base class to send the data portal requests of the models
+ *    to a {@link bo.dataAccess.DataPortalServer data portal server}.
+ *    When the configuration defines a transport, the root models do not open
+ *    connections, the server executes their data portal operations instead.
+ * @description Creates a new data portal transport object.
+ *
+ * @memberof bo.dataAccess
+ * @constructor
+ */
+class DataPortalTransport {
+
+  /**
+   * Sends a serialized request to the data portal server and returns its serialized response.
+   *
+   * @abstract
+   * @function bo.dataAccess.DataPortalTransport#send
+   * @param {string} message - The JSON text of the request.
+   * @param {AbortSignal} [signal] - The signal to abort the request.
+   * @returns {Promise.<string>} Returns a promise to the JSON text of the response.
+   */
+  send( message, signal ) {
+    throw new NotImplementedError( 'method', this.constructor.name, 'send' );
+  }
+
+  /**
+   * Executes a data portal request on the server.
+   * <br/>_This method is called by the root models._
+   *
+   * @function bo.dataAccess.DataPortalTransport#$execute
+   * @protected
+   * @param {object} request - The data portal request.
+   * @param {string} request.modelName - The name of the model.
+   * @param {string} request.action - The name of the data portal action.
+   * @param {*} [request.filter] - The filter criteria of a fetch action.
+   * @param {string} [request.method] - The name of an alternative fetch or execute method.
+   * @param {object} [request.transfer] - The state of the model to save or execute.
+   * @param {AbortSignal} [signal] - The signal to abort the request.
+   * @returns {Promise.<object>} Returns a promise to the state of the model after the action.
+   */
+  $execute( request, signal ) {
+    return this.send( JSON.stringify( request ), signal || null )
+      .then( message => {
+        const response = JSON.parse( message );
+        if (response.error)
+          throw toError( response.error );
+        return response.transfer;
+      } );
+  }
+}
+
+module.exports = DataPortalTransport;
@@ -0,0 +1,103 @@
+'use strict';
+
+//region Imports
+
+const http = require( 'http' );
+const url = require( 'url' );
+const Argument = require( '../system/argument-check.js' );
+const DataPortalTransport = require( './data-portal-transport.js' );
+const DaoError = require( './dao-error.js' );
+
+//endregion
+
+//region Private variables
+
+const _url = new WeakMap();
+
+//endregion
+
+/**
+ * @classdesc
+ *    Sends the data portal requests of the models to a data portal server
+ *    by HTTP POST requests.
+ * @description Creates a new HTTP transport object.
+ *
+ * @memberof bo.dataAccess
+ * @extends bo.dataAccess.DataPortalTransport
+ */
+class HttpTransport extends DataPortalTransport {
+
+  /**
+   * Creates a new HTTP transport object.
+   *
+   * @param {string} address - The URL of the data portal server.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The address must be a non-empty string.
+   */
+  constructor( address ) {
+    super();
+
+    address = Argument.inConstructor( HttpTransport.name )
+      .check( address ).forMandatory( 'address' ).asString();
+
+    _url.set( this, url.parse( address ) );
+
+    // Immutable object.
+    Object.freeze( this );
+  }
+
+  /**
+   * The URL of the data portal server.
+   * @member {string} bo.dataAccess.HttpTransport#address
+   * @readonly
+   */
+  get address() {
+    return _url.get( this ).href;
+  }
+
+  /**
+   * Posts a serialized request to the data portal server and returns its serialized response.
+   *
+   * @function bo.dataAccess.HttpTransport#send
+   * @param {string} message - The JSON text of the request.
+   * @param {AbortSignal} [signal] - The signal to abort the request.
+   * @returns {Promise.<string>} Returns a promise to the JSON text of the response.
+   *
+   * @throws {@link bo.dataAccess.DaoError Dao error}: The server responded with an unexpected status.
+   */
+  send( message, signal ) {
+    const target = _url.get( this );
+    return new Promise( ( fulfill, reject ) => {
+      const options = {
+        protocol: target.protocol,
+        hostname: target.hostname,
+        port: target.port,
+        path: target.path,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength( message )
+        }
+      };
+      if (signal)
+        options.signal = signal;
+      const request = http.request( options, response => {
+        let body = '';
+        response.setEncoding( 'utf8' );
+        response.on( 'data', chunk => {
+          body += chunk;
+        } );
+        response.on( 'end', () => {
+          if (response.statusCode === 200)
+            fulfill( body );
+          else
+            reject( new DaoError( 'httpStatus', response.statusCode, body ) );
+        } );
+      } );
+      request.on( 'error', reject );
+      request.end( message );
+    } );
+  }
+}
+
+module.exports = HttpTransport;
@@ -7,6 +7,14 @@ const DaoBase = require( './dao-base.js' );
 const DaoContext = require( './dao-context.js' );
 const daoBuilder = require( './dao-builder.js' );
 const DaoError = require( './dao-error.js' );
+const DataPortalTransport = require( './data-portal-transport.js' );
+const HttpTransport = require( './http-transport.js' );
+const DataPortalServer = require( './data-portal-server.js' );
+const RetryPolicy = require( './retry-policy.js' );
+const RetryEventArgs = require( './retry-event-args.js' );
+const CacheStore = require( './cache-store.js' );
+const MemoryCache = require( './memory-cache.js' );
+const AuditSink = require( './audit-sink.js' );
 
 //endregion
 
@@ -30,13 +38,45 @@ const DaoError = require( './dao-error.js' );
  * @property {function} DaoError -
  *      {@link bo.dataAccess.DaoError Data access error}
  *      constructor to create new errors occurred in data access objects.
+ * @property {function} DataPortalTransport -
+ *      {@link bo.dataAccess.DataPortalTransport Data portal transport}
+ *      constructor to create new transports of remote data portal requests.
+ * @property {function} HttpTransport -
+ *      {@link bo.dataAccess.HttpTransport HTTP transport}
+ *      constructor to create new transports posting remote data portal requests.
+ * @property {function} DataPortalServer -
+ *      {@link bo.dataAccess.DataPortalServer Data portal server}
+ *      constructor to create new servers executing remote data portal requests.
+ * @property {function} RetryPolicy -
+ *      {@link bo.dataAccess.RetryPolicy Retry policy}
+ *      constructor to create new policies repeating the steps failed with transient errors.
+ * @property {function} RetryEventArgs -
+ *      {@link bo.dataAccess.RetryEventArgs Retry event arguments}
+ *      constructor to create new context objects for the attempt events of retry policies.
+ * @property {function} CacheStore -
+ *      {@link bo.dataAccess.CacheStore Cache store}
+ *      constructor to create new stores of the cached data of read-only models.
+ * @property {function} MemoryCache -
+ *      {@link bo.dataAccess.MemoryCache Memory cache}
+ *      constructor to create new in-memory cache stores that discard the least recently used data.
+ * @property {function} AuditSink -
+ *      {@link bo.dataAccess.AuditSink Audit sink}
+ *      constructor to create new sinks of the change sets of the saved models.
  */
 const index = {
   ConnectionManagerBase: ConnectionManagerBase,
   daoBuilder: daoBuilder,
   DaoBase: DaoBase,
   DaoContext: DaoContext,
-  DaoError: DaoError
+  DaoError: DaoError,
+  DataPortalTransport: DataPortalTransport,
+  HttpTransport: HttpTransport,
+  DataPortalServer: DataPortalServer,
+  RetryPolicy: RetryPolicy,
+  RetryEventArgs: RetryEventArgs,
+  CacheStore: CacheStore,
+  MemoryCache: MemoryCache,
+  AuditSink: AuditSink
 };
 
 // Immutable object.
@@ -0,0 +1,169 @@
+'use strict';
+
+//region Imports
+
+const Argument = require( '../system/argument-check.js' );
+const CacheStore = require( './cache-store.js' );
+
+//endregion
+
+//region Private variables
+
+const _maxItems = new WeakMap();
+const _entries = new WeakMap();
+
+//endregion
+
+//region Helper methods
+
+function entryKey( modelName, key ) {
+  return modelName + '\u0000' + key;
+}
+
+//endregion
+
+/**
+ * Caches the data of the read-only root objects and collections in the memory
+ * of the process. When the cache is full, the least recently used entry is removed.
+ *
+ * @memberof bo.dataAccess
+ * @extends bo.dataAccess.CacheStore
+ */
+class MemoryCache extends CacheStore {
+
+  /**
+   * Creates a new in-memory cache store.
+   *
+   * @param {number} [maxItems=1000] - The maximum number of the cached entries.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The maximum items must be an integer.
+   */
+  constructor( maxItems ) {
+    super();
+
+    maxItems = Argument.inConstructor( MemoryCache.name )
+      .check( maxItems ).forOptional( 'maxItems' ).asInteger();
+
+    _maxItems.set( this, maxItems === null ? 1000 : Math.max( maxItems, 1 ) );
+    // The order of the map is the order of the usage.
+    _entries.set( this, new Map() );
+
+    // Immutable object.
+    Object.freeze( this );
+  }
+
+  //region Properties
+
+  /**
+   * The maximum number of the cached entries.
+   * @member {number} bo.dataAccess.MemoryCache#maxItems
+   * @readonly
+   */
+  get maxItems() {
+    return _maxItems.get( this );
+  }
+
+  /**
+   * The current number of the cached entries, including the expired ones not removed yet.
+   * @member {number} bo.dataAccess.MemoryCache#count
+   * @readonly
+   */
+  get count() {
+    return _entries.get( this ).size;
+  }
+
+  //endregion
+
+  //region Methods
+
+  /**
+   * Returns the cached value of an entry.
+   *
+   * @function bo.dataAccess.MemoryCache#get
+   * @param {string} modelName - The name of the model the entry belongs to.
+   * @param {string} key - The key of the entry.
+   * @returns {Promise.<object>} Returns a promise to the cached value,
+   *      or to undefined when the entry is missing or expired.
+   */
+  get( modelName, key ) {
+    const entries = _entries.get( this );
+    const id = entryKey( modelName, key );
+    const entry = entries.get( id );
+    if (!entry)
+      return Promise.resolve( undefined );
+
+    entries.delete( id );
+    if (entry.expires <= Date.now())
+      return Promise.resolve( undefined );
+
+    // Mark the entry as the most recently used one.
+    entries.set( id, entry );
+    return Promise.resolve( entry.value );
+  }
+
+  /**
+   * Adds or replaces an entry of the cache.
+   *
+   * @function bo.dataAccess.MemoryCache#set
+   * @param {string} modelName - The name of the model the entry belongs to.
+   * @param {string} key - The key of the entry.
+   * @param {object} value - The value to cache.
+   * @param {number} duration - The time to live of the entry in milliseconds.
+   * @returns {Promise.<null>} Returns a promise that is fulfilled when the entry is stored.
+   */
+  set( modelName, key, value, duration ) {
+    const entries = _entries.get( this );
+    const id = entryKey( modelName, key );
+
+    entries.delete( id );
+    entries.set( id, {
+      modelName: modelName,
+      value: value,
+      expires: Date.now() + duration
+    } );
+
+    // Remove the least recently used entries.
+    const maxItems = _maxItems.get( this );
+    const ids = entries.keys();
+    while (entries.size > maxItems)
+      entries.delete( ids.next().value );
+
+    return Promise.resolve( null );
+  }
+
+  /**
+   * Removes an entry of the cache.
+   *
+   * @function bo.dataAccess.MemoryCache#delete
+   * @param {string} modelName - The name of the model the entry belongs to.
+   * @param {string} key - The key of the entry.
+   * @returns {Promise.<null>} Returns a promise that is fulfilled when the entry is removed.
+   */
+  delete( modelName, key ) {
+    _entries.get( this ).delete( entryKey( modelName, key ) );
+    return Promise.resolve( null );
+  }
+
+  /**
+   * Removes all entries of a model, or all entries of the cache when the model name is omitted.
+   *
+   * @function bo.dataAccess.MemoryCache#clear
+   * @param {string} [modelName] - The name of the model whose entries are removed.
+   * @returns {Promise.<null>} Returns a promise that is fulfilled when the entries are removed.
+   */
+  clear( modelName ) {
+    const entries = _entries.get( this );
+    if (modelName === undefined || modelName === null)
+      entries.clear();
+    else
+      entries.forEach( ( entry, id ) => {
+        if (entry.modelName === modelName)
+          entries.delete( id );
+      } );
+    return Promise.resolve( null );
+  }
+
+  //endregion
+}
+
+module.exports = MemoryCache;
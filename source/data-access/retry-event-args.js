@@ -0,0 +1,85 @@
+'use strict';
+
+//region Imports
+
+const Argument = require( '../system/argument-check.js' );
+
+//endregion
+
+/**
+ * Provides the context for the attempt events of the retry policy.
+ *
+ * @memberof bo.dataAccess
+ */
+class RetryEventArgs {
+
+  /**
+   * Creates new retry event arguments.
+   *   </br></br>
+   * <i><b>Warning:</b> Retry event arguments are created by the retry policy internally.
+   * They are intended only to make publicly available the context for attempt events.</i>
+   *
+   * @param {string} modelName - The name of the model that executes the data portal action.
+   * @param {string} action - The name of the data portal action.
+   * @param {number} attempt - The ordinal number of the attempt, starting from 1.
+   * @param {number} maxAttempts - The maximum number of the attempts.
+   * @param {number} delay - The milliseconds waited before the attempt.
+   * @param {Error} [error] - The error of the previous attempt.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The model name must be a non-empty string.
+   * @throws {@link bo.system.ArgumentError Argument error}: The action must be a non-empty string.
+   * @throws {@link bo.system.ArgumentError Argument error}: The attempt must be an integer.
+   * @throws {@link bo.system.ArgumentError Argument error}: The maximum attempts must be an integer.
+   * @throws {@link bo.system.ArgumentError Argument error}: The delay must be an integer.
+   */
+  constructor( modelName, action, attempt, maxAttempts, delay, error ) {
+    const check = Argument.inConstructor( RetryEventArgs.name );
+
+    /**
+     * The name of the model that executes the data portal action.
+     * @member {string} bo.dataAccess.RetryEventArgs#modelName
+     * @readonly
+     */
+    this.modelName = check( modelName ).forMandatory( 'modelName' ).asString();
+
+    /**
+     * The name of the data portal action.
+     * @member {string} bo.dataAccess.RetryEventArgs#action
+     * @readonly
+     */
+    this.action = check( action ).forMandatory( 'action' ).asString();
+
+    /**
+     * The ordinal number of the attempt, starting from 1.
+     * @member {number} bo.dataAccess.RetryEventArgs#attempt
+     * @readonly
+     */
+    this.attempt = check( attempt ).forMandatory( 'attempt' ).asInteger();
+
+    /**
+     * The maximum number of the attempts.
+     * @member {number} bo.dataAccess.RetryEventArgs#maxAttempts
+     * @readonly
+     */
+    this.maxAttempts = check( maxAttempts ).forMandatory( 'maxAttempts' ).asInteger();
+
+    /**
+     * The milliseconds waited before the attempt.
+     * @member {number} bo.dataAccess.RetryEventArgs#delay
+     * @readonly
+     */
+    this.delay = check( delay ).forMandatory( 'delay' ).asInteger();
+
+    /**
+     * The error of the previous attempt, or null at the first attempt.
+     * @member {Error} bo.dataAccess.RetryEventArgs#error
+     * @readonly
+     */
+    this.error = error || null;
+
+    // Immutable object.
+    Object.freeze( this );
+  }
+}
+
+module.exports = RetryEventArgs;
@@ -0,0 +1,170 @@
+'use strict';
+
+//region Imports
+
+const events = require( 'events' );
+const Argument = require( '../system/argument-check.js' );
+const DataPortalAction = require( '../common/data-portal-action.js' );
+const RetryEventArgs = require( './retry-event-args.js' );
+
+//endregion
+
+//region Private variables
+
+const _isTransient = new WeakMap();
+const _maxAttempts = new WeakMap();
+const _delay = new WeakMap();
+const _factor = new WeakMap();
+
+//endregion
+
+/**
+ * @classdesc
+ *    Repeats the failed steps of the data portal actions - opening the connection,
+ *    beginning the transaction and calling the data access object - when their
+ *    error is classified as transient, e.g. during a failover of the database.
+ *    The delay between the attempts grows exponentially.
+ * @description Creates a new retry policy object.
+ *
+ * @memberof bo.dataAccess
+ * @extends EventEmitter
+ *
+ * @fires bo.dataAccess.RetryPolicy#attempt
+ */
+class RetryPolicy extends events.EventEmitter {
+
+  /**
+   * Creates a new retry policy object.
+   *
+   * @param {function} isTransient - A function that returns true when the error passed is transient.
+   * @param {number} [maxAttempts=3] - The maximum number of the attempts, including the first one.
+   * @param {number} [delay=100] - The milliseconds to wait before the second attempt.
+   * @param {number} [factor=2] - The multiplier of the delay for the further attempts.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The isTransient argument must be a function.
+   * @throws {@link bo.system.ArgumentError Argument error}: The maximum attempts must be an integer.
+   * @throws {@link bo.system.ArgumentError Argument error}: The delay must be an integer.
+   * @throws {@link bo.system.ArgumentError Argument error}: The factor must be a number.
+   */
+  constructor( isTransient, maxAttempts, delay, factor ) {
+    super();
+    const check = Argument.inConstructor( RetryPolicy.name );
+
+    isTransient = check( isTransient ).forMandatory( 'isTransient' ).asFunction();
+    maxAttempts = check( maxAttempts ).forOptional( 'maxAttempts' ).asInteger();
+    delay = check( delay ).forOptional( 'delay' ).asInteger();
+    factor = check( factor ).forOptional( 'factor' ).asNumber();
+
+    _isTransient.set( this, isTransient );
+    _maxAttempts.set( this, maxAttempts === null ? 3 : Math.max( maxAttempts, 1 ) );
+    _delay.set( this, delay === null ? 100 : Math.max( delay, 0 ) );
+    _factor.set( this, factor === null ? 2 : Math.max( factor, 1 ) );
+  }
+
+  //region Properties
+
+  /**
+   * The maximum number of the attempts, including the first one.
+   * @member {number} bo.dataAccess.RetryPolicy#maxAttempts
+   * @readonly
+   */
+  get maxAttempts() {
+    return _maxAttempts.get( this );
+  }
+
+  /**
+   * The milliseconds to wait before the second attempt.
+   * @member {number} bo.dataAccess.RetryPolicy#delay
+   * @readonly
+   */
+  get delay() {
+    return _delay.get( this );
+  }
+
+  /**
+   * The multiplier of the delay for the further attempts.
+   * @member {number} bo.dataAccess.RetryPolicy#factor
+   * @readonly
+   */
+  get factor() {
+    return _factor.get( this );
+  }
+
+  //endregion
+
+  //region Methods
+
+  /**
+   * Determines whether an error is transient, i.e. the failed step can be repeated.
+   *
+   * @function bo.dataAccess.RetryPolicy#isTransient
+   * @param {Error} error - The error of the failed attempt.
+   * @returns {boolean} True when the error is transient, otherwise false.
+   */
+  isTransient( error ) {
+    return _isTransient.get( this )( error ) === true;
+  }
+
+  /**
+   * Calculates the milliseconds to wait before an attempt.
+   *
+   * @function bo.dataAccess.RetryPolicy#getDelay
+   * @param {number} attempt - The ordinal number of the attempt, starting from 1.
+   * @returns {number} The milliseconds to wait.
+   */
+  getDelay( attempt ) {
+    return attempt > 1 ?
+      Math.round( this.delay * Math.pow( this.factor, attempt - 2 ) ) :
+      0;
+  }
+
+  /**
+   * Executes a step of a data portal action, and repeats it while it fails
+   * with a transient error and the maximum number of attempts is not reached.
+   * <br/>_This method is called by the models._
+   *
+   * @function bo.dataAccess.RetryPolicy#$execute
+   * @protected
+   * @param {string} modelName - The name of the model that executes the action.
+   * @param {bo.common.DataPortalAction} action - The data portal action.
+   * @param {function} operation - A function that returns the promise of the step.
+   * @param {AbortSignal} [signal] - The signal that stops the further attempts.
+   * @returns {Promise.<*>} Returns a promise to the result of the step.
+   */
+  $execute( modelName, action, operation, signal ) {
+    const self = this;
+    const actionName = DataPortalAction.getName( action );
+
+    function attempt( count, delay, error ) {
+      /**
+       * The event arises before each attempt of a data portal step.
+       * @event bo.dataAccess.RetryPolicy#attempt
+       * @param {bo.dataAccess.RetryEventArgs} eventArgs - Retry event arguments.
+       */
+      self.emit( 'attempt', new RetryEventArgs( modelName, actionName, count, self.maxAttempts, delay, error ) );
+
+      return new Promise( ( fulfill, reject ) => {
+        fulfill( operation() );
+      } )
+        .catch( reason => {
+          if (count >= self.maxAttempts || signal && signal.aborted || !self.isTransient( reason ))
+            throw reason;
+
+          // Wait before the next attempt.
+          const next = self.getDelay( count + 1 );
+          return new Promise( ( fulfill, reject ) => {
+            setTimeout( fulfill, next );
+          } )
+            .then( none => {
+              return attempt( count + 1, next, reason );
+            } );
+        } );
+    }
+
+    return attempt( 1, 0, null );
+  }
+
+  //endregion
+}
+
+module.exports = RetryPolicy;
@@ -14,9 +14,13 @@ const external = {
    *
    * @typedef external.configurationFile
    * @type {object}
-   * @property {string} connectionManager -
+   * @property {string} [connectionManager] -
    *    The relative path of the connection manager constructor.
    *    The created object must inherit {@link bo.dataAccess.ConnectionManagerBase}.
+   *    It is optional when a transport is defined.
+   * @property {string} [transport] -
+   *    The relative path of the remote data portal transport constructor.
+   *    The created object must inherit {@link bo.dataAccess.DataPortalTransport}.
    * @property {string} [daoBuilder] -
    *    The relative path of the factory {@link external.daoBuilder method} to create data access objects.
    *    The default builder method is {@link bo.dataAccess.daoBuilder}.
@@ -33,6 +37,9 @@ const external = {
    *    * 1 or 'showError'
    *    * 2 or 'showWarning'
    *    * 3 or 'showInformation'
+   * @property {Array.<string>} [interceptors] -
+   *    The relative paths of the {@link external.dataPortalInterceptor functions} that wrap
+   *    the data portal operations of the models.
    */
 
   /**
@@ -63,6 +70,20 @@ const external = {
    * @returns {bo.dataAccess.DaoBase} The data access object.
    */
 
+  /**
+   * Wraps a data portal operation of a model. The interceptor must call the next function
+   * to continue the operation, and should return its result. Editable and read-only child
+   * collections have no data portal operations on their own, their items are intercepted.
+   *
+   * @typedef external.dataPortalInterceptor
+   * @type {function}
+   * @param {string} modelName - The name of the model that executes the operation.
+   * @param {bo.common.DataPortalAction} action - The data portal action of the operation.
+   * @param {object} connection - The connection of the operation, or null when it has none.
+   * @param {function} next - Continues the operation and returns a promise to its result.
+   * @returns {Promise.<*>} A promise to the result of the operation.
+   */
+
   //endregion
 
   //region Property functions
@@ -229,6 +250,17 @@ const external = {
    * @param {Array.<object>} collection - The collection method was called upon.
    */
 
+  /**
+   * The callback to be called in the reduce method of collections.
+   *
+   * @callback external.cbReduce
+   * @param {*} accumulator - The value returned by the previous call of the callback, or the initial value.
+   * @param {{}} currentValue - The current item being processed in the collection.
+   * @param {number} index - The index of the current item being processed in the collection.
+   * @param {Array.<object>} collection - The collection method was called upon.
+   * @returns {*} The value passed to the next call of the callback.
+   */
+
   /**
    * The callback to be called when the execution of a model rebuild method has finished.
    *
@@ -23,6 +23,15 @@ const internal = {
    */
   setValue: function (property, value) {},
 
+  /**
+   * Indicates whether the value of a model property differs from its original value.
+   *
+   * @function internal~hasChanged
+   * @param {bo.common.PropertyInfo} property - The definition of the model property.
+   * @returns {boolean} True if the value of the property has been changed, otherwise false.
+   */
+  hasChanged: function (property) {},
+
   /**
    * Initializes the business objects.
    *
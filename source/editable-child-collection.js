@@ -7,6 +7,8 @@ const Argument = require( './system/argument-check.js' );
 const CollectionBase = require( './common/collection-base.js' );
 const ModelType = require( './common/model-type.js' );
 const ModelError = require( './common/model-error.js' );
+const saveChildModels = require( './common/save-child-models.js' );
+const CollectionChangedEventArgs = require( './common/collection-changed-event-args.js' );
 
 //endregion
 
@@ -18,11 +20,89 @@ const _itemType = new WeakMap();
 const _parent = new WeakMap();
 const _eventHandlers = new WeakMap();
 const _items = new WeakMap();
+const _editLevels = new WeakMap();
 
 //endregion
 
 //region Helper methods
 
+//region Edit levels
+
+function dropEditLevel( methodName ) {
+  const editLevels = _editLevels.get( this );
+  if (!editLevels.length)
+    throw new ModelError( 'noEditLevel', this.$modelName, methodName );
+  const items = editLevels.pop();
+  _editLevels.set( this, editLevels );
+  return items;
+}
+
+//endregion
+
+//region Item events
+
+function isRemoval( eventArgs ) {
+  const removed = MODEL_STATE.getName( MODEL_STATE.removed );
+  const markedForRemoval = MODEL_STATE.getName( MODEL_STATE.markedForRemoval );
+  return (eventArgs.newState === markedForRemoval || eventArgs.newState === removed) &&
+    eventArgs.oldState !== markedForRemoval;
+}
+
+function raiseItemEvent( eventName, item ) {
+  const index = _items.get( this ).indexOf( item );
+  // The items dropped by cancelEdit do not belong to the collection any more.
+  if (index >= 0)
+    this.emit( eventName, new CollectionChangedEventArgs( this.$modelName, index, item ) );
+}
+
+function attachItem( item ) {
+  item.on( 'propertyChanged', eventArgs => {
+    /**
+     * The event arises when a property of an item of the collection has changed.
+     * @event EditableChildCollection#itemChanged
+     * @param {bo.common.CollectionChangedEventArgs} eventArgs - Collection changed event arguments.
+     */
+    raiseItemEvent.call( this, 'itemChanged', item );
+  } );
+  item.on( 'stateChanged', eventArgs => {
+    if (isRemoval( eventArgs )) {
+      /**
+       * The event arises when an item of the collection has been removed.
+       * @event EditableChildCollection#itemRemoved
+       * @param {bo.common.CollectionChangedEventArgs} eventArgs - Collection changed event arguments.
+       */
+      raiseItemEvent.call( this, 'itemRemoved', item );
+    }
+  } );
+  return item;
+}
+
+//endregion
+
+//region Transfer object methods
+
+function toTransfer() {
+  return {
+    items: _items.get( this ).map( item => {
+      return item.$toTransfer();
+    } )
+  };
+}
+
+function fromTransfer( transfer ) {
+  const itemType = _itemType.get( this );
+  const parent = _parent.get( this );
+  const eventHandlers = _eventHandlers.get( this );
+  _items.set( this, transfer.items.map( data => {
+    const item = itemType.empty( parent, eventHandlers );
+    item.$fromTransfer( data );
+    return attachItem.call( this, item );
+  } ) );
+  _editLevels.set( this, [] );
+}
+
+//endregion
+
 function initialize( name, itemType, parent, eventHandlers ) {
 
   // Verify the model type of the parent model.
@@ -49,6 +129,7 @@ function initialize( name, itemType, parent, eventHandlers ) {
   _parent.set( this, parent );
   _eventHandlers.set( this, eventHandlers );
   _items.set( this, [] );
+  _editLevels.set( this, [] );
 
   // Immutable definition object.
   Object.freeze( this );
@@ -206,6 +287,10 @@ class EditableChildCollection extends CollectionBase {
                 } ) )
                   .then( values => {
                     _items.set( self, items );
+                    newItems.forEach( newItem => {
+                      attachItem.call( self, newItem );
+                      raiseItemEvent.call( self, 'itemAdded', newItem );
+                    } );
                     // Finished.
                     fulfill( self );
                   } )
@@ -217,6 +302,30 @@ class EditableChildCollection extends CollectionBase {
     } );
   }
 
+  /**
+   * Exports the state of the business object collection to send to the other side of the remote data portal.
+   * <br/>_This method is called by the remote data portal._
+   *
+   * @function EditableChildCollection#$toTransfer
+   * @protected
+   * @returns {object} The state of the business object collection.
+   */
+  $toTransfer() {
+    return toTransfer.call( this );
+  }
+
+  /**
+   * Restores the state of the business object collection received from the other side of the remote data portal.
+   * <br/>_This method is called by the remote data portal._
+   *
+   * @function EditableChildCollection#$fromTransfer
+   * @protected
+   * @param {object} transfer - The state of the business object collection.
+   */
+  $fromTransfer( transfer ) {
+    fromTransfer.call( this, transfer );
+  }
+
   //endregion
 
   //region Actions
@@ -240,6 +349,13 @@ class EditableChildCollection extends CollectionBase {
         ix = isNaN( ix ) ? items.length : ix;
         items.splice( ix, 0, item );
         _items.set(this, items);
+        attachItem.call( this, item );
+        /**
+         * The event arises when a new item has been added to the collection.
+         * @event EditableChildCollection#itemAdded
+         * @param {bo.common.CollectionChangedEventArgs} eventArgs - Collection changed event arguments.
+         */
+        raiseItemEvent.call( this, 'itemAdded', item );
         return item;
       });
   }
@@ -267,7 +383,7 @@ class EditableChildCollection extends CollectionBase {
         .then( list => {
           // Add loaded items to the collection.
           list.forEach( item => {
-            items.push( item );
+            items.push( attachItem.call( self, item ) );
           });
           _items.set(self, items);
           // Nothing to return.
@@ -283,26 +399,42 @@ class EditableChildCollection extends CollectionBase {
    * @function EditableChildCollection#save
    * @protected
    * @param {object} connection - The connection data.
+   * @param {Array.<Error>} [errors] - Collects the errors of the items isolated by savepoints.
    * @returns {Promise.<EditableChildCollection>} Returns a promise to the saved editable child collection.
    */
-  save( connection ) {
+  save( connection, errors ) {
     const self = this;
     let items = _items.get(this);
 
-    return Promise.all( items.filter( item => {
+    return saveChildModels( connection, items.filter( item => {
       return item.isDirty();
-    }).map( item => {
-      return item.save( connection );
-    }))
+    }), errors )
       .then( values => {
         // Store updated items.
         items = items.filter( item => {
           return item.getModelState() !== MODEL_STATE.getName( MODEL_STATE.removed );
         });
         _items.set(self, items);
+        // Saved items are outdated after a data portal action.
+        _editLevels.set( self, [] );
       });
   }
 
+  /**
+   * Starts to record the changes of the items before they are saved.
+   * <br/>_This method is called by the parent object._
+   *
+   * @function EditableChildCollection#$recordChanges
+   * @protected
+   * @returns {function} A function that returns the change sets of the changed items after the save.
+   */
+  $recordChanges() {
+    const recorders = _items.get( this ).map( item => item.$recordChanges() );
+    return () => recorders
+      .map( finish => finish() )
+      .filter( changeSet => changeSet !== null );
+  }
+
   /**
    * Marks all items in the collection to be deleted from the repository on next save.
    *
@@ -314,6 +446,68 @@ class EditableChildCollection extends CollectionBase {
     });
   }
 
+  /**
+   * Starts a new edit level. Saves the current items of the business object collection,
+   * and starts a new edit level on the items.
+   * <br/>_This method is usually called by the parent object._
+   *
+   * @function EditableChildCollection#beginEdit
+   */
+  beginEdit() {
+    const editLevels = _editLevels.get( this );
+    editLevels.push( _items.get( this ).slice() );
+    _editLevels.set( this, editLevels );
+    this.forEach( item => {
+      item.beginEdit();
+    } );
+  }
+
+  /**
+   * Restores the items of the business object collection saved by the last beginEdit call.
+   * Items added since then are dropped, the changes of the former items - including
+   * removal - are cancelled.
+   * <br/>_This method is usually called by the parent object._
+   *
+   * @function EditableChildCollection#cancelEdit
+   *
+   * @throws {@link bo.common.ModelError Model error}:
+   *      The business object collection has no edit level.
+   */
+  cancelEdit() {
+    const items = dropEditLevel.call( this, 'cancelEdit' );
+    _items.set( this, items.slice() );
+    items.forEach( item => {
+      item.cancelEdit();
+    } );
+  }
+
+  /**
+   * Keeps the changes made since the last beginEdit call and closes
+   * the current edit level of the business object collection and its items.
+   * <br/>_This method is usually called by the parent object._
+   *
+   * @function EditableChildCollection#applyEdit
+   *
+   * @throws {@link bo.common.ModelError Model error}:
+   *      The business object collection has no edit level.
+   */
+  applyEdit() {
+    const items = dropEditLevel.call( this, 'applyEdit' );
+    items.forEach( item => {
+      item.applyEdit();
+    } );
+  }
+
+  /**
+   * Gets the count of the open edit levels.
+   *
+   * @function EditableChildCollection#getEditLevel
+   * @returns {number} The count of the edit levels.
+   */
+  getEditLevel() {
+    return _editLevels.get( this ).length;
+  }
+
   /**
    * Indicates whether all items of the business collection are valid.
    * <br/>_This method is called by the parent object._
@@ -453,9 +647,122 @@ class EditableChildCollection extends CollectionBase {
     const items = _items.get( this );
     const sorted = items.sort( fnCompare );
     _items.set( this, sorted );
+    /**
+     * The event arises when the items of the collection have been sorted.
+     * @event EditableChildCollection#sorted
+     * @param {bo.common.CollectionChangedEventArgs} eventArgs - Collection changed event arguments.
+     */
+    this.emit( 'sorted', new CollectionChangedEventArgs( this.$modelName ) );
     return sorted;
   }
 
+  /**
+   * Returns the first item in the collection that satisfies the provided testing function.
+   *
+   * @function EditableChildCollection#find
+   * @param {external.cbCollectionItem} callback - Function to test for each collection item.
+   * @returns {EditableChildObject} The first item that passes the test, otherwise undefined.
+   */
+  find(callback) {
+    const items = _items.get( this );
+    return items.find(callback);
+  }
+
+  /**
+   * Returns the index of the first item in the collection that satisfies the provided testing function.
+   *
+   * @function EditableChildCollection#findIndex
+   * @param {external.cbCollectionItem} callback - Function to test for each collection item.
+   * @returns {number} The index of the first item that passes the test, otherwise -1.
+   */
+  findIndex(callback) {
+    const items = _items.get( this );
+    return items.findIndex(callback);
+  }
+
+  /**
+   * Returns the first index at which a given item can be found in the collection.
+   *
+   * @function EditableChildCollection#indexOf
+   * @param {EditableChildObject} item - The item to locate in the collection.
+   * @returns {number} The index of the item, or -1 when it is not in the collection.
+   */
+  indexOf(item) {
+    const items = _items.get( this );
+    return items.indexOf(item);
+  }
+
+  /**
+   * Returns the item in the collection that has the given key. A single key property
+   * is compared to the key itself, more key properties to the properties of the key object.
+   *
+   * @function EditableChildCollection#findByKey
+   * @param {*} key - The value of the key, or an object that contains the values of the key properties.
+   * @returns {EditableChildObject} The item with the given key, otherwise undefined.
+   */
+  findByKey(key) {
+    const items = _items.get( this );
+    return items.find( item => item.$keyMatches(key) );
+  }
+
+  /**
+   * Applies a function against an accumulator and each item of the collection
+   * to reduce it to a single value.
+   *
+   * @function EditableChildCollection#reduce
+   * @param {external.cbReduce} callback - Function to execute on each collection item.
+   * @param {*} [initialValue] - The value to use as the first argument of the first call of the callback.
+   * @returns {*} The value that results from the reduction.
+   */
+  reduce( callback, ...initialValue ) {
+    const items = _items.get( this );
+    return items.reduce( callback, ...initialValue );
+  }
+
+  /**
+   * Returns a new iterator that contains the items of the collection,
+   * so the collection can be used in for...of statements and spread syntax.
+   *
+   * @function EditableChildCollection#@@iterator
+   * @returns {Iterator.<EditableChildObject>} The iterator of the collection items.
+   */
+  [ Symbol.iterator ]() {
+    const items = _items.get( this );
+    return items[ Symbol.iterator ]();
+  }
+
+  /**
+   * Marks the item at the specified position to be deleted from the repository on next save.
+   *
+   * @function EditableChildCollection#removeAt
+   * @param {number} index - The index of the item to remove.
+   * @returns {EditableChildObject} The removed item, or undefined when there is no item at the index.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The index must be an integer.
+   */
+  removeAt(index) {
+    index = Argument.inMethod( this.$modelName, 'removeAt' )
+      .check(index).forMandatory( 'index' ).asInteger();
+    const item = _items.get( this )[ index ];
+    if (item)
+      item.remove();
+    return item;
+  }
+
+  /**
+   * Marks the item to be deleted from the repository on next save.
+   *
+   * @function EditableChildCollection#removeItem
+   * @param {EditableChildObject} item - The item to remove.
+   * @returns {boolean} True when the item is in the collection, otherwise false.
+   */
+  removeItem(item) {
+    const found = _items.get( this ).indexOf(item) >= 0;
+    if (found)
+      item.remove();
+    return found;
+  }
+
   //endregion
 }
 
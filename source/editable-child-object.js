@@ -11,7 +11,10 @@ const ModelError = require( './common/model-error.js' );
 const ExtensionManager = require( './common/extension-manager.js' );
 const EventHandlerList = require( './common/event-handler-list.js' );
 const DataStore = require( './common/data-store.js' );
+const auditFields = require( './common/audit-fields.js' );
+const changeRecorder = require( './common/change-recorder.js' );
 const DataType = require( './data-types/data-type.js' );
+const DateTimeType = require( './data-types/date-time.js' );
 
 const PropertyManager = require( './common/property-manager.js' );
 const PropertyContext = require( './common/property-context.js' );
@@ -29,7 +32,14 @@ const DataPortalAction = require( './common/data-portal-action.js' );
 const DataPortalContext = require( './common/data-portal-context.js' );
 const DataPortalEvent = require( './common/data-portal-event.js' );
 const DataPortalEventArgs = require( './common/data-portal-event-args.js' );
+const PropertyChangedEventArgs = require( './common/property-changed-event-args.js' );
+const StateChangedEventArgs = require( './common/state-changed-event-args.js' );
 const DataPortalError = require( './common/data-portal-error.js' );
+const ConcurrencyError = require( './common/concurrency-error.js' );
+const AbortError = require( './common/abort-error.js' );
+const dataPortalPipeline = require( './common/data-portal-pipeline.js' );
+const dataPortalRetry = require( './common/data-portal-retry.js' );
+const saveChildModels = require( './common/save-child-models.js' );
 
 //endregion
 
@@ -52,6 +62,7 @@ const _isValidated = new WeakMap();
 const _brokenRules = new WeakMap();
 const _dataContext = new WeakMap();
 const _dao = new WeakMap();
+const _editLevels = new WeakMap();
 
 //endregion
 
@@ -66,7 +77,7 @@ const _dao = new WeakMap();
  * -------------------------------------------------
  * pristine           |  o  |  -  |  +  |  +  |  -
  * -------------------------------------------------
- * created            |  +  |  o  |  o  | (-) |  +
+ * created            |  +  |  o  |  o* | (-) |  +
  * -------------------------------------------------
  * changed            |  +  |  -  |  o  |  +  |  -
  * -------------------------------------------------
@@ -80,22 +91,39 @@ const _dao = new WeakMap();
  *   -  :  not allowed transition, throws exception
  *   o  :  no change, no action
  *   N  :  impossible start up, throws exception
+ *   *  :  changed when saved while children isolated by savepoints have failed
  */
 
+function setState( state ) {
+  const oldState = _state.get( this );
+  _state.set( this, state );
+  if (state !== oldState) {
+    /**
+     * The event arises when the state of the business object has changed.
+     * @event EditableChildObject#stateChanged
+     * @param {bo.common.StateChangedEventArgs} eventArgs - State changed event arguments.
+     */
+    this.emit( 'stateChanged', new StateChangedEventArgs( this.$modelName, oldState, state ) );
+  }
+}
+
 function markAsPristine() {
   const state = _state.get( this );
   if (state === MODEL_STATE.markedForRemoval || state === MODEL_STATE.removed)
     illegal.call( this, MODEL_STATE.pristine );
-  else if (state !== MODEL_STATE.pristine) {
-    _state.set( this, MODEL_STATE.pristine );
+  else {
+    // Children isolated by savepoints are saved again on the next save.
+    setState.call( this, childrenAreDirty.call( this ) ? MODEL_STATE.changed : MODEL_STATE.pristine );
     _isDirty.set( this, false );
   }
+  _store.get( this ).setOriginalValues();
+  clearEditLevels.call( this );
 }
 
 function markAsCreated() {
   const state = _state.get( this );
   if (state === null) {
-    _state.set( this, MODEL_STATE.created );
+    setState.call( this, MODEL_STATE.created );
     _isDirty.set( this, true );
     propagateChange.call( this ); // up to the parent
   }
@@ -107,11 +135,14 @@ function markAsChanged( itself ) {
   const state = _state.get( this );
   const isDirty = _isDirty.get( this );
   if (state === MODEL_STATE.pristine) {
-    _state.set( this, MODEL_STATE.changed );
+    setState.call( this, MODEL_STATE.changed );
     _isDirty.set( this, isDirty || itself );
     propagateChange.call( this ); // up to the parent
     _isValidated.set( this, false );
   }
+  else if (state === MODEL_STATE.changed)
+    // The object itself can change after its children.
+    _isDirty.set( this, isDirty || itself );
   else if (state === MODEL_STATE.created) {
     _isDirty.set( this, isDirty || itself );
     propagateChange.call( this ); // up to the parent
@@ -124,13 +155,13 @@ function markAsChanged( itself ) {
 function markForRemoval() {
   const state = _state.get( this );
   if (state === MODEL_STATE.pristine || state === MODEL_STATE.changed) {
-    _state.set( this, MODEL_STATE.markedForRemoval );
+    setState.call( this, MODEL_STATE.markedForRemoval );
     _isDirty.set( this, true );
     propagateRemoval.call( this ); // down to children
     propagateChange.call( this ); // up to the parent
   }
   else if (state === MODEL_STATE.created)
-    _state.set( this, MODEL_STATE.removed );
+    setState.call( this, MODEL_STATE.removed );
   else if (state !== MODEL_STATE.markedForRemoval)
     illegal.call( this, MODEL_STATE.markedForRemoval );
 }
@@ -138,11 +169,12 @@ function markForRemoval() {
 function markAsRemoved() {
   const state = _state.get( this );
   if (state === MODEL_STATE.created || state === MODEL_STATE.markedForRemoval) {
-    _state.set( this, MODEL_STATE.removed );
+    setState.call( this, MODEL_STATE.removed );
     _isDirty.set( this, false );
   }
   else if (state !== MODEL_STATE.removed)
     illegal.call( this, MODEL_STATE.removed );
+  clearEditLevels.call( this );
 }
 
 function illegal( newState ) {
@@ -169,6 +201,49 @@ function propagateRemoval() {
 
 //endregion
 
+//region Edit levels
+
+function saveEditLevel() {
+  const editLevels = _editLevels.get( this );
+  editLevels.push( {
+    store: _store.get( this ).createSnapshot(),
+    state: _state.get( this ),
+    isDirty: _isDirty.get( this )
+  } );
+  _editLevels.set( this, editLevels );
+}
+
+function dropEditLevel( methodName ) {
+  const editLevels = _editLevels.get( this );
+  if (!editLevels.length)
+    throw new ModelError( 'noEditLevel', this.$modelName, methodName );
+  const editLevel = editLevels.pop();
+  _editLevels.set( this, editLevels );
+  return editLevel;
+}
+
+function restoreEditLevel( editLevel ) {
+  _store.get( this ).restoreSnapshot( editLevel.store );
+  setState.call( this, editLevel.state );
+  _isDirty.set( this, editLevel.isDirty );
+  _isValidated.set( this, false );
+}
+
+function clearEditLevels() {
+  // Saved values are outdated after a data portal action.
+  _editLevels.set( this, [] );
+}
+
+function propagateEdit( methodName ) {
+  const properties = _properties.get( this );
+  properties.children().forEach( property => {
+    const child = getPropertyValue.call( this, property );
+    child[ methodName ]();
+  } );
+}
+
+//endregion
+
 //region Transfer object methods
 
 function getTransferContext( authorize ) {
@@ -211,6 +286,25 @@ function toDto() {
     return baseToDto.call( this );
 }
 
+function toUpdateDto() {
+  const dto = toDto.call( this );
+  const extensions = _extensions.get( this );
+
+  if (extensions.updateChangedOnly) {
+    // Remove the unchanged values, except the identifiers.
+    const properties = _properties.get( this );
+    properties
+      .filter( property => {
+        return property.isOnDto && !property.isKey && !property.isParentKey && !property.isRowVersion &&
+          property.type instanceof DataType && !hasChanged.call( this, property );
+      } )
+      .forEach( property => {
+        delete dto[ property.name ];
+      } );
+  }
+  return dto;
+}
+
 function baseFromDto( dto ) {
   const self = this;
   const properties = _properties.get( this );
@@ -267,6 +361,53 @@ function baseFromCto( cto ) {
   }
 }
 
+function toTransfer() {
+  const properties = _properties.get( this );
+  const store = _store.get( this );
+  const transfer = {
+    state: _state.get( this ),
+    isDirty: _isDirty.get( this ),
+    data: {},
+    original: {},
+    children: {}
+  };
+  properties.forEach( property => {
+    if (property.type instanceof DataType) {
+      transfer.data[ property.name ] = store.getValue( property );
+      transfer.original[ property.name ] = store.getOriginalValue( property );
+    } else
+      transfer.children[ property.name ] = store.getValue( property ).$toTransfer();
+  } );
+  return transfer;
+}
+
+function fromTransfer( transfer ) {
+  const properties = _properties.get( this );
+  const store = _store.get( this );
+  const dataProperties = properties.filter( property => {
+    return property.type instanceof DataType;
+  } );
+
+  // Restore the original values first.
+  dataProperties.forEach( property => {
+    if (transfer.original[ property.name ] !== undefined)
+      store.setValue( property, transfer.original[ property.name ] );
+  } );
+  store.setOriginalValues();
+  dataProperties.forEach( property => {
+    if (transfer.data[ property.name ] !== undefined)
+      store.setValue( property, transfer.data[ property.name ] );
+  } );
+  properties.children().forEach( property => {
+    store.getValue( property ).$fromTransfer( transfer.children[ property.name ] );
+  } );
+
+  setState.call( this, transfer.state );
+  _isDirty.set( this, transfer.isDirty );
+  _isValidated.set( this, false );
+  clearEditLevels.call( this );
+}
+
 //endregion
 
 //region Permissions
@@ -327,13 +468,22 @@ function fetchChildren( dto ) {
   } ) );
 }
 
-function saveChildren( connection ) {
+function saveChildren( connection, errors ) {
   const self = this;
   const properties = _properties.get( this );
-  return Promise.all( properties.children().map( property => {
-    const child = getPropertyValue.call( self, property );
-    return child.save( connection );
-  } ) );
+  return saveChildModels( connection, properties.children().map( property => {
+    return getPropertyValue.call( self, property );
+  } ), errors );
+}
+
+function childrenAreDirty() {
+  const properties = _properties.get( this );
+  return properties.children().some( property => {
+    const child = getPropertyValue.call( this, property );
+    return child instanceof ModelBase ?
+      child.isDirty() :
+      child.some( item => item.isDirty() );
+  } );
 }
 
 function childrenAreValid() {
@@ -378,12 +528,27 @@ function getPropertyValue( property ) {
 
 function setPropertyValue( property, value ) {
   const store = _store.get( this );
+  // The old value is read for the listeners only.
+  const hasListeners = this.listenerCount( 'propertyChanged' ) > 0;
+  const oldValue = hasListeners ? store.getValue( property ) : undefined;
   if (store.setValue( property, value )) {
     _store.set( this, store );
     markAsChanged.call( this, true );
+    if (hasListeners)
+      raisePropertyChanged.call( this, property, oldValue );
   }
 }
 
+function getOriginalValue( property ) {
+  const store = _store.get( this );
+  return store.getOriginalValue( property );
+}
+
+function hasChanged( property ) {
+  const store = _store.get( this );
+  return store.hasChanged( property );
+}
+
 function readPropertyValue( property ) {
   if (canBeRead.call( this, property )) {
     const store = _store.get( this );
@@ -397,6 +562,8 @@ function readPropertyValue( property ) {
 
 function writePropertyValue( property, value ) {
   if (canBeWritten.call( this, property )) {
+    const hasListeners = this.listenerCount( 'propertyChanged' ) > 0;
+    const oldValue = hasListeners ? getPropertyValue.call( this, property ) : undefined;
     let changed = false;
     if (property.setter)
       changed = property.setter( getPropertyContext.call( this, property ), value );
@@ -405,11 +572,26 @@ function writePropertyValue( property, value ) {
       changed = store.setValue( property, value );
       _store.set( this, store );
     }
-    if (changed === true)
+    if (changed === true) {
       markAsChanged.call( this, true );
+      if (hasListeners)
+        raisePropertyChanged.call( this, property, oldValue );
+    }
   }
 }
 
+function raisePropertyChanged( property, oldValue ) {
+  /**
+   * The event arises when the value of a property of the business object has changed.
+   * @event EditableChildObject#propertyChanged
+   * @param {bo.common.PropertyChangedEventArgs} eventArgs - Property changed event arguments.
+   */
+  this.emit(
+    'propertyChanged',
+    new PropertyChangedEventArgs( this.$modelName, property.name, oldValue, getPropertyValue.call( this, property ) )
+  );
+}
+
 function getPropertyContext( primaryProperty ) {
   let propertyContext = _propertyContext.get( this );
   if (!propertyContext) {
@@ -486,6 +668,7 @@ function initialize( name, properties, rules, extensions, parent, eventHandlers
   _isDirty.set( this, false );
   _isValidated.set( this, false );
   _brokenRules.set( this, new BrokenRuleList( name ) );
+  _editLevels.set( this, [] );
   _dataContext.set( this, null );
 
   // Get data access object.
@@ -511,13 +694,19 @@ function getDataContext( connection ) {
       _dao.get( this ),
       properties.toArray(),
       getPropertyValue.bind( this ),
-      setPropertyValue.bind( this )
+      setPropertyValue.bind( this ),
+      getOriginalValue.bind( this ),
+      hasChanged.bind( this )
     );
     _dataContext.set( this, dataContext );
   }
   return dataContext.setState( connection, _isDirty.get( this ) );
 }
 
+function stampAudit( isNew ) {
+  auditFields.stamp( _properties.get( this ), setPropertyValue.bind( this ), isNew );
+}
+
 function raiseEvent( event, methodName, error ) {
   this.emit(
     DataPortalEvent.getName( event ),
@@ -526,7 +715,10 @@ function raiseEvent( event, methodName, error ) {
 }
 
 function wrapError( action, error ) {
-  return new DataPortalError( MODEL_DESC, this.$modelName, action, error );
+  // Concurrency violations and aborted actions are passed unchanged.
+  return error instanceof ConcurrencyError || error instanceof AbortError ?
+    error :
+    new DataPortalError( MODEL_DESC, this.$modelName, action, error );
 }
 
 //endregion
@@ -539,12 +731,22 @@ function data_create( connection ) {
 
     const dao = _dao.get( self );
     const extensions = _extensions.get( self );
+    // Remote clients create the children without data access.
+    if (config.transport) {
+      createChildren.call( self, null )
+        .then( none => {
+          markAsCreated.call( self );
+          fulfill( self );
+        } )
+        .catch( reject );
+    }
     // Does it have initializing method?
-    if (extensions.dataCreate || dao.$hasCreate()) {
+    else if (extensions.dataCreate || dao.$hasCreate()) {
       (connection ?
         Promise.resolve( connection ) :
         // Open connection.
-        config.connectionManager.openConnection( extensions.dataSource )
+        dataPortalRetry( self.$modelName, DataPortalAction.create, null, () =>
+          config.connectionManager.openConnection( extensions.dataSource ) )
           .then( dsc => {
             connection = dsc;
           } ))
@@ -558,14 +760,16 @@ function data_create( connection ) {
            */
           raiseEvent.call( self, DataPortalEvent.preCreate );
           // Execute creation.
-          return extensions.dataCreate ?
-            // *** Custom creation.
-            extensions.$runMethod( 'create', self, getDataContext.call( self, connection ) ) :
-            // *** Standard creation.
-            dao.$runMethod( 'create', connection )
-              .then( dto => {
-                fromDto.call( self, dto );
-              } );
+          return dataPortalPipeline( self.$modelName, DataPortalAction.create, connection, () => {
+            return extensions.dataCreate ?
+              // *** Custom creation.
+              extensions.$runMethod( 'create', self, getDataContext.call( self, connection ) ) :
+              // *** Standard creation.
+              dao.$runMethod( 'create', connection )
+                .then( dto => {
+                  fromDto.call( self, dto );
+                } );
+          } );
         } )
         .then( none => {
           // Create children as well.
@@ -629,14 +833,16 @@ function data_fetch( data, method ) {
       raiseEvent.call( self, DataPortalEvent.preFetch, method );
       // Execute fetch.
       const extensions = _extensions.get( self );
-      (extensions.dataFetch ?
-        // *** Custom fetch.
-        extensions.$runMethod( 'fetch', self, getDataContext.call( self, null ), data, method ) :
-        // *** Standard fetch.
-        new Promise( ( f, r ) => {
-          fromDto.call( self, data );
-          f( data );
-        } ))
+      dataPortalPipeline( self.$modelName, DataPortalAction.fetch, null, () => {
+        return extensions.dataFetch ?
+          // *** Custom fetch.
+          extensions.$runMethod( 'fetch', self, getDataContext.call( self, null ), data, method ) :
+          // *** Standard fetch.
+          new Promise( ( f, r ) => {
+            fromDto.call( self, data );
+            f( data );
+          } );
+      } )
         .then( none => {
           // Fetch children as well.
           return fetchChildren.call( self, data );
@@ -670,7 +876,7 @@ function data_fetch( data, method ) {
 
 //region Insert
 
-function data_insert( connection ) {
+function data_insert( connection, errors ) {
   const self = this;
   return new Promise( ( fulfill, reject ) => {
     // Check permissions.
@@ -697,20 +903,24 @@ function data_insert( connection ) {
         if (parentValue !== undefined)
           setPropertyValue.call( self, referenceProperty, parentValue );
       }
+      // Fill the audit properties.
+      stampAudit.call( self, true );
       // Execute insert.
       const dao = _dao.get( self );
       const extensions = _extensions.get( self );
-      (extensions.dataInsert ?
-        // *** Custom insert.
-        extensions.$runMethod( 'Insert', self, getDataContext.call( self, connection ) ) :
-        // *** Standard insert.
-        dao.$runMethod( 'insert', connection, toDto.call( self ) )
-          .then( dto => {
-            fromDto.call( self, dto );
-          } ))
+      dataPortalPipeline( self.$modelName, DataPortalAction.insert, connection, () => {
+        return extensions.dataInsert ?
+          // *** Custom insert.
+          extensions.$runMethod( 'Insert', self, getDataContext.call( self, connection ) ) :
+          // *** Standard insert.
+          dao.$runMethod( 'insert', connection, toDto.call( self ) )
+            .then( dto => {
+              fromDto.call( self, dto );
+            } );
+      } )
         .then( none => {
           // Insert children as well.
-          return saveChildren.call( self, connection );
+          return saveChildren.call( self, connection, errors );
         } )
         .then( none => {
           markAsPristine.call( self );
@@ -741,7 +951,7 @@ function data_insert( connection ) {
 
 //region Update
 
-function data_update( connection ) {
+function data_update( connection, errors ) {
   const self = this;
   return new Promise( ( fulfill, reject ) => {
     // Check permissions.
@@ -756,22 +966,27 @@ function data_update( connection ) {
       raiseEvent.call( self, DataPortalEvent.preUpdate );
       // Execute update.
       const isDirty = _isDirty.get( self );
+      // Fill the audit properties of the changed object.
+      if (isDirty)
+        stampAudit.call( self, false );
       const dao = _dao.get( self );
       const extensions = _extensions.get( self );
 
-      (extensions.dataUpdate ?
-        // *** Custom update.
-        extensions.$runMethod( 'update', self, getDataContext.call( self, connection ) ) :
-        // *** Standard update.
-        (isDirty ?
-          dao.$runMethod( 'update', connection, /* dto = */ toDto.call( self ) )
-            .then( dto => {
-              fromDto.call( self, dto );
-            } ) :
-          Promise.resolve( null )))
+      dataPortalPipeline( self.$modelName, DataPortalAction.update, connection, () => {
+        return extensions.dataUpdate ?
+          // *** Custom update.
+          extensions.$runMethod( 'update', self, getDataContext.call( self, connection ) ) :
+          // *** Standard update.
+          (isDirty ?
+            dao.$runMethod( 'update', connection, /* dto = */ toUpdateDto.call( self ) )
+              .then( dto => {
+                fromDto.call( self, dto );
+              } ) :
+            Promise.resolve( null ));
+      } )
         .then( none => {
           // Update children as well.
-          return saveChildren.call( self, connection );
+          return saveChildren.call( self, connection, errors );
         } )
         .then( none => {
           markAsPristine.call( self );
@@ -802,7 +1017,21 @@ function data_update( connection ) {
 
 //region Remove
 
-function data_remove( connection ) {
+function softRemove( connection ) {
+  // Mark the business object as deleted and update it.
+  const extensions = _extensions.get( this );
+  const property = _properties.get( this ).getByName( extensions.softDelete );
+  _store.get( this ).setValue( property, property.type instanceof DateTimeType ? config.now() : true );
+  stampAudit.call( this, false );
+  return extensions.dataUpdate ?
+    extensions.$runMethod( 'update', this, getDataContext.call( this, connection ) ) :
+    _dao.get( this ).$runMethod( 'update', connection, /* dto = */ toUpdateDto.call( this ) )
+      .then( dto => {
+        fromDto.call( this, dto );
+      } );
+}
+
+function data_remove( connection, errors ) {
   const self = this;
   return new Promise( ( fulfill, reject ) => {
     // Check permissions.
@@ -816,18 +1045,23 @@ function data_remove( connection ) {
        * @param {EditableChildObject} oldObject - The instance of the model before the data portal action.
        */
       raiseEvent.call( self, DataPortalEvent.preRemove );
-      // Remove children first.
-      saveChildren.call( self, connection )
+      // Remove children first, soft deleted objects keep their children.
+      const extensions = _extensions.get( self );
+      (extensions.softDelete ? Promise.resolve( null ) : saveChildren.call( self, connection, errors ))
         .then( none => {
           // Execute removal.
           const dao = _dao.get( self );
           const properties = _properties.get( self );
-          const extensions = _extensions.get( self );
-          return extensions.dataRemove ?
-            // *** Custom removal.
-            extensions.$runMethod( 'remove', self, getDataContext.call( self, connection ) ) :
-            // *** Standard removal.
-            dao.$runMethod( 'remove', connection, properties.getKey( getPropertyValue.bind( self ) ) );
+          return dataPortalPipeline( self.$modelName, DataPortalAction.remove, connection, () => {
+            return extensions.softDelete ?
+              // *** Soft deletion.
+              softRemove.call( self, connection ) :
+              extensions.dataRemove ?
+                // *** Custom removal.
+                extensions.$runMethod( 'remove', self, getDataContext.call( self, connection ) ) :
+                // *** Standard removal.
+                dao.$runMethod( 'remove', connection, properties.getKeyWithVersion( getPropertyValue.bind( self ) ) );
+          } );
         } )
         .then( none => {
           markAsRemoved.call( self );
@@ -856,6 +1090,35 @@ function data_remove( connection ) {
 
 //endregion
 
+//region Change recording
+
+function recordChanges() {
+  const state = _state.get( this );
+  const extensions = _extensions.get( this );
+  const action = state === MODEL_STATE.created ? DataPortalAction.insert :
+    state === MODEL_STATE.changed ? DataPortalAction.update :
+      state === MODEL_STATE.markedForRemoval ? DataPortalAction.remove :
+        null;
+  const finish = changeRecorder.record(
+    this.$modelName,
+    action,
+    _properties.get( this ),
+    getOriginalValue.bind( this ),
+    getPropertyValue.bind( this ),
+    action === DataPortalAction.remove && !extensions.softDelete
+  );
+  // The children failed in their savepoints are rolled back, their changes are not recorded.
+  return () => isSaved.call( this ) ? finish() : null;
+}
+
+function isSaved() {
+  const state = _state.get( this );
+  return state === MODEL_STATE.pristine || state === MODEL_STATE.removed ||
+    state === MODEL_STATE.changed && !_isDirty.get( this );
+}
+
+//endregion
+
 //endregion
 
 /**
@@ -1008,6 +1271,64 @@ class EditableChildObject extends ModelBase {
     return _state.get( this ) === MODEL_STATE.markedForRemoval;
   }
 
+  /**
+   * Gets the names of the properties whose values differ from the ones
+   * the business object had when it was retrieved from or saved to the repository.
+   *
+   * @function EditableChildObject#getChangedProperties
+   * @returns {Array.<string>} The names of the changed properties.
+   */
+  getChangedProperties() {
+    const properties = _properties.get( this );
+    return properties
+      .filter( property => {
+        return property.type instanceof DataType && hasChanged.call( this, property );
+      } )
+      .map( property => {
+        return property.name;
+      } );
+  }
+
+  /**
+   * Gets the value a property had when the business object was retrieved from
+   * or saved to the repository.
+   *
+   * @function EditableChildObject#getOriginalValue
+   * @param {string} propertyName - The name of the property.
+   * @returns {*} The original value of the property.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}:
+   *      The property name must be a non-empty string.
+   * @throws {@link bo.system.MethodError Method error}:
+   *      The model has no property with the given name.
+   */
+  getOriginalValue( propertyName ) {
+    propertyName = Argument.inMethod( this.$modelName, 'getOriginalValue' )
+      .check( propertyName ).forMandatory( 'propertyName' ).asString();
+    const properties = _properties.get( this );
+    return getOriginalValue.call( this, properties.getByName( propertyName ) );
+  }
+
+  /**
+   * Indicates whether the value of a property differs from the one
+   * the business object had when it was retrieved from or saved to the repository.
+   *
+   * @function EditableChildObject#isPropertyDirty
+   * @param {string} propertyName - The name of the property.
+   * @returns {boolean} True if the value of the property has been changed, otherwise false.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}:
+   *      The property name must be a non-empty string.
+   * @throws {@link bo.system.MethodError Method error}:
+   *      The model has no property with the given name.
+   */
+  isPropertyDirty( propertyName ) {
+    propertyName = Argument.inMethod( this.$modelName, 'isPropertyDirty' )
+      .check( propertyName ).forMandatory( 'propertyName' ).asString();
+    const properties = _properties.get( this );
+    return hasChanged.call( this, properties.getByName( propertyName ) );
+  }
+
   //endregion
 
   //region Transfer object methods
@@ -1087,6 +1408,44 @@ class EditableChildObject extends ModelBase {
     return properties.keyEquals( data, getPropertyValue.bind( this ) );
   }
 
+  /**
+   * Determines that the business object has the given key.
+   * <br/>_This method is called by the parent collection._
+   *
+   * @function EditableChildObject#$keyMatches
+   * @protected
+   * @param {*} key - The value of the key, or an object that contains the values of the key properties.
+   * @returns {boolean} True when the business object has the key, false otherwise.
+   */
+  $keyMatches( key ) {
+    const properties = _properties.get( this );
+    return properties.keyMatches( key, getPropertyValue.bind( this ) );
+  }
+
+  /**
+   * Exports the state of the business object to send to the other side of the remote data portal.
+   * <br/>_This method is called by the remote data portal._
+   *
+   * @function EditableChildObject#$toTransfer
+   * @protected
+   * @returns {object} The state of the business object.
+   */
+  $toTransfer() {
+    return toTransfer.call( this );
+  }
+
+  /**
+   * Restores the state of the business object received from the other side of the remote data portal.
+   * <br/>_This method is called by the remote data portal._
+   *
+   * @function EditableChildObject#$fromTransfer
+   * @protected
+   * @param {object} transfer - The state of the business object.
+   */
+  $fromTransfer( transfer ) {
+    fromTransfer.call( this, transfer );
+  }
+
   //endregion
 
   //region Actions
@@ -1125,30 +1484,40 @@ class EditableChildObject extends ModelBase {
    * @function EditableChildObject#save
    * @protected
    * @param {object} connection - The connection data.
+   * @param {Array.<Error>} [errors] - Collects the errors of the child objects isolated by savepoints.
    * @returns {Promise.<EditableChildObject>} Returns a promise to the saved editable child object.
    */
-  save( connection ) {
+  save( connection, errors ) {
     const self = this;
     return new Promise( ( fulfill, reject ) => {
       if (self.isValid()) {
         const state = _state.get( self );
         switch (state) {
           case MODEL_STATE.created:
-            data_insert.call( self, connection )
+            data_insert.call( self, connection, errors )
               .then( inserted => {
                 fulfill( inserted );
+              } )
+              .catch( reason => {
+                reject( reason );
               } );
             break;
           case MODEL_STATE.changed:
-            data_update.call( self, connection )
+            data_update.call( self, connection, errors )
               .then( updated => {
                 fulfill( updated );
+              } )
+              .catch( reason => {
+                reject( reason );
               } );
             break;
           case MODEL_STATE.markedForRemoval:
-            data_remove.call( self, connection )
+            data_remove.call( self, connection, errors )
               .then( removed => {
                 fulfill( removed );
+              } )
+              .catch( reason => {
+                reject( reason );
               } );
             break;
           default:
@@ -1167,6 +1536,73 @@ class EditableChildObject extends ModelBase {
     markForRemoval.call( this );
   }
 
+  /**
+   * Starts to record the changes of the business object and its children before they are saved.
+   * <br/>_This method is called by the parent object._
+   *
+   * @function EditableChildObject#$recordChanges
+   * @protected
+   * @returns {function} A function that returns the change set after the save,
+   *      or null when nothing has been changed.
+   */
+  $recordChanges() {
+    return recordChanges.call( this );
+  }
+
+  //endregion
+
+  //region Edit levels
+
+  /**
+   * Starts a new edit level. Saves the current property values and state
+   * of the business object and its child objects and collections.
+   *
+   * @function EditableChildObject#beginEdit
+   */
+  beginEdit() {
+    saveEditLevel.call( this );
+    propagateEdit.call( this, 'beginEdit' );
+  }
+
+  /**
+   * Restores the property values and state of the business object and its
+   * child objects and collections saved by the last beginEdit call.
+   *
+   * @function EditableChildObject#cancelEdit
+   *
+   * @throws {@link bo.common.ModelError Model error}:
+   *      The business object has no edit level.
+   */
+  cancelEdit() {
+    restoreEditLevel.call( this, dropEditLevel.call( this, 'cancelEdit' ) );
+    propagateEdit.call( this, 'cancelEdit' );
+  }
+
+  /**
+   * Keeps the changes made since the last beginEdit call and closes
+   * the current edit level of the business object and its child objects and collections.
+   *
+   * @function EditableChildObject#applyEdit
+   *
+   * @throws {@link bo.common.ModelError Model error}:
+   *      The business object has no edit level.
+   */
+  applyEdit() {
+    dropEditLevel.call( this, 'applyEdit' );
+    propagateEdit.call( this, 'applyEdit' );
+  }
+
+  /**
+   * Gets the count of the open edit levels. The edit levels are discarded
+   * when the business object is retrieved from or saved to the repository.
+   *
+   * @function EditableChildObject#getEditLevel
+   * @returns {number} The count of the edit levels.
+   */
+  getEditLevel() {
+    return _editLevels.get( this ).length;
+  }
+
   //endregion
 
   //region Validation
@@ -1265,6 +1701,8 @@ class EditableChildObjectFactory {
    *
    * @throws {@link bo.common.ModelError Model error}:
    *    The child objects must be EditableChildCollection or EditableChildObject instances.
+   * @throws {@link bo.common.ModelError Model error}:
+   *    The soft delete property must be a Boolean or DateTime property.
    */
   constructor( name, properties, rules, extensions ) {
     const check = Argument.inConstructor( ModelType.EditableChildObject );
@@ -1280,6 +1718,8 @@ class EditableChildObjectFactory {
       ModelType.EditableChildCollection,
       ModelType.EditableChildObject
     ] );
+    // Verify the property of soft deletion.
+    properties.verifySoftDelete( extensions.softDelete );
 
     // Create model definition.
     const Model = EditableChildObject.bind( undefined, name, properties, rules, extensions );
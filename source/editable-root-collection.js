@@ -22,7 +22,18 @@ const DataPortalAction = require( './common/data-portal-action.js' );
 const DataPortalContext = require( './common/data-portal-context.js' );
 const DataPortalEvent = require( './common/data-portal-event.js' );
 const DataPortalEventArgs = require( './common/data-portal-event-args.js' );
+const StateChangedEventArgs = require( './common/state-changed-event-args.js' );
+const CollectionChangedEventArgs = require( './common/collection-changed-event-args.js' );
 const DataPortalError = require( './common/data-portal-error.js' );
+const ConcurrencyError = require( './common/concurrency-error.js' );
+const PartialSaveError = require( './common/partial-save-error.js' );
+const AbortError = require( './common/abort-error.js' );
+const dataPortalPipeline = require( './common/data-portal-pipeline.js' );
+const DataPortalAbort = require( './common/data-portal-abort.js' );
+const dataPortalRetry = require( './common/data-portal-retry.js' );
+const fetchCache = require( './common/fetch-cache.js' );
+const saveChildModels = require( './common/save-child-models.js' );
+const changeRecorder = require( './common/change-recorder.js' );
 
 //endregion
 
@@ -44,6 +55,7 @@ const _brokenRules = new WeakMap();
 const _dataContext = new WeakMap();
 const _dao = new WeakMap();
 const _items = new WeakMap();
+const _editLevels = new WeakMap();
 
 //endregion
 
@@ -74,20 +86,35 @@ const _items = new WeakMap();
  *   N  :  impossible start up, throws exception
  */
 
+function setState( state ) {
+  const oldState = _state.get( this );
+  _state.set( this, state );
+  if (state !== oldState) {
+    /**
+     * The event arises when the state of the business object collection has changed.
+     * @event EditableRootCollection#stateChanged
+     * @param {bo.common.StateChangedEventArgs} eventArgs - State changed event arguments.
+     */
+    this.emit( 'stateChanged', new StateChangedEventArgs( this.$modelName, oldState, state ) );
+  }
+}
+
 function markAsPristine() {
   const state = _state.get( this );
   if (state === MODEL_STATE.markedForRemoval || state === MODEL_STATE.removed)
     illegal.call( this, MODEL_STATE.pristine );
-  else if (state !== MODEL_STATE.pristine) {
-    _state.set( this, MODEL_STATE.pristine );
+  else {
+    // Items isolated by savepoints are saved again on the next save.
+    setState.call( this, childrenAreDirty.call( this ) ? MODEL_STATE.changed : MODEL_STATE.pristine );
     _isDirty.set( this, false );
   }
+  clearEditLevels.call( this );
 }
 
 function markAsCreated() {
   const state = _state.get( this );
   if (state === null) {
-    _state.set( this, MODEL_STATE.created );
+    setState.call( this, MODEL_STATE.created );
     _isDirty.set( this, true );
   }
   else if (state !== MODEL_STATE.created)
@@ -98,7 +125,7 @@ function markAsChanged( itself ) {
   const state = _state.get( this );
   const isDirty = _isDirty.get( this );
   if (state === MODEL_STATE.pristine) {
-    _state.set( this, MODEL_STATE.changed );
+    setState.call( this, MODEL_STATE.changed );
     _isDirty.set( this, isDirty || itself );
     _isValidated.set( this, false );
   }
@@ -113,12 +140,12 @@ function markAsChanged( itself ) {
 function markForRemoval() {
   const state = _state.get( this );
   if (state === MODEL_STATE.pristine || state === MODEL_STATE.changed) {
-    _state.set( this, MODEL_STATE.markedForRemoval );
+    setState.call( this, MODEL_STATE.markedForRemoval );
     _isDirty.set( this, true );
     propagateRemoval.call( this ); // down to children
   }
   else if (state === MODEL_STATE.created)
-    _state.set( this, MODEL_STATE.removed );
+    setState.call( this, MODEL_STATE.removed );
   else if (state !== MODEL_STATE.markedForRemoval)
     illegal.call( this, MODEL_STATE.markedForRemoval );
 }
@@ -126,11 +153,12 @@ function markForRemoval() {
 function markAsRemoved() {
   const state = _state.get( this );
   if (state === MODEL_STATE.created || state === MODEL_STATE.markedForRemoval) {
-    _state.set( this, MODEL_STATE.removed );
+    setState.call( this, MODEL_STATE.removed );
     _isDirty.set( this, false );
   }
   else if (state !== MODEL_STATE.removed)
     illegal.call( this, MODEL_STATE.removed );
+  clearEditLevels.call( this );
 }
 
 function illegal( newState ) {
@@ -150,6 +178,81 @@ function propagateRemoval() {
 
 //endregion
 
+//region Edit levels
+
+function saveEditLevel() {
+  const editLevels = _editLevels.get( this );
+  editLevels.push( {
+    items: _items.get( this ).slice(),
+    state: _state.get( this ),
+    isDirty: _isDirty.get( this )
+  } );
+  _editLevels.set( this, editLevels );
+}
+
+function dropEditLevel( methodName ) {
+  const editLevels = _editLevels.get( this );
+  if (!editLevels.length)
+    throw new ModelError( 'noEditLevel', this.$modelName, methodName );
+  const editLevel = editLevels.pop();
+  _editLevels.set( this, editLevels );
+  return editLevel;
+}
+
+function restoreEditLevel( editLevel ) {
+  _items.set( this, editLevel.items.slice() );
+  setState.call( this, editLevel.state );
+  _isDirty.set( this, editLevel.isDirty );
+  _isValidated.set( this, false );
+}
+
+function clearEditLevels() {
+  // Saved items are outdated after a data portal action.
+  _editLevels.set( this, [] );
+}
+
+//endregion
+
+//region Item events
+
+function isRemoval( eventArgs ) {
+  const removed = MODEL_STATE.getName( MODEL_STATE.removed );
+  const markedForRemoval = MODEL_STATE.getName( MODEL_STATE.markedForRemoval );
+  return (eventArgs.newState === markedForRemoval || eventArgs.newState === removed) &&
+    eventArgs.oldState !== markedForRemoval;
+}
+
+function raiseItemEvent( eventName, item ) {
+  const index = _items.get( this ).indexOf( item );
+  // The items dropped by cancelEdit do not belong to the collection any more.
+  if (index >= 0)
+    this.emit( eventName, new CollectionChangedEventArgs( this.$modelName, index, item ) );
+}
+
+function attachItem( item ) {
+  item.on( 'propertyChanged', eventArgs => {
+    /**
+     * The event arises when a property of an item of the collection has changed.
+     * @event EditableRootCollection#itemChanged
+     * @param {bo.common.CollectionChangedEventArgs} eventArgs - Collection changed event arguments.
+     */
+    raiseItemEvent.call( this, 'itemChanged', item );
+  } );
+  item.on( 'stateChanged', eventArgs => {
+    if (isRemoval( eventArgs )) {
+      /**
+       * The event arises when an item of the collection has been removed.
+       * @event EditableRootCollection#itemRemoved
+       * @param {bo.common.CollectionChangedEventArgs} eventArgs - Collection changed event arguments.
+       */
+      raiseItemEvent.call( this, 'itemRemoved', item );
+    }
+  } );
+  return item;
+}
+
+//endregion
+
 //region Transfer object methods
 
 function getTransferContext() {
@@ -168,12 +271,40 @@ function baseFromCto( data ) {
   // Nothing to do.
 }
 
+function toTransfer() {
+  return {
+    state: _state.get( this ),
+    isDirty: _isDirty.get( this ),
+    items: _items.get( this ).map( item => {
+      return item.$toTransfer();
+    } )
+  };
+}
+
+function fromTransfer( transfer ) {
+  const itemType = _itemType.get( this );
+  const eventHandlers = _eventHandlers.get( this );
+  _items.set( this, transfer.items.map( data => {
+    const item = itemType.empty( this, eventHandlers );
+    item.$fromTransfer( data );
+    return attachItem.call( this, item );
+  } ) );
+
+  setState.call( this, transfer.state );
+  _isDirty.set( this, transfer.isDirty );
+  _isValidated.set( this, false );
+  clearEditLevels.call( this );
+}
+
 //endregion
 
 //region Permissions
 
 function getAuthorizationContext( action, targetName ) {
-  return new AuthorizationContext( action, targetName || '', _brokenRules.get( this ) );
+  const brokenRules = _brokenRules.get( this );
+  return _extensions.get( this ).$runInEnvironment( () => {
+    return new AuthorizationContext( action, targetName || '', brokenRules );
+  } );
 }
 
 function canDo( action ) {
@@ -207,7 +338,7 @@ function fetchChildren( data ) {
         // Add loaded items to the collection.
         const items = _items.get( self );
         list.forEach( item => {
-          items.push( item );
+          items.push( attachItem.call( self, item ) );
         } );
         _items.set( self, items );
         // Nothing to return.
@@ -216,11 +347,15 @@ function fetchChildren( data ) {
     Promise.resolve( null );
 }
 
-function saveChildren( connection ) {
+function saveChildren( connection, errors ) {
+  return saveChildModels( connection, _items.get( this ), errors );
+}
+
+function childrenAreDirty() {
   const items = _items.get( this );
-  return Promise.all( items.map( item => {
-    return item.save( connection );
-  } ) );
+  return items.some( item => {
+    return item.isDirty();
+  } );
 }
 
 function childrenAreValid() {
@@ -274,6 +409,7 @@ function initialize( name, itemType, rules, extensions, eventHandlers ) {
   _brokenRules.set( this, new BrokenRuleList( name ) );
   _dataContext.set( this, null );
   _items.set( this, [] );
+  _editLevels.set( this, [] );
 
   // Get data access object.
   _dao.set( this, extensions.getDataAccessObject( name ) );
@@ -314,16 +450,52 @@ function raiseSave( event, action, error ) {
 }
 
 function wrapError( action, error ) {
-  return new DataPortalError( MODEL_DESC, this.$modelName, action, error );
+  // Concurrency violations and aborted actions are passed unchanged.
+  return error instanceof ConcurrencyError || error instanceof AbortError ?
+    error :
+    new DataPortalError( MODEL_DESC, this.$modelName, action, error );
+}
+
+//endregion
+
+//region Remote
+
+function data_remote( action, filter, method, options ) {
+  const self = this;
+  const abort = new DataPortalAbort( self.$modelName, action, options );
+  return abort.watch( abort.race( () => config.transport.$execute( {
+    modelName: self.$modelName,
+    action: DataPortalAction.getName( action ),
+    filter: filter,
+    method: method,
+    transfer: action === DataPortalAction.create || action === DataPortalAction.fetch ?
+      null :
+      toTransfer.call( self )
+  }, abort.signal ) )
+    .then( transfer => {
+      // The removed model has no state to return.
+      if (action === DataPortalAction.remove) {
+        markAsRemoved.call( self );
+        return null;
+      }
+      fromTransfer.call( self, transfer );
+      return self;
+    } )
+    .catch( reason => {
+      throw wrapError.call( self, action, reason );
+    } ) );
 }
 
 //endregion
 
 //region Create
 
-function data_create() {
+function data_create( options ) {
+  if (config.transport)
+    return data_remote.call( this, DataPortalAction.create, null, null, options );
   const self = this;
-  return new Promise( ( fulfill, reject ) => {
+  const abort = new DataPortalAbort( self.$modelName, DataPortalAction.create, options );
+  return abort.watch( new Promise( ( fulfill, reject ) => {
 
     // Launch start event.
     /**
@@ -334,27 +506,42 @@ function data_create() {
      */
     raiseEvent.call( self, DataPortalEvent.preCreate );
     // Execute creation - nothing to do.
-    markAsCreated.call( self );
-    // Launch finish event.
-    /**
-     * The event arises after the business object collection has been initialized in the repository.
-     * @event EditableRootCollection#postCreate
-     * @param {bo.common.DataPortalEventArgs} eventArgs - Data portal event arguments.
-     * @param {EditableRootCollection} newObject - The instance of the collection after the data portal action.
-     */
-    raiseEvent.call( self, DataPortalEvent.postCreate );
-    // Return the new editable root collection.
-    fulfill( self );
-  } );
+    abort.race( () => dataPortalPipeline( self.$modelName, DataPortalAction.create, null, () => {
+      markAsCreated.call( self );
+    } ) )
+      .then( none => {
+        // Launch finish event.
+        /**
+         * The event arises after the business object collection has been initialized in the repository.
+         * @event EditableRootCollection#postCreate
+         * @param {bo.common.DataPortalEventArgs} eventArgs - Data portal event arguments.
+         * @param {EditableRootCollection} newObject - The instance of the collection after the data portal action.
+         */
+        raiseEvent.call( self, DataPortalEvent.postCreate );
+        // Return the new editable root collection.
+        fulfill( self );
+      } )
+      .catch( reason => {
+        // Wrap the intercepted error.
+        const dpe = wrapError.call( self, DataPortalAction.create, reason );
+        // Launch finish event.
+        raiseEvent.call( self, DataPortalEvent.postCreate, null, dpe );
+        // Pass the error.
+        reject( dpe );
+      } );
+  } ) );
 }
 
 //endregion
 
 //region Fetch
 
-function data_fetch( filter, method ) {
+function data_fetch( filter, method, options ) {
+  if (config.transport)
+    return data_remote.call( this, DataPortalAction.fetch, filter, method, options );
   const self = this;
-  return new Promise( ( fulfill, reject ) => {
+  const abort = new DataPortalAbort( self.$modelName, DataPortalAction.fetch, options );
+  return abort.watch( new Promise( ( fulfill, reject ) => {
     // Check permissions.
     if (method === M_FETCH ?
         canDo.call( self, AuthorizationAction.fetchObject ) :
@@ -363,9 +550,11 @@ function data_fetch( filter, method ) {
       let connection = null;
       const extensions = _extensions.get( self );
       // Open connection.
-      config.connectionManager.openConnection( extensions.dataSource )
+      dataPortalRetry( self.$modelName, DataPortalAction.fetch, abort.signal, () =>
+        config.connectionManager.openConnection( extensions.dataSource ) )
         .then( dsc => {
           connection = dsc;
+          abort.attach( connection );
           // Launch start event.
           /**
            * The event arises before the collection instance will be retrieved from the repository.
@@ -376,12 +565,14 @@ function data_fetch( filter, method ) {
           raiseEvent.call( self, DataPortalEvent.preFetch, method );
           // Execute fetch.
           const dao = _dao.get( self );
-          return extensions.dataFetch ?
-            // *** Custom fetch.
-            extensions.$runMethod( 'fetch', self, getDataContext.call( self, connection ), filter, method ) :
-            // *** Standard fetch.
-            // Root element fetches all data from repository.
-            dao.$runMethod( method, connection, filter );
+          return dataPortalPipeline( self.$modelName, DataPortalAction.fetch, connection, () => {
+            return extensions.dataFetch ?
+              // *** Custom fetch.
+              extensions.$runMethod( 'fetch', self, getDataContext.call( self, connection ), filter, method ) :
+              // *** Standard fetch.
+              // Root element fetches all data from repository.
+              dao.$runMethod( method, connection, filter );
+          } );
         } )
         .then( dto => {
           // Load children.
@@ -417,25 +608,32 @@ function data_fetch( filter, method ) {
             } );
         } );
     }
-  } );
+  } ) );
 }
 
 //endregion
 
 //region Insert
 
-function data_insert() {
+function data_insert( transaction, options, errors ) {
+  if (config.transport)
+    return data_remote.call( this, DataPortalAction.insert, null, null, options );
   const self = this;
-  return new Promise( ( fulfill, reject ) => {
+  const abort = new DataPortalAbort( self.$modelName, DataPortalAction.insert, options );
+  return abort.watch( new Promise( ( fulfill, reject ) => {
     // Check permissions.
     if (canDo.call( self, AuthorizationAction.createObject )) {
 
       let connection = null;
       const extensions = _extensions.get( self );
       // Start transaction.
-      config.connectionManager.beginTransaction( extensions.dataSource )
+      (transaction ?
+        Promise.resolve( transaction ) :
+        dataPortalRetry( self.$modelName, DataPortalAction.insert, abort.signal, () =>
+          config.connectionManager.beginTransaction( extensions.dataSource ) ))
         .then( dsc => {
           connection = dsc;
+          abort.attach( connection );
           // Launch start event.
           raiseSave.call( self, DataPortalEvent.preSave, DataPortalAction.insert );
           /**
@@ -447,7 +645,9 @@ function data_insert() {
           raiseEvent.call( self, DataPortalEvent.preInsert );
           // Execute insert - nothing to do.
           // Insert children as well.
-          return saveChildren.call( self, connection );
+          return dataPortalPipeline( self.$modelName, DataPortalAction.insert, connection, () => {
+            return saveChildren.call( self, connection, errors );
+          } );
         } )
         .then( none => {
           markAsPristine.call( self );
@@ -461,7 +661,9 @@ function data_insert() {
           raiseEvent.call( self, DataPortalEvent.postInsert );
           raiseSave.call( self, DataPortalEvent.postSave, DataPortalAction.insert );
           // Finish transaction.
-          return config.connectionManager.commitTransaction( extensions.dataSource, connection )
+          return (transaction ?
+            Promise.resolve( null ) :
+            config.connectionManager.commitTransaction( extensions.dataSource, connection ))
             .then( none => {
               // Return the created editable root collection.
               fulfill( self );
@@ -476,32 +678,41 @@ function data_insert() {
             raiseSave.call( self, DataPortalEvent.postSave, DataPortalAction.insert, dpe );
           }
           // Undo transaction.
-          config.connectionManager.rollbackTransaction( extensions.dataSource, connection )
+          (transaction ?
+            Promise.resolve( null ) :
+            config.connectionManager.rollbackTransaction( extensions.dataSource, connection ))
             .then( none => {
               // Pass the error.
               reject( dpe );
             } );
         } );
     }
-  } );
+  } ) );
 }
 
 //endregion
 
 //region Update
 
-function data_update() {
+function data_update( transaction, options, errors ) {
+  if (config.transport)
+    return data_remote.call( this, DataPortalAction.update, null, null, options );
   const self = this;
-  return new Promise( ( fulfill, reject ) => {
+  const abort = new DataPortalAbort( self.$modelName, DataPortalAction.update, options );
+  return abort.watch( new Promise( ( fulfill, reject ) => {
     // Check permissions.
     if (canDo.call( self, AuthorizationAction.updateObject )) {
 
       let connection = null;
       const extensions = _extensions.get( self );
       // Start transaction.
-      config.connectionManager.beginTransaction( extensions.dataSource )
+      (transaction ?
+        Promise.resolve( transaction ) :
+        dataPortalRetry( self.$modelName, DataPortalAction.update, abort.signal, () =>
+          config.connectionManager.beginTransaction( extensions.dataSource ) ))
         .then( dsc => {
           connection = dsc;
+          abort.attach( connection );
           // Launch start event.
           raiseSave.call( self, DataPortalEvent.preSave, DataPortalAction.update );
           /**
@@ -513,7 +724,9 @@ function data_update() {
           raiseEvent.call( self, DataPortalEvent.preUpdate );
           // Execute update - nothing to do.
           // Update children as well.
-          return saveChildren.call( self, connection );
+          return dataPortalPipeline( self.$modelName, DataPortalAction.update, connection, () => {
+            return saveChildren.call( self, connection, errors );
+          } );
         } )
         .then( none => {
           markAsPristine.call( self );
@@ -527,7 +740,9 @@ function data_update() {
           raiseEvent.call( self, DataPortalEvent.postUpdate );
           raiseSave.call( self, DataPortalEvent.postSave, DataPortalAction.update );
           // Finish transaction.
-          config.connectionManager.commitTransaction( extensions.dataSource, connection )
+          (transaction ?
+            Promise.resolve( null ) :
+            config.connectionManager.commitTransaction( extensions.dataSource, connection ))
             .then( none => {
               // Return the updated editable root collection.
               fulfill( self );
@@ -542,32 +757,41 @@ function data_update() {
             raiseSave.call( self, DataPortalEvent.postSave, DataPortalAction.update, dpe );
           }
           // Undo transaction.
-          config.connectionManager.rollbackTransaction( extensions.dataSource, connection )
+          (transaction ?
+            Promise.resolve( null ) :
+            config.connectionManager.rollbackTransaction( extensions.dataSource, connection ))
             .then( none => {
               // Pass the error.
               reject( dpe );
             } );
         } );
     }
-  } );
+  } ) );
 }
 
 //endregion
 
 //region Remove
 
-function data_remove() {
+function data_remove( transaction, options, errors ) {
+  if (config.transport)
+    return data_remote.call( this, DataPortalAction.remove, null, null, options );
   const self = this;
-  return new Promise( ( fulfill, reject ) => {
+  const abort = new DataPortalAbort( self.$modelName, DataPortalAction.remove, options );
+  return abort.watch( new Promise( ( fulfill, reject ) => {
     // Check permissions.
     if (canDo.call( self, AuthorizationAction.removeObject )) {
 
       let connection = null;
       const extensions = _extensions.get( self );
       // Start transaction.
-      config.connectionManager.beginTransaction( extensions.dataSource )
+      (transaction ?
+        Promise.resolve( transaction ) :
+        dataPortalRetry( self.$modelName, DataPortalAction.remove, abort.signal, () =>
+          config.connectionManager.beginTransaction( extensions.dataSource ) ))
         .then( dsc => {
           connection = dsc;
+          abort.attach( connection );
           // Launch start event.
           raiseSave.call( self, DataPortalEvent.preSave, DataPortalAction.remove );
           /**
@@ -578,7 +802,9 @@ function data_remove() {
            */
           raiseEvent.call( self, DataPortalEvent.preRemove );
           // Remove children first.
-          return saveChildren.call( self, connection );
+          return dataPortalPipeline( self.$modelName, DataPortalAction.remove, connection, () => {
+            return saveChildren.call( self, connection, errors );
+          } );
         } )
         .then( none => {
           // Execute removal - nothing to do.
@@ -593,7 +819,9 @@ function data_remove() {
           raiseEvent.call( self, DataPortalEvent.postRemove );
           raiseSave.call( self, DataPortalEvent.postSave, DataPortalAction.remove );
           // Finish transaction.
-          config.connectionManager.commitTransaction( extensions.dataSource, connection )
+          (transaction ?
+            Promise.resolve( null ) :
+            config.connectionManager.commitTransaction( extensions.dataSource, connection ))
             .then( none => {
               // Nothing to return;
               fulfill( null );
@@ -608,18 +836,102 @@ function data_remove() {
             raiseSave.call( self, DataPortalEvent.postSave, DataPortalAction.remove, dpe );
           }
           // Undo transaction.
-          config.connectionManager.rollbackTransaction( extensions.dataSource, connection )
+          (transaction ?
+            Promise.resolve( null ) :
+            config.connectionManager.rollbackTransaction( extensions.dataSource, connection ))
             .then( none => {
               // Pass the error.
               reject( dpe );
             } );
         } );
     }
+  } ) );
+}
+
+//endregion
+
+//region Save
+
+function data_save( transaction, options, errors ) {
+  const self = this;
+
+  function expelRemovedItems() {
+    let items = _items.get( self );
+    items = items.filter( item => {
+      return item.getModelState() !== MODEL_STATE.getName( MODEL_STATE.removed );
+    } );
+    _items.set( self, items );
+  }
+
+  return new Promise( ( fulfill, reject ) => {
+    if (self.isValid()) {
+      /**
+       * The event arises before the business object collection will be saved in the repository.
+       * The event is followed by a preInsert, preUpdate or preRemove event depending on the
+       * state of the business object collection.
+       * @event EditableRootCollection#preSave
+       * @param {bo.common.DataPortalEventArgs} eventArgs - Data portal event arguments.
+       * @param {EditableRootCollection} oldObject - The instance of the collection before the data portal action.
+       */
+      let state = _state.get( self );
+      switch (state) {
+        case MODEL_STATE.created:
+          data_insert.call( self, transaction, options, errors )
+            .then( inserted => {
+              fulfill( inserted );
+            } )
+            .catch( reason => {
+              reject( reason );
+            } );
+          break;
+        case MODEL_STATE.changed:
+          data_update.call( self, transaction, options, errors )
+            .then( updated => {
+              expelRemovedItems();
+              fulfill( updated );
+            } )
+            .catch( reason => {
+              reject( reason );
+            } );
+          break;
+        case MODEL_STATE.markedForRemoval:
+          data_remove.call( self, transaction, options, errors )
+            .then( removed => {
+              expelRemovedItems();
+              fulfill( removed );
+            } )
+            .catch( reason => {
+              reject( reason );
+            } );
+          break;
+        default:
+          fulfill( self );
+      }
+      /**
+       * The event arises after the business object collection has been saved in the repository.
+       * The event is preceded by a postInsert, postUpdate or postRemove event depending on the
+       * state of the business object collection.
+       * @event EditableRootCollection#postSave
+       * @param {bo.common.DataPortalEventArgs} eventArgs - Data portal event arguments.
+       * @param {EditableRootCollection} newObject - The instance of the collection after the data portal action.
+       */
+    }
   } );
 }
 
 //endregion
 
+//region Change recording
+
+function recordChanges() {
+  const recorders = _items.get( this ).map( item => item.$recordChanges() );
+  return () => recorders
+    .map( finish => finish() )
+    .filter( changeSet => changeSet !== null );
+}
+
+//endregion
+
 //endregion
 
 /**
@@ -668,7 +980,9 @@ class EditableRootCollection extends CollectionBase {
     this.$modelName = name;
 
     // Initialize the instance.
-    initialize.call( this, name, itemType, rules, extensions, eventHandlers );
+    extensions.$runInEnvironment( () => {
+      initialize.call( this, name, itemType, rules, extensions, eventHandlers );
+    } );
   }
 
   //endregion
@@ -875,6 +1189,10 @@ class EditableRootCollection extends CollectionBase {
                 } ) )
                   .then( values => {
                     _items.set( self, items );
+                    newItems.forEach( newItem => {
+                      attachItem.call( self, newItem );
+                      raiseItemEvent.call( self, 'itemAdded', newItem );
+                    } );
                     // Finished.
                     fulfill( self );
                   } )
@@ -886,6 +1204,30 @@ class EditableRootCollection extends CollectionBase {
     } );
   }
 
+  /**
+   * Exports the state of the business object collection to send to the other side of the remote data portal.
+   * <br/>_This method is called by the remote data portal._
+   *
+   * @function EditableRootCollection#$toTransfer
+   * @protected
+   * @returns {object} The state of the business object collection.
+   */
+  $toTransfer() {
+    return toTransfer.call( this );
+  }
+
+  /**
+   * Restores the state of the business object collection received from the other side of the remote data portal.
+   * <br/>_This method is called by the remote data portal._
+   *
+   * @function EditableRootCollection#$fromTransfer
+   * @protected
+   * @param {object} transfer - The state of the business object collection.
+   */
+  $fromTransfer( transfer ) {
+    fromTransfer.call( this, transfer );
+  }
+
   //endregion
 
   //region Actions
@@ -896,6 +1238,9 @@ class EditableRootCollection extends CollectionBase {
    *
    * @function EditableRootCollection#create
    * @protected
+   * @param {object} [options] - The options of the data portal action.
+   * @param {AbortSignal} [options.signal] - The signal to abort the action.
+   * @param {number} [options.timeout] - The time limit of the action in milliseconds.
    * @returns {Promise.<EditableRootCollection>} Returns a promise to the new editable root collection.
    *
    * @throws {@link bo.system.ArgumentError Argument error}:
@@ -904,9 +1249,11 @@ class EditableRootCollection extends CollectionBase {
    *      The user has no permission to execute the action.
    * @throws {@link bo.common.DataPortalError Data portal error}:
    *      Creating the business object collection has failed.
+   * @throws {@link bo.common.AbortError Abort error}:
+   *      The action has been aborted or its time limit has elapsed.
    */
-  create() {
-    return data_create.call( this );
+  create( options ) {
+    return _extensions.get( this ).$runInEnvironment( () => data_create.call( this, options ) );
   }
 
   /**
@@ -921,13 +1268,20 @@ class EditableRootCollection extends CollectionBase {
     const itemType = _itemType.get( this );
     const eventHandlers = _eventHandlers.get( this );
 
-    return itemType.create( this, eventHandlers )
+    return _extensions.get( this ).$runInEnvironment( () => itemType.create( this, eventHandlers ) )
       .then( item => {
         const items = _items.get( self );
         let ix = parseInt( index, 10 );
         ix = isNaN( ix ) ? items.length : ix;
         items.splice( ix, 0, item );
         _items.set( self, items );
+        attachItem.call( self, item );
+        /**
+         * The event arises when a new item has been added to the collection.
+         * @event EditableRootCollection#itemAdded
+         * @param {bo.common.CollectionChangedEventArgs} eventArgs - Collection changed event arguments.
+         */
+        raiseItemEvent.call( self, 'itemAdded', item );
         return item;
       } );
   }
@@ -940,6 +1294,9 @@ class EditableRootCollection extends CollectionBase {
    * @protected
    * @param {*} [filter] - The filter criteria.
    * @param {string} [method] - An alternative fetch method of the data access object.
+   * @param {object} [options] - The options of the data portal action.
+   * @param {AbortSignal} [options.signal] - The signal to abort the action.
+   * @param {number} [options.timeout] - The time limit of the action in milliseconds.
    * @returns {Promise.<EditableRootCollection>} Returns a promise to the retrieved editable root collection.
    *
    * @throws {@link bo.system.ArgumentError Argument error}:
@@ -950,18 +1307,25 @@ class EditableRootCollection extends CollectionBase {
    *      The user has no permission to execute the action.
    * @throws {@link bo.common.DataPortalError Data portal error}:
    *      Fetching the business object collection has failed.
+   * @throws {@link bo.common.AbortError Abort error}:
+   *      The action has been aborted or its time limit has elapsed.
    */
-  fetch( filter, method ) {
+  fetch( filter, method, options ) {
     method = Argument.inMethod( this.$modelName, 'fetch' )
       .check( method ).forOptional( 'method' ).asString();
-    return data_fetch.call( this, filter, method || M_FETCH );
+    return _extensions.get( this ).$runInEnvironment( () => data_fetch.call( this, filter, method || M_FETCH, options ) );
   }
 
   /**
    * Saves the changes of the business object collection to the repository.
+   * The cached data of the models declared by the evicts extension is removed after the save.
+   * When the recordChanges extension is set, the changes are passed to the audit sink of the configuration.
    *
    * @function EditableRootCollection#save
-   * @return {Promise.<EditableRootCollection>} Returns a promise to the saved editable root collection.
+   * @param {object} [options] - The options of the data portal action.
+   * @param {AbortSignal} [options.signal] - The signal to abort the action.
+   * @param {number} [options.timeout] - The time limit of the action in milliseconds.
+   * @returns {Promise.<EditableRootCollection>} Returns a promise to the saved editable root collection.
    *
    * @throws {@link bo.system.ArgumentError Argument error}:
    *      The callback must be a function.
@@ -973,62 +1337,46 @@ class EditableRootCollection extends CollectionBase {
    *      Updating the business object collection has failed.
    * @throws {@link bo.common.DataPortalError Data portal error}:
    *      Deleting the business object collection has failed.
+   * @throws {@link bo.common.ConcurrencyError Concurrency error}:
+   *      The business object collection has been modified by another user.
+   * @throws {@link bo.common.PartialSaveError Partial save error}:
+   *      Some child objects have failed to save in their savepoints, the others have been saved.
+   * @throws {@link bo.common.AbortError Abort error}:
+   *      The action has been aborted or its time limit has elapsed.
    */
-  save() {
-    const self = this;
-
-    function expelRemovedItems() {
-      let items = _items.get( self );
-      items = items.filter( item => {
-        return item.getModelState() !== MODEL_STATE.getName( MODEL_STATE.removed );
-      } );
-      _items.set( self, items );
-    }
+  save( options ) {
+    const extensions = _extensions.get( this );
+    return extensions.$runInEnvironment( () => {
+      const finish = extensions.recordChanges && changeRecorder.isEnabled() ? recordChanges.call( this ) : null;
+      const errors = [];
+      return data_save.call( this, null, options, errors )
+        .then( saved => fetchCache.evictDeclared( extensions )
+          .then( none => finish ? changeRecorder.write( finish() ) : null )
+          .then( none => errors.length ?
+            Promise.reject( new PartialSaveError( this.$modelName, this, errors ) ) :
+            saved ) );
+    } );
+  }
 
-    return new Promise( ( fulfill, reject ) => {
-      if (self.isValid()) {
-        /**
-         * The event arises before the business object collection will be saved in the repository.
-         * The event is followed by a preInsert, preUpdate or preRemove event depending on the
-         * state of the business object collection.
-         * @event EditableRootCollection#preSave
-         * @param {bo.common.DataPortalEventArgs} eventArgs - Data portal event arguments.
-         * @param {EditableRootCollection} oldObject - The instance of the collection before the data portal action.
-         */
-        let state = _state.get( self );
-        switch (state) {
-          case MODEL_STATE.created:
-            data_insert.call( self )
-              .then( inserted => {
-                fulfill( inserted );
-              } );
-            break;
-          case MODEL_STATE.changed:
-            data_update.call( self )
-              .then( updated => {
-                expelRemovedItems();
-                fulfill( updated );
-              } );
-            break;
-          case MODEL_STATE.markedForRemoval:
-            data_remove.call( self )
-              .then( removed => {
-                expelRemovedItems();
-                fulfill( removed );
-              } );
-            break;
-          default:
-            fulfill( self );
-        }
-        /**
-         * The event arises after the business object collection has been saved in the repository.
-         * The event is preceded by a postInsert, postUpdate or postRemove event depending on the
-         * state of the business object collection.
-         * @event EditableRootCollection#postSave
-         * @param {bo.common.DataPortalEventArgs} eventArgs - Data portal event arguments.
-         * @param {EditableRootCollection} newObject - The instance of the collection after the data portal action.
-         */
-      }
+  /**
+   * Saves the changes of the business object collection to the repository in the transaction
+   * of a unit of work. The transaction is neither committed nor rolled back.
+   * The children are saved without savepoints, so the failure of any child fails the unit of work.
+   * The changes recorded by the recordChanges extension are written after the transaction is committed.
+   * <br/>_This method is called by the unit of work._
+   *
+   * @function EditableRootCollection#$save
+   * @protected
+   * @param {object} connection - The connection of the transaction.
+   * @returns {Promise.<EditableRootCollection>} Returns a promise to the saved editable root collection.
+   */
+  $save( connection ) {
+    const extensions = _extensions.get( this );
+    return extensions.$runInEnvironment( () => {
+      const finish = extensions.recordChanges && changeRecorder.isEnabled() ? recordChanges.call( this ) : null;
+      return data_save.call( this, connection )
+        .then( saved => (finish ? changeRecorder.write( finish() ) : Promise.resolve( null ))
+          .then( none => saved ) );
     } );
   }
 
@@ -1043,6 +1391,68 @@ class EditableRootCollection extends CollectionBase {
 
   //endregion
 
+  //region Edit levels
+
+  /**
+   * Starts a new edit level. Saves the current items and state of
+   * the business object collection, and starts a new edit level on the items.
+   *
+   * @function EditableRootCollection#beginEdit
+   */
+  beginEdit() {
+    saveEditLevel.call( this );
+    this.forEach( item => {
+      item.beginEdit();
+    } );
+  }
+
+  /**
+   * Restores the items and state of the business object collection saved by
+   * the last beginEdit call. Items added since then are dropped, the changes
+   * of the former items - including removal - are cancelled.
+   *
+   * @function EditableRootCollection#cancelEdit
+   *
+   * @throws {@link bo.common.ModelError Model error}:
+   *      The business object collection has no edit level.
+   */
+  cancelEdit() {
+    const editLevel = dropEditLevel.call( this, 'cancelEdit' );
+    restoreEditLevel.call( this, editLevel );
+    editLevel.items.forEach( item => {
+      item.cancelEdit();
+    } );
+  }
+
+  /**
+   * Keeps the changes made since the last beginEdit call and closes
+   * the current edit level of the business object collection and its items.
+   *
+   * @function EditableRootCollection#applyEdit
+   *
+   * @throws {@link bo.common.ModelError Model error}:
+   *      The business object collection has no edit level.
+   */
+  applyEdit() {
+    const editLevel = dropEditLevel.call( this, 'applyEdit' );
+    editLevel.items.forEach( item => {
+      item.applyEdit();
+    } );
+  }
+
+  /**
+   * Gets the count of the open edit levels. The edit levels are discarded
+   * when the business object collection is retrieved from or saved to the repository.
+   *
+   * @function EditableRootCollection#getEditLevel
+   * @returns {number} The count of the edit levels.
+   */
+  getEditLevel() {
+    return _editLevels.get( this ).length;
+  }
+
+  //endregion
+
   //region Validation
 
   /**
@@ -1101,7 +1511,8 @@ class EditableRootCollection extends CollectionBase {
    */
   getResponse( message, namespace ) {
     const output = this.getBrokenRules( namespace );
-    return output ? new config.brokenRulesResponse( output, message ) : null;
+    const BrokenRulesResponse = _extensions.get( this ).$runInEnvironment( () => config.brokenRulesResponse );
+    return output ? new BrokenRulesResponse( output, message ) : null;
   };
 
   //endregion
@@ -1194,9 +1605,122 @@ class EditableRootCollection extends CollectionBase {
     const items = _items.get( this );
     const sorted = items.sort( fnCompare );
     _items.set( this, sorted );
+    /**
+     * The event arises when the items of the collection have been sorted.
+     * @event EditableRootCollection#sorted
+     * @param {bo.common.CollectionChangedEventArgs} eventArgs - Collection changed event arguments.
+     */
+    this.emit( 'sorted', new CollectionChangedEventArgs( this.$modelName ) );
     return sorted;
   }
 
+  /**
+   * Returns the first item in the collection that satisfies the provided testing function.
+   *
+   * @function EditableRootCollection#find
+   * @param {external.cbCollectionItem} callback - Function to test for each collection item.
+   * @returns {EditableChildObject} The first item that passes the test, otherwise undefined.
+   */
+  find( callback ) {
+    const items = _items.get( this );
+    return items.find( callback );
+  }
+
+  /**
+   * Returns the index of the first item in the collection that satisfies the provided testing function.
+   *
+   * @function EditableRootCollection#findIndex
+   * @param {external.cbCollectionItem} callback - Function to test for each collection item.
+   * @returns {number} The index of the first item that passes the test, otherwise -1.
+   */
+  findIndex( callback ) {
+    const items = _items.get( this );
+    return items.findIndex( callback );
+  }
+
+  /**
+   * Returns the first index at which a given item can be found in the collection.
+   *
+   * @function EditableRootCollection#indexOf
+   * @param {EditableChildObject} item - The item to locate in the collection.
+   * @returns {number} The index of the item, or -1 when it is not in the collection.
+   */
+  indexOf( item ) {
+    const items = _items.get( this );
+    return items.indexOf( item );
+  }
+
+  /**
+   * Returns the item in the collection that has the given key. A single key property
+   * is compared to the key itself, more key properties to the properties of the key object.
+   *
+   * @function EditableRootCollection#findByKey
+   * @param {*} key - The value of the key, or an object that contains the values of the key properties.
+   * @returns {EditableChildObject} The item with the given key, otherwise undefined.
+   */
+  findByKey( key ) {
+    const items = _items.get( this );
+    return items.find( item => item.$keyMatches( key ) );
+  }
+
+  /**
+   * Applies a function against an accumulator and each item of the collection
+   * to reduce it to a single value.
+   *
+   * @function EditableRootCollection#reduce
+   * @param {external.cbReduce} callback - Function to execute on each collection item.
+   * @param {*} [initialValue] - The value to use as the first argument of the first call of the callback.
+   * @returns {*} The value that results from the reduction.
+   */
+  reduce( callback, ...initialValue ) {
+    const items = _items.get( this );
+    return items.reduce( callback, ...initialValue );
+  }
+
+  /**
+   * Returns a new iterator that contains the items of the collection,
+   * so the collection can be used in for...of statements and spread syntax.
+   *
+   * @function EditableRootCollection#@@iterator
+   * @returns {Iterator.<EditableChildObject>} The iterator of the collection items.
+   */
+  [ Symbol.iterator ]() {
+    const items = _items.get( this );
+    return items[ Symbol.iterator ]();
+  }
+
+  /**
+   * Marks the item at the specified position to be deleted from the repository on next save.
+   *
+   * @function EditableRootCollection#removeAt
+   * @param {number} index - The index of the item to remove.
+   * @returns {EditableChildObject} The removed item, or undefined when there is no item at the index.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The index must be an integer.
+   */
+  removeAt( index ) {
+    index = Argument.inMethod( this.$modelName, 'removeAt' )
+      .check( index ).forMandatory( 'index' ).asInteger();
+    const item = _items.get( this )[ index ];
+    if (item)
+      item.remove();
+    return item;
+  }
+
+  /**
+   * Marks the item to be deleted from the repository on next save.
+   *
+   * @function EditableRootCollection#removeItem
+   * @param {EditableChildObject} item - The item to remove.
+   * @returns {boolean} True when the item is in the collection, otherwise false.
+   */
+  removeItem( item ) {
+    const found = _items.get( this ).indexOf( item ) >= 0;
+    if (found)
+      item.remove();
+    return found;
+  }
+
   //endregion
 }
 
@@ -1259,6 +1783,9 @@ class EditableRootCollectionFactory {
      *
      * @function EditableRootCollection.create
      * @param {bo.common.EventHandlerList} [eventHandlers] - The event handlers of the instance.
+     * @param {object} [options] - The options of the data portal action.
+     * @param {AbortSignal} [options.signal] - The signal to abort the action.
+     * @param {number} [options.timeout] - The time limit of the action in milliseconds.
      * @returns {Promise.<EditableRootCollection>} Returns a promise to the new editable root collection.
      *
      * @throws {@link bo.system.ArgumentError Argument error}:
@@ -1267,10 +1794,12 @@ class EditableRootCollectionFactory {
      *      The user has no permission to execute the action.
      * @throws {@link bo.common.DataPortalError Data portal error}:
      *      Creating the business object collection has failed.
+     * @throws {@link bo.common.AbortError Abort error}:
+     *      The action has been aborted or its time limit has elapsed.
      */
-    Model.create = function ( eventHandlers ) {
+    Model.create = function ( eventHandlers, options ) {
       const instance = new Model( eventHandlers );
-      return instance.create();
+      return instance.create( options );
     };
 
     /**
@@ -1280,6 +1809,9 @@ class EditableRootCollectionFactory {
      * @param {*} [filter] - The filter criteria.
      * @param {string} [method] - An alternative fetch method of the data access object.
      * @param {bo.common.EventHandlerList} [eventHandlers] - The event handlers of the instance.
+     * @param {object} [options] - The options of the data portal action.
+     * @param {AbortSignal} [options.signal] - The signal to abort the action.
+     * @param {number} [options.timeout] - The time limit of the action in milliseconds.
      * @returns {Promise.<EditableRootCollection>} Returns a promise to the retrieved editable root collection.
      *
      * @throws {@link bo.system.ArgumentError Argument error}:
@@ -1290,10 +1822,12 @@ class EditableRootCollectionFactory {
      *      The user has no permission to execute the action.
      * @throws {@link bo.common.DataPortalError Data portal error}:
      *      Fetching the business object collection has failed.
+     * @throws {@link bo.common.AbortError Abort error}:
+     *      The action has been aborted or its time limit has elapsed.
      */
-    Model.fetch = function ( filter, method, eventHandlers ) {
+    Model.fetch = function ( filter, method, eventHandlers, options ) {
       const instance = new Model( eventHandlers );
-      return instance.fetch( filter, method );
+      return instance.fetch( filter, method, options );
     };
 
     //endregion
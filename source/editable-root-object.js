@@ -11,7 +11,10 @@ const ModelError = require( './common/model-error.js' );
 const ExtensionManager = require( './common/extension-manager.js' );
 const EventHandlerList = require( './common/event-handler-list.js' );
 const DataStore = require( './common/data-store.js' );
+const auditFields = require( './common/audit-fields.js' );
+const changeRecorder = require( './common/change-recorder.js' );
 const DataType = require( './data-types/data-type.js' );
+const DateTimeType = require( './data-types/date-time.js' );
 
 const PropertyManager = require( './common/property-manager.js' );
 const PropertyContext = require( './common/property-context.js' );
@@ -29,7 +32,18 @@ const DataPortalAction = require( './common/data-portal-action.js' );
 const DataPortalContext = require( './common/data-portal-context.js' );
 const DataPortalEvent = require( './common/data-portal-event.js' );
 const DataPortalEventArgs = require( './common/data-portal-event-args.js' );
+const PropertyChangedEventArgs = require( './common/property-changed-event-args.js' );
+const StateChangedEventArgs = require( './common/state-changed-event-args.js' );
 const DataPortalError = require( './common/data-portal-error.js' );
+const ConcurrencyError = require( './common/concurrency-error.js' );
+const PartialSaveError = require( './common/partial-save-error.js' );
+const AbortError = require( './common/abort-error.js' );
+const dataPortalPipeline = require( './common/data-portal-pipeline.js' );
+const DataPortalAbort = require( './common/data-portal-abort.js' );
+const dataPortalRetry = require( './common/data-portal-retry.js' );
+const fetchCache = require( './common/fetch-cache.js' );
+const IdentityMap = require( './common/identity-map.js' );
+const saveChildModels = require( './common/save-child-models.js' );
 
 //endregion
 
@@ -51,6 +65,8 @@ const _isValidated = new WeakMap();
 const _brokenRules = new WeakMap();
 const _dataContext = new WeakMap();
 const _dao = new WeakMap();
+const _editLevels = new WeakMap();
+const _lazyChildren = new WeakMap();
 
 //endregion
 
@@ -65,7 +81,7 @@ const _dao = new WeakMap();
  * -------------------------------------------------
  * pristine           |  o  |  -  |  +  |  +  |  -
  * -------------------------------------------------
- * created            |  +  |  o  |  o  | (-) |  +
+ * created            |  +  |  o  |  o* | (-) |  +
  * -------------------------------------------------
  * changed            |  +  |  -  |  o  |  +  |  -
  * -------------------------------------------------
@@ -79,22 +95,39 @@ const _dao = new WeakMap();
  *   -  :  not allowed transition, throws exception
  *   o  :  no change, no action
  *   N  :  impossible start up, throws exception
+ *   *  :  changed when saved while children isolated by savepoints have failed
  */
 
+function setState( state ) {
+  const oldState = _state.get( this );
+  _state.set( this, state );
+  if (state !== oldState) {
+    /**
+     * The event arises when the state of the business object has changed.
+     * @event EditableRootObject#stateChanged
+     * @param {bo.common.StateChangedEventArgs} eventArgs - State changed event arguments.
+     */
+    this.emit( 'stateChanged', new StateChangedEventArgs( this.$modelName, oldState, state ) );
+  }
+}
+
 function markAsPristine() {
   const state = _state.get( this );
   if (state === MODEL_STATE.markedForRemoval || state === MODEL_STATE.removed)
     illegal.call( this, MODEL_STATE.pristine );
-  else if (state !== MODEL_STATE.pristine) {
-    _state.set( this, MODEL_STATE.pristine );
+  else {
+    // Children isolated by savepoints are saved again on the next save.
+    setState.call( this, childrenAreDirty.call( this ) ? MODEL_STATE.changed : MODEL_STATE.pristine );
     _isDirty.set( this, false );
   }
+  _store.get( this ).setOriginalValues();
+  clearEditLevels.call( this );
 }
 
 function markAsCreated() {
   const state = _state.get( this );
   if (state === null) {
-    _state.set( this, MODEL_STATE.created );
+    setState.call( this, MODEL_STATE.created );
     _isDirty.set( this, true );
   }
   else if (state !== MODEL_STATE.created)
@@ -105,10 +138,13 @@ function markAsChanged( itself ) {
   const state = _state.get( this );
   const isDirty = _isDirty.get( this );
   if (state === MODEL_STATE.pristine) {
-    _state.set( this, MODEL_STATE.changed );
+    setState.call( this, MODEL_STATE.changed );
     _isDirty.set( this, isDirty || itself );
     _isValidated.set( this, false );
   }
+  else if (state === MODEL_STATE.changed)
+    // The object itself can change after its children.
+    _isDirty.set( this, isDirty || itself );
   else if (state === MODEL_STATE.created) {
     _isDirty.set( this, isDirty || itself );
     _isValidated.set( this, false );
@@ -120,12 +156,12 @@ function markAsChanged( itself ) {
 function markForRemoval() {
   const state = _state.get( this );
   if (state === MODEL_STATE.pristine || state === MODEL_STATE.changed) {
-    _state.set( this, MODEL_STATE.markedForRemoval );
+    setState.call( this, MODEL_STATE.markedForRemoval );
     _isDirty.set( this, true );
     propagateRemoval.call( this ); // down to children
   }
   else if (state === MODEL_STATE.created)
-    _state.set( this, MODEL_STATE.removed );
+    setState.call( this, MODEL_STATE.removed );
   else if (state !== MODEL_STATE.markedForRemoval)
     illegal.call( this, MODEL_STATE.markedForRemoval );
 }
@@ -133,11 +169,12 @@ function markForRemoval() {
 function markAsRemoved() {
   const state = _state.get( this );
   if (state === MODEL_STATE.created || state === MODEL_STATE.markedForRemoval) {
-    _state.set( this, MODEL_STATE.removed );
+    setState.call( this, MODEL_STATE.removed );
     _isDirty.set( this, false );
   }
   else if (state !== MODEL_STATE.removed)
     illegal.call( this, MODEL_STATE.removed );
+  clearEditLevels.call( this );
 }
 
 function illegal( newState ) {
@@ -159,6 +196,49 @@ function propagateRemoval() {
 
 //endregion
 
+//region Edit levels
+
+function saveEditLevel() {
+  const editLevels = _editLevels.get( this );
+  editLevels.push( {
+    store: _store.get( this ).createSnapshot(),
+    state: _state.get( this ),
+    isDirty: _isDirty.get( this )
+  } );
+  _editLevels.set( this, editLevels );
+}
+
+function dropEditLevel( methodName ) {
+  const editLevels = _editLevels.get( this );
+  if (!editLevels.length)
+    throw new ModelError( 'noEditLevel', this.$modelName, methodName );
+  const editLevel = editLevels.pop();
+  _editLevels.set( this, editLevels );
+  return editLevel;
+}
+
+function restoreEditLevel( editLevel ) {
+  _store.get( this ).restoreSnapshot( editLevel.store );
+  setState.call( this, editLevel.state );
+  _isDirty.set( this, editLevel.isDirty );
+  _isValidated.set( this, false );
+}
+
+function clearEditLevels() {
+  // Saved values are outdated after a data portal action.
+  _editLevels.set( this, [] );
+}
+
+function propagateEdit( methodName ) {
+  const properties = _properties.get( this );
+  properties.children().forEach( property => {
+    const child = getPropertyValue.call( this, property );
+    child[ methodName ]();
+  } );
+}
+
+//endregion
+
 //region Transfer object methods
 
 function getTransferContext( authorize ) {
@@ -201,6 +281,25 @@ function toDto() {
     return baseToDto.call( this );
 }
 
+function toUpdateDto() {
+  const dto = toDto.call( this );
+  const extensions = _extensions.get( this );
+
+  if (extensions.updateChangedOnly) {
+    // Remove the unchanged values, except the identifiers.
+    const properties = _properties.get( this );
+    properties
+      .filter( property => {
+        return property.isOnDto && !property.isKey && !property.isParentKey && !property.isRowVersion &&
+          property.type instanceof DataType && !hasChanged.call( this, property );
+      } )
+      .forEach( property => {
+        delete dto[ property.name ];
+      } );
+  }
+  return dto;
+}
+
 function baseFromDto( dto ) {
   const self = this;
   const properties = _properties.get( this );
@@ -257,12 +356,62 @@ function baseFromCto( cto ) {
   }
 }
 
+function toTransfer() {
+  const properties = _properties.get( this );
+  const store = _store.get( this );
+  const transfer = {
+    state: _state.get( this ),
+    isDirty: _isDirty.get( this ),
+    data: {},
+    original: {},
+    children: {}
+  };
+  properties.forEach( property => {
+    if (property.type instanceof DataType) {
+      transfer.data[ property.name ] = store.getValue( property );
+      transfer.original[ property.name ] = store.getOriginalValue( property );
+    } else
+      transfer.children[ property.name ] = store.getValue( property ).$toTransfer();
+  } );
+  return transfer;
+}
+
+function fromTransfer( transfer ) {
+  const properties = _properties.get( this );
+  const store = _store.get( this );
+  const dataProperties = properties.filter( property => {
+    return property.type instanceof DataType;
+  } );
+
+  // Restore the original values first.
+  dataProperties.forEach( property => {
+    if (transfer.original[ property.name ] !== undefined)
+      store.setValue( property, transfer.original[ property.name ] );
+  } );
+  store.setOriginalValues();
+  dataProperties.forEach( property => {
+    if (transfer.data[ property.name ] !== undefined)
+      store.setValue( property, transfer.data[ property.name ] );
+  } );
+  properties.children().forEach( property => {
+    store.getValue( property ).$fromTransfer( transfer.children[ property.name ] );
+  } );
+
+  setState.call( this, transfer.state );
+  _isDirty.set( this, transfer.isDirty );
+  _isValidated.set( this, false );
+  clearEditLevels.call( this );
+}
+
 //endregion
 
 //region Permissions
 
 function getAuthorizationContext( action, targetName ) {
-  return new AuthorizationContext( action, targetName || '', _brokenRules.get( this ) );
+  const brokenRules = _brokenRules.get( this );
+  return _extensions.get( this ).$runInEnvironment( () => {
+    return new AuthorizationContext( action, targetName || '', brokenRules );
+  } );
 }
 
 function canBeRead( property ) {
@@ -311,19 +460,41 @@ function createChildren( connection ) {
 function fetchChildren( dto ) {
   const self = this;
   const properties = _properties.get( this );
+  const lazyChildren = _lazyChildren.get( this );
   return Promise.all( properties.children().map( property => {
+    if (property.isLazy) {
+      // Lazy children are loaded on demand.
+      lazyChildren.set( property.name, null );
+      return null;
+    }
     const child = getPropertyValue.call( self, property );
     return child.fetch( dto[ property.name ] );
   } ) );
 }
 
-function saveChildren( connection ) {
+function isLoaded( property ) {
+  return !_lazyChildren.get( this ).has( property.name );
+}
+
+function saveChildren( connection, errors ) {
   const self = this;
   const properties = _properties.get( this );
-  return Promise.all( properties.children().map( property => {
-    const child = getPropertyValue.call( self, property );
-    return child.save( connection );
-  } ) );
+  // Lazy children not loaded yet have nothing to save.
+  return saveChildModels( connection, properties.children()
+    .filter( property => isLoaded.call( self, property ) )
+    .map( property => {
+      return getPropertyValue.call( self, property );
+    } ), errors );
+}
+
+function childrenAreDirty() {
+  const properties = _properties.get( this );
+  return properties.children().some( property => {
+    const child = getPropertyValue.call( this, property );
+    return child instanceof ModelBase ?
+      child.isDirty() :
+      child.some( item => item.isDirty() );
+  } );
 }
 
 function childrenAreValid() {
@@ -368,12 +539,27 @@ function getPropertyValue( property ) {
 
 function setPropertyValue( property, value ) {
   const store = _store.get( this );
+  // The old value is read for the listeners only.
+  const hasListeners = this.listenerCount( 'propertyChanged' ) > 0;
+  const oldValue = hasListeners ? store.getValue( property ) : undefined;
   if (store.setValue( property, value )) {
     _store.set( this, store );
     markAsChanged.call( this, true );
+    if (hasListeners)
+      raisePropertyChanged.call( this, property, oldValue );
   }
 }
 
+function getOriginalValue( property ) {
+  const store = _store.get( this );
+  return store.getOriginalValue( property );
+}
+
+function hasChanged( property ) {
+  const store = _store.get( this );
+  return store.hasChanged( property );
+}
+
 function readPropertyValue( property ) {
   if (canBeRead.call( this, property )) {
     const store = _store.get( this );
@@ -387,6 +573,8 @@ function readPropertyValue( property ) {
 
 function writePropertyValue( property, value ) {
   if (canBeWritten.call( this, property )) {
+    const hasListeners = this.listenerCount( 'propertyChanged' ) > 0;
+    const oldValue = hasListeners ? getPropertyValue.call( this, property ) : undefined;
     let changed = false;
     if (property.setter)
       changed = property.setter( getPropertyContext.call( this, property ), value );
@@ -395,11 +583,26 @@ function writePropertyValue( property, value ) {
       changed = store.setValue( property, value );
       _store.set( this, store );
     }
-    if (changed === true)
+    if (changed === true) {
       markAsChanged.call( this, true );
+      if (hasListeners)
+        raisePropertyChanged.call( this, property, oldValue );
+    }
   }
 }
 
+function raisePropertyChanged( property, oldValue ) {
+  /**
+   * The event arises when the value of a property of the business object has changed.
+   * @event EditableRootObject#propertyChanged
+   * @param {bo.common.PropertyChangedEventArgs} eventArgs - Property changed event arguments.
+   */
+  this.emit(
+    'propertyChanged',
+    new PropertyChangedEventArgs( this.$modelName, property.name, oldValue, getPropertyValue.call( this, property ) )
+  );
+}
+
 function getPropertyContext( primaryProperty ) {
   let propertyContext = _propertyContext.get( this );
   if (!propertyContext) {
@@ -445,6 +648,8 @@ function initialize( name, properties, rules, extensions, eventHandlers ) {
     // Create normal property.
     Object.defineProperty( this, property.name, {
       get: () => {
+        if (!isLoaded.call( this, property ))
+          throw new ModelError( 'lazyNotLoaded', name, property.name );
         return readPropertyValue.call( this, property );
       },
       set: value => {
@@ -467,6 +672,8 @@ function initialize( name, properties, rules, extensions, eventHandlers ) {
   _isDirty.set( this, false );
   _isValidated.set( this, false );
   _brokenRules.set( this, new BrokenRuleList( name ) );
+  _editLevels.set( this, [] );
+  _lazyChildren.set( this, new Map() );
   _dataContext.set( this, null );
 
   // Get data access object.
@@ -492,13 +699,19 @@ function getDataContext( connection ) {
       _dao.get( this ),
       properties.toArray(),
       getPropertyValue.bind( this ),
-      setPropertyValue.bind( this )
+      setPropertyValue.bind( this ),
+      getOriginalValue.bind( this ),
+      hasChanged.bind( this )
     );
     _dataContext.set( this, dataContext );
   }
   return dataContext.setState( connection, _isDirty.get( this ) );
 }
 
+function stampAudit( isNew ) {
+  auditFields.stamp( _properties.get( this ), setPropertyValue.bind( this ), isNew );
+}
+
 function raiseEvent( event, methodName, error ) {
   this.emit(
     DataPortalEvent.getName( event ),
@@ -514,16 +727,52 @@ function raiseSave( event, action, error ) {
 }
 
 function wrapError( action, error ) {
-  return new DataPortalError( MODEL_DESC, this.$modelName, action, error );
+  // Concurrency violations and aborted actions are passed unchanged.
+  return error instanceof ConcurrencyError || error instanceof AbortError ?
+    error :
+    new DataPortalError( MODEL_DESC, this.$modelName, action, error );
+}
+
+//endregion
+
+//region Remote
+
+function data_remote( action, filter, method, options ) {
+  const self = this;
+  const abort = new DataPortalAbort( self.$modelName, action, options );
+  return abort.watch( abort.race( () => config.transport.$execute( {
+    modelName: self.$modelName,
+    action: DataPortalAction.getName( action ),
+    filter: filter,
+    method: method,
+    transfer: action === DataPortalAction.create || action === DataPortalAction.fetch ?
+      null :
+      toTransfer.call( self )
+  }, abort.signal ) )
+    .then( transfer => {
+      // The removed model has no state to return.
+      if (action === DataPortalAction.remove) {
+        markAsRemoved.call( self );
+        return null;
+      }
+      fromTransfer.call( self, transfer );
+      return self;
+    } )
+    .catch( reason => {
+      throw wrapError.call( self, action, reason );
+    } ) );
 }
 
 //endregion
 
 //region Create
 
-function data_create() {
+function data_create( options ) {
+  if (config.transport)
+    return data_remote.call( this, DataPortalAction.create, null, null, options );
   const self = this;
-  return new Promise( ( fulfill, reject ) => {
+  const abort = new DataPortalAbort( self.$modelName, DataPortalAction.create, options );
+  return abort.watch( new Promise( ( fulfill, reject ) => {
 
     const dao = _dao.get( self );
     const extensions = _extensions.get( self );
@@ -531,9 +780,11 @@ function data_create() {
     if (extensions.dataCreate || dao.$hasCreate()) {
       let connection = null;
       // Open connection.
-      config.connectionManager.openConnection( extensions.dataSource )
+      dataPortalRetry( self.$modelName, DataPortalAction.create, abort.signal, () =>
+        config.connectionManager.openConnection( extensions.dataSource ) )
         .then( dsc => {
           connection = dsc;
+          abort.attach( connection );
           // Launch start event.
           /**
            * The event arises before the business object instance will be initialized in the repository.
@@ -543,14 +794,16 @@ function data_create() {
            */
           raiseEvent.call( self, DataPortalEvent.preCreate );
           // Execute creation.
-          return extensions.dataCreate ?
-            // *** Custom creation.
-            extensions.$runMethod( 'create', self, getDataContext.call( self, connection ) ) :
-            // *** Standard creation.
-            dao.$runMethod( 'create', connection )
-              .then( dto => {
-                fromDto.call( self, dto );
-              } );
+          return dataPortalPipeline( self.$modelName, DataPortalAction.create, connection, () => {
+            return extensions.dataCreate ?
+              // *** Custom creation.
+              extensions.$runMethod( 'create', self, getDataContext.call( self, connection ) ) :
+              // *** Standard creation.
+              dao.$runMethod( 'create', connection )
+                .then( dto => {
+                  fromDto.call( self, dto );
+                } );
+          } );
         } )
         .then( none => {
           // Create children as well.
@@ -589,16 +842,19 @@ function data_create() {
     } else
     // Nothing to do.
       fulfill( self );
-  } );
+  } ) );
 }
 
 //endregion
 
 //region Fetch
 
-function data_fetch( filter, method ) {
+function data_fetch( filter, method, options ) {
+  if (config.transport)
+    return data_remote.call( this, DataPortalAction.fetch, filter, method, options );
   const self = this;
-  return new Promise( ( fulfill, reject ) => {
+  const abort = new DataPortalAbort( self.$modelName, DataPortalAction.fetch, options );
+  return abort.watch( new Promise( ( fulfill, reject ) => {
     // Check permissions.
     if (method === M_FETCH ?
         canDo.call( self, AuthorizationAction.fetchObject ) :
@@ -607,9 +863,11 @@ function data_fetch( filter, method ) {
       let connection = null;
       const extensions = _extensions.get( self );
       // Open connection.
-      config.connectionManager.openConnection( extensions.dataSource )
+      dataPortalRetry( self.$modelName, DataPortalAction.fetch, abort.signal, () =>
+        config.connectionManager.openConnection( extensions.dataSource ) )
         .then( dsc => {
           connection = dsc;
+          abort.attach( connection );
           // Launch start event.
           /**
            * The event arises before the business object instance will be retrieved from the repository.
@@ -621,15 +879,17 @@ function data_fetch( filter, method ) {
           // Execute fetch.
           const dao = _dao.get( self );
           // Root element fetches all data from repository.
-          return extensions.dataFetch ?
-            // *** Custom fetch.
-            extensions.$runMethod( 'fetch', self, getDataContext.call( self, connection ), filter, method ) :
-            // *** Standard fetch.
-            dao.$runMethod( method, connection, filter )
-              .then( dto => {
-                fromDto.call( self, dto );
-                return dto;
-              } );
+          return dataPortalPipeline( self.$modelName, DataPortalAction.fetch, connection, () => {
+            return extensions.dataFetch ?
+              // *** Custom fetch.
+              extensions.$runMethod( 'fetch', self, getDataContext.call( self, connection ), filter, method ) :
+              // *** Standard fetch.
+              dao.$runMethod( method, connection, filter )
+                .then( dto => {
+                  fromDto.call( self, dto );
+                  return dto;
+                } );
+          } );
         } )
         .then( dto => {
           // Fetch children as well.
@@ -666,25 +926,160 @@ function data_fetch( filter, method ) {
             } );
         } );
     }
+  } ) );
+}
+
+//endregion
+
+//region Identity map
+
+function getIdentityKey( getValue ) {
+  // Only the key properties identify the business object, the other values can change on save.
+  const self = this;
+  const keys = _properties.get( this ).filter( property => property.isKey );
+  getValue = getValue || getPropertyValue;
+  let key;
+  switch (keys.length) {
+    case 0:
+      // No keys: the business object cannot be identified.
+      break;
+    case 1:
+      key = getValue.call( this, keys[ 0 ] );
+      break;
+    default:
+      key = {};
+      keys.forEach( property => {
+        key[ property.name ] = getValue.call( self, property );
+      } );
+  }
+  return key;
+}
+
+function mapIdentity( identityMap, oldKey ) {
+  // Register the saved business object under its current key.
+  const modelName = this.$modelName;
+  if (identityMap.get( modelName, oldKey ) === this)
+    identityMap.delete( modelName, oldKey );
+  const key = getIdentityKey.call( this );
+  if (key !== undefined && !identityMap.get( modelName, key ))
+    identityMap.set( modelName, key, this );
+}
+
+function fetchIntoMap( identityMap, filter, method, options ) {
+  const modelName = this.$modelName;
+  return identityMap.$addFetch( modelName, method, filter, data_fetch.call( this, filter, method, options )
+    .then( fetched => {
+      const key = getIdentityKey.call( fetched );
+      if (key === undefined)
+        return fetched;
+      // Return the instance loaded earlier through another path.
+      const loaded = identityMap.get( modelName, key );
+      if (loaded)
+        return loaded;
+      identityMap.set( modelName, key, fetched );
+      return fetched;
+    } ) );
+}
+
+function data_mappedFetch( filter, method, options ) {
+  const identityMap = IdentityMap.current;
+  if (!identityMap)
+    return data_fetch.call( this, filter, method, options );
+
+  const self = this;
+  const modelName = self.$modelName;
+  const fetch = identityMap.$findFetch( modelName, method, filter );
+  if (!fetch)
+    return fetchIntoMap.call( self, identityMap, filter, method, options );
+
+  // The same fetch has been executed in the scope.
+  return fetch.then( loaded => {
+    if (identityMap.get( modelName, getIdentityKey.call( loaded ) ) === loaded)
+      return loaded;
+    // The instance has been removed from the map.
+    return fetchIntoMap.call( self, identityMap, filter, method, options );
   } );
 }
 
 //endregion
 
+//region Fetch child
+
+function data_fetchChild( property, options ) {
+  if (config.transport)
+    return Promise.reject( new ModelError( 'lazyRemote', this.$modelName, property.name ) );
+  const self = this;
+  const abort = new DataPortalAbort( self.$modelName, DataPortalAction.fetch, options );
+  return abort.watch( new Promise( ( fulfill, reject ) => {
+    // Check permissions.
+    if (canDo.call( self, AuthorizationAction.fetchObject )) {
+
+      let connection = null;
+      const extensions = _extensions.get( self );
+      const child = getPropertyValue.call( self, property );
+      // Open connection.
+      dataPortalRetry( self.$modelName, DataPortalAction.fetch, abort.signal, () =>
+        config.connectionManager.openConnection( extensions.dataSource ) )
+        .then( dsc => {
+          connection = dsc;
+          abort.attach( connection );
+          // Execute the fetch method of the child, e.g. fetchItems for the items property.
+          const dao = _dao.get( self );
+          const properties = _properties.get( self );
+          const methodName = M_FETCH + property.name[ 0 ].toUpperCase() + property.name.substr( 1 );
+          return dataPortalPipeline( self.$modelName, DataPortalAction.fetch, connection, () => {
+            return dao.$runMethod( methodName, connection, properties.getKey( getPropertyValue.bind( self ) ) );
+          } );
+        } )
+        .then( data => {
+          // Load the child.
+          return child.fetch( data );
+        } )
+        .then( none => {
+          // Close connection.
+          config.connectionManager.closeConnection( extensions.dataSource, connection )
+            .then( none => {
+              // Return the loaded child.
+              fulfill( child );
+            } );
+        } )
+        .catch( reason => {
+          // Wrap the intercepted error.
+          const dpe = wrapError.call( self, DataPortalAction.fetch, reason );
+          // Close connection.
+          config.connectionManager.closeConnection( extensions.dataSource, connection )
+            .then( none => {
+              // Pass the error.
+              reject( dpe );
+            } );
+        } );
+    }
+  } ) );
+}
+
+//endregion
+
 //region Insert
 
-function data_insert() {
+function data_insert( transaction, options, errors ) {
+  if (config.transport)
+    return data_remote.call( this, DataPortalAction.insert, null, null, options );
   const self = this;
-  return new Promise( ( fulfill, reject ) => {
+  const abort = new DataPortalAbort( self.$modelName, DataPortalAction.insert, options );
+  return abort.watch( new Promise( ( fulfill, reject ) => {
     // Check permissions.
     if (canDo.call( self, AuthorizationAction.createObject )) {
 
       let connection = null;
       // Open connection.
       const extensions = _extensions.get( self );
-      config.connectionManager.beginTransaction( extensions.dataSource )
+      (transaction ?
+        Promise.resolve( transaction ) :
+        dataPortalRetry( self.$modelName, DataPortalAction.insert, abort.signal, () =>
+          config.connectionManager.beginTransaction( extensions.dataSource ) ))
         .then( dsc => {
           connection = dsc;
+          abort.attach( connection );
           // Launch start event.
           raiseSave.call( self, DataPortalEvent.preSave, DataPortalAction.insert );
           /**
@@ -694,20 +1089,24 @@ function data_insert() {
            * @param {EditableRootObject} oldObject - The instance of the model before the data portal action.
            */
           raiseEvent.call( self, DataPortalEvent.preInsert );
+          // Fill the audit properties.
+          stampAudit.call( self, true );
           // Execute insert.
           const dao = _dao.get( self );
-          return extensions.dataInsert ?
-            // *** Custom insert.
-            extensions.$runMethod( 'insert', self, getDataContext.call( self, connection ) ) :
-            // *** Standard insert.
-            dao.$runMethod( 'insert', connection, toDto.call( self ) )
-              .then( dto => {
-                fromDto.call( self, dto );
-              } );
+          return dataPortalPipeline( self.$modelName, DataPortalAction.insert, connection, () => {
+            return extensions.dataInsert ?
+              // *** Custom insert.
+              extensions.$runMethod( 'insert', self, getDataContext.call( self, connection ) ) :
+              // *** Standard insert.
+              dao.$runMethod( 'insert', connection, toDto.call( self ) )
+                .then( dto => {
+                  fromDto.call( self, dto );
+                } );
+          } );
         } )
         .then( none => {
           // Insert children as well.
-          return saveChildren.call( self, connection );
+          return saveChildren.call( self, connection, errors );
         } )
         .then( none => {
           markAsPristine.call( self );
@@ -721,7 +1120,9 @@ function data_insert() {
           // Launch finish event.
           raiseSave.call( self, DataPortalEvent.postSave, DataPortalAction.insert );
           // Finish transaction.
-          return config.connectionManager.commitTransaction( extensions.dataSource, connection )
+          return (transaction ?
+            Promise.resolve( null ) :
+            config.connectionManager.commitTransaction( extensions.dataSource, connection ))
             .then( none => {
               // Return the created editable root object.
               fulfill( self );
@@ -736,32 +1137,41 @@ function data_insert() {
             raiseSave.call( self, DataPortalEvent.postSave, DataPortalAction.insert, dpe );
           }
           // Undo transaction.
-          return config.connectionManager.rollbackTransaction( extensions.dataSource, connection )
+          return (transaction ?
+            Promise.resolve( null ) :
+            config.connectionManager.rollbackTransaction( extensions.dataSource, connection ))
             .then( none => {
               // Pass the error.
               reject( dpe );
             } )
         } );
     }
-  } );
+  } ) );
 }
 
 //endregion
 
 //region Update
 
-function data_update() {
+function data_update( transaction, options, errors ) {
+  if (config.transport)
+    return data_remote.call( this, DataPortalAction.update, null, null, options );
   const self = this;
-  return new Promise( ( fulfill, reject ) => {
+  const abort = new DataPortalAbort( self.$modelName, DataPortalAction.update, options );
+  return abort.watch( new Promise( ( fulfill, reject ) => {
     // Check permissions.
     if (canDo.call( self, AuthorizationAction.updateObject )) {
 
       let connection = null;
       // Start transaction.
       const extensions = _extensions.get( self );
-      config.connectionManager.beginTransaction( extensions.dataSource )
+      (transaction ?
+        Promise.resolve( transaction ) :
+        dataPortalRetry( self.$modelName, DataPortalAction.update, abort.signal, () =>
+          config.connectionManager.beginTransaction( extensions.dataSource ) ))
         .then( dsc => {
           connection = dsc;
+          abort.attach( connection );
           // Launch start event.
           raiseSave.call( self, DataPortalEvent.preSave, DataPortalAction.update );
           /**
@@ -771,20 +1181,25 @@ function data_update() {
            * @param {EditableRootObject} oldObject - The instance of the model before the data portal action.
            */
           raiseEvent.call( self, DataPortalEvent.preUpdate );
+          // Fill the audit properties when the object itself has been changed.
+          if (_isDirty.get( self ))
+            stampAudit.call( self, false );
           // Execute update.
           const dao = _dao.get( self );
-          return extensions.dataUpdate ?
-            // *** Custom update.
-            extensions.$runMethod( 'update', self, getDataContext.call( self, connection ) ) :
-            // *** Standard update.
-            dao.$runMethod( 'update', connection, /* dto = */ toDto.call( self ) )
-              .then( dto => {
-                fromDto.call( self, dto );
-              } );
+          return dataPortalPipeline( self.$modelName, DataPortalAction.update, connection, () => {
+            return extensions.dataUpdate ?
+              // *** Custom update.
+              extensions.$runMethod( 'update', self, getDataContext.call( self, connection ) ) :
+              // *** Standard update.
+              dao.$runMethod( 'update', connection, /* dto = */ toUpdateDto.call( self ) )
+                .then( dto => {
+                  fromDto.call( self, dto );
+                } );
+          } );
         } )
         .then( none => {
           // Update children as well.
-          return saveChildren.call( self, connection );
+          return saveChildren.call( self, connection, errors );
         } )
         .then( none => {
           markAsPristine.call( self );
@@ -798,7 +1213,9 @@ function data_update() {
           raiseEvent.call( self, DataPortalEvent.postUpdate );
           raiseSave.call( self, DataPortalEvent.postSave, DataPortalAction.update );
           // Finish transaction.
-          return config.connectionManager.commitTransaction( extensions.dataSource, connection )
+          return (transaction ?
+            Promise.resolve( null ) :
+            config.connectionManager.commitTransaction( extensions.dataSource, connection ))
             .then( none => {
               // Return the updated editable root object.
               fulfill( self );
@@ -813,32 +1230,55 @@ function data_update() {
             raiseSave.call( self, DataPortalEvent.postSave, DataPortalAction.update, dpe );
           }
           // Undo transaction.
-          return config.connectionManager.rollbackTransaction( extensions.dataSource, connection )
+          return (transaction ?
+            Promise.resolve( null ) :
+            config.connectionManager.rollbackTransaction( extensions.dataSource, connection ))
             .then( none => {
               // Pass the error.
               reject( dpe );
             } );
         } );
     }
-  } );
+  } ) );
 }
 
 //endregion
 
 //region Remove
 
-function data_remove() {
+function softRemove( connection ) {
+  // Mark the business object as deleted and update it.
+  const extensions = _extensions.get( this );
+  const property = _properties.get( this ).getByName( extensions.softDelete );
+  _store.get( this ).setValue( property, property.type instanceof DateTimeType ? config.now() : true );
+  stampAudit.call( this, false );
+  return extensions.dataUpdate ?
+    extensions.$runMethod( 'update', this, getDataContext.call( this, connection ) ) :
+    _dao.get( this ).$runMethod( 'update', connection, /* dto = */ toUpdateDto.call( this ) )
+      .then( dto => {
+        fromDto.call( this, dto );
+      } );
+}
+
+function data_remove( transaction, options, errors ) {
+  if (config.transport)
+    return data_remote.call( this, DataPortalAction.remove, null, null, options );
   const self = this;
-  return new Promise( ( fulfill, reject ) => {
+  const abort = new DataPortalAbort( self.$modelName, DataPortalAction.remove, options );
+  return abort.watch( new Promise( ( fulfill, reject ) => {
     // Check permissions.
     if (canDo.call( self, AuthorizationAction.removeObject )) {
 
       let connection = null;
       const extensions = _extensions.get( self );
       // Start transaction.
-      config.connectionManager.beginTransaction( extensions.dataSource )
+      (transaction ?
+        Promise.resolve( transaction ) :
+        dataPortalRetry( self.$modelName, DataPortalAction.remove, abort.signal, () =>
+          config.connectionManager.beginTransaction( extensions.dataSource ) ))
         .then( dsc => {
           connection = dsc;
+          abort.attach( connection );
           // Launch start event.
           raiseSave.call( self, DataPortalEvent.preSave, DataPortalAction.remove );
           /**
@@ -848,18 +1288,23 @@ function data_remove() {
            * @param {EditableRootObject} oldObject - The instance of the model before the data portal action.
            */
           raiseEvent.call( self, DataPortalEvent.preRemove );
-          // Remove children first.
-          return saveChildren.call( self, connection );
+          // Remove children first, soft deleted objects keep their children.
+          return extensions.softDelete ? null : saveChildren.call( self, connection, errors );
         } )
         .then( none => {
           // Execute removal.
           const dao = _dao.get( self );
           const properties = _properties.get( self );
-          return extensions.dataRemove ?
-            // Custom removal.
-            extensions.$runMethod( 'remove', self, getDataContext.call( self, connection ) ) :
-            // Standard removal.
-            dao.$runMethod( 'remove', connection, properties.getKey( getPropertyValue.bind( self ) ) );
+          return dataPortalPipeline( self.$modelName, DataPortalAction.remove, connection, () => {
+            return extensions.softDelete ?
+              // Soft deletion.
+              softRemove.call( self, connection ) :
+              extensions.dataRemove ?
+                // Custom removal.
+                extensions.$runMethod( 'remove', self, getDataContext.call( self, connection ) ) :
+                // Standard removal.
+                dao.$runMethod( 'remove', connection, properties.getKeyWithVersion( getPropertyValue.bind( self ) ) );
+          } );
         } )
         .then( none => {
           markAsRemoved.call( self );
@@ -873,7 +1318,9 @@ function data_remove() {
           raiseEvent.call( self, DataPortalEvent.postRemove );
           raiseSave.call( self, DataPortalEvent.postSave, DataPortalAction.remove );
           // Finish transaction.
-          return config.connectionManager.commitTransaction( extensions.dataSource, connection )
+          return (transaction ?
+            Promise.resolve( null ) :
+            config.connectionManager.commitTransaction( extensions.dataSource, connection ))
             .then( none => {
               // Nothing to return.
               fulfill( null );
@@ -888,18 +1335,111 @@ function data_remove() {
             raiseSave.call( self, DataPortalEvent.postSave, DataPortalAction.remove, dpe );
           }
           // Undo transaction.
-          return config.connectionManager.rollbackTransaction( extensions.dataSource, connection )
+          return (transaction ?
+            Promise.resolve( null ) :
+            config.connectionManager.rollbackTransaction( extensions.dataSource, connection ))
             .then( none => {
               // Pass the error.
               reject( dpe );
             } );
         } );
     }
+  } ) );
+}
+
+//endregion
+
+//region Save
+
+function data_save( transaction, options, errors ) {
+  const self = this;
+  return new Promise( ( fulfill, reject ) => {
+    if (self.isValid()) {
+      const state = _state.get( self );
+      // Keep the identity map of the scope up to date.
+      const identityMap = IdentityMap.current;
+      // The business object has been mapped by the key values it was loaded or saved with.
+      const key = getIdentityKey.call( self, getOriginalValue );
+      /**
+       * The event arises before the business object instance will be saved in the repository.
+       * The event is followed by a preInsert, preUpdate or preRemove event depending on the
+       * state of the business object instance.
+       * @event EditableRootObject#preSave
+       * @param {bo.common.DataPortalEventArgs} eventArgs - Data portal event arguments.
+       * @param {EditableRootObject} oldObject - The instance of the model before the data portal action.
+       */
+      switch (state) {
+        case MODEL_STATE.created:
+          data_insert.call( self, transaction, options, errors )
+            .then( inserted => {
+              if (identityMap)
+                mapIdentity.call( self, identityMap, key );
+              fulfill( inserted );
+            } )
+            .catch( reason => {
+              reject( reason );
+            } );
+          break;
+        case MODEL_STATE.changed:
+          data_update.call( self, transaction, options, errors )
+            .then( updated => {
+              if (identityMap)
+                mapIdentity.call( self, identityMap, key );
+              fulfill( updated );
+            } )
+            .catch( reason => {
+              reject( reason );
+            } );
+          break;
+        case MODEL_STATE.markedForRemoval:
+          data_remove.call( self, transaction, options, errors )
+            .then( removed => {
+              if (identityMap && identityMap.get( self.$modelName, key ) === self)
+                identityMap.delete( self.$modelName, key );
+              fulfill( removed );
+            } )
+            .catch( reason => {
+              reject( reason );
+            } );
+          break;
+        default:
+          fulfill( self );
+      }
+      /**
+       * The event arises after the business object instance has been saved in the repository.
+       * The event is preceded by a postInsert, postUpdate or postRemove event depending on the
+       * state of the business object instance.
+       * @event EditableRootObject#postSave
+       * @param {bo.common.DataPortalEventArgs} eventArgs - Data portal event arguments.
+       * @param {EditableRootObject} newObject - The instance of the model after the data portal action.
+       */
+    }
   } );
 }
 
 //endregion
 
+//region Change recording
+
+function recordChanges() {
+  const state = _state.get( this );
+  const extensions = _extensions.get( this );
+  const action = state === MODEL_STATE.created ? DataPortalAction.insert :
+    state === MODEL_STATE.changed ? DataPortalAction.update :
+      state === MODEL_STATE.markedForRemoval ? DataPortalAction.remove :
+        null;
+  return changeRecorder.record(
+    this.$modelName,
+    action,
+    _properties.get( this ),
+    getOriginalValue.bind( this ),
+    getPropertyValue.bind( this ),
+    action === DataPortalAction.remove && !extensions.softDelete
+  );
+}
+
+//endregion
+
 //endregion
 
 /**
@@ -948,7 +1488,9 @@ class EditableRootObject extends ModelBase {
     this.$modelName = name;
 
     // Initialize the instance.
-    initialize.call( this, name, properties, rules, extensions, eventHandlers );
+    extensions.$runInEnvironment( () => {
+      initialize.call( this, name, properties, rules, extensions, eventHandlers );
+    } );
   }
 
   //endregion
@@ -1061,6 +1603,64 @@ class EditableRootObject extends ModelBase {
     return auth && this.isDirty && this.isValid();
   }
 
+  /**
+   * Gets the names of the properties whose values differ from the ones
+   * the business object had when it was retrieved from or saved to the repository.
+   *
+   * @function EditableRootObject#getChangedProperties
+   * @returns {Array.<string>} The names of the changed properties.
+   */
+  getChangedProperties() {
+    const properties = _properties.get( this );
+    return properties
+      .filter( property => {
+        return property.type instanceof DataType && hasChanged.call( this, property );
+      } )
+      .map( property => {
+        return property.name;
+      } );
+  }
+
+  /**
+   * Gets the value a property had when the business object was retrieved from
+   * or saved to the repository.
+   *
+   * @function EditableRootObject#getOriginalValue
+   * @param {string} propertyName - The name of the property.
+   * @returns {*} The original value of the property.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}:
+   *      The property name must be a non-empty string.
+   * @throws {@link bo.system.MethodError Method error}:
+   *      The model has no property with the given name.
+   */
+  getOriginalValue( propertyName ) {
+    propertyName = Argument.inMethod( this.$modelName, 'getOriginalValue' )
+      .check( propertyName ).forMandatory( 'propertyName' ).asString();
+    const properties = _properties.get( this );
+    return getOriginalValue.call( this, properties.getByName( propertyName ) );
+  }
+
+  /**
+   * Indicates whether the value of a property differs from the one
+   * the business object had when it was retrieved from or saved to the repository.
+   *
+   * @function EditableRootObject#isPropertyDirty
+   * @param {string} propertyName - The name of the property.
+   * @returns {boolean} True if the value of the property has been changed, otherwise false.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}:
+   *      The property name must be a non-empty string.
+   * @throws {@link bo.system.MethodError Method error}:
+   *      The model has no property with the given name.
+   */
+  isPropertyDirty( propertyName ) {
+    propertyName = Argument.inMethod( this.$modelName, 'isPropertyDirty' )
+      .check( propertyName ).forMandatory( 'propertyName' ).asString();
+    const properties = _properties.get( this );
+    return hasChanged.call( this, properties.getByName( propertyName ) );
+  }
+
   //endregion
 
   //region Transfer object methods
@@ -1083,10 +1683,12 @@ class EditableRootObject extends ModelBase {
 
     // Export children.
     const properties = _properties.get( this );
-    properties.children().forEach( property => {
-      const child = getPropertyValue.call( this, property );
-      cto[ property.name ] = child.toCto();
-    } );
+    properties.children()
+      .filter( property => isLoaded.call( this, property ) )
+      .forEach( property => {
+        const child = getPropertyValue.call( this, property );
+        cto[ property.name ] = child.toCto();
+      } );
 
     return cto;
   }
@@ -1102,6 +1704,13 @@ class EditableRootObject extends ModelBase {
     const self = this;
     return new Promise( ( fulfill, reject ) => {
 
+      // The items of a lazy child not loaded yet cannot be matched.
+      const properties = _properties.get( self );
+      properties.children().forEach( property => {
+        if (cto[ property.name ] && !isLoaded.call( self, property ))
+          throw new ModelError( 'lazyNotLoaded', self.$modelName, property.name );
+      } );
+
       // Set self properties.
       const extensions = _extensions.get( self );
       extensions.fromCto ?
@@ -1109,7 +1718,6 @@ class EditableRootObject extends ModelBase {
         baseFromCto.call( self, cto );
 
       // Build children.
-      const properties = _properties.get( self );
       Promise.all( properties.children().map( property => {
         const child = getPropertyValue.call( self, property );
         return cto[ property.name ] ?
@@ -1123,6 +1731,30 @@ class EditableRootObject extends ModelBase {
     } );
   }
 
+  /**
+   * Exports the state of the business object to send to the other side of the remote data portal.
+   * <br/>_This method is called by the remote data portal._
+   *
+   * @function EditableRootObject#$toTransfer
+   * @protected
+   * @returns {object} The state of the business object.
+   */
+  $toTransfer() {
+    return toTransfer.call( this );
+  }
+
+  /**
+   * Restores the state of the business object received from the other side of the remote data portal.
+   * <br/>_This method is called by the remote data portal._
+   *
+   * @function EditableRootObject#$fromTransfer
+   * @protected
+   * @param {object} transfer - The state of the business object.
+   */
+  $fromTransfer( transfer ) {
+    fromTransfer.call( this, transfer );
+  }
+
   //endregion
 
   //region Actions
@@ -1133,6 +1765,9 @@ class EditableRootObject extends ModelBase {
    *
    * @function EditableRootObject#create
    * @protected
+   * @param {object} [options] - The options of the data portal action.
+   * @param {AbortSignal} [options.signal] - The signal to abort the action.
+   * @param {number} [options.timeout] - The time limit of the action in milliseconds.
    * @returns {Promise.<EditableRootObject>} Returns a promise to the new editable root object.
    *
    * @throws {@link bo.system.ArgumentError Argument error}:
@@ -1141,19 +1776,27 @@ class EditableRootObject extends ModelBase {
    *      The user has no permission to execute the action.
    * @throws {@link bo.common.DataPortalError Data portal error}:
    *      Creating the business object has failed.
+   * @throws {@link bo.common.AbortError Abort error}:
+   *      The action has been aborted or its time limit has elapsed.
    */
-  create() {
-    return data_create.call( this );
+  create( options ) {
+    return _extensions.get( this ).$runInEnvironment( () => data_create.call( this, options ) );
   }
 
   /**
    * Initializes a business object to be retrieved from the repository.
+   * Within the scope of an {@link bo.common.IdentityMap identity map}, the business object
+   * loaded earlier with the same key is returned instead of this instance.
+   * The business objects of models without key properties are not kept in the map.
    * <br/>_This method is called by a factory method with the same name._
    *
    * @function EditableRootObject#fetch
    * @protected
    * @param {*} [filter] - The filter criteria.
    * @param {string} [method] - An alternative fetch method of the data access object.
+   * @param {object} [options] - The options of the data portal action.
+   * @param {AbortSignal} [options.signal] - The signal to abort the action.
+   * @param {number} [options.timeout] - The time limit of the action in milliseconds.
    * @returns {Promise.<EditableRootObject>} Returns a promise to the retrieved editable root object.
    *
    * @throws {@link bo.system.ArgumentError Argument error}:
@@ -1164,17 +1807,24 @@ class EditableRootObject extends ModelBase {
    *      The user has no permission to execute the action.
    * @throws {@link bo.common.DataPortalError Data portal error}:
    *      Fetching the business object has failed.
+   * @throws {@link bo.common.AbortError Abort error}:
+   *      The action has been aborted or its time limit has elapsed.
    */
-  fetch( filter, method ) {
+  fetch( filter, method, options ) {
     method = Argument.inMethod( this.$modelName, 'fetch' )
       .check( method ).forOptional( 'method' ).asString();
-    return data_fetch.call( this, filter, method || M_FETCH );
+    return _extensions.get( this ).$runInEnvironment( () => data_mappedFetch.call( this, filter, method || M_FETCH, options ) );
   }
 
   /**
    * Saves the changes of the business object to the repository.
+   * The cached data of the models declared by the evicts extension is removed after the save.
+   * When the recordChanges extension is set, the changes are passed to the audit sink of the configuration.
    *
    * @function EditableRootObject#save
+   * @param {object} [options] - The options of the data portal action.
+   * @param {AbortSignal} [options.signal] - The signal to abort the action.
+   * @param {number} [options.timeout] - The time limit of the action in milliseconds.
    * @returns {Promise.<EditableRootObject>} Returns a promise to the saved editable root object.
    *
    * @throws {@link bo.system.ArgumentError Argument error}:
@@ -1187,65 +1837,181 @@ class EditableRootObject extends ModelBase {
    *      Updating the business object has failed.
    * @throws {@link bo.common.DataPortalError Data portal error}:
    *      Deleting the business object has failed.
+   * @throws {@link bo.common.ConcurrencyError Concurrency error}:
+   *      The business object has been modified by another user.
+   * @throws {@link bo.common.PartialSaveError Partial save error}:
+   *      Some child objects have failed to save in their savepoints, the others have been saved.
+   * @throws {@link bo.common.AbortError Abort error}:
+   *      The action has been aborted or its time limit has elapsed.
    */
-  save() {
-    const self = this;
-    return new Promise( ( fulfill, reject ) => {
-      if (self.isValid()) {
-        const state = _state.get( self );
-        /**
-         * The event arises before the business object instance will be saved in the repository.
-         * The event is followed by a preInsert, preUpdate or preRemove event depending on the
-         * state of the business object instance.
-         * @event EditableRootObject#preSave
-         * @param {bo.common.DataPortalEventArgs} eventArgs - Data portal event arguments.
-         * @param {EditableRootObject} oldObject - The instance of the model before the data portal action.
-         */
-        switch (state) {
-          case MODEL_STATE.created:
-            data_insert.call( self )
-              .then( inserted => {
-                fulfill( inserted );
-              } );
-            break;
-          case MODEL_STATE.changed:
-            data_update.call( self )
-              .then( updated => {
-                fulfill( updated );
-              } );
-            break;
-          case MODEL_STATE.markedForRemoval:
-            data_remove.call( self )
-              .then( removed => {
-                fulfill( removed );
-              } );
-            break;
-          default:
-            fulfill( self );
-        }
-        /**
-         * The event arises after the business object instance has been saved in the repository.
-         * The event is preceded by a postInsert, postUpdate or postRemove event depending on the
-         * state of the business object instance.
-         * @event EditableRootObject#postSave
-         * @param {bo.common.DataPortalEventArgs} eventArgs - Data portal event arguments.
-         * @param {EditableRootObject} newObject - The instance of the model after the data portal action.
-         */
-      }
+  save( options ) {
+    const extensions = _extensions.get( this );
+    return extensions.$runInEnvironment( () => {
+      const finish = extensions.recordChanges && changeRecorder.isEnabled() ? recordChanges.call( this ) : null;
+      const errors = [];
+      return data_save.call( this, null, options, errors )
+        .then( saved => fetchCache.evictDeclared( extensions )
+          .then( none => finish ? changeRecorder.write( [ finish() ].filter( changeSet => changeSet ) ) : null )
+          .then( none => errors.length ?
+            Promise.reject( new PartialSaveError( this.$modelName, this, errors ) ) :
+            saved ) );
+    } );
+  }
+
+  /**
+   * Saves the changes of the business object to the repository in the transaction
+   * of a unit of work. The transaction is neither committed nor rolled back.
+   * The children are saved without savepoints, so the failure of any child fails the unit of work.
+   * The changes recorded by the recordChanges extension are written after the transaction is committed.
+   * <br/>_This method is called by the unit of work._
+   *
+   * @function EditableRootObject#$save
+   * @protected
+   * @param {object} connection - The connection of the transaction.
+   * @returns {Promise.<EditableRootObject>} Returns a promise to the saved editable root object.
+   */
+  $save( connection ) {
+    const extensions = _extensions.get( this );
+    return extensions.$runInEnvironment( () => {
+      const finish = extensions.recordChanges && changeRecorder.isEnabled() ? recordChanges.call( this ) : null;
+      return data_save.call( this, connection )
+        .then( saved => (finish ? changeRecorder.write( [ finish() ].filter( changeSet => changeSet ) ) : Promise.resolve( null ))
+          .then( none => saved ) );
     } );
   }
 
+  /**
+   * Retrieves a lazy child collection of the business object from the repository.
+   * The child is read by the data access object method named after the property,
+   * e.g. fetchSchedules for the schedules property, that gets the key of the business object.
+   * The child is retrieved only once, further calls return the loaded child.
+   * Reading the property before the child has been loaded throws a model error.
+   *
+   * @function EditableRootObject#loadChild
+   * @param {string} propertyName - The name of the lazy child property.
+   * @param {object} [options] - The options of the data portal action.
+   * @param {AbortSignal} [options.signal] - The signal to abort the action.
+   * @param {number} [options.timeout] - The time limit of the action in milliseconds.
+   * @returns {Promise.<object>} Returns a promise to the loaded child collection.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}:
+   *      The model has no property with the given name.
+   * @throws {@link bo.common.ModelError Model error}:
+   *      The property is not a lazy child property.
+   * @throws {@link bo.common.ModelError Model error}:
+   *      The child cannot be loaded while an edit level is open.
+   * @throws {@link bo.rules.AuthorizationError Authorization error}:
+   *      The user has no permission to execute the action.
+   * @throws {@link bo.common.DataPortalError Data portal error}:
+   *      Fetching the child has failed.
+   * @throws {@link bo.common.AbortError Abort error}:
+   *      The action has been aborted or its time limit has elapsed.
+   */
+  loadChild( propertyName, options ) {
+    const property = _properties.get( this ).getByName( propertyName );
+    if (!property.isLazy)
+      throw new ModelError( 'notLazy', this.$modelName, property.name );
+
+    const lazyChildren = _lazyChildren.get( this );
+    if (!lazyChildren.has( property.name ))
+      // The child has already been loaded, or the business object is new.
+      return Promise.resolve( getPropertyValue.call( this, property ) );
+    if (_editLevels.get( this ).length)
+      // The open edit levels could not restore the loaded child.
+      return Promise.reject( new ModelError( 'lazyInEdit', this.$modelName, property.name ) );
+
+    let loading = lazyChildren.get( property.name );
+    if (!loading) {
+      loading = _extensions.get( this ).$runInEnvironment( () => data_fetchChild.call( this, property, options ) )
+        .then( child => {
+          lazyChildren.delete( property.name );
+          return child;
+        } )
+        .catch( reason => {
+          // The next call can try again.
+          lazyChildren.set( property.name, null );
+          throw reason;
+        } );
+      lazyChildren.set( property.name, loading );
+    }
+    return loading;
+  }
+
   /**
    * Marks the business object to be deleted from the repository on next save.
    *
    * @function EditableRootObject#remove
+   *
+   * @throws {@link bo.common.ModelError Model error}:
+   *      The lazy children must be loaded before a hard deletion to remove them too.
    */
   remove() {
+    if (!_extensions.get( this ).softDelete) {
+      const self = this;
+      _properties.get( this ).children().forEach( property => {
+        if (!isLoaded.call( self, property ))
+          throw new ModelError( 'lazyNotLoaded', self.$modelName, property.name );
+      } );
+    }
     markForRemoval.call( this );
   }
 
   //endregion
 
+  //region Edit levels
+
+  /**
+   * Starts a new edit level. Saves the current property values and state
+   * of the business object and its child objects and collections.
+   *
+   * @function EditableRootObject#beginEdit
+   */
+  beginEdit() {
+    saveEditLevel.call( this );
+    propagateEdit.call( this, 'beginEdit' );
+  }
+
+  /**
+   * Restores the property values and state of the business object and its
+   * child objects and collections saved by the last beginEdit call.
+   *
+   * @function EditableRootObject#cancelEdit
+   *
+   * @throws {@link bo.common.ModelError Model error}:
+   *      The business object has no edit level.
+   */
+  cancelEdit() {
+    restoreEditLevel.call( this, dropEditLevel.call( this, 'cancelEdit' ) );
+    propagateEdit.call( this, 'cancelEdit' );
+  }
+
+  /**
+   * Keeps the changes made since the last beginEdit call and closes
+   * the current edit level of the business object and its child objects and collections.
+   *
+   * @function EditableRootObject#applyEdit
+   *
+   * @throws {@link bo.common.ModelError Model error}:
+   *      The business object has no edit level.
+   */
+  applyEdit() {
+    dropEditLevel.call( this, 'applyEdit' );
+    propagateEdit.call( this, 'applyEdit' );
+  }
+
+  /**
+   * Gets the count of the open edit levels. The edit levels are discarded
+   * when the business object is retrieved from or saved to the repository.
+   *
+   * @function EditableRootObject#getEditLevel
+   * @returns {number} The count of the edit levels.
+   */
+  getEditLevel() {
+    return _editLevels.get( this ).length;
+  }
+
+  //endregion
+
   //region Validation
 
   /**
@@ -1310,7 +2076,8 @@ class EditableRootObject extends ModelBase {
    */
   getResponse( message, namespace ) {
     const output = this.getBrokenRules( namespace );
-    return output ? new config.brokenRulesResponse( output, message ) : null;
+    const BrokenRulesResponse = _extensions.get( this ).$runInEnvironment( () => config.brokenRulesResponse );
+    return output ? new BrokenRulesResponse( output, message ) : null;
   }
 
   //endregion
@@ -1346,6 +2113,8 @@ class EditableRootObjectFactory {
    *
    * @throws {@link bo.common.ModelError Model error}:
    *    The child objects must be EditableChildCollection or EditableChildObject instances.
+   * @throws {@link bo.common.ModelError Model error}:
+   *    The soft delete property must be a Boolean or DateTime property.
    */
   constructor( name, properties, rules, extensions ) {
     const check = Argument.inConstructor( ModelType.EditableRootObject );
@@ -1361,6 +2130,8 @@ class EditableRootObjectFactory {
       ModelType.EditableChildCollection,
       ModelType.EditableChildObject
     ] );
+    // Verify the property of soft deletion.
+    properties.verifySoftDelete( extensions.softDelete );
 
     // Create model definition.
     const Model = EditableRootObject.bind( undefined, name, properties, rules, extensions );
@@ -1381,6 +2152,9 @@ class EditableRootObjectFactory {
      *
      * @function EditableRootObject.create
      * @param {bo.common.EventHandlerList} [eventHandlers] - The event handlers of the instance.
+     * @param {object} [options] - The options of the data portal action.
+     * @param {AbortSignal} [options.signal] - The signal to abort the action.
+     * @param {number} [options.timeout] - The time limit of the action in milliseconds.
      * @returns {Promise.<EditableRootObject>} Returns a promise to the new editable root object.
      *
      * @throws {@link bo.system.ArgumentError Argument error}:
@@ -1391,10 +2165,12 @@ class EditableRootObjectFactory {
      *      The user has no permission to execute the action.
      * @throws {@link bo.common.DataPortalError Data portal error}:
      *      Creating the root object has failed.
+     * @throws {@link bo.common.AbortError Abort error}:
+     *      The action has been aborted or its time limit has elapsed.
      */
-    Model.create = function ( eventHandlers ) {
+    Model.create = function ( eventHandlers, options ) {
       const instance = new Model( eventHandlers );
-      return instance.create();
+      return instance.create( options );
     };
 
     /**
@@ -1404,6 +2180,9 @@ class EditableRootObjectFactory {
      * @param {*} [filter] - The filter criteria.
      * @param {string} [method] - An alternative fetch method of the data access object.
      * @param {bo.common.EventHandlerList} [eventHandlers] - The event handlers of the instance.
+     * @param {object} [options] - The options of the data portal action.
+     * @param {AbortSignal} [options.signal] - The signal to abort the action.
+     * @param {number} [options.timeout] - The time limit of the action in milliseconds.
      * @returns {Promise.<EditableRootObject>} Returns a promise to the retrieved editable root object.
      *
      * @throws {@link bo.system.ArgumentError Argument error}:
@@ -1416,10 +2195,12 @@ class EditableRootObjectFactory {
      *      The user has no permission to execute the action.
      * @throws {@link bo.common.DataPortalError Data portal error}:
      *      Fetching the business object has failed.
+     * @throws {@link bo.common.AbortError Abort error}:
+     *      The action has been aborted or its time limit has elapsed.
      */
-    Model.fetch = function ( filter, method, eventHandlers ) {
+    Model.fetch = function ( filter, method, eventHandlers, options ) {
       const instance = new Model( eventHandlers );
-      return instance.fetch( filter, method );
+      return instance.fetch( filter, method, options );
     };
 
     //endregion
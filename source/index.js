@@ -22,6 +22,7 @@ const common = require( './common/index.js' );
 const system = require( './system/index.js' );
 
 const configuration = require( './system/configuration-reader.js' );
+const RequestContext = require( './system/request-context.js' );
 const i18n = require( './locales/i18n.js' );
 
 //endregion
@@ -79,13 +80,42 @@ const index = {
    * Initializes the business objects.
    *
    * @function bo.initialize
-   * @param {string} cfgPath -
-   *    The relative path of the {@link external.configurationFile configuration file} (.js or .json).
-   *    E.g. /config/business-objects.json
+   * @param {(string|object)} cfg -
+   *    The relative path of the {@link external.configurationFile configuration file} (.js or .json),
+   *    e.g. /config/business-objects.json, or the configuration object itself whose items
+   *    can be the actual constructors, instances and functions instead of file paths.
    */
-  initialize: function ( cfgPath ) {
-    this.configuration.initialize( cfgPath );
+  initialize: function ( cfg ) {
+    this.configuration.initialize( cfg );
     this.i18n.initialize( this.configuration.pathOfLocales, this.configuration.getLocale );
+  },
+
+  /**
+   * Restores the default configuration and removes the project messages,
+   * so the business objects can be initialized again, e.g. in test suites.
+   *
+   * @function bo.reset
+   */
+  reset: function () {
+    this.configuration.reset();
+    this.i18n.reset();
+  },
+
+  /**
+   * Runs a function within an ambient request context. The user and the locale
+   * of the context are used by the data portal contexts, the authorization rules
+   * and the localization instead of the userReader and localeReader functions
+   * of the configuration.
+   *
+   * @function bo.runInContext
+   * @param {object} context - The items of the context.
+   * @param {bo.system.UserInfo} [context.user] - The current user.
+   * @param {string} [context.locale] - The current locale.
+   * @param {function} fn - The function to run within the context.
+   * @returns {*} The return value of the function.
+   */
+  runInContext: function ( context, fn ) {
+    return RequestContext.run( context, fn );
   }
 };
 
@@ -6,6 +6,7 @@ const fs = require( 'fs' );
 const path = require( 'path' );
 const util = require( 'util' );
 const Utility = require( '../system/utility.js' );
+const contextStorage = require( '../system/context-storage.js' );
 
 //endregion
 
@@ -17,11 +18,33 @@ const locales = {};
 let getCurrentLocale = function () { return NEUTRAL; };
 let isInitialized = false;
 
+// The project messages of the environments by the path of their locales.
+const environmentLocales = new Map();
+
+function getContextLocale() {
+  const context = contextStorage.getItems();
+  return context && context.locale;
+}
+
+function getContextEnvironment() {
+  return contextStorage.getState( 'environment' ) || null;
+}
+
+function getEnvironmentLocales( environment ) {
+  const pathOfLocales = Utility.getDirectory( environment.pathOfLocales, 'pathOfLocales', I18nError );
+  if (!environmentLocales.has( pathOfLocales )) {
+    const store = {};
+    readProjectLocales( pathOfLocales, store );
+    environmentLocales.set( pathOfLocales, store );
+  }
+  return environmentLocales.get( pathOfLocales );
+}
+
 //region Read locales
 
-function readProjectLocales( pathOfLocales ) {
+function readProjectLocales( pathOfLocales, store ) {
   // Read default namespace.
-  readLocales( NS_ROOT, pathOfLocales );
+  readLocales( NS_ROOT, pathOfLocales, store );
 
   // Read other namespaces.
   fs.readdirSync( pathOfLocales ).filter( function ( directoryName ) {
@@ -29,30 +52,30 @@ function readProjectLocales( pathOfLocales ) {
       path.extname( directoryName ) !== NS_ROOT &&
       path.extname( directoryName ) !== NS_BO;
   } ).forEach( function ( directoryName ) {
-    readLocales( directoryName, path.join( pathOfLocales, directoryName ) );
+    readLocales( directoryName, path.join( pathOfLocales, directoryName ), store );
   } );
 }
 
-function readLocales( namespace, localePath ) {
-  locales[ namespace ] = {};
+function readLocales( namespace, localePath, store ) {
+  store[ namespace ] = {};
   fs.readdirSync( localePath ).filter( function ( fileName ) {
     return fs.statSync( path.join( localePath, fileName ) ).isFile() && path.extname( fileName ) === '.json';
   } ).forEach( function ( fileName ) {
     const filePath = path.join( localePath, fileName );
-    locales[ namespace ][ path.basename( fileName, '.json' ) ] = require( filePath );
+    store[ namespace ][ path.basename( fileName, '.json' ) ] = require( filePath );
   } );
-  mergeLocales( namespace );
+  mergeLocales( namespace, store );
 }
 
-function mergeLocales( namespace ) {
-  for (const langExt in locales[ namespace ]) {
-    if (locales[ namespace ].hasOwnProperty( langExt )) {
+function mergeLocales( namespace, store ) {
+  for (const langExt in store[ namespace ]) {
+    if (store[ namespace ].hasOwnProperty( langExt )) {
       const ix = langExt.indexOf( '.' );
       if (ix > 0) {
         // It is an extension.
         const langBase = langExt.substr( 0, ix );
-        const objExt = locales[ namespace ][ langExt ];
-        let objBase = locales[ namespace ][ langBase ];
+        const objExt = store[ namespace ][ langExt ];
+        let objBase = store[ namespace ][ langBase ];
         if (!objBase)
           objBase = {};
         // Copy items to base language.
@@ -66,7 +89,7 @@ function mergeLocales( namespace ) {
           }
         }
         // Remove extension.
-        delete locales[ namespace ][ langExt ];
+        delete store[ namespace ][ langExt ];
       }
     }
   }
@@ -77,7 +100,7 @@ const bolDirectories = [ 'node_modules/business-objects/locales', 'source/locale
 for (let i = 0; i < bolDirectories.length; i++) {
   const bolDirectory = bolDirectories[ i ];
   if (fs.existsSync( path.join( process.cwd(), bolDirectory ) )) {
-    readLocales( NS_BO, path.join( process.cwd(), bolDirectory ) );
+    readLocales( NS_BO, path.join( process.cwd(), bolDirectory ), locales );
     break;
   }
 }
@@ -170,7 +193,8 @@ class i18n {
       throw new I18nError( 'ready' );
 
     readProjectLocales(
-      Utility.getDirectory( pathOfLocales, 'pathOfLocales', I18nError )
+      Utility.getDirectory( pathOfLocales, 'pathOfLocales', I18nError ),
+      locales
     );
 
     if (getLocale) {
@@ -183,6 +207,25 @@ class i18n {
     isInitialized = true;
   }
 
+  /**
+   * Removes the messages of the project and the locale getter,
+   * so the internationalization can be initialized again.
+   * The messages of business objects are kept.
+   *
+   * @function bo.i18n.reset
+   */
+  static reset() {
+
+    Object.keys( locales ).filter( namespace => {
+      return namespace !== NS_BO;
+    } ).forEach( namespace => {
+      delete locales[ namespace ];
+    } );
+    environmentLocales.clear();
+    getCurrentLocale = function () { return NEUTRAL; };
+    isInitialized = false;
+  }
+
   /* locale*namespace:key1.key2.key3 */
   /**
    * Gets a localized message of a given identifier.
@@ -246,10 +289,12 @@ class i18n {
     let colon = messageId.indexOf( ':' );
 
     // Determine locale.
+    const environment = getContextEnvironment();
     if (asterisk > -1)
       locale = messageId.substr( 0, asterisk );
     asterisk++;
-    locale = locale || getCurrentLocale() || NEUTRAL;
+    locale = locale || getContextLocale() ||
+      (environment ? environment.getLocale() : '') || getCurrentLocale() || NEUTRAL;
 
     // Determine namespace.
     if (colon > -1)
@@ -301,8 +346,11 @@ class i18n {
       }
     }
 
-    // Use the required message set.
-    const ns = locales[ namespace ];
+    // Use the required message set: the project messages of the running environment
+    // are read from its own path of locales.
+    const ns = namespace !== NS_BO && environment && environment.pathOfLocales ?
+      getEnvironmentLocales( environment )[ namespace ] :
+      locales[ namespace ];
 
     // When namespace is valid...
     if (ns) {
@@ -15,11 +15,13 @@ const CommandObject = require( './command-object.js' );
 const PropertyManager = require( './common/property-manager.js' );
 const RuleManager = require( './rules/rule-manager.js' );
 const ExtensionManager = require( './common/extension-manager.js' );
+const FetchSharing = require( './common/fetch-sharing.js' );
 
 const Action = require( './rules/authorization-action.js' );
 const cr = require( './common-rules/index.js' );
 
 const PropertyInfo = require( './common/property-info.js' );
+const PropertyFlag = require( './common/property-flag.js' );
 const dt = require( './data-types/index.js' );
 
 const ComposerError = require( './system/composer-error.js' );
@@ -579,6 +581,31 @@ class ModelComposer {
     return addProperty.call( this, propertyName, typeCtor, flags, getter, setter );
   }
 
+  /**
+   * Defines the read-only audit properties for the business object: the createdBy
+   * and modifiedBy text properties, and the createdAt and modifiedAt date-time properties.
+   * Their values are set automatically when the business object is saved.
+   *
+   *    The function is valid for the following model types:
+   *
+   *      * {@link EditableRootObject}
+   *      * {@link EditableChildObject}
+   *
+   * @function ModelComposer#audited
+   * @returns {ModelComposer}
+   *
+   * @throws {@link bo.system.ComposerError Composer error}: The function is not applicable to the model type.
+   */
+  audited() {
+    if (!inGroup3.call( this ))
+      invalid.call( this, 'audited' );
+    addProperty.call( this, 'createdBy', dt.Text, PropertyFlag.readOnly | PropertyFlag.createdBy );
+    addProperty.call( this, 'createdAt', dt.DateTime, PropertyFlag.readOnly | PropertyFlag.createdAt );
+    addProperty.call( this, 'modifiedBy', dt.Text, PropertyFlag.readOnly | PropertyFlag.modifiedBy );
+    addProperty.call( this, 'modifiedAt', dt.DateTime, PropertyFlag.readOnly | PropertyFlag.modifiedAt );
+    return nonProperty.call( this );
+  }
+
   //endregion
 
   //region Property rules - validation
@@ -1155,6 +1182,192 @@ class ModelComposer {
     return nonProperty.call( this );
   }
 
+  /**
+   * Binds the business object to an environment, so it uses the connection manager,
+   * the data access object builder and the other settings of the environment.
+   * See {@link bo.common.ExtensionManager#environment environment}
+   * property of ExtensionManager class.
+   *
+   *    The function is valid for the following model types:
+   *
+   *      * {@link EditableRootObject}
+   *      * {@link EditableRootCollection}
+   *      * {@link ReadOnlyRootObject}
+   *      * {@link ReadOnlyRootCollection}
+   *      * {@link CommandObject}
+   *
+   * @function ModelComposer#environment
+   * @param {bo.system.Environment} environment - The environment of the model.
+   * @returns {ModelComposer}
+   *
+   * @throws {@link bo.system.ComposerError Composer error}: The function is not applicable to the model type.
+   */
+  environment( environment ) {
+    if (!_isRoot.get( this ))
+      invalid.call( this, 'environment' );
+    const extensions = _extensions.get( this );
+    extensions.environment = environment;
+    _extensions.set( this, extensions );
+    return nonProperty.call( this );
+  }
+
+  /**
+   * Stores the fetched data of the business object in the cache store for the given time.
+   * See {@link bo.common.ExtensionManager#cacheDuration cacheDuration}
+   * property of ExtensionManager class.
+   *
+   *    The function is valid for the following model types:
+   *
+   *      * {@link ReadOnlyRootObject}
+   *      * {@link ReadOnlyRootCollection}
+   *
+   * @function ModelComposer#cache
+   * @param {number} duration - The time to live of the cached data in milliseconds.
+   * @returns {ModelComposer}
+   *
+   * @throws {@link bo.system.ComposerError Composer error}: The function is not applicable to the model type.
+   */
+  cache( duration ) {
+    const mf = _modelFactory.get( this );
+    if (mf !== ReadOnlyRootObject && mf !== ReadOnlyRootCollection)
+      invalid.call( this, 'cache' );
+    const extensions = _extensions.get( this );
+    extensions.cacheDuration = duration;
+    _extensions.set( this, extensions );
+    return nonProperty.call( this );
+  }
+
+  /**
+   * Makes the concurrent identical fetches of the business object share the data portal call in progress.
+   * See {@link bo.common.ExtensionManager#fetchSharing fetchSharing}
+   * property of ExtensionManager class.
+   *
+   *    The function is valid for the following model types:
+   *
+   *      * {@link ReadOnlyRootObject}
+   *      * {@link ReadOnlyRootCollection}
+   *
+   * @function ModelComposer#shareFetches
+   * @param {bo.common.FetchSharing} [sharing=FetchSharing.copy] - The way the callers receive the shared result.
+   * @returns {ModelComposer}
+   *
+   * @throws {@link bo.system.ComposerError Composer error}: The function is not applicable to the model type.
+   */
+  shareFetches( sharing ) {
+    const mf = _modelFactory.get( this );
+    if (mf !== ReadOnlyRootObject && mf !== ReadOnlyRootCollection)
+      invalid.call( this, 'shareFetches' );
+    const extensions = _extensions.get( this );
+    extensions.fetchSharing = sharing === undefined ? FetchSharing.copy : sharing;
+    _extensions.set( this, extensions );
+    return nonProperty.call( this );
+  }
+
+  /**
+   * Removes the cached data of the given models when the business object has been saved.
+   * See {@link bo.common.ExtensionManager#evicts evicts}
+   * property of ExtensionManager class.
+   *
+   *    The function is valid for the following model types:
+   *
+   *      * {@link EditableRootObject}
+   *      * {@link EditableRootCollection}
+   *
+   * @function ModelComposer#evicts
+   * @param {...string} modelNames - The names of the cached models.
+   * @returns {ModelComposer}
+   *
+   * @throws {@link bo.system.ComposerError Composer error}: The function is not applicable to the model type.
+   */
+  evicts( ...modelNames ) {
+    const mf = _modelFactory.get( this );
+    if (mf !== EditableRootObject && mf !== EditableRootCollection)
+      invalid.call( this, 'evicts' );
+    const extensions = _extensions.get( this );
+    extensions.evicts = modelNames;
+    _extensions.set( this, extensions );
+    return nonProperty.call( this );
+  }
+
+  /**
+   * Marks the business object deleted by the given property instead of removing it.
+   * See {@link bo.common.ExtensionManager#softDelete softDelete}
+   * property of ExtensionManager class.
+   *
+   *    The function is valid for the following model types:
+   *
+   *      * {@link EditableRootObject}
+   *      * {@link EditableChildObject}
+   *      * {@link ReadOnlyRootObject}
+   *      * {@link ReadOnlyChildObject}
+   *
+   * @function ModelComposer#softDelete
+   * @param {string} propertyName - The name of the Boolean or DateTime property that marks the deletion.
+   * @returns {ModelComposer}
+   *
+   * @throws {@link bo.system.ComposerError Composer error}: The function is not applicable to the model type.
+   */
+  softDelete( propertyName ) {
+    const mf = _modelFactory.get( this );
+    if (mf !== EditableRootObject && mf !== EditableChildObject &&
+        mf !== ReadOnlyRootObject && mf !== ReadOnlyChildObject)
+      invalid.call( this, 'softDelete' );
+    const extensions = _extensions.get( this );
+    extensions.softDelete = propertyName;
+    _extensions.set( this, extensions );
+    return nonProperty.call( this );
+  }
+
+  /**
+   * Loads the soft-deleted business objects as well.
+   * See {@link bo.common.ExtensionManager#includeDeleted includeDeleted}
+   * property of ExtensionManager class.
+   *
+   *    The function is valid for the following model types:
+   *
+   *      * {@link ReadOnlyRootObject}
+   *      * {@link ReadOnlyChildObject}
+   *
+   * @function ModelComposer#includeDeleted
+   * @returns {ModelComposer}
+   *
+   * @throws {@link bo.system.ComposerError Composer error}: The function is not applicable to the model type.
+   */
+  includeDeleted() {
+    const mf = _modelFactory.get( this );
+    if (mf !== ReadOnlyRootObject && mf !== ReadOnlyChildObject)
+      invalid.call( this, 'includeDeleted' );
+    const extensions = _extensions.get( this );
+    extensions.includeDeleted = true;
+    _extensions.set( this, extensions );
+    return nonProperty.call( this );
+  }
+
+  /**
+   * Records the changes of the business object on save, and passes them to the audit sink.
+   * See {@link bo.common.ExtensionManager#recordChanges recordChanges}
+   * property of ExtensionManager class.
+   *
+   *    The function is valid for the following model types:
+   *
+   *      * {@link EditableRootObject}
+   *      * {@link EditableRootCollection}
+   *
+   * @function ModelComposer#recordChanges
+   * @returns {ModelComposer}
+   *
+   * @throws {@link bo.system.ComposerError Composer error}: The function is not applicable to the model type.
+   */
+  recordChanges() {
+    const mf = _modelFactory.get( this );
+    if (mf !== EditableRootObject && mf !== EditableRootCollection)
+      invalid.call( this, 'recordChanges' );
+    const extensions = _extensions.get( this );
+    extensions.recordChanges = true;
+    _extensions.set( this, extensions );
+    return nonProperty.call( this );
+  }
+
   /**
    * Adds a custom function to the business object that converts
    * the model instance to data transfer object.
@@ -1371,6 +1584,31 @@ class ModelComposer {
     return nonProperty.call( this );
   }
 
+  /**
+   * Sets the standard update action of the business object to pass only the key
+   * and the changed properties to the data access object.
+   * See {@link bo.common.ExtensionManager#updateChangedOnly updateChangedOnly}
+   * property of ExtensionManager class.
+   *
+   *    The function is valid for the following model types:
+   *
+   *      * {@link EditableRootObject}
+   *      * {@link EditableChildObject}
+   *
+   * @function ModelComposer#updateChangedOnly
+   * @returns {ModelComposer}
+   *
+   * @throws {@link bo.system.ComposerError Composer error}: The function is not applicable to the model type.
+   */
+  updateChangedOnly() {
+    if (!inGroup3.call( this ))
+      invalid.call( this, 'updateChangedOnly' );
+    const extensions = _extensions.get( this );
+    extensions.updateChangedOnly = true;
+    _extensions.set( this, extensions );
+    return nonProperty.call( this );
+  }
+
   /**
    * Adds a custom function to the business object that deletes
    * an existing instance from the data source.
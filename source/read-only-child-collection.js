@@ -7,6 +7,9 @@ const Argument = require( './system/argument-check.js' );
 const CollectionBase = require( './common/collection-base.js' );
 const ModelType = require( './common/model-type.js' );
 const ModelError = require( './common/model-error.js' );
+const DataPortalAction = require( './common/data-portal-action.js' );
+const DataPortalAbort = require( './common/data-portal-abort.js' );
+const DataPortalStream = require( './common/data-portal-stream.js' );
 
 //endregion
 
@@ -16,11 +19,35 @@ const _itemType = new WeakMap();
 const _parent = new WeakMap();
 const _eventHandlers = new WeakMap();
 const _items = new WeakMap();
+const _source = new WeakMap();
 
 //endregion
 
 //region Helper methods
 
+//region Transfer object methods
+
+function toTransfer() {
+  return {
+    items: _items.get( this ).map( item => {
+      return item.$toTransfer();
+    } )
+  };
+}
+
+function fromTransfer( transfer ) {
+  const itemType = _itemType.get( this );
+  const parent = _parent.get( this );
+  const eventHandlers = _eventHandlers.get( this );
+  _items.set( this, transfer.items.map( data => {
+    const item = itemType.empty( parent, eventHandlers );
+    item.$fromTransfer( data );
+    return item;
+  } ) );
+}
+
+//endregion
+
 function initialize( name, itemType, parent, eventHandlers ) {
 
   // Verify the model type of the parent model.
@@ -48,6 +75,7 @@ function initialize( name, itemType, parent, eventHandlers ) {
   _parent.set( this, parent );
   _eventHandlers.set( this, eventHandlers );
   _items.set( this, [] );
+  _source.set( this, null );
 
   // Immutable definition object.
   Object.freeze( this );
@@ -143,6 +171,30 @@ class ReadOnlyChildCollection extends CollectionBase {
     return cto;
   }
 
+  /**
+   * Exports the state of the business object collection to send to the other side of the remote data portal.
+   * <br/>_This method is called by the remote data portal._
+   *
+   * @function ReadOnlyChildCollection#$toTransfer
+   * @protected
+   * @returns {object} The state of the business object collection.
+   */
+  $toTransfer() {
+    return toTransfer.call( this );
+  }
+
+  /**
+   * Restores the state of the business object collection received from the other side of the remote data portal.
+   * <br/>_This method is called by the remote data portal._
+   *
+   * @function ReadOnlyChildCollection#$fromTransfer
+   * @protected
+   * @param {object} transfer - The state of the business object collection.
+   */
+  $fromTransfer( transfer ) {
+    fromTransfer.call( this, transfer );
+  }
+
   //endregion
 
   //region Actions
@@ -155,10 +207,16 @@ class ReadOnlyChildCollection extends CollectionBase {
    * @function ReadOnlyChildCollection#fetch
    * @protected
    * @param {Array.<object>} [data] - The data to load into the business object collection.
+   *      When it is an async iterable, the items can be read by the stream method.
    * @returns {Promise.<ReadOnlyChildCollection>} Returns a promise to retrieved read-only child collection.
    */
   fetch( data ) {
     const self = this;
+    if (data && typeof data[ Symbol.asyncIterator ] === 'function') {
+      // The items will be read by the stream method.
+      _source.set( this, data );
+      return Promise.resolve( null );
+    }
     return data instanceof Array && data.length ?
 
       Promise.all( data.map( dto => {
@@ -169,10 +227,13 @@ class ReadOnlyChildCollection extends CollectionBase {
       } ) )
         .then( list => {
 
-          // Add loaded items to the collection.
+          // Add loaded items to the collection. The data of the parent object
+          // can contain soft deleted items, they are left out here.
+          const softDelete = _itemType.get( self ).$softDelete;
           const items = _items.get( self );
           list.forEach( item => {
-            items.push( item );
+            if (!softDelete || !item[ softDelete ])
+              items.push( item );
           } );
           _items.set( self, items );
 
@@ -182,6 +243,41 @@ class ReadOnlyChildCollection extends CollectionBase {
       Promise.resolve( null );
   }
 
+  /**
+   * Reads the items of the collection one by one, without holding them in the collection.
+   * The data access object of the parent object has to provide an async iterable of
+   * data transfer objects or of their arrays instead of the data of the collection.
+   * The iterable can be read only once, and it has to use its own resources, because
+   * the connection of the parent object is closed when its fetch has been finished.
+   *
+   * @function ReadOnlyChildCollection#stream
+   * @param {object} [options] - The options of the iteration.
+   * @param {AbortSignal} [options.signal] - The signal to abort the iteration.
+   * @param {number} [options.timeout] - The time limit of the iteration in milliseconds.
+   * @returns {AsyncIterator.<ReadOnlyChildObject>} Returns an async iterator of the collection items.
+   *
+   * @throws {@link bo.common.ModelError Model error}:
+   *      The collection has no data to stream.
+   * @throws {@link bo.common.AbortError Abort error}:
+   *      The iteration has been aborted or its time limit has elapsed.
+   */
+  stream( options ) {
+    const source = _source.get( this );
+    if (!source)
+      throw new ModelError( 'noStream', this.$modelName );
+    _source.set( this, null );
+
+    const itemType = _itemType.get( this );
+    const parent = _parent.get( this );
+    const eventHandlers = _eventHandlers.get( this );
+    const abort = new DataPortalAbort( this.$modelName, DataPortalAction.fetch, options );
+    return new DataPortalStream( abort,
+      () => source,
+      dto => itemType.load( parent, dto, eventHandlers ),
+      error => Promise.resolve( error )
+    );
+  }
+
   /**
    * Indicates whether all items of the business collection are valid.
    *
@@ -326,6 +422,81 @@ class ReadOnlyChildCollection extends CollectionBase {
     return sorted;
   }
 
+  /**
+   * Returns the first item in the collection that satisfies the provided testing function.
+   *
+   * @function ReadOnlyChildCollection#find
+   * @param {external.cbCollectionItem} callback - Function to test for each collection item.
+   * @returns {ReadOnlyChildObject} The first item that passes the test, otherwise undefined.
+   */
+  find( callback ) {
+    const items = _items.get( this );
+    return items.find( callback );
+  }
+
+  /**
+   * Returns the index of the first item in the collection that satisfies the provided testing function.
+   *
+   * @function ReadOnlyChildCollection#findIndex
+   * @param {external.cbCollectionItem} callback - Function to test for each collection item.
+   * @returns {number} The index of the first item that passes the test, otherwise -1.
+   */
+  findIndex( callback ) {
+    const items = _items.get( this );
+    return items.findIndex( callback );
+  }
+
+  /**
+   * Returns the first index at which a given item can be found in the collection.
+   *
+   * @function ReadOnlyChildCollection#indexOf
+   * @param {ReadOnlyChildObject} item - The item to locate in the collection.
+   * @returns {number} The index of the item, or -1 when it is not in the collection.
+   */
+  indexOf( item ) {
+    const items = _items.get( this );
+    return items.indexOf( item );
+  }
+
+  /**
+   * Returns the item in the collection that has the given key. A single key property
+   * is compared to the key itself, more key properties to the properties of the key object.
+   *
+   * @function ReadOnlyChildCollection#findByKey
+   * @param {*} key - The value of the key, or an object that contains the values of the key properties.
+   * @returns {ReadOnlyChildObject} The item with the given key, otherwise undefined.
+   */
+  findByKey( key ) {
+    const items = _items.get( this );
+    return items.find( item => item.$keyMatches( key ) );
+  }
+
+  /**
+   * Applies a function against an accumulator and each item of the collection
+   * to reduce it to a single value.
+   *
+   * @function ReadOnlyChildCollection#reduce
+   * @param {external.cbReduce} callback - Function to execute on each collection item.
+   * @param {*} [initialValue] - The value to use as the first argument of the first call of the callback.
+   * @returns {*} The value that results from the reduction.
+   */
+  reduce( callback, ...initialValue ) {
+    const items = _items.get( this );
+    return items.reduce( callback, ...initialValue );
+  }
+
+  /**
+   * Returns a new iterator that contains the items of the collection,
+   * so the collection can be used in for...of statements and spread syntax.
+   *
+   * @function ReadOnlyChildCollection#@@iterator
+   * @returns {Iterator.<ReadOnlyChildObject>} The iterator of the collection items.
+   */
+  [ Symbol.iterator ]() {
+    const items = _items.get( this );
+    return items[ Symbol.iterator ]();
+  }
+
   //endregion
 }
 
@@ -30,6 +30,7 @@ const DataPortalContext = require( './common/data-portal-context.js' );
 const DataPortalEvent = require( './common/data-portal-event.js' );
 const DataPortalEventArgs = require( './common/data-portal-event-args.js' );
 const DataPortalError = require( './common/data-portal-error.js' );
+const dataPortalPipeline = require( './common/data-portal-pipeline.js' );
 
 //endregion
 
@@ -102,6 +103,34 @@ function baseToCto() {
   return cto;
 }
 
+function toTransfer() {
+  const properties = _properties.get( this );
+  const store = _store.get( this );
+  const transfer = {
+    data: {},
+    children: {}
+  };
+  properties.forEach( property => {
+    if (property.type instanceof DataType)
+      transfer.data[ property.name ] = store.getValue( property );
+    else
+      transfer.children[ property.name ] = store.getValue( property ).$toTransfer();
+  } );
+  return transfer;
+}
+
+function fromTransfer( transfer ) {
+  const properties = _properties.get( this );
+  const store = _store.get( this );
+  properties.forEach( property => {
+    if (property.type instanceof DataType) {
+      if (transfer.data[ property.name ] !== undefined)
+        store.setValue( property, transfer.data[ property.name ] );
+    } else
+      store.getValue( property ).$fromTransfer( transfer.children[ property.name ] );
+  } );
+}
+
 //endregion
 
 //region Permissions
@@ -332,14 +361,16 @@ function data_fetch( dto, method ) {
       raiseEvent.call( self, DataPortalEvent.preFetch, method );
       // Execute fetch.
       const extensions = _extensions.get( self );
-      (extensions.dataFetch ?
-        // *** Custom fetch.
-        extensions.$runMethod( 'fetch', self, getDataContext.call( self ), dto, method ) :
-        // *** Standard fetch.
-        new Promise( ( f, r ) => {
-          fromDto.call( self, dto );
-          f( dto );
-        } ))
+      dataPortalPipeline( self.$modelName, DataPortalAction.fetch, null, () => {
+        return extensions.dataFetch ?
+          // *** Custom fetch.
+          extensions.$runMethod( 'fetch', self, getDataContext.call( self ), dto, method ) :
+          // *** Standard fetch.
+          new Promise( ( f, r ) => {
+            fromDto.call( self, dto );
+            f( dto );
+          } );
+      } )
         .then( none => {
           // Fetch children as well.
           return fetchChildren.call( self, dto );
@@ -469,6 +500,30 @@ class ReadOnlyChildObject extends ModelBase {
     return cto;
   }
 
+  /**
+   * Exports the state of the business object to send to the other side of the remote data portal.
+   * <br/>_This method is called by the remote data portal._
+   *
+   * @function ReadOnlyChildObject#$toTransfer
+   * @protected
+   * @returns {object} The state of the business object.
+   */
+  $toTransfer() {
+    return toTransfer.call( this );
+  }
+
+  /**
+   * Restores the state of the business object received from the other side of the remote data portal.
+   * <br/>_This method is called by the remote data portal._
+   *
+   * @function ReadOnlyChildObject#$fromTransfer
+   * @protected
+   * @param {object} transfer - The state of the business object.
+   */
+  $fromTransfer( transfer ) {
+    fromTransfer.call( this, transfer );
+  }
+
   //endregion
 
   //region Actions
@@ -487,6 +542,20 @@ class ReadOnlyChildObject extends ModelBase {
     return data_fetch.call( this, data, method || M_FETCH );
   }
 
+  /**
+   * Determines that the business object has the given key.
+   * <br/>_This method is called by the parent collection._
+   *
+   * @function ReadOnlyChildObject#$keyMatches
+   * @protected
+   * @param {*} key - The value of the key, or an object that contains the values of the key properties.
+   * @returns {boolean} True when the business object has the key, false otherwise.
+   */
+  $keyMatches( key ) {
+    const properties = _properties.get( this );
+    return properties.keyMatches( key, getPropertyValue.bind( this ) );
+  }
+
   //endregion
 
   //region Validation
@@ -593,6 +662,8 @@ class ReadOnlyChildObjectFactory {
    *
    * @throws {@link bo.common.ModelError Model error}:
    *    The child objects must be ReadOnlyChildCollection or ReadOnlyChildObject instances.
+   * @throws {@link bo.common.ModelError Model error}:
+   *    The soft delete property must be a Boolean or DateTime property.
    */
   constructor( name, properties, rules, extensions ) {
     const check = Argument.inConstructor( ModelType.ReadOnlyChildObject );
@@ -608,6 +679,8 @@ class ReadOnlyChildObjectFactory {
       ModelType.ReadOnlyChildCollection,
       ModelType.ReadOnlyChildObject
     ] );
+    // Verify the property of soft deletion.
+    properties.verifySoftDelete( extensions.softDelete );
 
     // Create model definition.
     const Model = ReadOnlyChildObject.bind( undefined, name, properties, rules, extensions );
@@ -623,6 +696,17 @@ class ReadOnlyChildObjectFactory {
      */
     Model.modelType = ModelType.ReadOnlyChildObject;
 
+    /**
+     * The name of the property that marks the soft deleted items to leave out of the collections,
+     * or null when the model has no soft delete property or it includes the deleted items.
+     * <br/>_This property is read by the parent collection._
+     *
+     * @member {string} ReadOnlyChildObject.$softDelete
+     * @protected
+     * @readonly
+     */
+    Model.$softDelete = extensions.softDelete && !extensions.includeDeleted ? extensions.softDelete : null;
+
     /**
      * Creates a new uninitialized read-only child object instance.
      * <br/>_This method is called by the parent object._
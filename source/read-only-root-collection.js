@@ -12,17 +12,27 @@ const ExtensionManager = require( './common/extension-manager.js' );
 const EventHandlerList = require( './common/event-handler-list.js' );
 
 const ClientTransferContext = require( './common/client-transfer-context.js' );
+const PagingCriteria = require( './common/paging-criteria.js' );
 
 const RuleManager = require( './rules/rule-manager.js' );
 const BrokenRuleList = require( './rules/broken-rule-list.js' );
 const AuthorizationAction = require( './rules/authorization-action.js' );
 const AuthorizationContext = require( './rules/authorization-context.js' );
+const AuthorizationError = require( './rules/authorization-error.js' );
 
 const DataPortalAction = require( './common/data-portal-action.js' );
 const DataPortalContext = require( './common/data-portal-context.js' );
 const DataPortalEvent = require( './common/data-portal-event.js' );
 const DataPortalEventArgs = require( './common/data-portal-event-args.js' );
 const DataPortalError = require( './common/data-portal-error.js' );
+const AbortError = require( './common/abort-error.js' );
+const dataPortalPipeline = require( './common/data-portal-pipeline.js' );
+const DataPortalAbort = require( './common/data-portal-abort.js' );
+const DataPortalStream = require( './common/data-portal-stream.js' );
+const dataPortalRetry = require( './common/data-portal-retry.js' );
+const fetchCache = require( './common/fetch-cache.js' );
+const sharedFetch = require( './common/shared-fetch.js' );
+const FetchSharing = require( './common/fetch-sharing.js' );
 
 //endregion
 
@@ -41,6 +51,9 @@ const _dataContext = new WeakMap();
 const _dao = new WeakMap();
 const _items = new WeakMap();
 const _totalItems = new WeakMap();
+const _paging = new WeakMap();
+const _method = new WeakMap();
+const _isShared = new WeakMap();
 
 //endregion
 
@@ -62,16 +75,43 @@ function baseToCto() {
   } );
   if (totalItems)
     cto.totalItems = totalItems;
+  const paging = _paging.get( this );
+  if (paging) {
+    cto.pageIndex = paging.pageIndex;
+    cto.pageSize = paging.pageSize;
+  }
   return cto;
 }
 
+function toTransfer() {
+  return {
+    totalItems: _totalItems.get( this ),
+    items: _items.get( this ).map( item => {
+      return item.$toTransfer();
+    } )
+  };
+}
+
+function fromTransfer( transfer ) {
+  const itemType = _itemType.get( this );
+  const eventHandlers = _eventHandlers.get( this );
+  _items.set( this, transfer.items.map( data => {
+    const item = itemType.empty( this, eventHandlers );
+    item.$fromTransfer( data );
+    return item;
+  } ) );
+  _totalItems.set( this, transfer.totalItems );
+}
+
 //endregion
 
 //region Permissions
 
 function getAuthorizationContext( action, targetName ) {
   const brokenRules = _brokenRules.get( this );
-  return new AuthorizationContext( action, targetName || '', brokenRules );
+  return _extensions.get( this ).$runInEnvironment( () => {
+    return new AuthorizationContext( action, targetName || '', brokenRules );
+  } );
 }
 
 function canDo( action ) {
@@ -90,6 +130,19 @@ function canExecute( methodName ) {
 
 //endregion
 
+//region Paging
+
+function setPaging( filter, method ) {
+  // Remember the criteria of the paged fetch to retrieve further pages.
+  if (filter instanceof PagingCriteria) {
+    _paging.set( this, filter );
+    _method.set( this, method );
+  } else
+    _paging.set( this, null );
+}
+
+//endregion
+
 //region Child methods
 
 function fetchChildren( data ) {
@@ -140,6 +193,9 @@ function initialize( name, itemType, rules, extensions, eventHandlers ) {
   _dataContext.set( this, null );
   _items.set( this, [] );
   _totalItems.set( this, null );
+  _paging.set( this, null );
+  _method.set( this, M_FETCH );
+  _isShared.set( this, false );
 
   // Get data access object.
   _dao.set( this, extensions.getDataAccessObject( name ) );
@@ -162,7 +218,8 @@ function getDataContext( connection ) {
     dataContext = new DataPortalContext( _dao.get( this ) );
     _dataContext.set( this, dataContext );
   }
-  return dataContext.setState( connection, false );
+  // The data access object leaves out the soft deleted items.
+  return dataContext.setState( connection, false, _itemType.get( this ).$softDelete );
 }
 
 function raiseEvent( event, methodName, error ) {
@@ -173,16 +230,45 @@ function raiseEvent( event, methodName, error ) {
 }
 
 function wrapError( error ) {
-  return new DataPortalError( MODEL_DESC, this.$modelName, DataPortalAction.fetch, error );
+  // Aborted actions are passed unchanged.
+  return error instanceof AbortError ?
+    error :
+    new DataPortalError( MODEL_DESC, this.$modelName, DataPortalAction.fetch, error );
+}
+
+//endregion
+
+//region Remote
+
+function data_remote( filter, method, options ) {
+  const self = this;
+  const abort = new DataPortalAbort( self.$modelName, DataPortalAction.fetch, options );
+  return abort.watch( abort.race( () => config.transport.$execute( {
+    modelName: self.$modelName,
+    action: DataPortalAction.getName( DataPortalAction.fetch ),
+    filter: filter,
+    method: method
+  }, abort.signal ) )
+    .then( transfer => {
+      fromTransfer.call( self, transfer );
+      setPaging.call( self, filter, method );
+      return self;
+    } )
+    .catch( reason => {
+      throw wrapError.call( self, reason );
+    } ) );
 }
 
 //endregion
 
 //region Fetch
 
-function data_fetch( filter, method ) {
+function data_fetch( filter, method, options ) {
+  if (config.transport)
+    return data_remote.call( this, filter, method, options );
   const self = this;
-  return new Promise( ( fulfill, reject ) => {
+  const abort = new DataPortalAbort( self.$modelName, DataPortalAction.fetch, options );
+  return abort.watch( new Promise( ( fulfill, reject ) => {
     // Check permissions.
     if (method === M_FETCH ?
         canDo.call( self, AuthorizationAction.fetchObject ) :
@@ -191,9 +277,11 @@ function data_fetch( filter, method ) {
       let connection = null;
       const extensions = _extensions.get( self );
       // Open connection.
-      config.connectionManager.openConnection( extensions.dataSource )
+      dataPortalRetry( self.$modelName, DataPortalAction.fetch, abort.signal, () =>
+        config.connectionManager.openConnection( extensions.dataSource ) )
         .then( dsc => {
           connection = dsc;
+          abort.attach( connection );
           // Launch start event.
           /**
            * The event arises before the collection instance will be retrieved from the repository.
@@ -205,11 +293,13 @@ function data_fetch( filter, method ) {
           // Execute fetch.
           const dao = _dao.get( self );
           // Root element fetches all data from repository.
-          return extensions.dataFetch ?
-            // *** Custom fetch.
-            extensions.$runMethod( 'fetch', self, getDataContext.call( self, connection ), filter, method ) :
-            // *** Standard fetch.
-            dao.$runMethod( method, connection, filter );
+          return dataPortalPipeline( self.$modelName, DataPortalAction.fetch, connection, () => {
+            return extensions.dataFetch ?
+              // *** Custom fetch.
+              extensions.$runMethod( 'fetch', self, getDataContext.call( self, connection ), filter, method ) :
+              // *** Standard fetch.
+              dao.$runMethod( method, connection, filter, _itemType.get( self ).$softDelete );
+          } );
         } )
         .then( data => {
           // Get the count of all available items.
@@ -225,11 +315,9 @@ function data_fetch( filter, method ) {
           // Load children.
           return fetchChildren.call( self, data )
             .then( children => {
-              let items = _items.get( self );
-              children.forEach( child => {
-                items.push( child );
-              } );
-              _items.set( self, items );
+              // The items of a previous page are replaced.
+              _items.set( self, children );
+              setPaging.call( self, filter, method );
               return null;
             } );
         } )
@@ -262,7 +350,143 @@ function data_fetch( filter, method ) {
             } );
         } );
     }
-  } );
+  } ) );
+}
+
+//endregion
+
+//region Cached fetch
+
+function data_cachedFetch( filter, method, options ) {
+  const self = this;
+  const extensions = _extensions.get( this );
+  if (!extensions.cacheDuration)
+    return data_fetch.call( this, filter, method, options );
+
+  return fetchCache.read( self.$modelName, method, filter )
+    .then( transfer => {
+      if (transfer && (method === M_FETCH ?
+          canDo.call( self, AuthorizationAction.fetchObject ) :
+          canExecute.call( self, method ))) {
+        // Load the cached data without accessing the repository.
+        fromTransfer.call( self, transfer );
+        setPaging.call( self, filter, method );
+        return self;
+      }
+      return data_fetch.call( self, filter, method, options )
+        .then( fetched => fetchCache.write( self.$modelName, extensions, method, filter, () => toTransfer.call( self ) )
+          .then( none => fetched ) );
+    } );
+}
+
+//endregion
+
+//region Shared fetch
+
+function checkShared() {
+  // The instance shared by the concurrent fetches is frozen.
+  if (_isShared.get( this ))
+    throw new ModelError( 'sharedInstance', this.$modelName );
+}
+
+function data_sharedFetch( filter, method, options ) {
+  const self = this;
+  const extensions = _extensions.get( this );
+  if (extensions.fetchSharing === FetchSharing.none)
+    return data_cachedFetch.call( this, filter, method, options );
+
+  // Check permissions before joining or starting the shared fetch.
+  try {
+    if (!(method === M_FETCH ?
+        canDo.call( self, AuthorizationAction.fetchObject ) :
+        canExecute.call( self, method )))
+      throw new AuthorizationError();
+  } catch (reason) {
+    return Promise.reject( reason );
+  }
+
+  const shared = sharedFetch.find( self.$modelName, method, filter );
+  if (!shared)
+    return sharedFetch.add( self.$modelName, method, filter,
+      data_cachedFetch.call( this, filter, method, options )
+        .then( fetched => {
+          // The instance returned to every caller cannot be changed.
+          if (extensions.fetchSharing === FetchSharing.instance)
+            _isShared.set( fetched, true );
+          return fetched;
+        } ) );
+
+  // Wait for the identical fetch in progress within the own limits of the caller.
+  const abort = new DataPortalAbort( self.$modelName, DataPortalAction.fetch, options );
+  return abort.watch( abort.race( () => shared.catch( reason => {
+    if (!(reason instanceof AbortError))
+      throw reason;
+    // The caller of the fetch in progress has aborted it, so fetch again.
+    return data_sharedFetch.call( self, filter, method, abort.signal ? { signal: abort.signal } : null );
+  } ) )
+    .then( fetched => {
+      if (fetched === self || extensions.fetchSharing === FetchSharing.instance)
+        return fetched;
+      // Load the data of the shared fetch.
+      fromTransfer.call( self, toTransfer.call( fetched ) );
+      setPaging.call( self, filter, method );
+      return self;
+    } ) );
+}
+
+//endregion
+
+//region Stream
+
+function data_stream( filter, method, options ) {
+  if (config.transport)
+    throw new ModelError( 'streamRemote', this.$modelName );
+  const self = this;
+  const extensions = _extensions.get( self );
+  const itemType = _itemType.get( self );
+  const eventHandlers = _eventHandlers.get( self );
+  const abort = new DataPortalAbort( self.$modelName, DataPortalAction.fetch, options );
+  const run = fn => extensions.$runInEnvironment( fn );
+
+  let isStarted = false;
+  let connection = null;
+  return new DataPortalStream( abort,
+    () => run( () => {
+      // Check permissions.
+      if (!(method === M_FETCH ?
+          canDo.call( self, AuthorizationAction.fetchObject ) :
+          canExecute.call( self, method )))
+        return null;
+
+      isStarted = true;
+      // Open connection.
+      return dataPortalRetry( self.$modelName, DataPortalAction.fetch, abort.signal, () =>
+        config.connectionManager.openConnection( extensions.dataSource ) )
+        .then( dsc => {
+          connection = dsc;
+          abort.attach( connection );
+          // Launch start event.
+          raiseEvent.call( self, DataPortalEvent.preFetch, method );
+          // Execute fetch, the data access object returns an iterable of the items.
+          const dao = _dao.get( self );
+          return dataPortalPipeline( self.$modelName, DataPortalAction.fetch, connection, () => {
+            return dao.$runMethod( method, connection, filter, itemType.$softDelete );
+          } );
+        } );
+    } ),
+    dto => run( () => itemType.load( self, dto, eventHandlers ) ),
+    error => run( () => {
+      if (!isStarted)
+        return Promise.resolve( error );
+      // Wrap the intercepted error.
+      const dpe = error ? wrapError.call( self, error ) : null;
+      // Launch finish event.
+      raiseEvent.call( self, DataPortalEvent.postFetch, method, dpe );
+      // Close connection.
+      return config.connectionManager.closeConnection( extensions.dataSource, connection )
+        .then( none => dpe );
+    } )
+  );
 }
 
 //endregion
@@ -305,7 +529,9 @@ class ReadOnlyRootCollection extends CollectionBase {
     this.$modelName = name;
 
     // Initialize the instance.
-    initialize.call( this, name, itemType, rules, extensions, eventHandlers );
+    extensions.$runInEnvironment( () => {
+      initialize.call( this, name, itemType, rules, extensions, eventHandlers );
+    } );
   }
 
   //endregion
@@ -333,6 +559,62 @@ class ReadOnlyRootCollection extends CollectionBase {
     return _totalItems.get( this );
   }
 
+  /**
+   * The zero-based index of the current page, or null when the collection
+   * has not been retrieved by {@link bo.common.PagingCriteria paging criteria}.
+   *
+   * @member {number} ReadOnlyRootCollection#pageIndex
+   * @readonly
+   */
+  get pageIndex() {
+    const paging = _paging.get( this );
+    return paging ? paging.pageIndex : null;
+  }
+
+  /**
+   * The count of the items on a page, or null when the collection
+   * has not been retrieved by {@link bo.common.PagingCriteria paging criteria}.
+   *
+   * @member {number} ReadOnlyRootCollection#pageSize
+   * @readonly
+   */
+  get pageSize() {
+    const paging = _paging.get( this );
+    return paging ? paging.pageSize : null;
+  }
+
+  /**
+   * The count of all available pages, or null when the collection has not been
+   * retrieved by paging criteria or the data access object provides no total items.
+   *
+   * @member {number} ReadOnlyRootCollection#pageCount
+   * @readonly
+   */
+  get pageCount() {
+    const paging = _paging.get( this );
+    const totalItems = _totalItems.get( this );
+    return paging && totalItems !== null ?
+      Math.ceil( totalItems / paging.pageSize ) :
+      null;
+  }
+
+  /**
+   * Indicates whether a page follows the current one. When the data access object
+   * provides no total items, a full page is supposed to have a next one.
+   *
+   * @member {boolean} ReadOnlyRootCollection#hasNextPage
+   * @readonly
+   */
+  get hasNextPage() {
+    const paging = _paging.get( this );
+    if (!paging)
+      return false;
+    const pageCount = this.pageCount;
+    return pageCount === null ?
+      _items.get( this ).length === paging.pageSize :
+      paging.pageIndex + 1 < pageCount;
+  }
+
   /**
    * The name of the model type.
    *
@@ -362,32 +644,172 @@ class ReadOnlyRootCollection extends CollectionBase {
       return baseToCto.call( this );
   }
 
+  /**
+   * Exports the state of the business object collection to send to the other side of the remote data portal.
+   * <br/>_This method is called by the remote data portal._
+   *
+   * @function ReadOnlyRootCollection#$toTransfer
+   * @protected
+   * @returns {object} The state of the business object collection.
+   */
+  $toTransfer() {
+    return toTransfer.call( this );
+  }
+
+  /**
+   * Restores the state of the business object collection received from the other side of the remote data portal.
+   * <br/>_This method is called by the remote data portal._
+   *
+   * @function ReadOnlyRootCollection#$fromTransfer
+   * @protected
+   * @param {object} transfer - The state of the business object collection.
+   */
+  $fromTransfer( transfer ) {
+    checkShared.call( this );
+    fromTransfer.call( this, transfer );
+  }
+
   //endregion
 
   //region Actions
 
   /**
    * Initializes a business object collection to be retrieved from the repository.
+   * When the model has a cache duration, the data is read from the cache store
+   * while it is valid, and no data portal events are raised then.
+   * When the model shares the fetches, an identical fetch in progress is awaited
+   * instead of calling the data portal again.
    * <br/>_This method is called by a factory method with the same name._
    *
    * @function ReadOnlyRootCollection#fetch
    * @protected
    * @param {*} [filter] - The filter criteria.
    * @param {string} [method] - An alternative fetch method of the data access object.
+   * @param {object} [options] - The options of the data portal action.
+   * @param {AbortSignal} [options.signal] - The signal to abort the action.
+   * @param {number} [options.timeout] - The time limit of the action in milliseconds.
    * @returns {Promise.<ReadOnlyRootCollection>} Returns a promise to the retrieved read-only root collection.
    *
    * @throws {@link bo.system.ArgumentError Argument error}:
    *      The method must be a string or null.
    * @throws {@link bo.system.ArgumentError Argument error}:
    *      The callback must be a function.
+   * @throws {@link bo.common.ModelError Model error}:
+   *      The instance is shared by concurrent fetches.
    * @throws {@link bo.rules.AuthorizationError Authorization error}:
    *      The user has no permission to execute the action.
    * @throws {@link bo.common.DataPortalError Data portal error}:
    *      Fetching the business object has failed.
+   * @throws {@link bo.common.AbortError Abort error}:
+   *      The action has been aborted or its time limit has elapsed.
    */
-  fetch( filter, method ) {
+  fetch( filter, method, options ) {
     method = Argument.inMethod( this.$modelName, 'fetch' ).check( method ).forOptional( 'method' ).asString();
-    return data_fetch.call( this, filter, method || M_FETCH );
+    checkShared.call( this );
+    return _extensions.get( this ).$runInEnvironment( () => data_sharedFetch.call( this, filter, method || M_FETCH, options ) );
+  }
+
+  /**
+   * Retrieves another page of the business object collection from the repository.
+   * The filter criteria, the page size and the fetch method of the last paged fetch are reused.
+   *
+   * @function ReadOnlyRootCollection#fetchPage
+   * @param {number} pageIndex - The zero-based index of the page to retrieve.
+   * @param {object} [options] - The options of the data portal action.
+   * @param {AbortSignal} [options.signal] - The signal to abort the action.
+   * @param {number} [options.timeout] - The time limit of the action in milliseconds.
+   * @returns {Promise.<ReadOnlyRootCollection>} Returns a promise to the read-only root collection
+   *      holding the items of the requested page.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}:
+   *      The page index must be an integer.
+   * @throws {@link bo.common.ModelError Model error}:
+   *      The collection has not been retrieved by paging criteria.
+   * @throws {@link bo.common.ModelError Model error}:
+   *      The instance is shared by concurrent fetches.
+   * @throws {@link bo.rules.AuthorizationError Authorization error}:
+   *      The user has no permission to execute the action.
+   * @throws {@link bo.common.DataPortalError Data portal error}:
+   *      Fetching the business object collection has failed.
+   * @throws {@link bo.common.AbortError Abort error}:
+   *      The action has been aborted or its time limit has elapsed.
+   */
+  fetchPage( pageIndex, options ) {
+    pageIndex = Argument.inMethod( this.$modelName, 'fetchPage' )
+      .check( pageIndex ).forMandatory( 'pageIndex' ).asInteger();
+
+    const paging = _paging.get( this );
+    if (!paging)
+      throw new ModelError( 'noPaging', this.$modelName );
+    checkShared.call( this );
+
+    // A new fetch starts without broken rules.
+    _brokenRules.get( this ).clear();
+    _isValidated.set( this, false );
+
+    const filter = new PagingCriteria( pageIndex, paging.pageSize, paging.filter );
+    return _extensions.get( this ).$runInEnvironment( () => data_cachedFetch.call( this, filter, _method.get( this ), options ) );
+  }
+
+  /**
+   * Retrieves the page following the current one of the business object collection from the repository.
+   * The filter criteria, the page size and the fetch method of the last paged fetch are reused.
+   *
+   * @function ReadOnlyRootCollection#fetchNextPage
+   * @param {object} [options] - The options of the data portal action.
+   * @param {AbortSignal} [options.signal] - The signal to abort the action.
+   * @param {number} [options.timeout] - The time limit of the action in milliseconds.
+   * @returns {Promise.<ReadOnlyRootCollection>} Returns a promise to the read-only root collection
+   *      holding the items of the next page.
+   *
+   * @throws {@link bo.common.ModelError Model error}:
+   *      The collection has not been retrieved by paging criteria.
+   * @throws {@link bo.common.ModelError Model error}:
+   *      The instance is shared by concurrent fetches.
+   * @throws {@link bo.rules.AuthorizationError Authorization error}:
+   *      The user has no permission to execute the action.
+   * @throws {@link bo.common.DataPortalError Data portal error}:
+   *      Fetching the business object collection has failed.
+   * @throws {@link bo.common.AbortError Abort error}:
+   *      The action has been aborted or its time limit has elapsed.
+   */
+  fetchNextPage( options ) {
+    const paging = _paging.get( this );
+    if (!paging)
+      throw new ModelError( 'noPaging', this.$modelName );
+    return this.fetchPage( paging.pageIndex + 1, options );
+  }
+
+  /**
+   * Reads the items of the business object collection from the repository one by one,
+   * without holding the whole result in the collection. The data access object method
+   * has to return an iterable or an async iterable of data transfer objects or of their
+   * arrays, and the connection remains open until the iteration is finished.
+   * <br/>_This method is called by a factory method with the same name._
+   *
+   * @function ReadOnlyRootCollection#stream
+   * @protected
+   * @param {*} [filter] - The filter criteria.
+   * @param {string} [method] - An alternative fetch method of the data access object.
+   * @param {object} [options] - The options of the data portal action.
+   * @param {AbortSignal} [options.signal] - The signal to abort the action.
+   * @param {number} [options.timeout] - The time limit of the action in milliseconds.
+   * @returns {AsyncIterator.<ReadOnlyChildObject>} Returns an async iterator of the collection items.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}:
+   *      The method must be a string or null.
+   * @throws {@link bo.common.ModelError Model error}:
+   *      The items cannot be streamed through the remote data portal.
+   * @throws {@link bo.rules.AuthorizationError Authorization error}:
+   *      The user has no permission to execute the action.
+   * @throws {@link bo.common.DataPortalError Data portal error}:
+   *      Fetching the business object collection has failed.
+   * @throws {@link bo.common.AbortError Abort error}:
+   *      The action has been aborted or its time limit has elapsed.
+   */
+  stream( filter, method, options ) {
+    method = Argument.inMethod( this.$modelName, 'stream' ).check( method ).forOptional( 'method' ).asString();
+    return data_stream.call( this, filter, method || M_FETCH, options );
   }
 
   //endregion
@@ -468,7 +890,8 @@ class ReadOnlyRootCollection extends CollectionBase {
    */
   getResponse( message, namespace ) {
     const output = this.getBrokenRules( namespace );
-    return output ? new config.brokenRulesResponse( output, message ) : null;
+    const BrokenRulesResponse = _extensions.get( this ).$runInEnvironment( () => config.brokenRulesResponse );
+    return output ? new BrokenRulesResponse( output, message ) : null;
   };
 
   //endregion
@@ -550,6 +973,7 @@ class ReadOnlyRootCollection extends CollectionBase {
 
   /**
    * Sorts the items of the collection in place and returns the collection.
+   * A collection shared by concurrent fetches keeps its order, and the sorted items are returned.
    *
    * @function ReadOnlyRootCollection#sort
    * @param {external.cbCompare} [fnCompare] - Function that defines the sort order.
@@ -559,11 +983,89 @@ class ReadOnlyRootCollection extends CollectionBase {
    */
   sort( fnCompare ) {
     const items = _items.get( this );
+    // The items of a shared collection keep their order.
+    if (_isShared.get( this ))
+      return items.slice().sort( fnCompare );
     const sorted = items.sort( fnCompare );
     _items.set( this, sorted );
     return sorted;
   }
 
+  /**
+   * Returns the first item in the collection that satisfies the provided testing function.
+   *
+   * @function ReadOnlyRootCollection#find
+   * @param {external.cbCollectionItem} callback - Function to test for each collection item.
+   * @returns {ReadOnlyChildObject} The first item that passes the test, otherwise undefined.
+   */
+  find( callback ) {
+    const items = _items.get( this );
+    return items.find( callback );
+  }
+
+  /**
+   * Returns the index of the first item in the collection that satisfies the provided testing function.
+   *
+   * @function ReadOnlyRootCollection#findIndex
+   * @param {external.cbCollectionItem} callback - Function to test for each collection item.
+   * @returns {number} The index of the first item that passes the test, otherwise -1.
+   */
+  findIndex( callback ) {
+    const items = _items.get( this );
+    return items.findIndex( callback );
+  }
+
+  /**
+   * Returns the first index at which a given item can be found in the collection.
+   *
+   * @function ReadOnlyRootCollection#indexOf
+   * @param {ReadOnlyChildObject} item - The item to locate in the collection.
+   * @returns {number} The index of the item, or -1 when it is not in the collection.
+   */
+  indexOf( item ) {
+    const items = _items.get( this );
+    return items.indexOf( item );
+  }
+
+  /**
+   * Returns the item in the collection that has the given key. A single key property
+   * is compared to the key itself, more key properties to the properties of the key object.
+   *
+   * @function ReadOnlyRootCollection#findByKey
+   * @param {*} key - The value of the key, or an object that contains the values of the key properties.
+   * @returns {ReadOnlyChildObject} The item with the given key, otherwise undefined.
+   */
+  findByKey( key ) {
+    const items = _items.get( this );
+    return items.find( item => item.$keyMatches( key ) );
+  }
+
+  /**
+   * Applies a function against an accumulator and each item of the collection
+   * to reduce it to a single value.
+   *
+   * @function ReadOnlyRootCollection#reduce
+   * @param {external.cbReduce} callback - Function to execute on each collection item.
+   * @param {*} [initialValue] - The value to use as the first argument of the first call of the callback.
+   * @returns {*} The value that results from the reduction.
+   */
+  reduce( callback, ...initialValue ) {
+    const items = _items.get( this );
+    return items.reduce( callback, ...initialValue );
+  }
+
+  /**
+   * Returns a new iterator that contains the items of the collection,
+   * so the collection can be used in for...of statements and spread syntax.
+   *
+   * @function ReadOnlyRootCollection#@@iterator
+   * @returns {Iterator.<ReadOnlyChildObject>} The iterator of the collection items.
+   */
+  [ Symbol.iterator ]() {
+    const items = _items.get( this );
+    return items[ Symbol.iterator ]();
+  }
+
   //endregion
 }
 
@@ -623,11 +1125,16 @@ class ReadOnlyRootCollectionFactory {
 
     /**
      * Retrieves a read-only business object collection from the repository.
+     * When the model shares the fetches by {@link bo.common.FetchSharing#instance instance},
+     * the concurrent identical fetches return the same collection that cannot be changed.
      *
      * @function ReadOnlyRootCollection.fetch
      * @param {*} [filter] - The filter criteria.
      * @param {string} [method] - An alternative fetch method of the data access object.
      * @param {bo.common.EventHandlerList} [eventHandlers] - The event handlers of the instance.
+     * @param {object} [options] - The options of the data portal action.
+     * @param {AbortSignal} [options.signal] - The signal to abort the action.
+     * @param {number} [options.timeout] - The time limit of the action in milliseconds.
      * @returns {Promise.<ReadOnlyRootCollection>} Returns a promise to the retrieved read-only root collection.
      *
      * @throws {@link bo.system.ArgumentError Argument error}:
@@ -640,10 +1147,71 @@ class ReadOnlyRootCollectionFactory {
      *      The user has no permission to execute the action.
      * @throws {@link bo.common.DataPortalError Data portal error}:
      *      Fetching the business object collection has failed.
+     * @throws {@link bo.common.AbortError Abort error}:
+     *      The action has been aborted or its time limit has elapsed.
      */
-    Model.fetch = function ( filter, method, eventHandlers ) {
+    Model.fetch = function ( filter, method, eventHandlers, options ) {
       const instance = new Model( eventHandlers );
-      return instance.fetch( filter, method );
+      return instance.fetch( filter, method, options );
+    };
+
+    /**
+     * Reads the items of a read-only business object collection from the repository one by one,
+     * e.g. __for await (const item of Model.stream( filter )) { ... }__.
+     * The items are not held in a collection, so large results can be processed.
+     *
+     * @function ReadOnlyRootCollection.stream
+     * @param {*} [filter] - The filter criteria.
+     * @param {string} [method] - An alternative fetch method of the data access object.
+     * @param {bo.common.EventHandlerList} [eventHandlers] - The event handlers of the instance.
+     * @param {object} [options] - The options of the data portal action.
+     * @param {AbortSignal} [options.signal] - The signal to abort the action.
+     * @param {number} [options.timeout] - The time limit of the action in milliseconds.
+     * @returns {AsyncIterator.<ReadOnlyChildObject>} Returns an async iterator of the collection items.
+     *
+     * @throws {@link bo.system.ArgumentError Argument error}:
+     *      The method must be a string or null.
+     * @throws {@link bo.system.ArgumentError Argument error}:
+     *      The event handlers must be an EventHandlerList object or null.
+     * @throws {@link bo.common.ModelError Model error}:
+     *      The items cannot be streamed through the remote data portal.
+     * @throws {@link bo.rules.AuthorizationError Authorization error}:
+     *      The user has no permission to execute the action.
+     * @throws {@link bo.common.DataPortalError Data portal error}:
+     *      Fetching the business object collection has failed.
+     * @throws {@link bo.common.AbortError Abort error}:
+     *      The action has been aborted or its time limit has elapsed.
+     */
+    Model.stream = function ( filter, method, eventHandlers, options ) {
+      const instance = new Model( eventHandlers );
+      return instance.stream( filter, method, options );
+    };
+
+    /**
+     * Removes the cached data of a fetch of the model.
+     *
+     * @function ReadOnlyRootCollection.evict
+     * @param {*} [filter] - The filter criteria of the fetch.
+     * @param {string} [method] - The alternative fetch method of the fetch.
+     * @returns {Promise.<null>} Returns a promise that is fulfilled when the data is removed.
+     *
+     * @throws {@link bo.system.ArgumentError Argument error}:
+     *      The method must be a string or null.
+     */
+    Model.evict = function ( filter, method ) {
+      method = Argument.inMethod( name, 'evict' )
+        .check( method ).forOptional( 'method' ).asString();
+      return extensions.$runInEnvironment( () => fetchCache.evict( name, method || M_FETCH, filter ) );
+    };
+
+    /**
+     * Removes all cached data of the model.
+     *
+     * @function ReadOnlyRootCollection.evictAll
+     * @returns {Promise.<null>} Returns a promise that is fulfilled when the data is removed.
+     */
+    Model.evictAll = function () {
+      return extensions.$runInEnvironment( () => fetchCache.evictAll( name ) );
     };
 
     //endregion
@@ -24,12 +24,20 @@ const DataTypeRule = require( './rules/data-type-rule.js' );
 const BrokenRuleList = require( './rules/broken-rule-list.js' );
 const AuthorizationAction = require( './rules/authorization-action.js' );
 const AuthorizationContext = require( './rules/authorization-context.js' );
+const AuthorizationError = require( './rules/authorization-error.js' );
 
 const DataPortalAction = require( './common/data-portal-action.js' );
 const DataPortalContext = require( './common/data-portal-context.js' );
 const DataPortalEvent = require( './common/data-portal-event.js' );
 const DataPortalEventArgs = require( './common/data-portal-event-args.js' );
 const DataPortalError = require( './common/data-portal-error.js' );
+const AbortError = require( './common/abort-error.js' );
+const dataPortalPipeline = require( './common/data-portal-pipeline.js' );
+const DataPortalAbort = require( './common/data-portal-abort.js' );
+const dataPortalRetry = require( './common/data-portal-retry.js' );
+const fetchCache = require( './common/fetch-cache.js' );
+const sharedFetch = require( './common/shared-fetch.js' );
+const FetchSharing = require( './common/fetch-sharing.js' );
 
 //endregion
 
@@ -48,6 +56,8 @@ const _isValidated = new WeakMap();
 const _propertyContext = new WeakMap();
 const _dataContext = new WeakMap();
 const _dao = new WeakMap();
+const _lazyChildren = new WeakMap();
+const _isShared = new WeakMap();
 
 //endregion
 
@@ -102,12 +112,56 @@ function baseToCto() {
   return cto;
 }
 
+function toTransfer() {
+  const properties = _properties.get( this );
+  const store = _store.get( this );
+  const transfer = {
+    data: {},
+    children: {}
+  };
+  properties.forEach( property => {
+    if (property.type instanceof DataType)
+      transfer.data[ property.name ] = store.getValue( property );
+    else
+      transfer.children[ property.name ] = store.getValue( property ).$toTransfer();
+  } );
+  return transfer;
+}
+
+function fromTransfer( transfer ) {
+  const properties = _properties.get( this );
+  const store = _store.get( this );
+  properties.forEach( property => {
+    if (property.type instanceof DataType) {
+      if (transfer.data[ property.name ] !== undefined)
+        store.setValue( property, transfer.data[ property.name ] );
+    } else
+      store.getValue( property ).$fromTransfer( transfer.children[ property.name ] );
+  } );
+}
+
+//endregion
+
+//region Soft deletion
+
+function isDeleted() {
+  const extensions = _extensions.get( this );
+  const properties = _properties.get( this );
+  const store = _store.get( this );
+
+  // The flag is set or the timestamp is filled.
+  return !!store.getValue( properties.getByName( extensions.softDelete ) );
+}
+
 //endregion
 
 //region Permissions
 
 function getAuthorizationContext( action, targetName ) {
-  return new AuthorizationContext( action, targetName || '', _brokenRules.get( this ) );
+  const brokenRules = _brokenRules.get( this );
+  return _extensions.get( this ).$runInEnvironment( () => {
+    return new AuthorizationContext( action, targetName || '', brokenRules );
+  } );
 }
 
 function canBeRead( property ) {
@@ -139,14 +193,35 @@ function fetchChildren( dto ) {
   const self = this;
   const properties = _properties.get( this );
 
+  const lazyChildren = _lazyChildren.get( this );
+
   return properties.childCount() ?
     Promise.all( properties.children().map( property => {
+      if (property.isLazy) {
+        // Lazy children are loaded on demand.
+        lazyChildren.set( property.name, null );
+        return null;
+      }
       const child = getPropertyValue.call( self, property );
       return child.fetch( dto[ property.name ] );
     } ) ) :
     Promise.resolve( null );
 }
 
+function isLoaded( property ) {
+  return !_lazyChildren.get( this ).has( property.name );
+}
+
+function unloadLazyChildren() {
+  // The lazy children of the data copied from another instance are loaded on demand.
+  const lazyChildren = _lazyChildren.get( this );
+  _properties.get( this ).children()
+    .filter( property => property.isLazy )
+    .forEach( property => {
+      lazyChildren.set( property.name, null );
+    } );
+}
+
 function childrenAreValid() {
   const self = this;
   const properties = _properties.get( this );
@@ -249,6 +324,8 @@ function initialize( name, properties, rules, extensions, eventHandlers ) {
 
     Object.defineProperty( this, property.name, {
       get: function () {
+        if (!isLoaded.call( this, property ))
+          throw new ModelError( 'lazyNotLoaded', name, property.name );
         return readPropertyValue.call( this, property );
       },
       set: function ( value ) {
@@ -267,6 +344,8 @@ function initialize( name, properties, rules, extensions, eventHandlers ) {
   _brokenRules.set( this, new BrokenRuleList( name ) );
   _isValidated.set( this, false );
   _propertyContext.set( this, null );
+  _lazyChildren.set( this, new Map() );
+  _isShared.set( this, false );
   _dataContext.set( this, null );
 
   // Get data access object.
@@ -306,16 +385,44 @@ function raiseEvent( event, methodName, error ) {
 }
 
 function wrapError( error ) {
-  return new DataPortalError( MODEL_DESC, this.$modelName, DataPortalAction.fetch, error );
+  // Aborted actions are passed unchanged.
+  return error instanceof AbortError ?
+    error :
+    new DataPortalError( MODEL_DESC, this.$modelName, DataPortalAction.fetch, error );
+}
+
+//endregion
+
+//region Remote
+
+function data_remote( filter, method, options ) {
+  const self = this;
+  const abort = new DataPortalAbort( self.$modelName, DataPortalAction.fetch, options );
+  return abort.watch( abort.race( () => config.transport.$execute( {
+    modelName: self.$modelName,
+    action: DataPortalAction.getName( DataPortalAction.fetch ),
+    filter: filter,
+    method: method
+  }, abort.signal ) )
+    .then( transfer => {
+      fromTransfer.call( self, transfer );
+      return self;
+    } )
+    .catch( reason => {
+      throw wrapError.call( self, reason );
+    } ) );
 }
 
 //endregion
 
 //region Fetch
 
-function data_fetch( filter, method ) {
+function data_fetch( filter, method, options ) {
+  if (config.transport)
+    return data_remote.call( this, filter, method, options );
   const self = this;
-  return new Promise( ( fulfill, reject ) => {
+  const abort = new DataPortalAbort( self.$modelName, DataPortalAction.fetch, options );
+  return abort.watch( new Promise( ( fulfill, reject ) => {
     // Check permissions.
     if (method === M_FETCH ?
         canDo.call( self, AuthorizationAction.fetchObject ) :
@@ -324,9 +431,11 @@ function data_fetch( filter, method ) {
       let connection = null;
       // Open connection.
       const extensions = _extensions.get( self );
-      config.connectionManager.openConnection( extensions.dataSource )
+      dataPortalRetry( self.$modelName, DataPortalAction.fetch, abort.signal, () =>
+        config.connectionManager.openConnection( extensions.dataSource ) )
         .then( dsc => {
           connection = dsc;
+          abort.attach( connection );
           // Launch start event.
           /**
            * The event arises before the business object instance will be retrieved from the repository.
@@ -338,17 +447,22 @@ function data_fetch( filter, method ) {
           // Execute fetch.
           const dao = _dao.get( self );
           // Root element fetches all data from repository.
-          return extensions.dataFetch ?
-            // *** Custom fetch.
-            extensions.$runMethod( 'fetch', self, getDataContext.call( this, connection ), filter, method ) :
-            // *** Standard fetch.
-            dao.$runMethod( method, connection, filter )
-              .then( dto => {
-                fromDto.call( self, dto );
-                return dto;
-              } );
+          return dataPortalPipeline( self.$modelName, DataPortalAction.fetch, connection, () => {
+            return extensions.dataFetch ?
+              // *** Custom fetch.
+              extensions.$runMethod( 'fetch', self, getDataContext.call( this, connection ), filter, method ) :
+              // *** Standard fetch.
+              dao.$runMethod( method, connection, filter )
+                .then( dto => {
+                  fromDto.call( self, dto );
+                  return dto;
+                } );
+          } );
         } )
         .then( dto => {
+          // The soft deleted business object is not found, unless the model includes it.
+          if (extensions.softDelete && !extensions.includeDeleted && isDeleted.call( self ))
+            throw new ModelError( 'deleted', self.$modelName );
           // Fetch children as well.
           return fetchChildren.call( self, dto );
         } )
@@ -381,7 +495,144 @@ function data_fetch( filter, method ) {
             } );
         } );
     }
-  } );
+  } ) );
+}
+
+//endregion
+
+//region Cached fetch
+
+function data_cachedFetch( filter, method, options ) {
+  const self = this;
+  const extensions = _extensions.get( this );
+  if (!extensions.cacheDuration)
+    return data_fetch.call( this, filter, method, options );
+
+  return fetchCache.read( self.$modelName, method, filter )
+    .then( transfer => {
+      if (transfer && (method === M_FETCH ?
+          canDo.call( self, AuthorizationAction.fetchObject ) :
+          canExecute.call( self, method ))) {
+        // Load the cached data without accessing the repository.
+        fromTransfer.call( self, transfer );
+        unloadLazyChildren.call( self );
+        return self;
+      }
+      return data_fetch.call( self, filter, method, options )
+        .then( fetched => fetchCache.write( self.$modelName, extensions, method, filter, () => toTransfer.call( self ) )
+          .then( none => fetched ) );
+    } );
+}
+
+//endregion
+
+//region Shared fetch
+
+function checkShared() {
+  // The instance shared by the concurrent fetches is frozen.
+  if (_isShared.get( this ))
+    throw new ModelError( 'sharedInstance', this.$modelName );
+}
+
+function data_sharedFetch( filter, method, options ) {
+  const self = this;
+  const extensions = _extensions.get( this );
+  if (extensions.fetchSharing === FetchSharing.none)
+    return data_cachedFetch.call( this, filter, method, options );
+
+  // Check permissions before joining or starting the shared fetch.
+  try {
+    if (!(method === M_FETCH ?
+        canDo.call( self, AuthorizationAction.fetchObject ) :
+        canExecute.call( self, method )))
+      throw new AuthorizationError();
+  } catch (reason) {
+    return Promise.reject( reason );
+  }
+
+  const shared = sharedFetch.find( self.$modelName, method, filter );
+  if (!shared)
+    return sharedFetch.add( self.$modelName, method, filter,
+      data_cachedFetch.call( this, filter, method, options )
+        .then( fetched => {
+          // The instance returned to every caller cannot be changed.
+          if (extensions.fetchSharing === FetchSharing.instance)
+            _isShared.set( fetched, true );
+          return fetched;
+        } ) );
+
+  // Wait for the identical fetch in progress within the own limits of the caller.
+  const abort = new DataPortalAbort( self.$modelName, DataPortalAction.fetch, options );
+  return abort.watch( abort.race( () => shared.catch( reason => {
+    if (!(reason instanceof AbortError))
+      throw reason;
+    // The caller of the fetch in progress has aborted it, so fetch again.
+    return data_sharedFetch.call( self, filter, method, abort.signal ? { signal: abort.signal } : null );
+  } ) )
+    .then( fetched => {
+      if (fetched === self || extensions.fetchSharing === FetchSharing.instance)
+        return fetched;
+      // Load the data of the shared fetch.
+      fromTransfer.call( self, toTransfer.call( fetched ) );
+      unloadLazyChildren.call( self );
+      return self;
+    } ) );
+}
+
+//endregion
+
+//region Fetch child
+
+function data_fetchChild( property, options ) {
+  if (config.transport)
+    return Promise.reject( new ModelError( 'lazyRemote', this.$modelName, property.name ) );
+  const self = this;
+  const abort = new DataPortalAbort( self.$modelName, DataPortalAction.fetch, options );
+  return abort.watch( new Promise( ( fulfill, reject ) => {
+    // Check permissions.
+    if (canDo.call( self, AuthorizationAction.fetchObject )) {
+
+      let connection = null;
+      const extensions = _extensions.get( self );
+      const child = getPropertyValue.call( self, property );
+      // Open connection.
+      dataPortalRetry( self.$modelName, DataPortalAction.fetch, abort.signal, () =>
+        config.connectionManager.openConnection( extensions.dataSource ) )
+        .then( dsc => {
+          connection = dsc;
+          abort.attach( connection );
+          // Execute the fetch method of the child, e.g. fetchItems for the items property.
+          const dao = _dao.get( self );
+          const properties = _properties.get( self );
+          const methodName = M_FETCH + property.name[ 0 ].toUpperCase() + property.name.substr( 1 );
+          return dataPortalPipeline( self.$modelName, DataPortalAction.fetch, connection, () => {
+            return dao.$runMethod( methodName, connection, properties.getKey( getPropertyValue.bind( self ) ) );
+          } );
+        } )
+        .then( data => {
+          // Load the child.
+          return child.fetch( data );
+        } )
+        .then( none => {
+          // Close connection.
+          config.connectionManager.closeConnection( extensions.dataSource, connection )
+            .then( none => {
+              // Return the loaded child.
+              fulfill( child );
+            } );
+        } )
+        .catch( reason => {
+          // Wrap the intercepted error.
+          const dpe = wrapError.call( self, reason );
+          // Close connection.
+          config.connectionManager.closeConnection( extensions.dataSource, connection )
+            .then( none => {
+              // Pass the error.
+              reject( dpe );
+            } );
+        } );
+    }
+  } ) );
 }
 
 //endregion
@@ -424,7 +675,9 @@ class ReadOnlyRootObject extends ModelBase {
     this.$modelName = name;
 
     // Initialize the instance.
-    initialize.call( this, name, properties, rules, extensions, eventHandlers );
+    extensions.$runInEnvironment( () => {
+      initialize.call( this, name, properties, rules, extensions, eventHandlers );
+    } );
   }
 
   //endregion
@@ -464,41 +717,132 @@ class ReadOnlyRootObject extends ModelBase {
 
     // Export children.
     const properties = _properties.get( this );
-    properties.children().forEach( property => {
-      const child = getPropertyValue.call( this, property );
-      cto[ property.name ] = child.toCto();
-    } );
+    properties.children()
+      .filter( property => isLoaded.call( this, property ) )
+      .forEach( property => {
+        const child = getPropertyValue.call( this, property );
+        cto[ property.name ] = child.toCto();
+      } );
 
     return cto;
   }
 
+  /**
+   * Exports the state of the business object to send to the other side of the remote data portal.
+   * <br/>_This method is called by the remote data portal._
+   *
+   * @function ReadOnlyRootObject#$toTransfer
+   * @protected
+   * @returns {object} The state of the business object.
+   */
+  $toTransfer() {
+    return toTransfer.call( this );
+  }
+
+  /**
+   * Restores the state of the business object received from the other side of the remote data portal.
+   * <br/>_This method is called by the remote data portal._
+   *
+   * @function ReadOnlyRootObject#$fromTransfer
+   * @protected
+   * @param {object} transfer - The state of the business object.
+   */
+  $fromTransfer( transfer ) {
+    checkShared.call( this );
+    fromTransfer.call( this, transfer );
+  }
+
   //endregion
 
   //region Actions
 
   /**
    * Initializes a business object to be retrieved from the repository.
+   * When the model has a cache duration, the data is read from the cache store
+   * while it is valid, and no data portal events are raised then.
+   * When the model shares the fetches, an identical fetch in progress is awaited
+   * instead of calling the data portal again.
    * <br/>_This method is called by a factory method with the same name._
    *
    * @function ReadOnlyRootObject#fetch
    * @protected
    * @param {*} [filter] - The filter criteria.
    * @param {string} [method] - An alternative fetch method of the data access object.
+   * @param {object} [options] - The options of the data portal action.
+   * @param {AbortSignal} [options.signal] - The signal to abort the action.
+   * @param {number} [options.timeout] - The time limit of the action in milliseconds.
    * @returns {Promise.<ReadOnlyRootObject>} Returns a promise to the retrieved read-only root object.
    *
    * @throws {@link bo.system.ArgumentError Argument error}:
    *      The method must be a string or null.
    * @throws {@link bo.system.ArgumentError Argument error}:
    *      The callback must be a function.
+   * @throws {@link bo.common.ModelError Model error}:
+   *      The instance is shared by concurrent fetches.
    * @throws {@link bo.rules.AuthorizationError Authorization error}:
    *      The user has no permission to execute the action.
    * @throws {@link bo.common.DataPortalError Data portal error}:
    *      Fetching the business object has failed.
+   * @throws {@link bo.common.AbortError Abort error}:
+   *      The action has been aborted or its time limit has elapsed.
    */
-  fetch( filter, method ) {
+  fetch( filter, method, options ) {
     method = Argument.inMethod( this.$modelName, 'fetch' )
       .check( method ).forOptional( 'method' ).asString();
-    return data_fetch.call( this, filter, method || M_FETCH );
+    checkShared.call( this );
+    return _extensions.get( this ).$runInEnvironment( () => data_sharedFetch.call( this, filter, method || M_FETCH, options ) );
+  }
+
+  /**
+   * Retrieves a lazy child collection of the business object from the repository.
+   * The child is read by the data access object method named after the property,
+   * e.g. fetchSchedules for the schedules property, that gets the key of the business object.
+   * The child is retrieved only once, further calls return the loaded child.
+   * Reading the property before the child has been loaded throws a model error.
+   *
+   * @function ReadOnlyRootObject#loadChild
+   * @param {string} propertyName - The name of the lazy child property.
+   * @param {object} [options] - The options of the data portal action.
+   * @param {AbortSignal} [options.signal] - The signal to abort the action.
+   * @param {number} [options.timeout] - The time limit of the action in milliseconds.
+   * @returns {Promise.<object>} Returns a promise to the loaded child collection.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}:
+   *      The model has no property with the given name.
+   * @throws {@link bo.common.ModelError Model error}:
+   *      The property is not a lazy child property.
+   * @throws {@link bo.rules.AuthorizationError Authorization error}:
+   *      The user has no permission to execute the action.
+   * @throws {@link bo.common.DataPortalError Data portal error}:
+   *      Fetching the child has failed.
+   * @throws {@link bo.common.AbortError Abort error}:
+   *      The action has been aborted or its time limit has elapsed.
+   */
+  loadChild( propertyName, options ) {
+    const property = _properties.get( this ).getByName( propertyName );
+    if (!property.isLazy)
+      throw new ModelError( 'notLazy', this.$modelName, property.name );
+
+    const lazyChildren = _lazyChildren.get( this );
+    if (!lazyChildren.has( property.name ))
+      // The child has already been loaded, or the business object is new.
+      return Promise.resolve( getPropertyValue.call( this, property ) );
+
+    let loading = lazyChildren.get( property.name );
+    if (!loading) {
+      loading = _extensions.get( this ).$runInEnvironment( () => data_fetchChild.call( this, property, options ) )
+        .then( child => {
+          lazyChildren.delete( property.name );
+          return child;
+        } )
+        .catch( reason => {
+          // The next call can try again.
+          lazyChildren.set( property.name, null );
+          throw reason;
+        } );
+      lazyChildren.set( property.name, loading );
+    }
+    return loading;
   }
 
   //endregion
@@ -577,7 +921,8 @@ class ReadOnlyRootObject extends ModelBase {
    */
   getResponse( message, namespace ) {
     const output = this.getBrokenRules( namespace );
-    return output ? new config.brokenRulesResponse( output, message ) : null;
+    const BrokenRulesResponse = _extensions.get( this ).$runInEnvironment( () => config.brokenRulesResponse );
+    return output ? new BrokenRulesResponse( output, message ) : null;
   };
 
   //endregion
@@ -628,6 +973,8 @@ class ReadOnlyRootObjectFactory {
       ModelType.ReadOnlyChildCollection,
       ModelType.ReadOnlyChildObject
     ] );
+    // Verify the property of soft deletion.
+    properties.verifySoftDelete( extensions.softDelete );
 
     // Create model definition.
     const Model = ReadOnlyRootObject.bind( undefined, name, properties, rules, extensions );
@@ -645,11 +992,18 @@ class ReadOnlyRootObjectFactory {
 
     /**
      * Retrieves a read-only business object from the repository.
+     * When the model shares the fetches by {@link bo.common.FetchSharing#instance instance},
+     * the concurrent identical fetches return the same object that cannot be changed.
+     * When the model defines a soft delete property, the fetch of a deleted business object
+     * fails, unless the model includes the deleted ones.
      *
      * @function ReadOnlyRootObject.fetch
      * @param {*} [filter] - The filter criteria.
      * @param {string} [method] - An alternative fetch method of the data access object.
      * @param {bo.common.EventHandlerList} [eventHandlers] - The event handlers of the instance.
+     * @param {object} [options] - The options of the data portal action.
+     * @param {AbortSignal} [options.signal] - The signal to abort the action.
+     * @param {number} [options.timeout] - The time limit of the action in milliseconds.
      * @returns {Promise.<ReadOnlyRootObject>} Returns a promise to the retrieved read-only root object.
      *
      * @throws {@link bo.system.ArgumentError Argument error}:
@@ -662,10 +1016,39 @@ class ReadOnlyRootObjectFactory {
      *      The user has no permission to execute the action.
      * @throws {@link bo.common.DataPortalError Data portal error}:
      *      Fetching the business object has failed.
+     * @throws {@link bo.common.AbortError Abort error}:
+     *      The action has been aborted or its time limit has elapsed.
      */
-    Model.fetch = function ( filter, method, eventHandlers ) {
+    Model.fetch = function ( filter, method, eventHandlers, options ) {
       const instance = new Model( eventHandlers );
-      return instance.fetch( filter, method );
+      return instance.fetch( filter, method, options );
+    };
+
+    /**
+     * Removes the cached data of a fetch of the model.
+     *
+     * @function ReadOnlyRootObject.evict
+     * @param {*} [filter] - The filter criteria of the fetch.
+     * @param {string} [method] - The alternative fetch method of the fetch.
+     * @returns {Promise.<null>} Returns a promise that is fulfilled when the data is removed.
+     *
+     * @throws {@link bo.system.ArgumentError Argument error}:
+     *      The method must be a string or null.
+     */
+    Model.evict = function ( filter, method ) {
+      method = Argument.inMethod( name, 'evict' )
+        .check( method ).forOptional( 'method' ).asString();
+      return extensions.$runInEnvironment( () => fetchCache.evict( name, method || M_FETCH, filter ) );
+    };
+
+    /**
+     * Removes all cached data of the model.
+     *
+     * @function ReadOnlyRootObject.evictAll
+     * @returns {Promise.<null>} Returns a promise that is fulfilled when the data is removed.
+     */
+    Model.evictAll = function () {
+      return extensions.$runInEnvironment( () => fetchCache.evictAll( name ) );
     };
 
     //endregion
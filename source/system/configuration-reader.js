@@ -2,33 +2,30 @@
 
 //region Imports
 
-const fs = require( 'fs' );
-const path = require( 'path' );
 const ConfigurationError = require( './configuration-error.js' );
-const ConnectionManagerBase = require( '../data-access/connection-manager-base.js' );
-const daoBuilder = require( '../data-access/dao-builder.js' );
-const NoAccessBehavior = require( '../rules/no-access-behavior.js' );
-const BrokenRulesResponse = require( '../rules/broken-rules-response.js' );
-const UserInfo = require( './user-info.js' );
-const Utility = require( './utility.js' );
+const Environment = require( './environment.js' );
 
 //endregion
 
 //region Private variables
 
 let _isInitialized = false;
-let _connectionManager = null;
-let _daoBuilder = daoBuilder;
-let _userReader = null;
-let _getLocale = null;
-let _pathOfLocales = null;
-let _noAccessBehavior = NoAccessBehavior.throwError;
-let _brokenRulesResponse = null;
+let _environment = new Environment();
+
+//endregion
+
+//region Helper methods
+
+function current() {
+  return Environment.current || _environment;
+}
 
 //endregion
 
 /**
- * The configuration of business objects.
+ * The configuration of business objects. Its settings are read from the
+ * {@link bo.system.Environment environment} running by {@link bo.system.Environment#run},
+ * or from the default environment created by {@link bo.system.configuration.initialize}.
  *
  * @name bo.system.configuration
  */
@@ -44,7 +41,19 @@ class Configuration {
    * @static
    */
   static get connectionManager() {
-    return _connectionManager;
+    return current().connectionManager;
+  }
+
+  /**
+   * The transport of the remote data portal. When it is set, the root models send
+   * their data portal requests to a {@link bo.dataAccess.DataPortalServer data portal server}
+   * instead of opening connections by the connection manager.
+   * @member {bo.dataAccess.DataPortalTransport} bo.system.configuration.transport
+   * @readonly
+   * @static
+   */
+  static get transport() {
+    return current().transport;
   }
 
   /**
@@ -56,11 +65,13 @@ class Configuration {
    * @default bo.dataAccess.daoBuilder
    */
   static get daoBuilder() {
-    return _daoBuilder;
+    return current().daoBuilder;
   }
 
   /**
-   * Returns the current user. The default method returns null, i.e. anonymous user is assumed.
+   * Returns the current user. The user of the running {@link bo.system.RequestContext request context}
+   * takes precedence, otherwise the userReader function of the configuration is called.
+   * The default method returns null, i.e. anonymous user is assumed.
    *
    * @function bo.system.configuration.getUser
    * @returns {bo.system.UserInfo} The current user.
@@ -70,21 +81,13 @@ class Configuration {
    *      must return a UserInfo object.
    */
   static getUser() {
-
-    let user = null;
-    if (_userReader) {
-      user = _userReader();
-      if (user === undefined)
-        user = null;
-      else if (user !== null && !(user instanceof UserInfo) && user.super_ !== UserInfo)
-        throw new ConfigurationError( 'userReader' );
-    }
-    return user;
+    return current().getUser();
   }
 
   /**
-   * Returns the current locale. The default method returns an empty string,
-   * i.e. the business objects will use the default messages.
+   * Returns the current locale. The locale of the running {@link bo.system.RequestContext request context}
+   * takes precedence, otherwise the localeReader function of the configuration is called.
+   * The default method returns an empty string, i.e. the business objects will use the default messages.
    *
    * @function bo.system.configuration.getLocale
    * @returns {string} The current locale.
@@ -94,14 +97,22 @@ class Configuration {
    *      must return a string value.
    */
   static getLocale() {
+    return current().getLocale();
+  }
 
-    let locale = '';
-    if (_getLocale) {
-      locale = _getLocale() || '';
-      if (typeof locale !== 'string' && !(locale instanceof String))
-        throw new ConfigurationError( 'localeReader' );
-    }
-    return locale;
+  /**
+   * Returns the current time. The clock function of the configuration is called when
+   * it is defined, otherwise the system time is returned.
+   *
+   * @function bo.system.configuration.now
+   * @returns {Date} The current time.
+   *
+   * @throws {@link bo.system.ConfigurationError Configuration error}:
+   *      The function defined by the clock property of business objects' configuration
+   *      must return a Date object.
+   */
+  static now() {
+    return current().now();
   }
 
   /**
@@ -113,7 +124,7 @@ class Configuration {
    * @static
    */
   static get pathOfLocales() {
-    return _pathOfLocales;
+    return current().pathOfLocales;
   }
 
   /**
@@ -125,7 +136,7 @@ class Configuration {
    * @default bo.rules.NoAccessBehavior#throwError
    */
   static get noAccessBehavior() {
-    return _noAccessBehavior;
+    return current().noAccessBehavior;
   }
 
   /**
@@ -137,82 +148,134 @@ class Configuration {
    * @default bo.rules.BrokenRulesResponse
    */
   static get brokenRulesResponse() {
-    return _brokenRulesResponse || BrokenRulesResponse;
+    return current().brokenRulesResponse;
+  }
+
+  /**
+   * The functions that wrap the data portal operations of the models, in order of registration.
+   * The first interceptor is the outermost one.
+   * @member {Array.<external.dataPortalInterceptor>} bo.system.configuration.interceptors
+   * @readonly
+   * @static
+   */
+  static get interceptors() {
+    return current().interceptors;
+  }
+
+  /**
+   * The policy that repeats the data portal steps failed with a transient error.
+   * When it is not set, the failed steps are not repeated.
+   * @member {bo.dataAccess.RetryPolicy} bo.system.configuration.retryPolicy
+   * @readonly
+   * @static
+   */
+  static get retryPolicy() {
+    return current().retryPolicy;
+  }
+
+  /**
+   * The store that caches the data of the read-only root objects and collections.
+   * The default store is an in-memory cache.
+   * @member {bo.dataAccess.CacheStore} bo.system.configuration.cacheStore
+   * @readonly
+   * @static
+   * @default bo.dataAccess.MemoryCache
+   */
+  static get cacheStore() {
+    return current().cacheStore;
+  }
+
+  /**
+   * The sink that stores the change sets of the editable models recording their changes.
+   * When it is not set, the changes are not recorded.
+   * @member {bo.dataAccess.AuditSink} bo.system.configuration.auditSink
+   * @readonly
+   * @static
+   */
+  static get auditSink() {
+    return current().auditSink;
   }
 
   //endregion
 
+  //region Interceptors
+
+  /**
+   * Registers a function that wraps the data portal operations of the models
+   * using the current environment.
+   *
+   * @function bo.system.configuration.addInterceptor
+   * @param {external.dataPortalInterceptor} interceptor - The function to wrap the data portal operations.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The interceptor must be a function.
+   */
+  static addInterceptor( interceptor ) {
+    current().addInterceptor( interceptor );
+  }
+
   /**
-   * Reads the configuration of business objects.
+   * Removes a previously registered data portal interceptor.
+   *
+   * @function bo.system.configuration.removeInterceptor
+   * @param {external.dataPortalInterceptor} interceptor - The function to remove.
+   * @returns {boolean} True if the interceptor was registered, otherwise false.
+   */
+  static removeInterceptor( interceptor ) {
+    return current().removeInterceptor( interceptor );
+  }
+
+  //endregion
+
+  /**
+   * Reads the configuration of business objects. The configuration can be
+   * the path of a configuration file, or an object whose items are either
+   * file paths, or the actual constructors, instances and functions.
    *
    * @function bo.system.configuration.initialize
-   * @param {string} cfgPath - The path of the configuration file.
+   * @param {(string|object)} cfg - The path of the configuration file or the configuration object.
    *
    * @throws {@link bo.system.ConfigurationError Configuration error}:
    *      The configuration is already initialized.
    * @throws {@link bo.system.ConfigurationError Configuration error}:
-   *      The connection manager is required.
+   *      The configuration must be a file path or an object.
+   * @throws {@link bo.system.ConfigurationError Configuration error}:
+   *      The connection manager is required when no transport is defined.
    * @throws {@link bo.system.ConfigurationError Configuration error}:
    *      The connection manager must inherit ConnectionManagerBase type.
+   * @throws {@link bo.system.ConfigurationError Configuration error}:
+   *      The transport must inherit DataPortalTransport type.
+   * @throws {@link bo.system.ConfigurationError Configuration error}:
+   *      The interceptors must be an array of file paths or functions.
+   * @throws {@link bo.system.ConfigurationError Configuration error}:
+   *      The retry policy must be a RetryPolicy object or an object with an isTransient property.
+   * @throws {@link bo.system.ConfigurationError Configuration error}:
+   *      The cache store must inherit CacheStore type.
    */
-  static initialize( cfgPath ) {
-    let cfg = null;
+  static initialize( cfg ) {
 
     if (_isInitialized)
       throw new ConfigurationError( 'ready' );
 
-    // Read the configuration file.
-    const fullPath = path.join( process.cwd(), cfgPath );
-    if (fs.existsSync( fullPath ))
-      cfg = require( fullPath );
-
-    // Test if configuration file was found.
-    if (cfg) {
-
-      // Evaluate the connection manager.
-      if (cfg.connectionManager) {
-        const cmConstructor = Utility.getFunction( cfg.connectionManager, 'connectionManager', ConfigurationError );
-        _connectionManager = new cmConstructor();
-        if (!(_connectionManager instanceof ConnectionManagerBase))
-          throw new ConfigurationError( 'wrongConMan' );
-      } else
-        throw new ConfigurationError( 'noConMan' );
-
-      // Evaluate the data access object builder.
-      if (cfg.daoBuilder) {
-        _daoBuilder = Utility.getFunction( cfg.daoBuilder, 'daoBuilder', ConfigurationError );
-      }
-
-      // Evaluate the user information reader.
-      if (cfg.userReader) {
-        _userReader = Utility.getFunction( cfg.userReader, 'userReader', ConfigurationError );
-      }
-
-      // Evaluate the locale reader.
-      if (cfg.localeReader) {
-        _getLocale = Utility.getFunction( cfg.localeReader, 'localeReader', ConfigurationError );
-      }
-
-      // Evaluate the path of locale.
-      if (cfg.pathOfLocales) {
-        Utility.getDirectory( cfg.pathOfLocales, 'pathOfLocales', ConfigurationError );
-        _pathOfLocales = cfg.pathOfLocales;
-      }
-
-      // Evaluate the unauthorized behavior.
-      if (cfg.noAccessBehavior !== undefined && cfg.noAccessBehavior !== null) {
-        _noAccessBehavior = Utility.isEnumMember(
-          cfg.noAccessBehavior, NoAccessBehavior, 'noAccessBehavior', ConfigurationError
-        );
-      }
-
-      // Evaluate the broken rules response.
-      if (cfg.brokenRulesResponse) {
-        _brokenRulesResponse = Utility.getFunction( cfg.brokenRulesResponse, 'brokenRulesResponse', ConfigurationError );
-      }
-    }
+    // Keep the interceptors registered before the initialization.
+    const interceptors = _environment.interceptors;
+    _environment = new Environment( cfg );
+    interceptors.forEach( interceptor => {
+      _environment.addInterceptor( interceptor );
+    } );
     _isInitialized = true;
   }
+
+  /**
+   * Restores the default configuration, so the business objects can be initialized again,
+   * e.g. between test suites that require different configurations.
+   * The interceptors registered by {@link bo.system.configuration.addInterceptor} are removed as well.
+   *
+   * @function bo.system.configuration.reset
+   */
+  static reset() {
+    _environment = new Environment();
+    _isInitialized = false;
+  }
 }
 
 Object.freeze( Configuration );
@@ -0,0 +1,76 @@
+'use strict';
+
+//region Private variables
+
+let _storage = null;
+
+//endregion
+
+//region Helper methods
+
+function getStorage() {
+  if (_storage === null) {
+    let AsyncLocalStorage = null;
+    try {
+      AsyncLocalStorage = require( 'async_hooks' ).AsyncLocalStorage;
+    } catch (e) {
+      // The async_hooks module is available since Node 8.
+    }
+    // Undefined means the platform has no AsyncLocalStorage.
+    _storage = AsyncLocalStorage ? new AsyncLocalStorage() : undefined;
+  }
+  return _storage;
+}
+
+function getStore() {
+  const storage = getStorage();
+  return storage ? storage.getStore() : undefined;
+}
+
+function runStore( store, fn ) {
+  const storage = getStorage();
+  if (!storage) {
+    // Required here, because the error is localized by a module that reads the store.
+    const NotImplementedError = require( './not-implemented-error.js' );
+    throw new NotImplementedError( 'asyncStorage' );
+  }
+  return storage.run( Object.freeze( store ), fn );
+}
+
+//endregion
+
+/**
+ * Stores the ambient context of the running request. The storage has no other
+ * dependencies on load, so it can be read by any module, including the localization.
+ * The underlying AsyncLocalStorage is created on first use. Without it, i.e.
+ * before Node 12.17, no context can be run, and the store is always empty.
+ * The store keeps the items of the request context apart from the state of the
+ * framework, e.g. the running environment, so the latter is not exposed as an item.
+ *
+ * @private
+ */
+const contextStorage = {
+
+  getItems() {
+    const store = getStore();
+    return store && store.items;
+  },
+
+  getState( name ) {
+    const store = getStore();
+    return store ? store.state[ name ] : undefined;
+  },
+
+  run( items, fn ) {
+    const store = getStore();
+    return runStore( { items: items, state: store ? store.state : {} }, fn );
+  },
+
+  runState( name, value, fn ) {
+    const store = getStore();
+    const state = Object.freeze( Object.assign( {}, store && store.state, { [ name ]: value } ) );
+    return runStore( { items: store && store.items, state: state }, fn );
+  }
+};
+
+module.exports = contextStorage;
@@ -0,0 +1,478 @@
+'use strict';
+
+//region Imports
+
+const fs = require( 'fs' );
+const path = require( 'path' );
+const Argument = require( './argument-check.js' );
+const ConfigurationError = require( './configuration-error.js' );
+const ConnectionManagerBase = require( '../data-access/connection-manager-base.js' );
+const DataPortalTransport = require( '../data-access/data-portal-transport.js' );
+const RetryPolicy = require( '../data-access/retry-policy.js' );
+const CacheStore = require( '../data-access/cache-store.js' );
+const MemoryCache = require( '../data-access/memory-cache.js' );
+const AuditSink = require( '../data-access/audit-sink.js' );
+const daoBuilder = require( '../data-access/dao-builder.js' );
+const NoAccessBehavior = require( '../rules/no-access-behavior.js' );
+const BrokenRulesResponse = require( '../rules/broken-rules-response.js' );
+const UserInfo = require( './user-info.js' );
+const contextStorage = require( './context-storage.js' );
+const Utility = require( './utility.js' );
+
+//endregion
+
+//region Private variables
+
+const _connectionManager = new WeakMap();
+const _transport = new WeakMap();
+const _daoBuilder = new WeakMap();
+const _userReader = new WeakMap();
+const _getLocale = new WeakMap();
+const _pathOfLocales = new WeakMap();
+const _noAccessBehavior = new WeakMap();
+const _brokenRulesResponse = new WeakMap();
+const _interceptors = new WeakMap();
+const _retryPolicy = new WeakMap();
+const _cacheStore = new WeakMap();
+const _clock = new WeakMap();
+const _auditSink = new WeakMap();
+
+//endregion
+
+//region Helper methods
+
+function getFunction( value, name ) {
+  return typeof value === 'function' ?
+    value :
+    Utility.getFunction( value, name, ConfigurationError );
+}
+
+function getInstance( value, name ) {
+  if (typeof value === 'string' || value instanceof String || typeof value === 'function') {
+    const constructor = getFunction( value, name );
+    return new constructor();
+  }
+  return value;
+}
+
+function getRetryPolicy( value ) {
+  if (value instanceof RetryPolicy)
+    return value;
+  if (typeof value !== 'object' || !value.isTransient)
+    throw new ConfigurationError( 'retryPolicy' );
+  return new RetryPolicy(
+    getFunction( value.isTransient, 'retryPolicy.isTransient' ),
+    value.maxAttempts,
+    value.delay,
+    value.factor
+  );
+}
+
+function readConfiguration( cfg ) {
+
+  if (typeof cfg === 'string' || cfg instanceof String) {
+    // Read the configuration file.
+    const fullPath = path.join( process.cwd(), cfg );
+    cfg = fs.existsSync( fullPath ) ? require( fullPath ) : null;
+  } else if (cfg !== undefined && cfg !== null && typeof cfg !== 'object')
+    throw new ConfigurationError( 'options' );
+
+  // Test if configuration was found.
+  if (cfg) {
+
+    // Evaluate the transport of the remote data portal.
+    if (cfg.transport) {
+      const transport = getInstance( cfg.transport, 'transport' );
+      if (!(transport instanceof DataPortalTransport))
+        throw new ConfigurationError( 'wrongTransport' );
+      _transport.set( this, transport );
+    }
+
+    // Evaluate the connection manager.
+    if (cfg.connectionManager) {
+      const connectionManager = getInstance( cfg.connectionManager, 'connectionManager' );
+      if (!(connectionManager instanceof ConnectionManagerBase))
+        throw new ConfigurationError( 'wrongConMan' );
+      _connectionManager.set( this, connectionManager );
+    } else if (!_transport.get( this ))
+      throw new ConfigurationError( 'noConMan' );
+
+    // Evaluate the data access object builder.
+    if (cfg.daoBuilder) {
+      _daoBuilder.set( this, getFunction( cfg.daoBuilder, 'daoBuilder' ) );
+    }
+
+    // Evaluate the user information reader.
+    if (cfg.userReader) {
+      _userReader.set( this, getFunction( cfg.userReader, 'userReader' ) );
+    }
+
+    // Evaluate the locale reader.
+    if (cfg.localeReader) {
+      _getLocale.set( this, getFunction( cfg.localeReader, 'localeReader' ) );
+    }
+
+    // Evaluate the path of locale.
+    if (cfg.pathOfLocales) {
+      Utility.getDirectory( cfg.pathOfLocales, 'pathOfLocales', ConfigurationError );
+      _pathOfLocales.set( this, cfg.pathOfLocales );
+    }
+
+    // Evaluate the unauthorized behavior.
+    if (cfg.noAccessBehavior !== undefined && cfg.noAccessBehavior !== null) {
+      _noAccessBehavior.set( this, Utility.isEnumMember(
+        cfg.noAccessBehavior, NoAccessBehavior, 'noAccessBehavior', ConfigurationError
+      ) );
+    }
+
+    // Evaluate the broken rules response.
+    if (cfg.brokenRulesResponse) {
+      _brokenRulesResponse.set( this, getFunction( cfg.brokenRulesResponse, 'brokenRulesResponse' ) );
+    }
+
+    // Evaluate the data portal interceptors.
+    if (cfg.interceptors) {
+      if (!(cfg.interceptors instanceof Array))
+        throw new ConfigurationError( 'interceptors' );
+      _interceptors.set( this, cfg.interceptors.map( interceptor => {
+        return getFunction( interceptor, 'interceptors' );
+      } ) );
+    }
+
+    // Evaluate the retry policy.
+    if (cfg.retryPolicy) {
+      _retryPolicy.set( this, getRetryPolicy( cfg.retryPolicy ) );
+    }
+
+    // Evaluate the cache store.
+    if (cfg.cacheStore) {
+      const cacheStore = getInstance( cfg.cacheStore, 'cacheStore' );
+      if (!(cacheStore instanceof CacheStore))
+        throw new ConfigurationError( 'wrongCacheStore' );
+      _cacheStore.set( this, cacheStore );
+    }
+
+    // Evaluate the clock.
+    if (cfg.clock) {
+      _clock.set( this, getFunction( cfg.clock, 'clock' ) );
+    }
+
+    // Evaluate the audit sink.
+    if (cfg.auditSink) {
+      const auditSink = getInstance( cfg.auditSink, 'auditSink' );
+      if (!(auditSink instanceof AuditSink))
+        throw new ConfigurationError( 'wrongAuditSink' );
+      _auditSink.set( this, auditSink );
+    }
+  }
+}
+
+//endregion
+
+/**
+ * Represents an isolated set of the business objects' settings: the connection manager,
+ * the data access object builder, the user and locale readers and the other items of
+ * the configuration. Several environments can live in one process, e.g. one for each
+ * tenant with its own database. The models bound to an environment by their
+ * {@link bo.common.ExtensionManager#environment extension manager} use its settings,
+ * other models use the settings of the environment running by {@link bo.system.Environment#run},
+ * or the default configuration.
+ *
+ * @memberof bo.system
+ */
+class Environment {
+
+  /**
+   * Creates a new environment object.
+   *
+   * @param {(string|object)} [cfg] - The path of the configuration file or the configuration object.
+   *
+   * @throws {@link bo.system.ConfigurationError Configuration error}:
+   *      The configuration must be a file path or an object.
+   * @throws {@link bo.system.ConfigurationError Configuration error}:
+   *      The connection manager is required when no transport is defined.
+   * @throws {@link bo.system.ConfigurationError Configuration error}:
+   *      The connection manager must inherit ConnectionManagerBase type.
+   * @throws {@link bo.system.ConfigurationError Configuration error}:
+   *      The transport must inherit DataPortalTransport type.
+   * @throws {@link bo.system.ConfigurationError Configuration error}:
+   *      The interceptors must be an array of file paths or functions.
+   * @throws {@link bo.system.ConfigurationError Configuration error}:
+   *      The retry policy must be a RetryPolicy object or an object with an isTransient property.
+   * @throws {@link bo.system.ConfigurationError Configuration error}:
+   *      The cache store must inherit CacheStore type.
+   * @throws {@link bo.system.ConfigurationError Configuration error}:
+   *      The audit sink must inherit AuditSink type.
+   */
+  constructor( cfg ) {
+
+    _connectionManager.set( this, null );
+    _transport.set( this, null );
+    _daoBuilder.set( this, daoBuilder );
+    _userReader.set( this, null );
+    _getLocale.set( this, null );
+    _pathOfLocales.set( this, null );
+    _noAccessBehavior.set( this, NoAccessBehavior.throwError );
+    _brokenRulesResponse.set( this, null );
+    _interceptors.set( this, [] );
+    _retryPolicy.set( this, null );
+    _cacheStore.set( this, new MemoryCache() );
+    _clock.set( this, null );
+    _auditSink.set( this, null );
+
+    readConfiguration.call( this, cfg );
+
+    // Immutable object.
+    Object.freeze( this );
+  }
+
+  //region Properties
+
+  /**
+   * The connection manager instance.
+   * @member {bo.dataAccess.ConnectionManagerBase} bo.system.Environment#connectionManager
+   * @readonly
+   */
+  get connectionManager() {
+    return _connectionManager.get( this );
+  }
+
+  /**
+   * The transport of the remote data portal. When it is set, the root models send
+   * their data portal requests to a {@link bo.dataAccess.DataPortalServer data portal server}
+   * instead of opening connections by the connection manager.
+   * @member {bo.dataAccess.DataPortalTransport} bo.system.Environment#transport
+   * @readonly
+   */
+  get transport() {
+    return _transport.get( this );
+  }
+
+  /**
+   * Factory method to create data access objects.
+   * The default method is {@link bo.dataAccess.daoBuilder}.
+   * @member {external.daoBuilder} bo.system.Environment#daoBuilder
+   * @readonly
+   * @default bo.dataAccess.daoBuilder
+   */
+  get daoBuilder() {
+    return _daoBuilder.get( this );
+  }
+
+  /**
+   * The relative path of the directory containing project locales. While the environment
+   * runs, the {@link bo.i18n i18n} message localizers read the project messages from this
+   * directory instead of the one passed to {@link bo.initialize}.
+   * @member {string} bo.system.Environment#pathOfLocales
+   * @readonly
+   */
+  get pathOfLocales() {
+    return _pathOfLocales.get( this );
+  }
+
+  /**
+   * The default behavior for unauthorized operations.
+   * @member {bo.rules.NoAccessBehavior} bo.system.Environment#noAccessBehavior
+   * @readonly
+   * @default bo.rules.NoAccessBehavior#throwError
+   */
+  get noAccessBehavior() {
+    return _noAccessBehavior.get( this );
+  }
+
+  /**
+   * The constructor of the response object for a broken rules request.
+   * @member {bo.rules.BrokenRulesResponse} bo.system.Environment#brokenRulesResponse
+   * @readonly
+   * @default bo.rules.BrokenRulesResponse
+   */
+  get brokenRulesResponse() {
+    return _brokenRulesResponse.get( this ) || BrokenRulesResponse;
+  }
+
+  /**
+   * The functions that wrap the data portal operations of the models, in order of registration.
+   * The first interceptor is the outermost one.
+   * @member {Array.<external.dataPortalInterceptor>} bo.system.Environment#interceptors
+   * @readonly
+   */
+  get interceptors() {
+    return _interceptors.get( this ).slice();
+  }
+
+  /**
+   * The policy that repeats the data portal steps failed with a transient error.
+   * @member {bo.dataAccess.RetryPolicy} bo.system.Environment#retryPolicy
+   * @readonly
+   */
+  get retryPolicy() {
+    return _retryPolicy.get( this );
+  }
+
+  /**
+   * The store that caches the data of the read-only root objects and collections.
+   * The default store is an in-memory cache owned by the environment.
+   * @member {bo.dataAccess.CacheStore} bo.system.Environment#cacheStore
+   * @readonly
+   * @default bo.dataAccess.MemoryCache
+   */
+  get cacheStore() {
+    return _cacheStore.get( this );
+  }
+
+  /**
+   * The sink that stores the change sets of the editable models recording their changes.
+   * When it is not set, the changes are not recorded.
+   * @member {bo.dataAccess.AuditSink} bo.system.Environment#auditSink
+   * @readonly
+   */
+  get auditSink() {
+    return _auditSink.get( this );
+  }
+
+  //endregion
+
+  //region Methods
+
+  /**
+   * Returns the current user. The user of the running {@link bo.system.RequestContext request context}
+   * takes precedence, otherwise the userReader function of the environment is called.
+   *
+   * @function bo.system.Environment#getUser
+   * @returns {bo.system.UserInfo} The current user.
+   *
+   * @throws {@link bo.system.ConfigurationError Configuration error}:
+   *      The function defined by the userReader property must return a UserInfo object.
+   */
+  getUser() {
+
+    const context = contextStorage.getItems();
+    if (context && context.user !== undefined)
+      return context.user;
+
+    let user = null;
+    const userReader = _userReader.get( this );
+    if (userReader) {
+      user = userReader();
+      if (user === undefined)
+        user = null;
+      else if (user !== null && !(user instanceof UserInfo) && user.super_ !== UserInfo)
+        throw new ConfigurationError( 'userReader' );
+    }
+    return user;
+  }
+
+  /**
+   * Returns the current locale. The locale of the running {@link bo.system.RequestContext request context}
+   * takes precedence, otherwise the localeReader function of the environment is called.
+   *
+   * @function bo.system.Environment#getLocale
+   * @returns {string} The current locale.
+   *
+   * @throws {@link bo.system.ConfigurationError Configuration error}:
+   *      The function defined by the localeReader property must return a string value.
+   */
+  getLocale() {
+
+    const context = contextStorage.getItems();
+    if (context && context.locale)
+      return context.locale;
+
+    let locale = '';
+    const getLocale = _getLocale.get( this );
+    if (getLocale) {
+      locale = getLocale() || '';
+      if (typeof locale !== 'string' && !(locale instanceof String))
+        throw new ConfigurationError( 'localeReader' );
+    }
+    return locale;
+  }
+
+  /**
+   * Returns the current time. The clock function of the environment is called when
+   * it is defined, otherwise the system time is returned.
+   *
+   * @function bo.system.Environment#now
+   * @returns {Date} The current time.
+   *
+   * @throws {@link bo.system.ConfigurationError Configuration error}:
+   *      The function defined by the clock property must return a Date object.
+   */
+  now() {
+
+    const clock = _clock.get( this );
+    if (!clock)
+      return new Date();
+
+    const time = clock();
+    if (!(time instanceof Date))
+      throw new ConfigurationError( 'clock' );
+    return time;
+  }
+
+  /**
+   * Registers a function that wraps the data portal operations of the models
+   * using the environment.
+   *
+   * @function bo.system.Environment#addInterceptor
+   * @param {external.dataPortalInterceptor} interceptor - The function to wrap the data portal operations.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The interceptor must be a function.
+   */
+  addInterceptor( interceptor ) {
+    interceptor = Argument.inMethod( Environment.name, 'addInterceptor' )
+      .check( interceptor ).forMandatory( 'interceptor' ).asFunction();
+
+    _interceptors.get( this ).push( interceptor );
+  }
+
+  /**
+   * Removes a previously registered data portal interceptor.
+   *
+   * @function bo.system.Environment#removeInterceptor
+   * @param {external.dataPortalInterceptor} interceptor - The function to remove.
+   * @returns {boolean} True if the interceptor was registered, otherwise false.
+   */
+  removeInterceptor( interceptor ) {
+    const interceptors = _interceptors.get( this );
+    const index = interceptors.indexOf( interceptor );
+    if (index < 0)
+      return false;
+    interceptors.splice( index, 1 );
+    return true;
+  }
+
+  /**
+   * Runs a function within the environment. The models that are not bound
+   * to an environment use the settings of this environment in the function
+   * and in the asynchronous operations started by it.
+   *
+   * @function bo.system.Environment#run
+   * @param {function} fn - The function to run within the environment.
+   * @returns {*} The return value of the function.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The fn argument must be a function.
+   * @throws {@link bo.system.NotImplementedError Not implemented error}: The platform has no AsyncLocalStorage.
+   */
+  run( fn ) {
+    fn = Argument.inMethod( Environment.name, 'run' )
+      .check( fn ).forMandatory( 'fn' ).asFunction();
+
+    // The environment is kept apart from the items of the request context.
+    return contextStorage.runState( 'environment', this, fn );
+  }
+
+  /**
+   * The environment running by {@link bo.system.Environment#run}, or null when there is none.
+   * @member {bo.system.Environment} bo.system.Environment.current
+   * @readonly
+   * @static
+   */
+  static get current() {
+    return contextStorage.getState( 'environment' ) || null;
+  }
+
+  //endregion
+}
+
+module.exports = Environment;
@@ -5,6 +5,8 @@
 const Argument = require( './argument-check.js' );
 const Enumeration = require( './enumeration.js' );
 const UserInfo = require( './user-info.js' );
+const RequestContext = require( './request-context.js' );
+const Environment = require( './environment.js' );
 const Utility = require( './utility.js' );
 
 const ArgumentError = require( './argument-error.js' );
@@ -30,6 +32,10 @@ const PropertyError = require( './property-error.js' );
  *      constructor to create new enumeration.
  * @property {function} UserInfo - {@link bo.system.UserInfo User data}
  *      constructor to create new base object for user information.
+ * @property {function} RequestContext - {@link bo.system.RequestContext Request context}
+ *      class provides the ambient user, locale and other items of the running request.
+ * @property {function} Environment - {@link bo.system.Environment Environment}
+ *      constructor to create an isolated set of the business objects' settings.
  * @property {function} Utility - {@link bo.system.Utility Utility}
  *      function provides static methods for configuration and internationalization.
  *
@@ -56,6 +62,8 @@ const index = {
   Argument: Argument,
   Enumeration: Enumeration,
   UserInfo: UserInfo,
+  RequestContext: RequestContext,
+  Environment: Environment,
   Utility: Utility,
   
   ArgumentError: ArgumentError,
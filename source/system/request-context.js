@@ -0,0 +1,78 @@
+'use strict';
+
+//region Imports
+
+const Argument = require( './argument-check.js' );
+const UserInfo = require( './user-info.js' );
+const contextStorage = require( './context-storage.js' );
+
+//endregion
+
+/**
+ * Provides the ambient context of the running request. The user and the locale
+ * of the context take precedence over the userReader and localeReader functions
+ * of the configuration, so concurrent requests of a server can run with their own
+ * user and locale. The context is preserved through the asynchronous operations
+ * started by the request. It requires AsyncLocalStorage, which is available
+ * since Node 12.17.
+ *
+ * @memberof bo.system
+ */
+class RequestContext {
+
+  /**
+   * Runs a function within a new ambient context. The items of an enclosing
+   * context are inherited unless they are overridden.
+   *
+   * @function bo.system.RequestContext.run
+   * @param {object} context - The items of the context.
+   * @param {bo.system.UserInfo} [context.user] - The current user.
+   * @param {string} [context.locale] - The current locale.
+   * @param {function} fn - The function to run within the context.
+   * @returns {*} The return value of the function.
+   *
+   * @throws {@link bo.system.ArgumentError Argument error}: The context must be an object.
+   * @throws {@link bo.system.ArgumentError Argument error}: The user must be a UserInfo object or null.
+   * @throws {@link bo.system.ArgumentError Argument error}: The locale must be a string or null.
+   * @throws {@link bo.system.ArgumentError Argument error}: The fn argument must be a function.
+   * @throws {@link bo.system.NotImplementedError Not implemented error}: The platform has no AsyncLocalStorage.
+   */
+  static run( context, fn ) {
+    const check = Argument.inMethod( RequestContext.name, 'run' );
+
+    context = check( context ).forMandatory( 'context' ).asObject();
+    fn = check( fn ).forMandatory( 'fn' ).asFunction();
+    if (context.user !== undefined)
+      check( context.user ).forOptional( 'user' ).asType( UserInfo );
+    check( context.locale ).forOptional( 'locale' ).asString();
+
+    const items = Object.freeze( Object.assign( {}, contextStorage.getItems(), context ) );
+    return contextStorage.run( items, fn );
+  }
+
+  /**
+   * The items of the current ambient context, or null when no context is running.
+   * @member {object} bo.system.RequestContext.current
+   * @readonly
+   * @static
+   */
+  static get current() {
+    return contextStorage.getItems() || null;
+  }
+
+  /**
+   * Gets an item of the current ambient context.
+   *
+   * @function bo.system.RequestContext.getItem
+   * @param {string} name - The name of the item.
+   * @returns {*} The value of the item, or undefined when it is not set.
+   */
+  static getItem( name ) {
+    const items = contextStorage.getItems();
+    return items ? items[ name ] : undefined;
+  }
+}
+
+Object.freeze( RequestContext );
+
+module.exports = RequestContext;
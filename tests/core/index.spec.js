@@ -32,5 +32,8 @@ describe( 'Business object index', () => {
 
     expect( bo.configuration ).toEqual( jasmine.any( Function ) );
     expect( bo.i18n ).toEqual( jasmine.any( Function ) );
+    expect( bo.initialize ).toEqual( jasmine.any( Function ) );
+    expect( bo.reset ).toEqual( jasmine.any( Function ) );
+    expect( bo.runInContext ).toEqual( jasmine.any( Function ) );
   } );
 } );
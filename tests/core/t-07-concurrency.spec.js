@@ -0,0 +1,96 @@
+//region Imports
+
+const StockItem = require( '../../data/concurrency/stock-item.js' );
+const ConcurrencyError = require( '../../source/common/concurrency-error.js' );
+const DataPortalError = require( '../../source/common/data-portal-error.js' );
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing optimistic concurrency...' );
+  console.log( '--------------------------------------------------' );
+}
+
+describe( 'Row version', () => {
+
+  let stockKey = null;
+
+  it( 'is set on insert', done => {
+    showTitle();
+
+    StockItem.create()
+      .then( item => {
+        item.productName = 'Spindle';
+        item.quantity = 10;
+        return item.save();
+      } )
+      .then( item => {
+        stockKey = item.stockKey;
+
+        expect( item.version ).toBe( 1 );
+        done();
+      } );
+  } );
+
+  it( 'is incremented on update', done => {
+
+    StockItem.get( stockKey )
+      .then( item => {
+        item.quantity = 12;
+        return item.save();
+      } )
+      .then( item => {
+        expect( item.quantity ).toBe( 12 );
+        expect( item.version ).toBe( 2 );
+        done();
+      } );
+  } );
+
+  it( 'prevents to overwrite changes of others', done => {
+
+    Promise.all( [ StockItem.get( stockKey ), StockItem.get( stockKey ) ] )
+      .then( items => {
+        items[ 0 ].quantity = 15;
+        items[ 1 ].quantity = 8;
+        return items[ 0 ].save()
+          .then( first => {
+            expect( first.version ).toBe( 3 );
+
+            return items[ 1 ].save();
+          } );
+      } )
+      .then( second => {
+        fail( 'Stale row version is accepted.' );
+        done();
+      } )
+      .catch( reason => {
+        expect( reason ).toEqual( jasmine.any( ConcurrencyError ) );
+        expect( reason ).not.toEqual( jasmine.any( DataPortalError ) );
+        expect( reason.message ).toBe( 'StockItem has been modified by another user since it was retrieved.' );
+        done();
+      } );
+  } );
+
+  it( 'prevents to remove changes of others', done => {
+
+    Promise.all( [ StockItem.get( stockKey ), StockItem.get( stockKey ) ] )
+      .then( items => {
+        items[ 0 ].quantity = 20;
+        items[ 1 ].remove();
+        return items[ 0 ].save()
+          .then( first => {
+            return items[ 1 ].save();
+          } );
+      } )
+      .then( none => {
+        fail( 'Stale row version is accepted.' );
+        done();
+      } )
+      .catch( reason => {
+        expect( reason ).toEqual( jasmine.any( ConcurrencyError ) );
+        done();
+      } );
+  } );
+} );
@@ -0,0 +1,142 @@
+//region Imports
+
+const BlanketOrder = require( '../../data/simple-core/blanket-order.js' );
+const StockItem = require( '../../data/concurrency/stock-item.js' );
+const ModelError = require( '../../source/common/model-error.js' );
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing edit levels...' );
+  console.log( '--------------------------------------------------' );
+}
+
+describe( 'Edit level', () => {
+
+  it( 'cancelEdit restores values, state and child graph', done => {
+    showTitle();
+
+    BlanketOrder.create()
+      .then( order => {
+        order.vendorName = 'Acme Corp.';
+        order.address.city = 'Toronto';
+
+        order.beginEdit();
+
+        expect( order.getEditLevel() ).toBe( 1 );
+        expect( order.items.getEditLevel() ).toBe( 1 );
+
+        order.vendorName = 'Ajax Ltd.';
+        order.address.city = 'Montreal';
+
+        return order.items.createItem()
+          .then( item => {
+            item.productName = 'Tablet Creek 7';
+
+            expect( order.vendorName ).toBe( 'Ajax Ltd.' );
+            expect( order.items.count ).toBe( 1 );
+
+            order.cancelEdit();
+
+            expect( order.getEditLevel() ).toBe( 0 );
+            expect( order.vendorName ).toBe( 'Acme Corp.' );
+            expect( order.address.city ).toBe( 'Toronto' );
+            expect( order.items.count ).toBe( 0 );
+            expect( order.getModelState() ).toBe( 'created' );
+            done();
+          } );
+      } );
+  } );
+
+  it( 'applyEdit keeps the changes of nested levels', done => {
+
+    BlanketOrder.create()
+      .then( order => {
+        order.vendorName = 'Acme Corp.';
+
+        order.beginEdit();
+        order.vendorName = 'Ajax Ltd.';
+        order.beginEdit();
+        order.totalPrice = 100;
+        order.applyEdit();
+
+        expect( order.getEditLevel() ).toBe( 1 );
+        expect( order.vendorName ).toBe( 'Ajax Ltd.' );
+        expect( order.totalPrice ).toBe( 100 );
+
+        order.cancelEdit();
+
+        expect( order.vendorName ).toBe( 'Acme Corp.' );
+        expect( order.totalPrice ).toBeNull();
+
+        expect( () => { order.cancelEdit(); } ).toThrow();
+        expect( () => { order.applyEdit(); } ).toThrow(
+          'The applyEdit method of BlanketOrder requires an edit level started by the beginEdit method.'
+        );
+        done();
+      } );
+  } );
+
+  it( 'cancelEdit restores removed collection items', done => {
+
+    BlanketOrder.create()
+      .then( order => {
+        return order.items.createItem()
+          .then( item => {
+            order.beginEdit();
+            item.remove();
+
+            expect( item.getModelState() ).toBe( 'removed' );
+
+            order.cancelEdit();
+
+            expect( order.items.count ).toBe( 1 );
+            expect( item.getModelState() ).toBe( 'created' );
+            done();
+          } );
+      } );
+  } );
+
+  it( 'cancelEdit restores pristine state', done => {
+
+    StockItem.create()
+      .then( item => {
+        item.productName = 'Gear';
+        item.quantity = 5;
+        return item.save();
+      } )
+      .then( item => {
+        item.beginEdit();
+        item.quantity = 6;
+
+        expect( item.isDirty() ).toBe( true );
+
+        item.cancelEdit();
+
+        expect( item.quantity ).toBe( 5 );
+        expect( item.getModelState() ).toBe( 'pristine' );
+        expect( item.isDirty() ).toBe( false );
+
+        item.beginEdit();
+        item.remove();
+
+        expect( item.getModelState() ).toBe( 'markedForRemoval' );
+
+        item.cancelEdit();
+
+        expect( item.getModelState() ).toBe( 'pristine' );
+
+        item.beginEdit();
+        item.quantity = 7;
+        return item.save();
+      } )
+      .then( item => {
+        expect( item.getEditLevel() ).toBe( 0 );
+        expect( new ModelError( 'noEditLevel', 'StockItem', 'cancelEdit' ).message )
+          .toBe( 'The cancelEdit method of StockItem requires an edit level started by the beginEdit method.' );
+        done();
+      } );
+  } );
+} );
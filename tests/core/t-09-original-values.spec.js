@@ -0,0 +1,46 @@
+//region Imports
+
+const StockItem = require( '../../data/concurrency/stock-item.js' );
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing original values...' );
+  console.log( '--------------------------------------------------' );
+}
+
+describe( 'Original value', () => {
+
+  it( 'is tracked until the next save', done => {
+    showTitle();
+
+    StockItem.create()
+      .then( item => {
+        item.productName = 'Bearing';
+        item.quantity = 40;
+
+        expect( item.getChangedProperties() ).toEqual( [ 'productName', 'quantity' ] );
+        expect( item.getOriginalValue( 'quantity' ) ).toBeNull();
+
+        return item.save();
+      } )
+      .then( item => {
+        expect( item.getChangedProperties() ).toEqual( [] );
+
+        item.quantity = 35;
+
+        expect( item.getChangedProperties() ).toEqual( [ 'quantity' ] );
+        expect( item.getOriginalValue( 'quantity' ) ).toBe( 40 );
+        expect( item.isPropertyDirty( 'quantity' ) ).toBe( true );
+        expect( item.isPropertyDirty( 'productName' ) ).toBe( false );
+
+        item.quantity = 40;
+
+        expect( item.isPropertyDirty( 'quantity' ) ).toBe( false );
+        expect( () => { item.isPropertyDirty( 'price' ); } ).toThrow();
+        done();
+      } );
+  } );
+} );
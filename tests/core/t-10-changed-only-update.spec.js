@@ -0,0 +1,45 @@
+//region Imports
+
+const Product = require( '../../data/partial-update/product.js' );
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing changed-only updates...' );
+  console.log( '--------------------------------------------------' );
+}
+
+describe( 'Standard update', () => {
+
+  it( 'passes the key and the changed properties only', done => {
+    showTitle();
+
+    Product.create()
+      .then( product => {
+        product.productName = 'Tablet Creek 7';
+        product.unitPrice = 200;
+        product.launchDate = new Date( 2016, 3, 1 );
+        return product.save();
+      } )
+      .then( product => {
+        return Product.get( product.productKey );
+      } )
+      .then( product => {
+        product.unitPrice = 180;
+        product.launchDate = new Date( 2016, 3, 1 );
+        return product.save();
+      } )
+      .then( product => {
+        expect( global.lastProductUpdate ).toEqual( {
+          productKey: product.productKey,
+          unitPrice: 180,
+          version: 1
+        } );
+        expect( product.version ).toBe( 2 );
+        expect( product.productName ).toBe( 'Tablet Creek 7' );
+        done();
+      } );
+  } );
+} );
@@ -0,0 +1,84 @@
+//region Imports
+
+const StockItem = require( '../../data/concurrency/stock-item.js' );
+const configuration = require( '../../source/system/configuration-reader.js' );
+const DataPortalAction = require( '../../source/common/data-portal-action.js' );
+const DataPortalError = require( '../../source/common/data-portal-error.js' );
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing data portal interceptors...' );
+  console.log( '--------------------------------------------------' );
+}
+
+describe( 'Data portal interceptor', () => {
+
+  it( 'wraps every operation of the model', done => {
+    showTitle();
+
+    const calls = [];
+    const recorder = function ( modelName, action, connection, next ) {
+      calls.push( modelName + '.' + DataPortalAction.getName( action ) + ':' + (connection ? 'open' : 'none') );
+      return next();
+    };
+    configuration.addInterceptor( recorder );
+
+    StockItem.create()
+      .then( item => {
+        item.productName = 'Bolt';
+        item.quantity = 100;
+        return item.save();
+      } )
+      .then( item => {
+        return StockItem.get( item.stockKey );
+      } )
+      .then( item => {
+        item.quantity = 90;
+        return item.save();
+      } )
+      .then( item => {
+        item.remove();
+        return item.save();
+      } )
+      .then( item => {
+        configuration.removeInterceptor( recorder );
+
+        expect( calls ).toEqual( [
+          'StockItem.create:open',
+          'StockItem.insert:open',
+          'StockItem.fetch:open',
+          'StockItem.update:open',
+          'StockItem.remove:open'
+        ] );
+        done();
+      } );
+  } );
+
+  it( 'can stop the operation', done => {
+
+    const guard = function ( modelName, action, connection, next ) {
+      if (action === DataPortalAction.insert)
+        return Promise.reject( new Error( 'Read-only repository.' ) );
+      return next();
+    };
+    configuration.addInterceptor( guard );
+
+    StockItem.create()
+      .then( item => {
+        item.productName = 'Nut';
+        item.quantity = 50;
+        return item.save();
+      } )
+      .catch( reason => {
+        configuration.removeInterceptor( guard );
+
+        expect( reason ).toEqual( jasmine.any( DataPortalError ) );
+        expect( reason.action ).toBe( 'insert' );
+        expect( reason.innerError.message ).toBe( 'Read-only repository.' );
+        done();
+      } );
+  } );
+} );
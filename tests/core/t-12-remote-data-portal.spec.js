@@ -0,0 +1,71 @@
+//region Imports
+
+const path = require( 'path' );
+const childProcess = require( 'child_process' );
+const DataPortalServer = require( '../../source/data-access/data-portal-server.js' );
+const SalesOrder = require( '../../data/remote/sales-order.js' );
+const SalesOrderList = require( '../../data/remote/sales-order-list.js' );
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing remote data portal...' );
+  console.log( '--------------------------------------------------' );
+}
+
+describe( 'Remote data portal', () => {
+
+  it( 'executes the operations of a client on the server', done => {
+    showTitle();
+
+    const portal = new DataPortalServer( {
+      SalesOrder: SalesOrder,
+      SalesOrderList: SalesOrderList
+    } );
+
+    portal.listen( 0, '127.0.0.1' )
+      .then( server => {
+        const client = childProcess.fork( path.join( __dirname, '../../data/remote/client.js' ), [], {
+          env: Object.assign( {}, process.env, {
+            DATA_PORTAL_URL: 'http://127.0.0.1:' + server.address().port + '/'
+          } )
+        } );
+
+        client.on( 'message', results => {
+
+          expect( results.created.state ).toBe( 'created' );
+          expect( results.created.orderDate ).toBe( new Date( 2016, 4, 16 ).toISOString() );
+
+          expect( results.inserted.state ).toBe( 'pristine' );
+          expect( results.inserted.orderKey ).toBe( 1 );
+          expect( results.inserted.lineKey ).toBe( 1 );
+
+          expect( results.fetched.state ).toBe( 'pristine' );
+          expect( results.fetched.customerName ).toBe( 'Acme Ltd.' );
+          expect( results.fetched.lineCount ).toBe( 1 );
+          expect( results.fetched.productName ).toBe( 'Widget' );
+
+          expect( results.updated.state ).toBe( 'pristine' );
+          expect( results.updated.quantity ).toBe( 25 );
+
+          expect( results.list.totalItems ).toBe( 1 );
+          expect( results.list.customerName ).toBe( 'Acme Ltd.' );
+
+          expect( results.removed.result ).toBeNull();
+          expect( results.removed.state ).toBe( 'removed' );
+
+          expect( results.missing.name ).toBe( 'DataPortalError' );
+          expect( results.missing.action ).toBe( 'fetch' );
+          expect( results.missing.message ).toBe( 'Sales order not found.' );
+        } );
+
+        client.on( 'exit', code => {
+          server.close( () => {
+            done();
+          } );
+        } );
+      } );
+  }, 20000 );
+} );
@@ -0,0 +1,143 @@
+//region Imports
+
+const Account = require( '../../data/unit-of-work/account.js' );
+const PostTransferCommand = require( '../../data/unit-of-work/post-transfer-command.js' );
+const configuration = require( '../../source/system/configuration-reader.js' );
+const UnitOfWork = require( '../../source/common/unit-of-work.js' );
+const DataPortalError = require( '../../source/common/data-portal-error.js' );
+const BrokenRulesResponse = require( '../../source/rules/broken-rules-response.js' );
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing unit of work...' );
+  console.log( '--------------------------------------------------' );
+}
+
+describe( 'Unit of work', () => {
+
+  let connections = [];
+  const recorder = function ( modelName, action, connection, next ) {
+    connections.push( connection );
+    return next();
+  };
+
+  function createAccount( owner, balance ) {
+    return Account.create()
+      .then( account => {
+        account.owner = owner;
+        account.balance = balance;
+        return account;
+      } );
+  }
+
+  beforeEach( () => {
+    connections = [];
+    configuration.addInterceptor( recorder );
+    spyOn( configuration.connectionManager, 'beginTransaction' ).andCallThrough();
+    spyOn( configuration.connectionManager, 'commitTransaction' ).andCallThrough();
+    spyOn( configuration.connectionManager, 'rollbackTransaction' ).andCallThrough();
+  } );
+
+  afterEach( () => {
+    configuration.removeInterceptor( recorder );
+  } );
+
+  it( 'saves the models in one transaction', done => {
+    showTitle();
+
+    Promise.all( [ createAccount( 'Alice', 1500 ), createAccount( 'Bob', 500 ) ] )
+      .then( accounts => {
+        const command = PostTransferCommand.create();
+        command.amount = 1000;
+        connections = [];
+
+        return new UnitOfWork( 'dao' )
+          .save( accounts[ 0 ] )
+          .save( accounts[ 1 ] )
+          .execute( command )
+          .commit()
+          .then( results => {
+            expect( results ).toEqual( [ accounts[ 0 ], accounts[ 1 ], command ] );
+            expect( accounts[ 0 ].accountKey ).toBeGreaterThan( 0 );
+            expect( accounts[ 1 ].accountKey ).toBeGreaterThan( 0 );
+            expect( accounts[ 0 ].getModelState() ).toBe( 'pristine' );
+            expect( accounts[ 1 ].getModelState() ).toBe( 'pristine' );
+            expect( command.result ).toBe( true );
+
+            expect( connections.length ).toBe( 3 );
+            expect( connections[ 1 ] ).toBe( connections[ 0 ] );
+            expect( connections[ 2 ] ).toBe( connections[ 0 ] );
+            expect( configuration.connectionManager.beginTransaction.callCount ).toBe( 1 );
+            expect( configuration.connectionManager.commitTransaction.callCount ).toBe( 1 );
+            expect( configuration.connectionManager.rollbackTransaction.callCount ).toBe( 0 );
+            done();
+          } );
+      } );
+  } );
+
+  it( 'rolls back the transaction when an operation fails', done => {
+
+    createAccount( 'Carol', 9000 )
+      .then( account => {
+        const command = PostTransferCommand.create();
+        command.amount = 5000;
+
+        return new UnitOfWork( 'dao' )
+          .save( account )
+          .execute( command )
+          .commit()
+          .catch( reason => {
+            expect( reason ).toEqual( jasmine.any( DataPortalError ) );
+            expect( reason.modelName ).toBe( 'PostTransferCommand' );
+            expect( reason.innerError.message ).toBe( 'Transfer limit exceeded.' );
+
+            expect( configuration.connectionManager.beginTransaction.callCount ).toBe( 1 );
+            expect( configuration.connectionManager.commitTransaction.callCount ).toBe( 0 );
+            expect( configuration.connectionManager.rollbackTransaction.callCount ).toBe( 1 );
+
+            // The saved account is restored after the rollback.
+            expect( account.accountKey ).toBeNull();
+            expect( account.getModelState() ).toBe( 'created' );
+            expect( account.isDirty() ).toBe( true );
+            done();
+          } );
+      } );
+  } );
+
+  it( 'does not roll back the transaction that has failed to start', done => {
+    configuration.connectionManager.beginTransaction.andCallFake( dataSource => {
+      return Promise.reject( new Error( 'Connection refused.' ) );
+    } );
+
+    createAccount( 'Erin', 100 )
+      .then( account => {
+        return new UnitOfWork( 'dao' )
+          .save( account )
+          .commit()
+          .catch( reason => {
+            expect( reason.message ).toBe( 'Connection refused.' );
+            expect( configuration.connectionManager.rollbackTransaction.callCount ).toBe( 0 );
+            expect( account.getModelState() ).toBe( 'created' );
+            done();
+          } );
+      } );
+  } );
+
+  it( 'does not start a transaction for invalid models', done => {
+
+    createAccount( 'Dave', null )
+      .then( account => {
+        return new UnitOfWork( 'dao' )
+          .save( account )
+          .commit()
+          .catch( reason => {
+            expect( reason ).toEqual( jasmine.any( BrokenRulesResponse ) );
+            expect( configuration.connectionManager.beginTransaction.callCount ).toBe( 0 );
+            done();
+          } );
+      } );
+  } );
+} );
@@ -0,0 +1,134 @@
+//region Imports
+
+const Invoice = require( '../../data/savepoint/invoice.js' );
+const SavepointConnectionManager = require( '../../data/savepoint/connection-manager.js' );
+const Environment = require( '../../source/system/environment.js' );
+const DataPortalEvent = require( '../../source/common/data-portal-event.js' );
+const EventHandlerList = require( '../../source/common/event-handler-list.js' );
+const DataPortalError = require( '../../source/common/data-portal-error.js' );
+const PartialSaveError = require( '../../source/common/partial-save-error.js' );
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing savepoints of child objects...' );
+  console.log( '--------------------------------------------------' );
+}
+
+describe( 'Savepoints of child objects', () => {
+
+  // The savepoints are supported for these tests only.
+  const environment = new Environment( {
+    connectionManager: SavepointConnectionManager
+  } );
+
+  let connection = null;
+  const recorder = function ( modelName, action, dsc, next ) {
+    if (modelName === 'Invoice')
+      connection = dsc;
+    return next();
+  };
+
+  let errors = [];
+  const eventHandlers = new EventHandlerList();
+  eventHandlers.add( 'InvoiceLine', DataPortalEvent.postInsert, eventArgs => {
+    if (eventArgs.error)
+      errors.push( eventArgs.error );
+  } );
+
+  function createInvoice( quantities ) {
+    let invoice = null;
+    return Invoice.create( eventHandlers )
+      .then( created => {
+        invoice = created;
+        invoice.customerName = 'Acme Ltd.';
+        return Promise.all( quantities.map( () => invoice.lines.createItem() ) );
+      } )
+      .then( lines => {
+        lines.forEach( ( line, index ) => {
+          line.productName = 'Product ' + (index + 1);
+          line.quantity = quantities[ index ];
+        } );
+        return invoice;
+      } );
+  }
+
+  beforeEach( () => {
+    connection = null;
+    errors = [];
+    environment.addInterceptor( recorder );
+  } );
+
+  afterEach( () => {
+    environment.removeInterceptor( recorder );
+  } );
+
+  it( 'isolate the failure of a child', done => {
+    showTitle();
+
+    const states = [];
+    environment.run( () => createInvoice( [ 3, -1, 7 ] ) )
+      .then( invoice => {
+        invoice.on( 'stateChanged', eventArgs => states.push( eventArgs.newState ) );
+        return environment.run( () => invoice.save() );
+      } )
+      .then( invoice => {
+        fail( 'The failure of the child is not reported.' );
+        done();
+      } )
+      .catch( reason => {
+        expect( reason ).toEqual( jasmine.any( PartialSaveError ) );
+        expect( reason.message ).toBe( 'Invoice has been saved, but 1 of its child objects have failed to save.' );
+        expect( reason.errors.length ).toBe( 1 );
+        expect( reason.errors[ 0 ] ).toEqual( jasmine.any( DataPortalError ) );
+        expect( reason.errors[ 0 ].innerError.message ).toBe( 'The quantity must be positive.' );
+
+        const invoice = reason.model;
+        const lines = invoice.lines;
+        expect( invoice.invoiceKey ).toBeGreaterThan( 0 );
+        expect( lines.at( 0 ).getModelState() ).toBe( 'pristine' );
+        expect( lines.at( 1 ).getModelState() ).toBe( 'created' );
+        expect( lines.at( 2 ).getModelState() ).toBe( 'pristine' );
+        expect( invoice.getModelState() ).toBe( 'changed' );
+        expect( states ).toEqual( [ 'changed' ] );
+
+        expect( errors.length ).toBe( 1 );
+        expect( errors[ 0 ] ).toBe( reason.errors[ 0 ] );
+
+        // The collection and each of its items are saved in savepoints.
+        expect( connection.savepoints.map( entry => entry.split( ' ' )[ 0 ] ) ).toEqual( [
+          'create', 'create', 'release', 'create', 'rollback', 'create', 'release', 'release'
+        ] );
+
+        lines.at( 1 ).quantity = 5;
+        return environment.run( () => invoice.save() );
+      } )
+      .then( invoice => {
+        expect( invoice.lines.at( 1 ).lineKey ).toBeGreaterThan( 0 );
+        expect( invoice.lines.at( 1 ).getModelState() ).toBe( 'pristine' );
+        expect( invoice.getModelState() ).toBe( 'pristine' );
+        done();
+      } );
+  } );
+
+  it( 'fails the whole save without savepoints', done => {
+
+    spyOn( environment.connectionManager, '$hasSavepoints' ).andReturn( false );
+    spyOn( environment.connectionManager, 'rollbackTransaction' ).andCallThrough();
+
+    environment.run( () => createInvoice( [ 3, -1 ] ) )
+      .then( invoice => {
+        return environment.run( () => invoice.save() );
+      } )
+      .catch( reason => {
+        expect( reason ).toEqual( jasmine.any( DataPortalError ) );
+        expect( reason.modelName ).toBe( 'Invoice' );
+        expect( errors.length ).toBe( 1 );
+        expect( connection.savepoints ).toEqual( [] );
+        expect( environment.connectionManager.rollbackTransaction.callCount ).toBe( 1 );
+        done();
+      } );
+  } );
+} );
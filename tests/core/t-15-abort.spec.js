@@ -0,0 +1,112 @@
+//region Imports
+
+const StockReport = require( '../../data/abort/stock-report.js' );
+const RebuildStockCommand = require( '../../data/abort/rebuild-stock-command.js' );
+const configuration = require( '../../source/system/configuration-reader.js' );
+const AbortError = require( '../../source/common/abort-error.js' );
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing abortable data portal actions...' );
+  console.log( '--------------------------------------------------' );
+}
+
+// AbortController is a global object since Node 15.
+const itWithController = typeof AbortController === 'undefined' ? xit : it;
+
+describe( 'Abortable data portal action', () => {
+
+  beforeEach( () => {
+    spyOn( configuration.connectionManager, 'openConnection' ).andCallThrough();
+    spyOn( configuration.connectionManager, 'closeConnection' ).andCallThrough();
+    spyOn( configuration.connectionManager, 'beginTransaction' ).andCallThrough();
+    spyOn( configuration.connectionManager, 'commitTransaction' ).andCallThrough();
+    spyOn( configuration.connectionManager, 'rollbackTransaction' ).andCallThrough();
+  } );
+
+  it( 'completes within the time limit', done => {
+    showTitle();
+
+    StockReport.get( { productCode: 'P-100', delay: 10 }, { timeout: 1000 } )
+      .then( report => {
+        expect( report.productCode ).toBe( 'P-100' );
+        expect( report.quantity ).toBe( 42 );
+        expect( configuration.connectionManager.closeConnection.callCount ).toBe( 1 );
+        done();
+      } );
+  } );
+
+  it( 'rejects the fetch when the time limit elapses', done => {
+
+    StockReport.get( { productCode: 'P-200', delay: 1000 }, { timeout: 20 } )
+      .catch( reason => {
+        expect( reason ).toEqual( jasmine.any( AbortError ) );
+        expect( reason.message ).toBe( 'The fetch action of StockReport has timed out after 20 milliseconds.' );
+        expect( configuration.connectionManager.openConnection.callCount ).toBe( 1 );
+        expect( configuration.connectionManager.closeConnection.callCount ).toBe( 1 );
+        done();
+      } );
+  } );
+
+  itWithController( 'rejects the fetch when the signal is fired', done => {
+    const controller = new AbortController();
+
+    StockReport.get( { productCode: 'P-300', delay: 1000 }, { signal: controller.signal } )
+      .catch( reason => {
+        expect( reason ).toEqual( jasmine.any( AbortError ) );
+        expect( reason.message ).toBe( 'The fetch action of StockReport has been aborted.' );
+        expect( configuration.connectionManager.closeConnection.callCount ).toBe( 1 );
+        done();
+      } );
+    setTimeout( () => {
+      controller.abort();
+    }, 20 );
+  } );
+
+  itWithController( 'rejects the fetch when the signal has already been fired', done => {
+    const controller = new AbortController();
+    controller.abort();
+
+    StockReport.get( { productCode: 'P-400', delay: 10 }, { signal: controller.signal } )
+      .catch( reason => {
+        expect( reason ).toEqual( jasmine.any( AbortError ) );
+        expect( configuration.connectionManager.closeConnection.callCount ).toBe( 1 );
+        done();
+      } );
+  } );
+
+  itWithController( 'rolls back the transaction of an aborted command', done => {
+    const controller = new AbortController();
+    const command = RebuildStockCommand.create();
+    command.delay = 1000;
+
+    command.execute( true, { signal: controller.signal, timeout: 5000 } )
+      .catch( reason => {
+        expect( reason ).toEqual( jasmine.any( AbortError ) );
+        expect( reason.message ).toBe( 'The execute action of RebuildStockCommand has been aborted.' );
+        expect( command.result ).toBeNull();
+        expect( configuration.connectionManager.beginTransaction.callCount ).toBe( 1 );
+        expect( configuration.connectionManager.commitTransaction.callCount ).toBe( 0 );
+        expect( configuration.connectionManager.rollbackTransaction.callCount ).toBe( 1 );
+        done();
+      } );
+    setTimeout( () => {
+      controller.abort();
+    }, 20 );
+  } );
+
+  it( 'executes the command without options', done => {
+    const command = RebuildStockCommand.create();
+    command.delay = 10;
+
+    command.execute( true )
+      .then( result => {
+        expect( result.result ).toBe( true );
+        expect( configuration.connectionManager.commitTransaction.callCount ).toBe( 1 );
+        done();
+      } );
+  } );
+} );
@@ -0,0 +1,107 @@
+//region Imports
+
+const ExchangeRate = require( '../../data/retry/exchange-rate.js' );
+const configuration = require( '../../source/system/configuration-reader.js' );
+const Environment = require( '../../source/system/environment.js' );
+const DataPortalError = require( '../../source/common/data-portal-error.js' );
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing retry policy...' );
+  console.log( '--------------------------------------------------' );
+}
+
+describe( 'Retry policy', () => {
+
+  // The retry policy is set for these tests only.
+  const environment = new Environment( {
+    connectionManager: configuration.connectionManager,
+    retryPolicy: {
+      isTransient: '/data/is-transient.js',
+      maxAttempts: 3,
+      delay: 10,
+      factor: 2
+    }
+  } );
+
+  let attempts = [];
+  const recorder = function ( eventArgs ) {
+    attempts.push( eventArgs );
+  };
+
+  beforeEach( () => {
+    attempts = [];
+    environment.retryPolicy.on( 'attempt', recorder );
+  } );
+
+  afterEach( () => {
+    environment.retryPolicy.removeListener( 'attempt', recorder );
+  } );
+
+  it( 'repeats the data access call failed with a transient error', done => {
+    showTitle();
+
+    environment.run( () => ExchangeRate.get( { currency: 'EUR', failures: 2 } ) )
+      .then( exchangeRate => {
+        expect( exchangeRate.currency ).toBe( 'EUR' );
+        expect( exchangeRate.rate ).toBe( 1.25 );
+
+        const calls = attempts.filter( eventArgs => eventArgs.modelName === 'ExchangeRate' );
+        // One attempt to open the connection, three attempts to call the DAO.
+        expect( calls.map( eventArgs => eventArgs.attempt ) ).toEqual( [ 1, 1, 2, 3 ] );
+        expect( calls[ 2 ].action ).toBe( 'fetch' );
+        expect( calls[ 2 ].delay ).toBe( 10 );
+        expect( calls[ 2 ].error.code ).toBe( 'ECONNRESET' );
+        expect( calls[ 3 ].delay ).toBe( 20 );
+        done();
+      } );
+  } );
+
+  it( 'passes the error after the last attempt', done => {
+
+    environment.run( () => ExchangeRate.get( { currency: 'GBP', failures: 5 } ) )
+      .catch( reason => {
+        expect( reason ).toEqual( jasmine.any( DataPortalError ) );
+        expect( reason.innerError.code ).toBe( 'ECONNRESET' );
+        expect( attempts.length ).toBe( 4 );
+        done();
+      } );
+  } );
+
+  it( 'does not repeat the data access call failed with other error', done => {
+
+    environment.run( () => ExchangeRate.get( { currency: 'XXX', failures: 1, fatal: true } ) )
+      .catch( reason => {
+        expect( reason ).toEqual( jasmine.any( DataPortalError ) );
+        expect( reason.innerError.code ).toBe( 'EINVAL' );
+        expect( attempts.length ).toBe( 2 );
+        done();
+      } );
+  } );
+
+  it( 'repeats opening the connection failed with a transient error', done => {
+
+    const openConnection = configuration.connectionManager.openConnection;
+    let failures = 1;
+    spyOn( configuration.connectionManager, 'openConnection' ).andCallFake( function ( dataSource ) {
+      if (failures-- > 0) {
+        const error = new Error( 'Connection refused.' );
+        error.code = 'ECONNREFUSED';
+        return Promise.reject( error );
+      }
+      return openConnection.call( this, dataSource );
+    } );
+
+    environment.run( () => ExchangeRate.get( { currency: 'CHF', failures: 0 } ) )
+      .then( exchangeRate => {
+        expect( exchangeRate.currency ).toBe( 'CHF' );
+        expect( configuration.connectionManager.openConnection.callCount ).toBe( 2 );
+        expect( attempts.map( eventArgs => eventArgs.attempt ) ).toEqual( [ 1, 2, 1 ] );
+        expect( attempts[ 1 ].error.code ).toBe( 'ECONNREFUSED' );
+        done();
+      } );
+  } );
+} );
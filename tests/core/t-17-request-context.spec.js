@@ -0,0 +1,65 @@
+//region Imports
+
+const bo = require( '../../source/index.js' );
+const ProfileView = require( '../../data/request-context/profile-view.js' );
+const User = require( '../../data/user.js' );
+const AuthorizationError = require( '../../source/rules/authorization-error.js' );
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing request context...' );
+  console.log( '--------------------------------------------------' );
+}
+
+describe( 'Request context', () => {
+
+  const auditor = new User( 'grace-hopper', 'Grace Hopper', 'grace.hopper@navy.mil', [ 'auditors' ] );
+  const developer = new User( 'alan-turing', 'Alan Turing', 'alan.turing@bletchley.uk', [ 'developers' ] );
+
+  it( 'provides the user and locale of the request to the data portal', done => {
+    showTitle();
+
+    bo.runInContext( { user: auditor, locale: 'en-US' }, () => {
+      return ProfileView.get( 1 );
+    } )
+      .then( profile => {
+        expect( profile.title ).toBe( 'Profile #1' );
+        expect( profile.viewer ).toBe( 'grace-hopper' );
+        expect( profile.locale ).toBe( 'en-US' );
+        done();
+      } );
+  } );
+
+  it( 'authorizes the user of the request', done => {
+
+    bo.runInContext( { user: developer }, () => {
+      return ProfileView.get( 2 );
+    } )
+      .catch( reason => {
+        expect( reason ).toEqual( jasmine.any( AuthorizationError ) );
+        expect( reason.message ).toBe( 'You are not authorized to retrieve the profile.' );
+        done();
+      } );
+  } );
+
+  it( 'keeps the users of concurrent requests apart', done => {
+
+    Promise.all( [
+      bo.runInContext( { user: auditor, locale: 'en-US' }, () => ProfileView.get( 3 ) ),
+      bo.runInContext( { user: new User( 'ada-byron', 'Ada Byron', 'ada@byron.uk', [ 'auditors' ] ) }, () => {
+        return ProfileView.get( 4 );
+      } )
+    ] )
+      .then( profiles => {
+        expect( profiles[ 0 ].viewer ).toBe( 'grace-hopper' );
+        expect( profiles[ 0 ].locale ).toBe( 'en-US' );
+        expect( profiles[ 1 ].viewer ).toBe( 'ada-byron' );
+        // The locale reader of the configuration is the fallback.
+        expect( profiles[ 1 ].locale ).toBe( 'hu-HU' );
+        done();
+      } );
+  } );
+} );
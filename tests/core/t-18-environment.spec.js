@@ -0,0 +1,107 @@
+//region Imports
+
+const bo = require( '../../source/index.js' );
+const tenants = require( '../../data/environment/tenants.js' );
+const TenantInfo = require( '../../data/environment/tenant-info.js' );
+const NorthInfo = require( '../../data/environment/north-info.js' );
+const User = require( '../../data/user.js' );
+const configuration = require( '../../source/system/configuration-reader.js' );
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing environments...' );
+  console.log( '--------------------------------------------------' );
+}
+
+describe( 'Environment', () => {
+
+  beforeEach( () => {
+    spyOn( configuration.connectionManager, 'openConnection' ).andCallThrough();
+    spyOn( tenants.north.connectionManager, 'openConnection' ).andCallThrough();
+    spyOn( tenants.south.connectionManager, 'openConnection' ).andCallThrough();
+  } );
+
+  it( 'uses the default configuration out of the environments', done => {
+    showTitle();
+
+    TenantInfo.get( 1 )
+      .then( info => {
+        expect( info.database ).toBe( 'default' );
+        expect( info.viewer ).toBe( 'ada-lovelace' );
+        expect( info.locale ).toBe( 'hu-HU' );
+        expect( configuration.connectionManager.openConnection.callCount ).toBe( 1 );
+        expect( tenants.north.connectionManager.openConnection.callCount ).toBe( 0 );
+        done();
+      } );
+  } );
+
+  it( 'uses the settings of the running environment', done => {
+
+    tenants.south.run( () => TenantInfo.get( 2 ) )
+      .then( info => {
+        expect( info.database ).toBe( 'south-db' );
+        expect( info.viewer ).toBe( 'alan-turing' );
+        // The south tenant has no locale reader.
+        expect( info.locale ).toBe( '' );
+        expect( tenants.south.connectionManager.openConnection.callCount ).toBe( 1 );
+        expect( configuration.connectionManager.openConnection.callCount ).toBe( 0 );
+        done();
+      } );
+  } );
+
+  it( 'uses the settings of the environment the model is bound to', done => {
+
+    tenants.south.run( () => NorthInfo.get( 3 ) )
+      .then( info => {
+        expect( info.database ).toBe( 'north-db' );
+        expect( info.viewer ).toBe( 'grace-hopper' );
+        expect( info.locale ).toBe( 'en-US' );
+        expect( tenants.north.connectionManager.openConnection.callCount ).toBe( 1 );
+        expect( tenants.south.connectionManager.openConnection.callCount ).toBe( 0 );
+        done();
+      } );
+  } );
+
+  it( 'keeps the concurrent actions of the tenants apart', done => {
+
+    Promise.all( [
+      tenants.north.run( () => TenantInfo.get( 4 ) ),
+      tenants.south.run( () => TenantInfo.get( 5 ) ),
+      TenantInfo.get( 6 )
+    ] )
+      .then( infos => {
+        expect( infos.map( info => info.database ) ).toEqual( [ 'north-db', 'south-db', 'default' ] );
+        expect( infos.map( info => info.viewer ) ).toEqual( [ 'grace-hopper', 'alan-turing', 'ada-lovelace' ] );
+        done();
+      } );
+  } );
+
+  it( 'prefers the user of the request context', done => {
+
+    const user = new User( 'ada-byron', 'Ada Byron', 'ada@byron.uk', [ 'members' ] );
+
+    bo.runInContext( { user: user }, () => NorthInfo.get( 7 ) )
+      .then( info => {
+        expect( info.database ).toBe( 'north-db' );
+        expect( info.viewer ).toBe( 'ada-byron' );
+        done();
+      } );
+  } );
+
+  it( 'uses the messages of the running environment', () => {
+
+    const t = new bo.i18n();
+    const user = new User( 'ada-byron', 'Ada Byron', 'ada@byron.uk', [ 'members' ] );
+
+    expect( tenants.north.run( () => t.get( 'welcome', 'Grace' ) ) ).toBe( 'Welcome to the north, Grace!' );
+    expect( tenants.north.run( () => t.get( 'hu-HU*welcome', 'Grace' ) ) ).toBe( 'Isten hozott északon, Grace!' );
+    expect( tenants.north.run( () => bo.runInContext( { user: user, locale: 'hu-HU' }, () => t.get( 'welcome', 'Ada' ) ) ) )
+      .toBe( 'Isten hozott északon, Ada!' );
+    // The messages of an environment are not available out of it.
+    expect( tenants.south.run( () => t.get( 'welcome', 'Alan' ) ) ).toBe( 'welcome' );
+    expect( t.get( 'welcome', 'Ada' ) ).toBe( 'welcome' );
+  } );
+} );
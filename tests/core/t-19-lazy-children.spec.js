@@ -0,0 +1,168 @@
+//region Imports
+
+const Order = require( '../../data/lazy/order.js' );
+const OrderDao = require( '../../data/lazy/order.dao.js' );
+const OrderLineDao = require( '../../data/lazy/order-line.dao.js' );
+const ModelError = require( '../../source/common/model-error.js' );
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing lazy-loaded children...' );
+  console.log( '--------------------------------------------------' );
+}
+
+describe( 'Lazy child property', () => {
+
+  beforeEach( () => {
+    spyOn( OrderDao.prototype, 'fetchLines' ).andCallThrough();
+    spyOn( OrderLineDao.prototype, 'update' ).andCallThrough();
+  } );
+
+  it( 'is not fetched together with its parent', done => {
+    showTitle();
+
+    Order.get( 1 )
+      .then( order => {
+        const read = function () { return order.lines; };
+
+        expect( order.customerName ).toBe( 'Ada Lovelace' );
+        expect( read ).toThrow( 'The lines lazy child property of Order has not been loaded yet, call the loadChild method first.' );
+        expect( order.isDirty() ).toBe( false );
+        expect( OrderDao.prototype.fetchLines.callCount ).toBe( 0 );
+        done();
+      } );
+  } );
+
+  it( 'is loaded on first request', done => {
+
+    Order.get( 1 )
+      .then( order => order.loadChild( 'lines' ) )
+      .then( lines => {
+        expect( lines.count ).toBe( 2 );
+        expect( lines.at( 0 ).productName ).toBe( 'Difference engine' );
+        expect( lines.at( 1 ).quantity ).toBe( 500 );
+        expect( OrderDao.prototype.fetchLines.callCount ).toBe( 1 );
+        expect( OrderDao.prototype.fetchLines.mostRecentCall.args[ 1 ] ).toBe( 1 );
+        done();
+      } );
+  } );
+
+  it( 'is loaded only once', done => {
+
+    Order.get( 2 )
+      .then( order => Promise.all( [
+        order.loadChild( 'lines' ),
+        order.loadChild( 'lines' )
+      ] )
+        .then( lines => {
+          expect( lines[ 0 ] ).toBe( lines[ 1 ] );
+          expect( lines[ 0 ] ).toBe( order.lines );
+          expect( order.lines.count ).toBe( 1 );
+          return order.loadChild( 'lines' );
+        } )
+        .then( lines => {
+          expect( lines.count ).toBe( 1 );
+          expect( OrderDao.prototype.fetchLines.callCount ).toBe( 1 );
+          done();
+        } ) );
+  } );
+
+  it( 'is saved with its parent after loading', done => {
+
+    Order.get( 2 )
+      .then( order => order.loadChild( 'lines' )
+        .then( lines => {
+          lines.at( 0 ).quantity = 3;
+          expect( order.isDirty() ).toBe( true );
+          return order.save();
+        } ) )
+      .then( order => {
+        expect( OrderLineDao.prototype.update.callCount ).toBe( 1 );
+        expect( OrderLineDao.lines[ 3 ].quantity ).toBe( 3 );
+        done();
+      } );
+  } );
+
+  it( 'is left out of the transfer object until loaded', done => {
+
+    Order.get( 1 )
+      .then( order => {
+        expect( order.toCto().lines ).toBeUndefined();
+        return order.loadChild( 'lines' )
+          .then( lines => {
+            expect( order.toCto().lines.length ).toBe( 2 );
+            done();
+          } );
+      } );
+  } );
+
+  it( 'cannot be rebuilt until loaded', done => {
+
+    Order.get( 1 )
+      .then( order => order.fromCto( { customerName: 'Charles Babbage', lines: [ { productName: 'Analytical engine' } ] } )
+        .catch( reason => {
+          expect( reason.message ).toBe( 'The lines lazy child property of Order has not been loaded yet, call the loadChild method first.' );
+          expect( order.customerName ).toBe( 'Ada Lovelace' );
+          done();
+        } ) );
+  } );
+
+  it( 'must be loaded before removing its parent', done => {
+
+    Order.get( 1 )
+      .then( order => {
+        const remove = function () { order.remove(); };
+
+        expect( remove ).toThrow( 'The lines lazy child property of Order has not been loaded yet, call the loadChild method first.' );
+        expect( order.getModelState() ).toBe( 'pristine' );
+        done();
+      } );
+  } );
+
+  it( 'cannot be loaded while an edit level is open', done => {
+
+    Order.get( 1 )
+      .then( order => {
+        order.beginEdit();
+        return order.loadChild( 'lines' )
+          .catch( reason => {
+            expect( reason ).toEqual( jasmine.any( ModelError ) );
+            expect( reason.message ).toBe( 'The lines lazy child property of Order cannot be loaded while an edit level is open.' );
+            expect( OrderDao.prototype.fetchLines.callCount ).toBe( 0 );
+
+            order.cancelEdit();
+            return order.loadChild( 'lines' );
+          } );
+      } )
+      .then( lines => {
+        expect( lines.count ).toBe( 2 );
+        expect( OrderDao.prototype.fetchLines.callCount ).toBe( 1 );
+        done();
+      } );
+  } );
+
+  it( 'needs no loading on a new object', done => {
+
+    Order.create()
+      .then( order => order.loadChild( 'lines' ) )
+      .then( lines => {
+        expect( lines.count ).toBe( 0 );
+        expect( OrderDao.prototype.fetchLines.callCount ).toBe( 0 );
+        done();
+      } );
+  } );
+
+  it( 'must be a lazy child property', done => {
+
+    Order.get( 1 )
+      .then( order => {
+        const load = function () { order.loadChild( 'customerName' ); };
+
+        expect( load ).toThrow( 'Order.customerName property is not a lazy child property.' );
+        done();
+      } );
+  } );
+} );
@@ -0,0 +1,120 @@
+//region Imports
+
+const bo = require( '../../source/index.js' );
+const CityList = require( '../../data/paging/city-list.js' );
+const CityListDao = require( '../../data/paging/city-list.dao.js' );
+
+const PagingCriteria = bo.common.PagingCriteria;
+const EventHandlerList = bo.common.EventHandlerList;
+const DataPortalEvent = bo.common.DataPortalEvent;
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing paging of read-only root collections...' );
+  console.log( '--------------------------------------------------' );
+}
+
+describe( 'Paging of read-only root collection', () => {
+
+  beforeEach( () => {
+    spyOn( CityListDao.prototype, 'fetch' ).andCallThrough();
+  } );
+
+  it( 'fetches the first page', done => {
+    showTitle();
+
+    CityList.fetch( new PagingCriteria( 0, 2, 'HU' ) )
+      .then( list => {
+        expect( list.count ).toBe( 2 );
+        expect( list.at( 0 ).cityName ).toBe( 'Budapest' );
+        expect( list.totalItems ).toBe( 5 );
+        expect( list.pageIndex ).toBe( 0 );
+        expect( list.pageSize ).toBe( 2 );
+        expect( list.pageCount ).toBe( 3 );
+        expect( list.hasNextPage ).toBe( true );
+
+        const cto = list.toCto();
+        expect( cto.pageIndex ).toBe( 0 );
+        expect( cto.pageSize ).toBe( 2 );
+        done();
+      } );
+  } );
+
+  it( 'fetches further pages with the last filter', done => {
+    let list = null;
+
+    CityList.fetch( new PagingCriteria( 0, 2, 'HU' ) )
+      .then( fetched => {
+        list = fetched;
+        return list.fetchNextPage();
+      } )
+      .then( page => {
+        expect( page ).toBe( list );
+        expect( list.count ).toBe( 2 );
+        expect( list.at( 0 ).cityName ).toBe( 'Szeged' );
+        expect( list.pageIndex ).toBe( 1 );
+        expect( list.hasNextPage ).toBe( true );
+        return list.fetchPage( 2 );
+      } )
+      .then( page => {
+        expect( list.count ).toBe( 1 );
+        expect( list.at( 0 ).cityName ).toBe( 'Győr' );
+        expect( list.pageIndex ).toBe( 2 );
+        expect( list.hasNextPage ).toBe( false );
+
+        const criteria = CityListDao.prototype.fetch.mostRecentCall.args[ 1 ];
+        expect( criteria ).toEqual( jasmine.any( PagingCriteria ) );
+        expect( criteria.filter ).toBe( 'HU' );
+        expect( criteria.skip ).toBe( 4 );
+        expect( CityListDao.prototype.fetch.callCount ).toBe( 3 );
+        done();
+      } );
+  } );
+
+  it( 'reuses the alternative fetch method', done => {
+
+    CityList.fetch( new PagingCriteria( 0, 3 ), 'fetchByName' )
+      .then( list => list.fetchNextPage() )
+      .then( list => {
+        expect( list.map( city => city.cityName ) ).toEqual( [ 'Győr', 'Pécs', 'Szeged' ] );
+        expect( list.pageCount ).toBe( 3 );
+        expect( CityListDao.prototype.fetch.callCount ).toBe( 0 );
+        done();
+      } );
+  } );
+
+  it( 'raises the events of a normal fetch', done => {
+    const events = [];
+    const eventHandlers = new EventHandlerList();
+    eventHandlers.add( 'CityList', DataPortalEvent.preFetch, eventArgs => { events.push( eventArgs.eventName ); } );
+    eventHandlers.add( 'CityList', DataPortalEvent.postFetch, eventArgs => { events.push( eventArgs.eventName ); } );
+
+    CityList.fetch( new PagingCriteria( 0, 2, 'AT' ), null, eventHandlers )
+      .then( list => list.fetchPage( 1 ) )
+      .then( list => {
+        expect( events ).toEqual( [ 'preFetch', 'postFetch', 'preFetch', 'postFetch' ] );
+        expect( list.count ).toBe( 0 );
+        expect( list.hasNextPage ).toBe( false );
+        done();
+      } );
+  } );
+
+  it( 'requires a paged fetch first', done => {
+
+    CityList.fetch( 'AT', 'fetchByName' )
+      .then( list => {
+        const fetchPage = function () { list.fetchPage( 1 ); };
+        const fetchNextPage = function () { list.fetchNextPage(); };
+
+        expect( list.pageIndex ).toBeNull();
+        expect( list.pageCount ).toBeNull();
+        expect( list.hasNextPage ).toBe( false );
+        expect( fetchPage ).toThrow( 'CityList collection has not been retrieved by paging criteria.' );
+        expect( fetchNextPage ).toThrow();
+        done();
+      } );
+  } );
+} );
@@ -0,0 +1,126 @@
+//region Imports
+
+const bo = require( '../../source/index.js' );
+const ReadingList = require( '../../data/stream/reading-list.js' );
+const Station = require( '../../data/stream/station.js' );
+const source = require( '../../data/stream/reading-source.js' );
+const configuration = require( '../../source/system/configuration-reader.js' );
+
+const EventHandlerList = bo.common.EventHandlerList;
+const DataPortalEvent = bo.common.DataPortalEvent;
+const DataPortalError = bo.common.DataPortalError;
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing streaming of read-only collections...' );
+  console.log( '--------------------------------------------------' );
+}
+
+describe( 'Streaming of read-only collection', () => {
+
+  beforeEach( () => {
+    spyOn( configuration.connectionManager, 'openConnection' ).andCallThrough();
+    spyOn( configuration.connectionManager, 'closeConnection' ).andCallThrough();
+  } );
+
+  it( 'reads the items of the root collection one by one', done => {
+    showTitle();
+
+    const events = [];
+    const eventHandlers = new EventHandlerList();
+    eventHandlers.add( 'ReadingList', DataPortalEvent.preFetch, eventArgs => { events.push( eventArgs.eventName ); } );
+    eventHandlers.add( 'ReadingList', DataPortalEvent.postFetch, eventArgs => { events.push( eventArgs.eventName ); } );
+
+    (async () => {
+      const keys = [];
+      for await (const reading of ReadingList.stream( { count: 10, batchSize: 3 }, null, eventHandlers )) {
+        // The connection stays open while the items are read.
+        expect( configuration.connectionManager.closeConnection.callCount ).toBe( 0 );
+        keys.push( reading.readingKey );
+      }
+      return keys;
+    })()
+      .then( keys => {
+        expect( keys ).toEqual( [ 1, 2, 3, 4, 5, 6, 7, 8, 9, 10 ] );
+        expect( events ).toEqual( [ 'preFetch', 'postFetch' ] );
+        expect( configuration.connectionManager.openConnection.callCount ).toBe( 1 );
+        expect( configuration.connectionManager.closeConnection.callCount ).toBe( 1 );
+        done();
+      } );
+  } );
+
+  it( 'releases the data source when the loop is left early', done => {
+    const closed = source.closed;
+
+    (async () => {
+      let last = null;
+      for await (const reading of ReadingList.stream( { count: 10, batchSize: 3 } )) {
+        last = reading;
+        if (reading.readingKey === 4)
+          break;
+      }
+      return last;
+    })()
+      .then( last => {
+        expect( last.value ).toBe( 0.4 );
+        expect( source.closed ).toBe( closed + 1 );
+        expect( configuration.connectionManager.closeConnection.callCount ).toBe( 1 );
+        done();
+      } );
+  } );
+
+  it( 'accepts an array of the data access object', done => {
+
+    (async () => {
+      const values = [];
+      for await (const reading of ReadingList.stream( null, 'fetchRecent' ))
+        values.push( reading.value );
+      return values;
+    })()
+      .then( values => {
+        expect( values ).toEqual( [ 0.1, 0.2 ] );
+        done();
+      } );
+  } );
+
+  it( 'passes the error of the data access object', done => {
+
+    (async () => {
+      const keys = [];
+      for await (const reading of ReadingList.stream( { count: 10, batchSize: 3, failAt: 6 } ))
+        keys.push( reading.readingKey );
+      return keys;
+    })()
+      .catch( reason => {
+        expect( reason ).toEqual( jasmine.any( DataPortalError ) );
+        expect( reason.innerError.message ).toBe( 'The cursor has been lost.' );
+        expect( configuration.connectionManager.closeConnection.callCount ).toBe( 1 );
+        done();
+      } );
+  } );
+
+  it( 'reads the items of the child collection one by one', done => {
+
+    Station.get( 7 )
+      .then( station => {
+        const stream = () => { station.readings.stream(); };
+
+        expect( station.readings.count ).toBe( 0 );
+
+        return (async () => {
+          const keys = [];
+          for await (const reading of station.readings.stream())
+            keys.push( reading.readingKey );
+          return keys;
+        })()
+          .then( keys => {
+            expect( keys ).toEqual( [ 1, 2, 3, 4, 5 ] );
+            expect( stream ).toThrow( 'Readings collection has no data to stream.' );
+            done();
+          } );
+      } );
+  } );
+} );
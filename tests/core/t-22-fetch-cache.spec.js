@@ -0,0 +1,139 @@
+//region Imports
+
+const bo = require( '../../source/index.js' );
+const CountryList = require( '../../data/cache/country-list.js' );
+const CountryListDao = require( '../../data/cache/country-list.dao.js' );
+const Country = require( '../../data/cache/country.js' );
+const Currency = require( '../../data/cache/currency.js' );
+const CurrencyDao = require( '../../data/cache/currency.dao.js' );
+const configuration = require( '../../source/system/configuration-reader.js' );
+
+const EventHandlerList = bo.common.EventHandlerList;
+const DataPortalEvent = bo.common.DataPortalEvent;
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing caching of read-only root models...' );
+  console.log( '--------------------------------------------------' );
+}
+
+describe( 'Caching of read-only root model', () => {
+
+  beforeEach( done => {
+    spyOn( CountryListDao.prototype, 'fetch' ).andCallThrough();
+    spyOn( CurrencyDao.prototype, 'fetch' ).andCallThrough();
+    spyOn( configuration.connectionManager, 'openConnection' ).andCallThrough();
+    Promise.all( [ CountryList.evictAll(), Currency.evictAll() ] )
+      .then( none => done() );
+  } );
+
+  it( 'reads the repeated fetch of a collection from the cache', done => {
+    showTitle();
+
+    const events = [];
+    const eventHandlers = new EventHandlerList();
+    eventHandlers.add( 'CountryList', DataPortalEvent.preFetch, eventArgs => { events.push( eventArgs.eventName ); } );
+    eventHandlers.add( 'CountryList', DataPortalEvent.postFetch, eventArgs => { events.push( eventArgs.eventName ); } );
+
+    CountryList.fetch( 'Europe', null, eventHandlers )
+      .then( first => {
+        expect( first.count ).toBe( 2 );
+        return CountryList.fetch( 'Europe', null, eventHandlers );
+      } )
+      .then( second => {
+        expect( second.count ).toBe( 2 );
+        expect( second.map( country => country.countryName ) ).toEqual( [ 'Austria', 'Hungary' ] );
+        expect( events ).toEqual( [ 'preFetch', 'postFetch' ] );
+        expect( CountryListDao.prototype.fetch.callCount ).toBe( 1 );
+        expect( configuration.connectionManager.openConnection.callCount ).toBe( 1 );
+        done();
+      } );
+  } );
+
+  it( 'caches the filters separately', done => {
+
+    CountryList.fetch( 'Europe' )
+      .then( none => CountryList.fetch( 'Asia' ) )
+      .then( list => {
+        expect( list.count ).toBe( 1 );
+        expect( list.at( 0 ).countryCode ).toBe( 'JP' );
+        return CountryList.fetch( 'Asia' );
+      } )
+      .then( none => {
+        expect( CountryListDao.prototype.fetch.callCount ).toBe( 2 );
+        done();
+      } );
+  } );
+
+  it( 'removes the cached data on demand', done => {
+
+    CountryList.fetch( 'Europe' )
+      .then( none => CountryList.fetch( 'Asia' ) )
+      .then( none => CountryList.evict( 'Europe' ) )
+      .then( none => CountryList.fetch( 'Europe' ) )
+      .then( none => CountryList.fetch( 'Asia' ) )
+      .then( none => {
+        expect( CountryListDao.prototype.fetch.callCount ).toBe( 3 );
+        return CountryList.evictAll();
+      } )
+      .then( none => CountryList.fetch( 'Asia' ) )
+      .then( none => {
+        expect( CountryListDao.prototype.fetch.callCount ).toBe( 4 );
+        done();
+      } );
+  } );
+
+  it( 'removes the declared models when an editable model is saved', done => {
+
+    CountryList.fetch( 'Asia' )
+      .then( none => Country.create() )
+      .then( country => {
+        country.countryCode = 'KR';
+        country.countryName = 'Korea';
+        country.region = 'Asia';
+        return country.save();
+      } )
+      .then( none => CountryList.fetch( 'Asia' ) )
+      .then( list => {
+        expect( list.count ).toBe( 2 );
+        expect( CountryListDao.prototype.fetch.callCount ).toBe( 2 );
+        done();
+      } );
+  } );
+
+  it( 'reads the object from the cache while it is valid', done => {
+
+    Currency.fetch( 'HUF' )
+      .then( currency => {
+        CurrencyDao.rates.HUF = 0.0026;
+        return Currency.fetch( 'HUF' );
+      } )
+      .then( currency => {
+        expect( currency.currencyCode ).toBe( 'HUF' );
+        expect( currency.rate ).toBe( 0.0025 );
+        expect( CurrencyDao.prototype.fetch.callCount ).toBe( 1 );
+
+        // Wait for the cache duration to elapse.
+        return new Promise( fulfill => { setTimeout( fulfill, 60 ); } );
+      } )
+      .then( none => Currency.fetch( 'HUF' ) )
+      .then( currency => {
+        expect( currency.rate ).toBe( 0.0026 );
+        expect( CurrencyDao.prototype.fetch.callCount ).toBe( 2 );
+        done();
+      } );
+  } );
+
+  it( 'does not cache the failed fetches', done => {
+
+    Currency.fetch( 'XYZ' )
+      .catch( reason => Currency.fetch( 'XYZ' ) )
+      .catch( reason => {
+        expect( CurrencyDao.prototype.fetch.callCount ).toBe( 2 );
+        done();
+      } );
+  } );
+} );
@@ -0,0 +1,190 @@
+//region Imports
+
+const bo = require( '../../source/index.js' );
+const HeadlineList = require( '../../data/sharing/headline-list.js' );
+const HeadlineListDao = require( '../../data/sharing/headline-list.dao.js' );
+const Weather = require( '../../data/sharing/weather.js' );
+const WeatherDao = require( '../../data/sharing/weather.dao.js' );
+const Forecast = require( '../../data/sharing/forecast.js' );
+const ForecastDao = require( '../../data/sharing/forecast.dao.js' );
+const User = require( '../../data/user.js' );
+const configuration = require( '../../source/system/configuration-reader.js' );
+
+const EventHandlerList = bo.common.EventHandlerList;
+const DataPortalEvent = bo.common.DataPortalEvent;
+const DataPortalError = bo.common.DataPortalError;
+const AbortError = bo.common.AbortError;
+const AuthorizationError = bo.rules.AuthorizationError;
+const RequestContext = bo.system.RequestContext;
+
+//endregion
+
+// AbortController is a global object since Node 15.
+const itWithController = typeof AbortController === 'undefined' ? xit : it;
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing shared fetches of read-only root models...' );
+  console.log( '--------------------------------------------------' );
+}
+
+describe( 'Shared fetch of read-only root model', () => {
+
+  beforeEach( () => {
+    spyOn( HeadlineListDao.prototype, 'fetch' ).andCallThrough();
+    spyOn( WeatherDao.prototype, 'fetch' ).andCallThrough();
+    spyOn( ForecastDao.prototype, 'fetch' ).andCallThrough();
+    spyOn( configuration.connectionManager, 'openConnection' ).andCallThrough();
+  } );
+
+  it( 'shares one data portal call among identical fetches', done => {
+    showTitle();
+
+    const events = [];
+    const eventHandlers = new EventHandlerList();
+    eventHandlers.add( 'HeadlineList', DataPortalEvent.preFetch, eventArgs => { events.push( eventArgs.eventName ); } );
+    eventHandlers.add( 'HeadlineList', DataPortalEvent.postFetch, eventArgs => { events.push( eventArgs.eventName ); } );
+
+    Promise.all( [
+      HeadlineList.fetch( 'sport', null, eventHandlers ),
+      HeadlineList.fetch( 'sport', null, eventHandlers ),
+      HeadlineList.fetch( 'sport', null, eventHandlers )
+    ] )
+      .then( lists => {
+        expect( lists[ 0 ] ).not.toBe( lists[ 1 ] );
+        expect( lists[ 1 ] ).not.toBe( lists[ 2 ] );
+        lists.forEach( list => {
+          expect( list.count ).toBe( 2 );
+          expect( list.at( 1 ).title ).toBe( 'Marathon record broken' );
+        } );
+        expect( events ).toEqual( [ 'preFetch', 'postFetch' ] );
+        expect( HeadlineListDao.prototype.fetch.callCount ).toBe( 1 );
+        expect( configuration.connectionManager.openConnection.callCount ).toBe( 1 );
+        done();
+      } );
+  } );
+
+  it( 'does not share the different fetches', done => {
+
+    Promise.all( [
+      HeadlineList.fetch( 'sport' ),
+      HeadlineList.fetch( 'science' ),
+      HeadlineList.fetch( 'sport' )
+    ] )
+      .then( lists => {
+        expect( lists.map( list => list.count ) ).toEqual( [ 2, 1, 2 ] );
+        expect( HeadlineListDao.prototype.fetch.callCount ).toBe( 2 );
+        return HeadlineList.fetch( 'sport' );
+      } )
+      .then( list => {
+        // The finished fetches are not shared.
+        expect( HeadlineListDao.prototype.fetch.callCount ).toBe( 3 );
+        done();
+      } );
+  } );
+
+  it( 'passes the error of the shared fetch', done => {
+    const errors = [];
+    const collect = reason => { errors.push( reason ); };
+
+    Promise.all( [
+      HeadlineList.fetch( 'fashion' ).catch( collect ),
+      HeadlineList.fetch( 'fashion' ).catch( collect )
+    ] )
+      .then( none => {
+        expect( errors.length ).toBe( 2 );
+        expect( errors[ 0 ] ).toEqual( jasmine.any( DataPortalError ) );
+        expect( errors[ 1 ] ).toBe( errors[ 0 ] );
+        expect( HeadlineListDao.prototype.fetch.callCount ).toBe( 1 );
+        done();
+      } );
+  } );
+
+  it( 'returns the shared instance when configured', done => {
+
+    Promise.all( [
+      Weather.fetch( 'Budapest' ),
+      Weather.fetch( 'Budapest' ),
+      Weather.fetch( 'Vienna' )
+    ] )
+      .then( reports => {
+        expect( reports[ 0 ] ).toBe( reports[ 1 ] );
+        expect( reports[ 0 ] ).not.toBe( reports[ 2 ] );
+        expect( reports[ 1 ].city ).toBe( 'Budapest' );
+        expect( reports[ 1 ].temperature ).toBe( 21 );
+        expect( reports[ 2 ].city ).toBe( 'Vienna' );
+        expect( WeatherDao.prototype.fetch.callCount ).toBe( 2 );
+        done();
+      } );
+  } );
+
+  it( 'freezes the shared instance', done => {
+
+    Promise.all( [
+      Weather.fetch( 'Budapest' ),
+      Weather.fetch( 'Budapest' )
+    ] )
+      .then( reports => {
+        const fetch = function () { reports[ 0 ].fetch( 'Vienna' ); };
+
+        expect( fetch ).toThrow( 'Weather is shared by concurrent fetches, it cannot be changed.' );
+        expect( reports[ 1 ].city ).toBe( 'Budapest' );
+        done();
+      } );
+  } );
+
+  it( 'applies the time limit of the waiting caller', done => {
+
+    Promise.all( [
+      HeadlineList.fetch( 'sport' ),
+      HeadlineList.fetch( 'sport', null, null, { timeout: 1 } ).catch( reason => reason )
+    ] )
+      .then( results => {
+        expect( results[ 0 ].count ).toBe( 2 );
+        expect( results[ 1 ] ).toEqual( jasmine.any( AbortError ) );
+        expect( results[ 1 ].message ).toBe( 'The fetch action of HeadlineList has timed out after 1 milliseconds.' );
+        expect( HeadlineListDao.prototype.fetch.callCount ).toBe( 1 );
+        done();
+      } );
+  } );
+
+  itWithController( 'fetches again when the first caller aborts', done => {
+    const controller = new AbortController();
+
+    const results = Promise.all( [
+      HeadlineList.fetch( 'sport', null, null, { signal: controller.signal } ).catch( reason => reason ),
+      HeadlineList.fetch( 'sport' )
+    ] );
+    // Abort while the shared query is running.
+    setTimeout( () => { controller.abort(); }, 5 );
+    results
+      .then( results => {
+        expect( results[ 0 ] ).toEqual( jasmine.any( AbortError ) );
+        expect( results[ 1 ].count ).toBe( 2 );
+        expect( HeadlineListDao.prototype.fetch.callCount ).toBe( 2 );
+        done();
+      } );
+  } );
+
+  it( 'checks the permissions of every caller', done => {
+    const guest = new User( 'guest', 'Guest', 'guest@computer.net', [] );
+    const asGuest = fn => RequestContext.run( { user: guest }, fn );
+
+    Promise.all( [
+      // The denied first caller does not start the shared fetch.
+      asGuest( () => Forecast.fetch( 'Budapest' ) ).catch( reason => reason ),
+      Forecast.fetch( 'Budapest' ),
+      // The denied waiting caller does not get the shared data.
+      asGuest( () => Forecast.fetch( 'Budapest' ) ).catch( reason => reason )
+    ] )
+      .then( results => {
+        expect( results[ 0 ] ).toEqual( jasmine.any( AuthorizationError ) );
+        expect( results[ 0 ].message ).toBe( 'You are not authorized to retrieve the forecast.' );
+        expect( results[ 1 ].outlook ).toBe( 'Sunny' );
+        expect( results[ 2 ] ).toEqual( jasmine.any( AuthorizationError ) );
+        expect( ForecastDao.prototype.fetch.callCount ).toBe( 1 );
+        done();
+      } );
+  } );
+} );
@@ -0,0 +1,144 @@
+//region Imports
+
+const bo = require( '../../source/index.js' );
+const Customer = require( '../../data/identity/customer.js' );
+const CustomerDao = require( '../../data/identity/customer.dao.js' );
+
+const IdentityMap = bo.common.IdentityMap;
+const UnitOfWork = bo.common.UnitOfWork;
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing identity map...' );
+  console.log( '--------------------------------------------------' );
+}
+
+describe( 'Identity map of editable root objects', () => {
+
+  beforeEach( () => {
+    spyOn( CustomerDao.prototype, 'fetch' ).andCallThrough();
+    spyOn( CustomerDao.prototype, 'fetchByEmail' ).andCallThrough();
+  } );
+
+  it( 'returns separate instances outside of a scope', done => {
+    showTitle();
+
+    Promise.all( [ Customer.fetch( 1 ), Customer.fetch( 1 ) ] )
+      .then( customers => {
+        expect( customers[ 0 ] ).not.toBe( customers[ 1 ] );
+        expect( CustomerDao.prototype.fetch.callCount ).toBe( 2 );
+        done();
+      } );
+  } );
+
+  it( 'returns the loaded instance for a repeated fetch', done => {
+
+    IdentityMap.run( () => {
+      let first = null;
+      return Customer.fetch( 1 )
+        .then( customer => {
+          first = customer;
+          first.name = 'Augusta Ada King';
+          return Customer.fetch( 1 );
+        } )
+        .then( customer => {
+          expect( customer ).toBe( first );
+          expect( customer.name ).toBe( 'Augusta Ada King' );
+          expect( CustomerDao.prototype.fetch.callCount ).toBe( 1 );
+          expect( IdentityMap.current.count ).toBe( 1 );
+        } );
+    } )
+      .then( none => done() );
+  } );
+
+  it( 'returns the loaded instance through a different path', done => {
+
+    IdentityMap.run( () => {
+      return Customer.fetch( 2 )
+        .then( byKey => {
+          return Customer.fetch( 'alan@example.com', 'fetchByEmail' )
+            .then( byEmail => {
+              expect( byEmail ).toBe( byKey );
+              expect( CustomerDao.prototype.fetchByEmail.callCount ).toBe( 1 );
+            } );
+        } );
+    } )
+      .then( none => done() );
+  } );
+
+  it( 'shares the identity map of a unit of work', done => {
+    const uow = new UnitOfWork( 'db' );
+
+    uow.run( () => Promise.all( [ Customer.fetch( 1 ), Customer.fetch( 1 ) ] ) )
+      .then( customers => {
+        expect( customers[ 0 ] ).toBe( customers[ 1 ] );
+        expect( uow.identityMap.get( 'Customer', 1 ) ).toBe( customers[ 0 ] );
+        expect( CustomerDao.prototype.fetch.callCount ).toBe( 1 );
+        done();
+      } );
+  } );
+
+  it( 'returns the same instance after save', done => {
+
+    IdentityMap.run( () => {
+      let first = null;
+      return Customer.fetch( 1 )
+        .then( customer => {
+          first = customer;
+          first.email = 'ada.lovelace@example.com';
+          return first.save();
+        } )
+        .then( saved => Customer.fetch( 1 ) )
+        .then( customer => {
+          expect( customer ).toBe( first );
+          expect( CustomerDao.prototype.fetch.callCount ).toBe( 1 );
+          expect( IdentityMap.current.count ).toBe( 1 );
+        } );
+    } )
+      .then( none => done() );
+  } );
+
+  it( 'follows the change of the key on save', done => {
+    const map = new IdentityMap();
+
+    map.run( () => {
+      return Customer.fetch( 2 )
+        .then( customer => {
+          customer.customerKey = 5;
+          return customer.save();
+        } )
+        .then( customer => {
+          expect( map.get( 'Customer', 5 ) ).toBe( customer );
+          expect( map.get( 'Customer', 2 ) ).toBeUndefined();
+          expect( map.count ).toBe( 1 );
+        } );
+    } )
+      .then( none => done() );
+  } );
+
+  it( 'keeps the map up to date on save', done => {
+    const map = new IdentityMap();
+
+    map.run( () => {
+      return Customer.create()
+        .then( customer => {
+          customer.customerKey = 3;
+          customer.name = 'Grace Hopper';
+          return customer.save();
+        } )
+        .then( customer => {
+          expect( map.get( 'Customer', 3 ) ).toBe( customer );
+          customer.remove();
+          return customer.save();
+        } )
+        .then( none => {
+          expect( map.get( 'Customer', 3 ) ).toBeUndefined();
+          expect( map.count ).toBe( 0 );
+        } );
+    } )
+      .then( none => done() );
+  } );
+} );
@@ -0,0 +1,127 @@
+//region Imports
+
+const Project = require( '../../data/soft-delete/project.js' );
+const ProjectDao = require( '../../data/soft-delete/project.dao.js' );
+const TaskDao = require( '../../data/soft-delete/task.dao.js' );
+const TaskList = require( '../../data/soft-delete/task-list.js' );
+const TaskListDao = require( '../../data/soft-delete/task-list.dao.js' );
+const TaskArchive = require( '../../data/soft-delete/task-archive.js' );
+const TaskArchiveDao = require( '../../data/soft-delete/task-archive.dao.js' );
+const ProjectInfo = require( '../../data/soft-delete/project-info.js' );
+const DataPortalError = require( '../../source/common/data-portal-error.js' );
+const ModelError = require( '../../source/common/model-error.js' );
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing soft deletion...' );
+  console.log( '--------------------------------------------------' );
+}
+
+describe( 'Soft deletion of editable models', () => {
+
+  beforeEach( () => {
+    spyOn( ProjectDao.prototype, 'update' ).andCallThrough();
+    spyOn( ProjectDao.prototype, 'remove' ).andCallThrough();
+    spyOn( TaskDao.prototype, 'update' ).andCallThrough();
+    spyOn( TaskDao.prototype, 'remove' ).andCallThrough();
+    spyOn( TaskListDao.prototype, 'fetch' ).andCallThrough();
+    spyOn( TaskArchiveDao.prototype, 'fetch' ).andCallThrough();
+  } );
+
+  it( 'leaves out the deleted items of read-only collections', done => {
+    showTitle();
+
+    TaskList.fetch( 1 )
+      .then( list => {
+        expect( list.count ).toBe( 2 );
+        expect( list.map( task => task.taskKey ) ).toEqual( [ 1, 2 ] );
+        // The data access object leaves out the deleted items.
+        expect( TaskListDao.prototype.fetch.mostRecentCall.args[ 0 ].softDelete ).toBe( 'isDeleted' );
+        done();
+      } );
+  } );
+
+  it( 'includes the deleted items when configured', done => {
+
+    TaskArchive.fetch( 1 )
+      .then( list => {
+        expect( list.count ).toBe( 3 );
+        expect( list.at( 2 ).isDeleted ).toBe( true );
+        expect( TaskArchiveDao.prototype.fetch.mostRecentCall.args[ 0 ].softDelete ).toBeNull();
+        done();
+      } );
+  } );
+
+  it( 'leaves out the deleted items of streamed collections', done => {
+
+    (async () => {
+      const keys = [];
+      for await (const task of TaskList.stream( 1 ))
+        keys.push( task.taskKey );
+      return keys;
+    })()
+      .then( keys => {
+        expect( keys ).toEqual( [ 1, 2 ] );
+        expect( TaskListDao.prototype.fetch.mostRecentCall.args[ 0 ].softDelete ).toBe( 'isDeleted' );
+        done();
+      } );
+  } );
+
+  it( 'marks the removed child item deleted', done => {
+
+    Project.fetch( 1 )
+      .then( project => {
+        expect( project.tasks.count ).toBe( 2 );
+        project.tasks.at( 1 ).remove();
+        return project.save();
+      } )
+      .then( project => {
+        expect( project.tasks.count ).toBe( 1 );
+        expect( TaskDao.prototype.update.callCount ).toBe( 1 );
+        expect( TaskDao.prototype.update.mostRecentCall.args[ 1 ].isDeleted ).toBe( true );
+        expect( TaskDao.prototype.remove ).not.toHaveBeenCalled();
+        expect( TaskDao.tasks[ 2 ].isDeleted ).toBe( true );
+        return TaskList.fetch( 1 );
+      } )
+      .then( list => {
+        expect( list.count ).toBe( 1 );
+        done();
+      } );
+  } );
+
+  it( 'marks the removed root object deleted', done => {
+
+    Project.fetch( 1 )
+      .then( project => {
+        project.remove();
+        return project.save();
+      } )
+      .then( none => {
+        expect( ProjectDao.prototype.update.callCount ).toBe( 1 );
+        expect( ProjectDao.prototype.remove ).not.toHaveBeenCalled();
+        expect( ProjectDao.projects[ 1 ].deletedAt ).toEqual( jasmine.any( Date ) );
+        // The children of the soft deleted object are kept.
+        expect( TaskDao.prototype.update ).not.toHaveBeenCalled();
+        expect( TaskDao.tasks[ 1 ].isDeleted ).toBe( false );
+        done();
+      } );
+  } );
+
+  it( 'does not find the deleted read-only root object', done => {
+
+    ProjectInfo.fetch( 2 )
+      .then( project => {
+        expect( project.projectName ).toBe( 'Enigma' );
+        return ProjectInfo.fetch( 1 );
+      } )
+      .catch( reason => {
+        expect( reason ).toEqual( jasmine.any( DataPortalError ) );
+        expect( reason.innerError ).toEqual( jasmine.any( ModelError ) );
+        expect( reason.innerError.message ).toBe( 'ProjectInfo has been deleted.' );
+        done();
+      } );
+  } );
+} );
@@ -0,0 +1,138 @@
+//region Imports
+
+const bo = require( '../../source/index.js' );
+const Article = require( '../../data/audit/article.js' );
+const ArticleDao = require( '../../data/audit/article.dao.js' );
+const CommentDao = require( '../../data/audit/comment.dao.js' );
+const Note = require( '../../data/audit/note.js' );
+const NoteDao = require( '../../data/audit/note.dao.js' );
+const User = require( '../../data/user.js' );
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing audit fields...' );
+  console.log( '--------------------------------------------------' );
+}
+
+describe( 'Audit fields of editable models', () => {
+
+  const editor = new User( 'grace-hopper', 'Grace Hopper', 'grace.hopper@navy.mil', [ 'editors' ] );
+  let article = null;
+
+  beforeEach( () => {
+    spyOn( ArticleDao.prototype, 'update' ).andCallThrough();
+    spyOn( CommentDao.prototype, 'update' ).andCallThrough();
+  } );
+
+  it( 'are filled on insert', done => {
+    showTitle();
+
+    const before = new Date();
+    bo.runInContext( { user: editor }, () => {
+      return Article.create()
+        .then( created => {
+          created.title = 'Notes on the analytical engine';
+          return created.comments.createItem()
+            .then( comment => {
+              comment.text = 'First!';
+              return created.save();
+            } );
+        } );
+    } )
+      .then( saved => {
+        article = saved;
+        const after = new Date();
+        expect( article.createdBy ).toBe( 'grace-hopper' );
+        expect( article.modifiedBy ).toBe( 'grace-hopper' );
+        expect( article.createdAt ).toEqual( jasmine.any( Date ) );
+        expect( article.createdAt >= before && article.createdAt <= after ).toBe( true );
+        expect( article.modifiedAt.getTime() ).toBe( article.createdAt.getTime() );
+        expect( ArticleDao.articles[ article.articleKey ].createdBy ).toBe( 'grace-hopper' );
+
+        const comment = article.comments.at( 0 );
+        expect( comment.createdAt ).toEqual( jasmine.any( Date ) );
+        expect( comment.modifiedBy ).toBe( 'grace-hopper' );
+        expect( CommentDao.comments[ comment.commentKey ].modifiedBy ).toBe( 'grace-hopper' );
+        done();
+      } );
+  } );
+
+  it( 'keep the creation and refresh the modification on update', done => {
+    const createdAt = article.createdAt;
+
+    // The user of the configuration is the default.
+    article.title = 'Sketch of the analytical engine';
+    article.save()
+      .then( saved => {
+        expect( saved.createdBy ).toBe( 'grace-hopper' );
+        expect( saved.createdAt ).toBe( createdAt );
+        expect( saved.modifiedBy ).toBe( 'ada-lovelace' );
+        expect( saved.modifiedAt >= createdAt ).toBe( true );
+        expect( ArticleDao.prototype.update.mostRecentCall.args[ 1 ].modifiedBy ).toBe( 'ada-lovelace' );
+
+        // The unchanged child is not stamped.
+        expect( CommentDao.prototype.update ).not.toHaveBeenCalled();
+        expect( saved.comments.at( 0 ).modifiedBy ).toBe( 'grace-hopper' );
+        done();
+      } );
+  } );
+
+  it( 'are not refreshed on the parent when only its child changes', done => {
+    const modifiedAt = article.modifiedAt;
+
+    bo.runInContext( { user: editor }, () => {
+      article.comments.at( 0 ).text = 'First, indeed!';
+      return article.save();
+    } )
+      .then( saved => {
+        expect( saved.modifiedBy ).toBe( 'ada-lovelace' );
+        expect( saved.modifiedAt ).toBe( modifiedAt );
+        expect( ArticleDao.prototype.update.mostRecentCall.args[ 1 ].modifiedBy ).toBe( 'ada-lovelace' );
+        expect( saved.comments.at( 0 ).modifiedBy ).toBe( 'grace-hopper' );
+        done();
+      } );
+  } );
+
+  it( 'are refreshed on the parent changed after its child', done => {
+
+    bo.runInContext( { user: editor }, () => {
+      article.comments.at( 0 ).text = 'First, again!';
+      article.title = 'Notes by the translator';
+      return article.save();
+    } )
+      .then( saved => {
+        expect( saved.modifiedBy ).toBe( 'grace-hopper' );
+        expect( saved.comments.at( 0 ).modifiedBy ).toBe( 'grace-hopper' );
+        done();
+      } );
+  } );
+
+  it( 'are filled for the custom data portal methods', done => {
+
+    bo.runInContext( { user: editor }, () => {
+      return Note.create()
+        .then( note => {
+          note.text = 'Remember the punched cards.';
+          return note.save();
+        } );
+    } )
+      .then( note => {
+        const stored = NoteDao.notes[ note.noteKey ];
+        expect( stored.createdBy ).toBe( 'grace-hopper' );
+        expect( stored.createdAt ).toEqual( jasmine.any( Date ) );
+        expect( stored.modifiedBy ).toBe( 'grace-hopper' );
+        note.text = 'Remember the punched cards and the bombe.';
+        return note.save();
+      } )
+      .then( note => {
+        const stored = NoteDao.notes[ note.noteKey ];
+        expect( stored.createdBy ).toBe( 'grace-hopper' );
+        expect( stored.modifiedBy ).toBe( 'ada-lovelace' );
+        expect( note.modifiedBy ).toBe( 'ada-lovelace' );
+        done();
+      } );
+  } );
+} );
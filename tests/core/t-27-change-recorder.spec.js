@@ -0,0 +1,250 @@
+//region Imports
+
+const bo = require( '../../source/index.js' );
+const audit = require( '../../data/change-trail/audit.js' );
+const Order = require( '../../data/change-trail/order.js' );
+const Account = require( '../../data/unit-of-work/account.js' );
+
+const UnitOfWork = bo.common.UnitOfWork;
+const ChangeSet = bo.common.ChangeSet;
+const DataPortalAction = bo.common.DataPortalAction;
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing change recorder...' );
+  console.log( '--------------------------------------------------' );
+}
+
+function changeOf( changeSet, propertyName ) {
+  return changeSet.changes.filter( change => change.propertyName === propertyName )[ 0 ];
+}
+
+describe( 'Change recorder of editable models', () => {
+
+  const environment = audit.environment;
+  const log = audit.log;
+  let orderKey = 0;
+
+  beforeEach( () => {
+    log.entries.length = 0;
+    spyOn( log, 'write' ).andCallThrough();
+  } );
+
+  it( 'records the values of a new model', done => {
+    showTitle();
+
+    environment.run( () => {
+      return Order.create()
+        .then( order => {
+          order.customer = 'Charles Babbage';
+          order.orderDate = new Date( 1834, 5, 1 );
+          return order.items.createItem()
+            .then( item => {
+              item.product = 'Gear wheel';
+              item.quantity = 12;
+              return order.save();
+            } );
+        } );
+    } )
+      .then( order => {
+        orderKey = order.orderKey;
+        expect( log.entries.length ).toBe( 1 );
+
+        const changeSet = log.entries[ 0 ];
+        expect( changeSet ).toEqual( jasmine.any( ChangeSet ) );
+        expect( changeSet.modelName ).toBe( 'Order' );
+        expect( changeSet.key ).toBe( orderKey );
+        expect( changeSet.action ).toBe( DataPortalAction.insert );
+        expect( changeSet.user.userCode ).toBe( 'grace-hopper' );
+        expect( changeOf( changeSet, 'customer' ).oldValue ).toBeNull();
+        expect( changeOf( changeSet, 'customer' ).newValue ).toBe( 'Charles Babbage' );
+        expect( changeOf( changeSet, 'orderKey' ).newValue ).toBe( orderKey );
+
+        const items = changeSet.children.items;
+        expect( items.length ).toBe( 1 );
+        expect( items[ 0 ].modelName ).toBe( 'OrderItem' );
+        expect( items[ 0 ].action ).toBe( DataPortalAction.insert );
+        expect( changeOf( items[ 0 ], 'quantity' ).newValue ).toBe( 12 );
+        done();
+      } );
+  } );
+
+  it( 'records the changed values only', done => {
+
+    environment.run( () => {
+      return Order.fetch( orderKey )
+        .then( order => {
+          order.customer = 'Charles Babbage Esq.';
+          order.orderDate = new Date( 1834, 5, 1 );
+          order.items.at( 0 ).quantity = 16;
+          return order.items.createItem()
+            .then( item => {
+              item.product = 'Punched card';
+              item.quantity = 100;
+              return order.save();
+            } );
+        } );
+    } )
+      .then( order => {
+        expect( log.entries.length ).toBe( 1 );
+
+        const changeSet = log.entries[ 0 ];
+        expect( changeSet.action ).toBe( DataPortalAction.update );
+        expect( changeSet.changes.length ).toBe( 1 );
+        expect( changeSet.changes[ 0 ].propertyName ).toBe( 'customer' );
+        expect( changeSet.changes[ 0 ].oldValue ).toBe( 'Charles Babbage' );
+        expect( changeSet.changes[ 0 ].newValue ).toBe( 'Charles Babbage Esq.' );
+
+        const items = changeSet.children.items;
+        expect( items.map( item => item.action ) ).toEqual( [ DataPortalAction.update, DataPortalAction.insert ] );
+        expect( items[ 0 ].changes.length ).toBe( 1 );
+        expect( items[ 0 ].changes[ 0 ].oldValue ).toBe( 12 );
+        expect( items[ 0 ].changes[ 0 ].newValue ).toBe( 16 );
+        done();
+      } );
+  } );
+
+  it( 'records the changes of the children only', done => {
+
+    environment.run( () => {
+      return Order.fetch( orderKey )
+        .then( order => {
+          order.items.at( 1 ).remove();
+          return order.save();
+        } );
+    } )
+      .then( order => {
+        expect( order.items.count ).toBe( 1 );
+        expect( log.entries.length ).toBe( 1 );
+
+        const changeSet = log.entries[ 0 ];
+        expect( changeSet.action ).toBe( DataPortalAction.update );
+        expect( changeSet.changes.length ).toBe( 0 );
+        expect( changeSet.children.items.length ).toBe( 1 );
+        expect( changeSet.children.items[ 0 ].action ).toBe( DataPortalAction.remove );
+        expect( changeOf( changeSet.children.items[ 0 ], 'product' ).oldValue ).toBe( 'Punched card' );
+        expect( changeOf( changeSet.children.items[ 0 ], 'product' ).newValue ).toBeNull();
+        done();
+      } );
+  } );
+
+  it( 'does not record the children failed in their savepoints', done => {
+
+    audit.savepointEnvironment.run( () => {
+      return Order.create()
+        .then( order => {
+          order.customer = 'Augustus De Morgan';
+          order.orderDate = new Date( 1847, 10, 1 );
+          return Promise.all( [ order.items.createItem(), order.items.createItem() ] )
+            .then( items => {
+              items[ 0 ].product = 'Slide rule';
+              items[ 0 ].quantity = 2;
+              items[ 1 ].product = 'Abacus';
+              items[ 1 ].quantity = -1;
+              return order.save();
+            } );
+        } );
+    } )
+      .then( order => {
+        fail( 'The failure of the child is not reported.' );
+        done();
+      } )
+      .catch( reason => {
+        expect( reason ).toEqual( jasmine.any( bo.common.PartialSaveError ) );
+        expect( reason.model.items.at( 1 ).getModelState() ).toBe( 'created' );
+        expect( log.entries.length ).toBe( 1 );
+
+        const items = log.entries[ 0 ].children.items;
+        expect( items.length ).toBe( 1 );
+        expect( items[ 0 ].key ).toBe( reason.model.items.at( 0 ).orderItemKey );
+        expect( changeOf( items[ 0 ], 'product' ).newValue ).toBe( 'Slide rule' );
+        done();
+      } );
+  } );
+
+  it( 'does not record the unchanged and the not recording models', done => {
+
+    environment.run( () => {
+      return Order.fetch( orderKey )
+        .then( order => order.save() )
+        .then( none => Account.create() )
+        .then( account => {
+          account.owner = 'Ada';
+          account.balance = 100;
+          return account.save();
+        } );
+    } )
+      .then( none => {
+        expect( log.write ).not.toHaveBeenCalled();
+        done();
+      } );
+  } );
+
+  it( 'writes the changes after the unit of work is committed', done => {
+    const steps = [];
+    spyOn( environment.connectionManager, 'commitTransaction' ).andCallFake( ( dataSource, connection ) => {
+      steps.push( 'commit' );
+      return Promise.resolve( null );
+    } );
+    log.write.andCallFake( changeSet => {
+      steps.push( 'write' );
+      log.entries.push( changeSet );
+      return Promise.resolve( null );
+    } );
+
+    environment.run( () => {
+      return Order.fetch( orderKey )
+        .then( order => {
+          order.customer = 'Ada Lovelace';
+          return new UnitOfWork( 'dao' )
+            .save( order )
+            .commit();
+        } );
+    } )
+      .then( results => {
+        expect( steps ).toEqual( [ 'commit', 'write' ] );
+        expect( log.entries.length ).toBe( 1 );
+        expect( log.entries[ 0 ].changes[ 0 ].newValue ).toBe( 'Ada Lovelace' );
+        done();
+      } );
+  } );
+
+  it( 'records the removal of the model', done => {
+
+    environment.run( () => {
+      return Order.fetch( orderKey )
+        .then( order => {
+          order.remove();
+          return order.save();
+        } );
+    } )
+      .then( none => {
+        expect( log.entries.length ).toBe( 1 );
+
+        const changeSet = log.entries[ 0 ];
+        expect( changeSet.action ).toBe( DataPortalAction.remove );
+        expect( changeSet.key ).toBe( orderKey );
+        expect( changeOf( changeSet, 'customer' ).oldValue ).toBe( 'Ada Lovelace' );
+        expect( changeOf( changeSet, 'customer' ).newValue ).toBeNull();
+        expect( changeSet.children.items[ 0 ].action ).toBe( DataPortalAction.remove );
+        done();
+      } );
+  } );
+
+  it( 'does not record the changes without audit sink', done => {
+
+    Order.create()
+      .then( order => {
+        order.customer = 'Mary Somerville';
+        return order.save();
+      } )
+      .then( order => {
+        expect( order.orderKey ).toBeGreaterThan( 0 );
+        expect( log.write ).not.toHaveBeenCalled();
+        done();
+      } );
+  } );
+} );
@@ -0,0 +1,127 @@
+//region Imports
+
+const bo = require( '../../source/index.js' );
+const Order = require( '../../data/change-trail/order.js' );
+const PostTransferCommand = require( '../../data/unit-of-work/post-transfer-command.js' );
+
+const PropertyChangedEventArgs = bo.common.PropertyChangedEventArgs;
+const StateChangedEventArgs = bo.common.StateChangedEventArgs;
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing property and state events...' );
+  console.log( '--------------------------------------------------' );
+}
+
+describe( 'Property and state events of models', () => {
+
+  it( 'are emitted when an editable object changes', done => {
+    showTitle();
+
+    const changes = [];
+    const states = [];
+
+    Order.create()
+      .then( order => {
+        order.on( 'propertyChanged', eventArgs => { changes.push( eventArgs ); } );
+        order.on( 'stateChanged', eventArgs => { states.push( eventArgs ); } );
+
+        order.customer = 'Charles Babbage';
+        order.customer = 'Charles Babbage';
+        order.customer = 'Charles Babbage Esq.';
+
+        expect( changes.length ).toBe( 2 );
+        expect( changes[ 0 ] ).toEqual( jasmine.any( PropertyChangedEventArgs ) );
+        expect( changes[ 0 ].modelName ).toBe( 'Order' );
+        expect( changes[ 0 ].propertyName ).toBe( 'customer' );
+        expect( changes[ 0 ].oldValue ).toBeNull();
+        expect( changes[ 0 ].newValue ).toBe( 'Charles Babbage' );
+        expect( changes[ 1 ].oldValue ).toBe( 'Charles Babbage' );
+        expect( changes[ 1 ].newValue ).toBe( 'Charles Babbage Esq.' );
+        // A new object remains created on change.
+        expect( states.length ).toBe( 0 );
+
+        return order.save();
+      } )
+      .then( order => {
+        // The key is set by the data access object.
+        expect( changes[ changes.length - 1 ].propertyName ).toBe( 'orderKey' );
+        expect( states.length ).toBe( 1 );
+        expect( states[ 0 ] ).toEqual( jasmine.any( StateChangedEventArgs ) );
+        expect( states[ 0 ].oldState ).toBe( 'created' );
+        expect( states[ 0 ].newState ).toBe( 'pristine' );
+
+        order.customer = 'Ada Lovelace';
+        order.remove();
+
+        expect( states.map( eventArgs => eventArgs.newState ) )
+          .toEqual( [ 'pristine', 'changed', 'markedForRemoval' ] );
+        return order.save();
+      } )
+      .then( none => {
+        expect( states[ states.length - 1 ].oldState ).toBe( 'markedForRemoval' );
+        expect( states[ states.length - 1 ].newState ).toBe( 'removed' );
+        done();
+      } );
+  } );
+
+  it( 'are emitted when a child object changes', done => {
+
+    const changes = [];
+    const states = [];
+
+    Order.create()
+      .then( order => order.items.createItem() )
+      .then( item => {
+        item.on( 'propertyChanged', eventArgs => { changes.push( eventArgs ); } );
+        item.on( 'stateChanged', eventArgs => { states.push( eventArgs ); } );
+
+        item.quantity = 3;
+        item.remove();
+
+        expect( changes.length ).toBe( 1 );
+        expect( changes[ 0 ].modelName ).toBe( 'OrderItem' );
+        expect( changes[ 0 ].propertyName ).toBe( 'quantity' );
+        expect( changes[ 0 ].newValue ).toBe( 3 );
+        expect( states.length ).toBe( 1 );
+        expect( states[ 0 ].oldState ).toBe( 'created' );
+        expect( states[ 0 ].newState ).toBe( 'removed' );
+        done();
+      } );
+  } );
+
+  it( 'are not emitted after the listener is removed', done => {
+
+    const listener = jasmine.createSpy( 'listener' );
+
+    Order.create()
+      .then( order => {
+        order.on( 'propertyChanged', listener );
+        order.customer = 'Grace Hopper';
+        order.removeListener( 'propertyChanged', listener );
+        order.customer = 'Alan Turing';
+
+        expect( listener.callCount ).toBe( 1 );
+        done();
+      } );
+  } );
+
+  it( 'are emitted when a command object changes', done => {
+
+    const changes = [];
+    const command = PostTransferCommand.create();
+    command.on( 'propertyChanged', eventArgs => { changes.push( eventArgs ); } );
+    command.amount = 100;
+
+    command.execute()
+      .then( none => {
+        expect( changes.map( eventArgs => eventArgs.propertyName ) ).toEqual( [ 'amount', 'result' ] );
+        expect( changes[ 1 ].oldValue ).toBeNull();
+        expect( changes[ 1 ].newValue ).toBe( true );
+        done();
+      } );
+  } );
+} );
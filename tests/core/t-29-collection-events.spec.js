@@ -0,0 +1,117 @@
+//region Imports
+
+const bo = require( '../../source/index.js' );
+const Cart = require( '../../data/collection-events/cart.js' );
+const Order = require( '../../data/change-trail/order.js' );
+
+const CollectionChangedEventArgs = bo.common.CollectionChangedEventArgs;
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing collection events...' );
+  console.log( '--------------------------------------------------' );
+}
+
+function listen( collection ) {
+  const events = [];
+  [ 'itemAdded', 'itemRemoved', 'itemChanged', 'sorted' ].forEach( eventName => {
+    collection.on( eventName, eventArgs => {
+      events.push( { name: eventName, index: eventArgs.index, item: eventArgs.item } );
+    } );
+  } );
+  return events;
+}
+
+describe( 'Events of editable collections', () => {
+
+  it( 'report the changes of an editable root collection', done => {
+    showTitle();
+
+    Cart.fetch()
+      .then( cart => {
+        const events = listen( cart );
+        let created = null;
+
+        cart.on( 'itemAdded', eventArgs => {
+          expect( eventArgs ).toEqual( jasmine.any( CollectionChangedEventArgs ) );
+          expect( eventArgs.modelName ).toBe( 'Cart' );
+        } );
+
+        return cart.createItem( 1 )
+          .then( item => {
+            created = item;
+            expect( events.length ).toBe( 1 );
+            expect( events[ 0 ].name ).toBe( 'itemAdded' );
+            expect( events[ 0 ].index ).toBe( 1 );
+            expect( events[ 0 ].item ).toBe( item );
+
+            item.quantity = 2;
+            cart.at( 3 ).remove();
+            cart.sort( ( a, b ) => a.lineKey - b.lineKey );
+
+            expect( events.map( e => e.name ) ).toEqual( [ 'itemAdded', 'itemChanged', 'itemRemoved', 'sorted' ] );
+            expect( events[ 1 ].index ).toBe( 1 );
+            expect( events[ 1 ].item ).toBe( created );
+            expect( events[ 2 ].index ).toBe( 3 );
+            expect( events[ 2 ].item.product ).toBe( 'Notebook' );
+            expect( events[ 3 ].index ).toBeNull();
+            expect( events[ 3 ].item ).toBeNull();
+
+            // The event reports the current index of the item.
+            created.product = 'Eraser';
+            expect( events[ 4 ].index ).toBe( cart.filter( () => true ).indexOf( created ) );
+            done();
+          } );
+      } );
+  } );
+
+  it( 'report the changes made by fromCto', done => {
+
+    Cart.fetch()
+      .then( cart => {
+        const events = listen( cart );
+
+        return cart.fromCto( [
+          { lineKey: 1, product: 'Slide rule', quantity: 2 },
+          { lineKey: 3, product: 'Notebook', quantity: 3 },
+          { lineKey: null, product: 'Compass', quantity: 1 }
+        ] )
+          .then( none => {
+            expect( events.map( e => e.name ) ).toEqual( [ 'itemChanged', 'itemRemoved', 'itemAdded' ] );
+            expect( events[ 0 ].index ).toBe( 0 );
+            expect( events[ 1 ].item.product ).toBe( 'Pencil' );
+            expect( events[ 2 ].index ).toBe( 3 );
+            expect( events[ 2 ].item.product ).toBe( 'Compass' );
+            done();
+          } );
+      } );
+  } );
+
+  it( 'report the changes of an editable child collection', done => {
+
+    Order.create()
+      .then( order => {
+        const events = listen( order.items );
+
+        return order.items.createItem()
+          .then( first => {
+            first.product = 'Gear wheel';
+            return order.items.createItem();
+          } )
+          .then( second => {
+            second.remove();
+            order.items.sort();
+
+            expect( events.map( e => e.name ) ).toEqual( [ 'itemAdded', 'itemChanged', 'itemAdded', 'itemRemoved', 'sorted' ] );
+            expect( events[ 1 ].index ).toBe( 0 );
+            expect( events[ 2 ].index ).toBe( 1 );
+            expect( events[ 3 ].index ).toBe( 1 );
+            expect( events[ 3 ].item ).toBe( second );
+            done();
+          } );
+      } );
+  } );
+} );
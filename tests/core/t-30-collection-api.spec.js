@@ -0,0 +1,102 @@
+//region Imports
+
+const Cart = require( '../../data/collection-events/cart.js' );
+const Order = require( '../../data/change-trail/order.js' );
+const TaskList = require( '../../data/soft-delete/task-list.js' );
+
+//endregion
+
+function showTitle() {
+  console.log( '' );
+  console.log( '--------------------------------------------------' );
+  console.log( 'Testing collection methods...' );
+  console.log( '--------------------------------------------------' );
+}
+
+describe( 'Methods of collections', () => {
+
+  it( 'search the items of an editable root collection', done => {
+    showTitle();
+
+    Cart.fetch()
+      .then( cart => {
+        const pencil = cart.find( line => line.product === 'Pencil' );
+
+        expect( pencil.lineKey ).toBe( 2 );
+        expect( cart.findIndex( line => line.quantity === 3 ) ).toBe( 2 );
+        expect( cart.indexOf( pencil ) ).toBe( 1 );
+        expect( cart.findByKey( 2 ) ).toBe( pencil );
+        expect( cart.findByKey( { lineKey: 2 } ) ).toBe( pencil );
+        expect( cart.findByKey( 9 ) ).toBeUndefined();
+        expect( cart.reduce( ( total, line ) => total + line.quantity, 0 ) ).toBe( 16 );
+        expect( cart.reduce( ( longest, line ) => line.product.length > longest.product.length ? line : longest ) )
+          .toBe( cart.at( 0 ) );
+        expect( [ ...cart ].map( line => line.lineKey ) ).toEqual( [ 1, 2, 3 ] );
+
+        const products = [];
+        for (const line of cart)
+          products.push( line.product );
+        expect( products ).toEqual( [ 'Slide rule', 'Pencil', 'Notebook' ] );
+        expect( cart.count ).toBe( 3 );
+        done();
+      } );
+  } );
+
+  it( 'remove the items of an editable root collection', done => {
+
+    Cart.fetch()
+      .then( cart => {
+        const first = cart.removeAt( 0 );
+        const removed = cart.removeItem( cart.at( 2 ) );
+
+        expect( first.getModelState() ).toBe( 'markedForRemoval' );
+        expect( removed ).toBe( true );
+        expect( cart.at( 2 ).getModelState() ).toBe( 'markedForRemoval' );
+        expect( cart.at( 1 ).getModelState() ).toBe( 'pristine' );
+        expect( cart.removeAt( 5 ) ).toBeUndefined();
+        expect( cart.removeItem( {} ) ).toBe( false );
+        expect( () => cart.removeAt( 'first' ) ).toThrow();
+        done();
+      } );
+  } );
+
+  it( 'work on an editable child collection', done => {
+
+    Order.create()
+      .then( order => {
+        return Promise.all( [ order.items.createItem(), order.items.createItem() ] )
+          .then( items => {
+            items[ 0 ].product = 'Gear wheel';
+            items[ 0 ].quantity = 12;
+            items[ 1 ].product = 'Punched card';
+            items[ 1 ].quantity = 100;
+
+            expect( order.items.find( item => item.quantity > 50 ) ).toBe( items[ 1 ] );
+            expect( order.items.findIndex( item => item.quantity > 50 ) ).toBe( 1 );
+            expect( order.items.indexOf( items[ 1 ] ) ).toBe( 1 );
+            expect( order.items.reduce( ( total, item ) => total + item.quantity, 0 ) ).toBe( 112 );
+            expect( [ ...order.items ] ).toEqual( items );
+
+            expect( order.items.removeItem( items[ 1 ] ) ).toBe( true );
+            expect( order.items.removeAt( 0 ) ).toBe( items[ 0 ] );
+            expect( items.map( item => item.getModelState() ) ).toEqual( [ 'removed', 'removed' ] );
+            done();
+          } );
+      } );
+  } );
+
+  it( 'work on a read-only root collection', done => {
+
+    TaskList.fetch( 1 )
+      .then( list => {
+        const first = list.at( 0 );
+
+        expect( list.findByKey( first.taskKey ) ).toBe( first );
+        expect( list.find( task => task.taskKey === first.taskKey ) ).toBe( first );
+        expect( list.indexOf( first ) ).toBe( 0 );
+        expect( list.reduce( count => count + 1, 0 ) ).toBe( list.count );
+        expect( [ ...list ].length ).toBe( list.count );
+        done();
+      } );
+  } );
+} );
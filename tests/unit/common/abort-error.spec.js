@@ -0,0 +1,32 @@
+console.log( 'Testing common/abort-error.js...' );
+
+function read ( filename ) {
+  return require( '../../../source/' + filename );
+}
+const AbortError = read( 'common/abort-error.js' );
+
+describe( 'Abort error', () => {
+
+  it( 'constructor expects optional arguments', () => {
+    const ae1 = new AbortError();
+    const ae2 = new AbortError( 'The search has been cancelled.' );
+    const ae3 = new AbortError( 'aborted', 'BlanketOrder', 'fetch' );
+    const ae4 = new AbortError( 'timeout', 'BlanketOrder', 'update', 500 );
+
+    expect( ae1 ).toEqual( jasmine.any( Error ) );
+    expect( ae1.name ).toBe( 'AbortError' );
+    expect( ae1.message ).toBe( 'The data portal action has been aborted.' );
+
+    expect( ae2 ).toEqual( jasmine.any( Error ) );
+    expect( ae2.name ).toBe( 'AbortError' );
+    expect( ae2.message ).toBe( 'The search has been cancelled.' );
+
+    expect( ae3 ).toEqual( jasmine.any( Error ) );
+    expect( ae3.name ).toBe( 'AbortError' );
+    expect( ae3.message ).toBe( 'The fetch action of BlanketOrder has been aborted.' );
+
+    expect( ae4 ).toEqual( jasmine.any( Error ) );
+    expect( ae4.name ).toBe( 'AbortError' );
+    expect( ae4.message ).toBe( 'The update action of BlanketOrder has timed out after 500 milliseconds.' );
+  } );
+} );
@@ -0,0 +1,68 @@
+console.log( 'Testing common/change-set.js...' );
+
+function read ( filename ) {
+  return require( '../../../source/' + filename );
+}
+const ChangeSet = read( 'common/change-set.js' );
+const DataPortalAction = read( 'common/data-portal-action.js' );
+
+describe( 'Change set', () => {
+
+  const changes = [ { propertyName: 'name', oldValue: 'Ada', newValue: 'Ada Lovelace' } ];
+
+  it( 'constructor expects three-five arguments', () => {
+
+    const build01 = function () { return new ChangeSet(); };
+    const build02 = function () { return new ChangeSet( 'model' ); };
+    const build03 = function () { return new ChangeSet( 'model', 1, 'update' ); };
+    const build04 = function () { return new ChangeSet( 'model', 1, DataPortalAction.update ); };
+    const build05 = function () { return new ChangeSet( 'model', 1, DataPortalAction.update, changes ); };
+    const build06 = function () { return new ChangeSet( 'model', 1, DataPortalAction.update, 'name' ); };
+    const build07 = function () { return new ChangeSet( 'model', 1, DataPortalAction.update, changes, { items: [] } ); };
+    const build08 = function () { return new ChangeSet( 'model', 1, DataPortalAction.update, changes, 'items' ); };
+
+    expect( build01 ).toThrow( 'The modelName argument of ChangeSet constructor must be a non-empty string.' );
+    expect( build02 ).toThrow();
+    expect( build03 ).toThrow();
+    expect( build04 ).not.toThrow();
+    expect( build05 ).not.toThrow();
+    expect( build06 ).toThrow();
+    expect( build07 ).not.toThrow();
+    expect( build08 ).toThrow();
+  } );
+
+  it( 'has seven properties', () => {
+
+    const changeSet = new ChangeSet( 'Customer', 7, DataPortalAction.update, changes, { orders: [] } );
+
+    expect( changeSet.modelName ).toBe( 'Customer' );
+    expect( changeSet.key ).toBe( 7 );
+    expect( changeSet.action ).toBe( DataPortalAction.update );
+    expect( changeSet.user ).toBeDefined();
+    expect( changeSet.time ).toEqual( jasmine.any( Date ) );
+    expect( changeSet.changes.length ).toBe( 1 );
+    expect( changeSet.changes[ 0 ] ).toBe( changes[ 0 ] );
+    expect( changeSet.children.orders ).toEqual( [] );
+  } );
+
+  it( 'has default values', () => {
+
+    const changeSet = new ChangeSet( 'Customer', undefined, DataPortalAction.insert );
+
+    expect( changeSet.key ).toBeNull();
+    expect( changeSet.changes.length ).toBe( 0 );
+    expect( Object.keys( changeSet.children ).length ).toBe( 0 );
+  } );
+
+  it( 'is immutable', () => {
+
+    const changeSet = new ChangeSet( 'Customer', 7, DataPortalAction.remove, changes );
+
+    function add() { changeSet.changes.push( { propertyName: 'email' } ); }
+    changeSet.modelName = 'Order';
+
+    expect( add ).toThrow();
+    expect( changeSet.modelName ).toBe( 'Customer' );
+    expect( changeSet.changes.length ).toBe( 1 );
+  } );
+} );
@@ -40,4 +40,20 @@ describe( 'Collection base', () => {
 
     expect( result ).toBe( 'Ugly Kid Joe' );
   } );
+
+  it( 'accepts listeners when it is frozen', () => {
+
+    const frozen = new CollectionBase();
+    const listener = jasmine.createSpy( 'listener' );
+    Object.freeze( frozen );
+
+    frozen.on( 'updated', listener );
+    frozen.emit( 'updated', 'Ugly Kid Joe' );
+    frozen.removeListener( 'updated', listener );
+    frozen.emit( 'updated', 'Ugly Kid Joe' );
+
+    expect( listener.callCount ).toBe( 1 );
+    expect( listener ).toHaveBeenCalledWith( 'Ugly Kid Joe' );
+    expect( frozen.listenerCount( 'updated' ) ).toBe( 0 );
+  } );
 } );
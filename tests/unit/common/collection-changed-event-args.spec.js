@@ -0,0 +1,49 @@
+console.log( 'Testing common/collection-changed-event-args.js...' );
+
+function read ( filename ) {
+  return require( '../../../source/' + filename );
+}
+const CollectionChangedEventArgs = read( 'common/collection-changed-event-args.js' );
+
+describe( 'Collection changed event arguments', () => {
+
+  const item = { name: 'item' };
+
+  it( 'constructor expects one-three arguments', () => {
+
+    const build01 = function () { return new CollectionChangedEventArgs(); };
+    const build02 = function () { return new CollectionChangedEventArgs( 'collection' ); };
+    const build03 = function () { return new CollectionChangedEventArgs( 'collection', 'first', item ); };
+    const build04 = function () { return new CollectionChangedEventArgs( 'collection', 1.5, item ); };
+    const build05 = function () { return new CollectionChangedEventArgs( 'collection', 1, 'item' ); };
+    const build06 = function () { return new CollectionChangedEventArgs( 'collection', 1, item ); };
+
+    expect( build01 ).toThrow( 'The modelName argument of CollectionChangedEventArgs constructor must be a non-empty string.' );
+    expect( build02 ).not.toThrow();
+    expect( build03 ).toThrow();
+    expect( build04 ).toThrow();
+    expect( build05 ).toThrow();
+    expect( build06 ).not.toThrow();
+  } );
+
+  it( 'has three properties', () => {
+
+    const eventArgs1 = new CollectionChangedEventArgs( 'Cart', 2, item );
+    const eventArgs2 = new CollectionChangedEventArgs( 'Cart' );
+
+    expect( eventArgs1.modelName ).toBe( 'Cart' );
+    expect( eventArgs1.index ).toBe( 2 );
+    expect( eventArgs1.item ).toBe( item );
+    expect( eventArgs2.index ).toBeNull();
+    expect( eventArgs2.item ).toBeNull();
+  } );
+
+  it( 'is immutable', () => {
+
+    const eventArgs = new CollectionChangedEventArgs( 'Cart', 2, item );
+
+    eventArgs.index = 3;
+
+    expect( eventArgs.index ).toBe( 2 );
+  } );
+} );
@@ -0,0 +1,27 @@
+console.log( 'Testing common/concurrency-error.js...' );
+
+function read ( filename ) {
+  return require( '../../../source/' + filename );
+}
+const ConcurrencyError = read( 'common/concurrency-error.js' );
+
+describe( 'Concurrency error', () => {
+
+  it( 'constructor expects optional arguments', () => {
+    const ce1 = new ConcurrencyError();
+    const ce2 = new ConcurrencyError( 'The blanket order is out of date.' );
+    const ce3 = new ConcurrencyError( 'modified', 'BlanketOrder' );
+
+    expect( ce1 ).toEqual( jasmine.any( Error ) );
+    expect( ce1.name ).toBe( 'ConcurrencyError' );
+    expect( ce1.message ).toBe( 'The data has been modified by another user since it was retrieved.' );
+
+    expect( ce2 ).toEqual( jasmine.any( Error ) );
+    expect( ce2.name ).toBe( 'ConcurrencyError' );
+    expect( ce2.message ).toBe( 'The blanket order is out of date.' );
+
+    expect( ce3 ).toEqual( jasmine.any( Error ) );
+    expect( ce3.name ).toBe( 'ConcurrencyError' );
+    expect( ce3.message ).toBe( 'BlanketOrder has been modified by another user since it was retrieved.' );
+  } );
+} );
@@ -0,0 +1,150 @@
+console.log( 'Testing common/data-portal-abort.js...' );
+
+function read ( filename ) {
+  return require( '../../../source/' + filename );
+}
+const DataPortalAction = read( 'common/data-portal-action.js' );
+const DataPortalAbort = read( 'common/data-portal-abort.js' );
+const AbortError = read( 'common/abort-error.js' );
+
+// AbortController is a global object since Node 15.
+const itWithController = typeof AbortController === 'undefined' ? xit : it;
+
+describe( 'Data portal abort', () => {
+
+  itWithController( 'constructor expects optional options', () => {
+    const controller = new AbortController();
+
+    function create01() { return new DataPortalAbort( 'Model', DataPortalAction.fetch ); }
+    function create02() { return new DataPortalAbort( 'Model', DataPortalAction.fetch, {} ); }
+    function create03() { return new DataPortalAbort( 'Model', DataPortalAction.fetch, 500 ); }
+    function create04() { return new DataPortalAbort( 'Model', DataPortalAction.fetch, { signal: {} } ); }
+    function create05() { return new DataPortalAbort( 'Model', DataPortalAction.fetch, { timeout: 'long' } ); }
+    function create06() { return new DataPortalAbort( 'Model', DataPortalAction.fetch, { signal: controller.signal } ); }
+
+    expect( create01 ).not.toThrow();
+    expect( create02 ).not.toThrow();
+    expect( create03 ).toThrow();
+    expect( create04 ).toThrow();
+    expect( create05 ).toThrow();
+    expect( create06 ).not.toThrow();
+  } );
+
+  itWithController( 'has a signal only when it can be aborted', () => {
+    const controller = new AbortController();
+    const abort1 = new DataPortalAbort( 'Model', DataPortalAction.fetch );
+    const abort2 = new DataPortalAbort( 'Model', DataPortalAction.fetch, { signal: controller.signal } );
+
+    expect( abort1.signal ).toBeNull();
+    expect( abort2.signal ).toEqual( jasmine.any( AbortSignal ) );
+    expect( abort2.signal ).not.toBe( controller.signal );
+  } );
+
+  itWithController( 'registers the connection of the action', () => {
+    const controller = new AbortController();
+    const abort1 = new DataPortalAbort( 'Model', DataPortalAction.fetch );
+    const abort2 = new DataPortalAbort( 'Model', DataPortalAction.fetch, { signal: controller.signal } );
+    const connection1 = { connectionId: 1 };
+    const connection2 = { connectionId: 2 };
+
+    expect( abort1.attach( connection1 ) ).toBe( connection1 );
+    expect( abort2.attach( connection2 ) ).toBe( connection2 );
+
+    expect( DataPortalAbort.of( connection1 ) ).toBeNull();
+    expect( DataPortalAbort.of( connection2 ) ).toBe( abort2 );
+    expect( DataPortalAbort.of( null ) ).toBeNull();
+    expect( DataPortalAbort.signalOf( connection1 ) ).toBeNull();
+    expect( DataPortalAbort.signalOf( connection2 ) ).toBe( abort2.signal );
+  } );
+
+  itWithController( 'rejects the attachment of an aborted action', () => {
+    const controller = new AbortController();
+    controller.abort();
+    const abort = new DataPortalAbort( 'Model', DataPortalAction.insert, { signal: controller.signal } );
+
+    function attach() { return abort.attach( { connectionId: 3 } ); }
+
+    expect( abort.signal.aborted ).toBe( true );
+    expect( attach ).toThrow( 'The insert action of Model has been aborted.' );
+  } );
+
+  itWithController( 'rejects the operations of an aborted action', done => {
+    const controller = new AbortController();
+    const abort = new DataPortalAbort( 'Model', DataPortalAction.update, { signal: controller.signal } );
+
+    abort.race( () => {
+      controller.abort();
+      return new Promise( () => null );
+    } )
+      .catch( reason => {
+
+        expect( reason ).toEqual( jasmine.any( AbortError ) );
+        expect( reason.message ).toBe( 'The update action of Model has been aborted.' );
+        expect( abort.signal.aborted ).toBe( true );
+        expect( abort.signal.reason ).toBe( reason );
+        done();
+      } );
+  } );
+
+  it( 'rejects the operations when the time limit elapses', done => {
+    const abort = new DataPortalAbort( 'Model', DataPortalAction.execute, { timeout: 10 } );
+
+    abort.race( () => new Promise( () => null ) )
+      .catch( reason => {
+
+        expect( reason ).toEqual( jasmine.any( AbortError ) );
+        expect( reason.message ).toBe( 'The execute action of Model has timed out after 10 milliseconds.' );
+        done();
+      } );
+  } );
+
+  itWithController( 'releases the connections of a finished action', done => {
+    const abort = new DataPortalAbort( 'Model', DataPortalAction.fetch, { timeout: 1000 } );
+    const connection = abort.attach( { connectionId: 4 } );
+
+    abort.watch( abort.race( () => Promise.resolve( 'result' ) ) )
+      .then( result => {
+
+        expect( result ).toBe( 'result' );
+        expect( DataPortalAbort.of( connection ) ).toBeNull();
+        expect( abort.signal.aborted ).toBe( false );
+        done();
+      } );
+  } );
+
+  it( 'works without AbortController', done => {
+    // Load the module as it is loaded before Node 15.
+    const path = require.resolve( '../../../source/common/data-portal-abort.js' );
+    const globals = { AbortController: global.AbortController, AbortSignal: global.AbortSignal };
+    delete global.AbortController;
+    delete global.AbortSignal;
+    delete require.cache[ path ];
+    const LegacyAbort = require( path );
+    Object.assign( global, globals );
+    delete require.cache[ path ];
+
+    const listeners = [];
+    const signal = {
+      aborted: false,
+      addEventListener: ( type, listener ) => listeners.push( listener ),
+      removeEventListener: ( type, listener ) => listeners.splice( listeners.indexOf( listener ), 1 )
+    };
+    const abort = new LegacyAbort( 'Model', DataPortalAction.remove, { signal: signal } );
+    const connection = abort.attach( { connectionId: 5 } );
+
+    expect( abort.signal ).toBeNull();
+    expect( LegacyAbort.of( connection ) ).toBe( abort );
+
+    abort.watch( abort.race( () => {
+      listeners.forEach( listener => listener() );
+      return new Promise( () => null );
+    } ) )
+      .catch( reason => {
+
+        expect( reason ).toEqual( jasmine.any( AbortError ) );
+        expect( reason.message ).toBe( 'The remove action of Model has been aborted.' );
+        expect( listeners.length ).toBe( 0 );
+        done();
+      } );
+  } );
+} );
@@ -4,6 +4,8 @@ function read( filename ) {
   return require( '../../../source/' + filename );
 }
 const DataPortalContext = read( 'common/data-portal-context.js' );
+const DataPortalAbort = read( 'common/data-portal-abort.js' );
+const DataPortalAction = read( 'common/data-portal-action.js' );
 const PropertyInfo = read( 'common/property-info.js' );
 const Text = read( 'data-types/text.js' );
 const UserInfo = read( 'system/user-info.js' );
@@ -51,11 +53,13 @@ describe( 'Data portal context', () => {
     expect( create08 ).not.toThrow();
   } );
 
-  it( 'has eight properties', () => {
+  it( 'has ten properties', () => {
 
     expect( ctx.dao ).toBe( dao );
     expect( ctx.properties ).toBe( properties );
     expect( ctx.connection ).toBeNull();
+    expect( ctx.signal ).toBeNull();
+    expect( ctx.softDelete ).toBeNull();
     expect( ctx.isSelfDirty ).toBe( false );
     expect( ctx.user ).toEqual( jasmine.any( UserInfo ) );
     expect( ctx.locale ).toBe( 'hu-HU' );
@@ -93,11 +97,29 @@ describe( 'Data portal context', () => {
     expect( ctx.connection ).toBe( connection );
     expect( ctx.isSelfDirty ).toBe( true );
 
-    const result2 = ctx.setState();
+    const result2 = ctx.setState( connection, false, 'isDeleted' );
 
     expect( result2 ).toBe( ctx );
+    expect( ctx.softDelete ).toBe( 'isDeleted' );
+
+    const result3 = ctx.setState();
+
+    expect( result3 ).toBe( ctx );
     expect( ctx.connection ).toBeNull();
     expect( ctx.isSelfDirty ).toBe( false );
+    expect( ctx.softDelete ).toBeNull();
+  } );
+
+  it( 'exposes the signal of an abortable action', () => {
+
+    const abort = new DataPortalAbort( 'Model', DataPortalAction.fetch, { timeout: 1000 } );
+    const connection = abort.attach( { connectionId: 2 } );
+    ctx.setState( connection, false );
+
+    expect( ctx.signal ).toBe( abort.signal );
+
+    ctx.setState();
+    abort.watch( Promise.resolve( null ) );
   } );
 
   it( 'setPromise method works', () => {
@@ -132,6 +154,36 @@ describe( 'Data portal context', () => {
     expect( scores2 ).toBe( -1 );
   } );
 
+  it( 'original value methods work', () => {
+
+    const original = { scores: 100 };
+    const current = { scores: 100 };
+    const ctx2 = new DataPortalContext( dao, properties,
+      property => { return current[ property.name ]; },
+      ( property, value ) => { current[ property.name ] = value; },
+      property => { return original[ property.name ]; },
+      property => { return current[ property.name ] !== original[ property.name ]; }
+    );
+
+    function test01() { return ctx2.getOriginalValue(); }
+    function test02() { return ctx2.isPropertyDirty( 'points' ); }
+    function test03() { return ctx.getOriginalValue( 'scores' ); }
+
+    expect( ctx2.isPropertyDirty( 'scores' ) ).toBe( false );
+    expect( ctx2.getChangedProperties() ).toEqual( [] );
+
+    ctx2.setValue( 'scores', 120 );
+
+    expect( ctx2.getOriginalValue( 'scores' ) ).toBe( 100 );
+    expect( ctx2.isPropertyDirty( 'scores' ) ).toBe( true );
+    expect( ctx2.getChangedProperties() ).toEqual( [ 'scores' ] );
+    expect( ctx.getChangedProperties() ).toEqual( [] );
+
+    expect( test01 ).toThrow( 'The propertyName argument of DataPortalContext.getOriginalValue method must be a non-empty string.' );
+    expect( test02 ).toThrow();
+    expect( test03 ).toThrow();
+  } );
+
   it( 'call DAO methods work', () => {
 
     expect( ctx.call( 'call', 4096 ) ).toBe( 'call * NO connection * 4096' );
@@ -7,6 +7,7 @@ const DataPortalEventArgs = read( 'common/data-portal-event-args.js' );
 const DataPortalEvent = read( 'common/data-portal-event.js' );
 const DataPortalAction = read( 'common/data-portal-action.js' );
 const DataPortalError = read( 'common/data-portal-error.js' );
+const ConcurrencyError = read( 'common/concurrency-error.js' );
 const UserInfo = read( 'system/user-info.js' );
 
 describe( 'Data portal event arguments', () => {
@@ -45,6 +46,12 @@ describe( 'Data portal event arguments', () => {
     const build10 = function () {
       return new DataPortalEventArgs( DataPortalEvent.postSave, 'model', DataPortalAction.update, null, error );
     };
+    const build11 = function () {
+      return new DataPortalEventArgs( DataPortalEvent.postUpdate, 'model', null, null, new ConcurrencyError() );
+    };
+    const build12 = function () {
+      return new DataPortalEventArgs( DataPortalEvent.postUpdate, 'model', null, null, new Error() );
+    };
 
     expect( build01 ).toThrow( 'The event argument of DataPortalEventArgs constructor must be a DataPortalEvent item.' );
     expect( build02 ).toThrow();
@@ -56,6 +63,8 @@ describe( 'Data portal event arguments', () => {
     expect( build08 ).not.toThrow();
     expect( build09 ).toThrow();
     expect( build10 ).not.toThrow();
+    expect( build11 ).not.toThrow();
+    expect( build12 ).toThrow();
   } );
 
   it( 'has seven properties', () => {
@@ -0,0 +1,100 @@
+console.log( 'Testing common/data-portal-pipeline.js...' );
+
+function read( filename ) {
+  return require( '../../../source/' + filename );
+}
+
+const configuration = read( 'system/configuration-reader.js' );
+const DataPortalAction = read( 'common/data-portal-action.js' );
+const DataPortalAbort = read( 'common/data-portal-abort.js' );
+const AbortError = read( 'common/abort-error.js' );
+const dataPortalPipeline = read( 'common/data-portal-pipeline.js' );
+
+// AbortController is a global object since Node 15.
+const itWithController = typeof AbortController === 'undefined' ? xit : it;
+
+describe( 'Data portal pipeline function', () => {
+
+  it( 'executes the operation without interceptors', done => {
+
+    dataPortalPipeline( 'Model', DataPortalAction.fetch, null, () => {
+      return 'result';
+    } )
+      .then( result => {
+
+        expect( result ).toBe( 'result' );
+        done();
+      } );
+  } );
+
+  it( 'executes the interceptors in order of registration', done => {
+
+    const calls = [];
+    const connection = { connectionId: 7 };
+    const outer = function ( modelName, action, connection, next ) {
+      calls.push( 'outer ' + modelName + ' ' + action + ' ' + connection.connectionId );
+      return next().then( result => {
+        calls.push( 'outer done' );
+        return result + 1;
+      } );
+    };
+    const inner = function ( modelName, action, connection, next ) {
+      calls.push( 'inner' );
+      return next();
+    };
+    configuration.addInterceptor( outer );
+    configuration.addInterceptor( inner );
+
+    dataPortalPipeline( 'Model', DataPortalAction.update, connection, () => {
+      calls.push( 'operation' );
+      return Promise.resolve( 41 );
+    } )
+      .then( result => {
+        configuration.removeInterceptor( outer );
+        configuration.removeInterceptor( inner );
+
+        expect( result ).toBe( 42 );
+        expect( calls ).toEqual( [ 'outer Model 3 7', 'inner', 'operation', 'outer done' ] );
+        done();
+      } );
+  } );
+
+  it( 'rejects when an interceptor fails', done => {
+
+    const failing = function ( modelName, action, connection, next ) {
+      throw new Error( 'Access denied.' );
+    };
+    let isExecuted = false;
+    configuration.addInterceptor( failing );
+
+    dataPortalPipeline( 'Model', DataPortalAction.remove, null, () => {
+      isExecuted = true;
+    } )
+      .catch( reason => {
+        configuration.removeInterceptor( failing );
+
+        expect( reason.message ).toBe( 'Access denied.' );
+        expect( isExecuted ).toBe( false );
+        done();
+      } );
+  } );
+
+  itWithController( 'rejects when the action of the connection is aborted', done => {
+
+    const controller = new AbortController();
+    const abort = new DataPortalAbort( 'Model', DataPortalAction.fetch, { signal: controller.signal } );
+    const connection = abort.attach( { connectionId: 8 } );
+
+    abort.watch( dataPortalPipeline( 'Model', DataPortalAction.fetch, connection, () => {
+      controller.abort();
+      return new Promise( () => null );
+    } ) )
+      .catch( reason => {
+
+        expect( reason ).toEqual( jasmine.any( AbortError ) );
+        expect( reason.message ).toBe( 'The fetch action of Model has been aborted.' );
+        expect( DataPortalAbort.of( connection ) ).toBeNull();
+        done();
+      } );
+  } );
+} );
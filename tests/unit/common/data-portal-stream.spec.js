@@ -0,0 +1,112 @@
+console.log( 'Testing common/data-portal-stream.js...' );
+
+function read ( filename ) {
+  return require( '../../../source/' + filename );
+}
+const DataPortalAction = read( 'common/data-portal-action.js' );
+const DataPortalAbort = read( 'common/data-portal-abort.js' );
+const DataPortalStream = read( 'common/data-portal-stream.js' );
+const AbortError = read( 'common/abort-error.js' );
+
+// AbortController is a global object since Node 15.
+const itWithController = typeof AbortController === 'undefined' ? xit : it;
+
+describe( 'Data portal stream', () => {
+
+  function loadItem( dto ) {
+    return Promise.resolve( { key: dto.key } );
+  }
+
+  function readAll( stream, keys ) {
+    return stream.next()
+      .then( result => {
+        if (result.done)
+          return keys;
+        keys.push( result.value.key );
+        return readAll( stream, keys );
+      } );
+  }
+
+  it( 'is an async iterator', () => {
+    const abort = new DataPortalAbort( 'Model', DataPortalAction.fetch );
+    const stream = new DataPortalStream( abort, () => [], loadItem, error => Promise.resolve( error ) );
+
+    expect( stream[ Symbol.asyncIterator ]() ).toBe( stream );
+    expect( stream.next ).toEqual( jasmine.any( Function ) );
+    expect( stream.return ).toEqual( jasmine.any( Function ) );
+  } );
+
+  it( 'reads the items of the batches', done => {
+    const abort = new DataPortalAbort( 'Model', DataPortalAction.fetch );
+    const batches = [ [ { key: 1 }, { key: 2 } ], { key: 3 }, [], [ { key: 4 } ] ];
+    const close = jasmine.createSpy( 'close' ).andCallFake( error => Promise.resolve( error ) );
+    const stream = new DataPortalStream( abort, () => Promise.resolve( batches ), loadItem, close );
+
+    readAll( stream, [] )
+      .then( keys => {
+        expect( keys ).toEqual( [ 1, 2, 3, 4 ] );
+        expect( close.callCount ).toBe( 1 );
+        expect( close.mostRecentCall.args[ 0 ] ).toBeNull();
+        return stream.next();
+      } )
+      .then( result => {
+        expect( result.done ).toBe( true );
+        expect( close.callCount ).toBe( 1 );
+        done();
+      } );
+  } );
+
+  it( 'closes the action when it is stopped', done => {
+    const abort = new DataPortalAbort( 'Model', DataPortalAction.fetch );
+    const close = jasmine.createSpy( 'close' ).andCallFake( error => Promise.resolve( error ) );
+    const stream = new DataPortalStream( abort, () => [ { key: 1 }, { key: 2 } ], loadItem, close );
+
+    stream.next()
+      .then( result => {
+        expect( result.value.key ).toBe( 1 );
+        return stream.return();
+      } )
+      .then( result => {
+        expect( result.done ).toBe( true );
+        expect( close.callCount ).toBe( 1 );
+        return stream.next();
+      } )
+      .then( result => {
+        expect( result.done ).toBe( true );
+        done();
+      } );
+  } );
+
+  it( 'passes the error returned by the close function', done => {
+    const abort = new DataPortalAbort( 'Model', DataPortalAction.fetch );
+    const wrapped = new Error( 'Wrapped error.' );
+    const stream = new DataPortalStream( abort,
+      () => Promise.reject( new Error( 'Source error.' ) ),
+      loadItem,
+      error => Promise.resolve( error ? wrapped : null )
+    );
+
+    stream.next()
+      .catch( reason => {
+        expect( reason ).toBe( wrapped );
+        done();
+      } );
+  } );
+
+  itWithController( 'is rejected when the action is aborted', done => {
+    const controller = new AbortController();
+    const abort = new DataPortalAbort( 'Model', DataPortalAction.fetch, { signal: controller.signal } );
+    const never = {
+      next: () => new Promise( () => null ),
+      [ Symbol.asyncIterator ]: function () { return this; }
+    };
+    const stream = new DataPortalStream( abort, () => never, loadItem, error => Promise.resolve( error ) );
+
+    stream.next()
+      .catch( reason => {
+        expect( reason ).toEqual( jasmine.any( AbortError ) );
+        done();
+      } );
+    controller.abort();
+  } );
+} );
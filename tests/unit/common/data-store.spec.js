@@ -122,4 +122,62 @@ describe( 'Data store', () => {
     expect( pm.setValue( property, '123' ) ).toBe( true );
     expect( pm.hasValidValue( property ) ).toBe( true );
   } );
+
+  it( 'createSnapshot and restoreSnapshot methods work', () => {
+
+    const pm = new DataStore();
+    const property = new PropertyInfo( 'price', new Integer() );
+
+    function restore1() { pm.restoreSnapshot(); }
+    function restore2() { pm.restoreSnapshot( 'snapshot' ); }
+
+    pm.setValue( property, 100 );
+    const snapshot = pm.createSnapshot();
+    pm.setValue( property, 200 );
+    pm.setValue( property, 'invalid' );
+
+    expect( pm.getValue( property ) ).toBe( 200 );
+    expect( pm.hasValidValue( property ) ).toBe( false );
+
+    pm.restoreSnapshot( snapshot );
+
+    expect( pm.getValue( property ) ).toBe( 100 );
+    expect( pm.hasValidValue( property ) ).toBe( true );
+    expect( restore1 ).toThrow( 'The snapshot argument of DataStore.restoreSnapshot method must be an object.' );
+    expect( restore2 ).toThrow();
+  } );
+
+  it( 'original value methods work', () => {
+
+    const pm = new DataStore();
+    const price = new PropertyInfo( 'price', new Integer() );
+    const name = new PropertyInfo( 'name', new Text() );
+
+    function original1() { pm.getOriginalValue(); }
+    function changed1() { pm.hasChanged( 'price' ); }
+
+    pm.initValue( price );
+    pm.initValue( name );
+
+    expect( pm.hasChanged( price ) ).toBe( false );
+
+    pm.setValue( price, 100 );
+    pm.setValue( name, 'Ada' );
+
+    expect( pm.hasChanged( price ) ).toBe( true );
+    expect( pm.getOriginalValue( price ) ).toBeNull();
+
+    pm.setOriginalValues();
+    pm.setValue( price, 120 );
+
+    expect( pm.getOriginalValue( price ) ).toBe( 100 );
+    expect( pm.hasChanged( price ) ).toBe( true );
+    expect( pm.hasChanged( name ) ).toBe( false );
+
+    pm.setValue( price, 100 );
+
+    expect( pm.hasChanged( price ) ).toBe( false );
+    expect( original1 ).toThrow( 'The property argument of DataStore.getOriginalValue method must be a PropertyInfo object.' );
+    expect( changed1 ).toThrow();
+  } );
 } );
@@ -7,6 +7,8 @@ const path = require( 'path' );
 const ExtensionManager = read( 'common/extension-manager.js' );
 const DaoBase = read( 'data-access/dao-base.js' );
 const DataPortalContext = read( 'common/data-portal-context.js' );
+const Environment = read( 'system/environment.js' );
+const FetchSharing = read( 'common/fetch-sharing.js' );
 
 const DaoBuilder = require( '../../../data/custom-core/dao-builder.js' );
 
@@ -61,6 +63,14 @@ describe( 'Extension manager', () => {
     expect( em.dataUpdate ).toBe( undefined );
     expect( em.dataRemove ).toBe( undefined );
     expect( em.dataExecute ).toBe( undefined );
+    expect( em.updateChangedOnly ).toBe( false );
+    expect( em.environment ).toBeNull();
+    expect( em.cacheDuration ).toBe( 0 );
+    expect( em.evicts ).toEqual( [] );
+    expect( em.fetchSharing ).toBe( FetchSharing.none );
+    expect( em.softDelete ).toBeNull();
+    expect( em.includeDeleted ).toBe( false );
+    expect( em.recordChanges ).toBe( false );
   } );
 
   it( 'has the defined read-only properties', () => {
@@ -243,6 +253,127 @@ describe( 'Extension manager', () => {
     expect( set6 ).toThrow();
   } );
 
+  it( 'updateChangedOnly property works', () => {
+
+    const em2 = new ExtensionManager( 'data_source', '/model/path' );
+
+    function set1() { em2.updateChangedOnly = null; }
+    function set2() { em2.updateChangedOnly = 'true'; }
+    function set3() { em2.updateChangedOnly = true; }
+
+    expect( set1 ).toThrow();
+    expect( set2 ).toThrow();
+    expect( set3 ).not.toThrow();
+    expect( em2.updateChangedOnly ).toBe( true );
+  } );
+
+  it( 'environment property works', () => {
+
+    const em2 = new ExtensionManager( 'data_source', '/model/path' );
+    const environment = new Environment();
+
+    function set1() { em2.environment = 'tenant'; }
+    function set2() { em2.environment = environment; }
+    function set3() { em2.environment = null; }
+
+    expect( set1 ).toThrow();
+    expect( set2 ).not.toThrow();
+    expect( em2.environment ).toBe( environment );
+    expect( set3 ).not.toThrow();
+    expect( em2.environment ).toBeNull();
+  } );
+
+  it( 'cacheDuration property works', () => {
+
+    const em2 = new ExtensionManager( 'data_source', '/model/path' );
+
+    function set1() { em2.cacheDuration = null; }
+    function set2() { em2.cacheDuration = '1 hour'; }
+    function set3() { em2.cacheDuration = 60000; }
+    function set4() { em2.cacheDuration = -1; }
+
+    expect( set1 ).toThrow();
+    expect( set2 ).toThrow();
+    expect( set3 ).not.toThrow();
+    expect( em2.cacheDuration ).toBe( 60000 );
+    expect( set4 ).not.toThrow();
+    expect( em2.cacheDuration ).toBe( 0 );
+  } );
+
+  it( 'evicts property works', () => {
+
+    const em2 = new ExtensionManager( 'data_source', '/model/path' );
+
+    function set1() { em2.evicts = 42; }
+    function set2() { em2.evicts = [ 'CountryList', 42 ]; }
+    function set3() { em2.evicts = 'CountryList'; }
+    function set4() { em2.evicts = [ 'CountryList', 'Country' ]; }
+
+    expect( set1 ).toThrow();
+    expect( set2 ).toThrow();
+    expect( set3 ).not.toThrow();
+    expect( em2.evicts ).toEqual( [ 'CountryList' ] );
+    expect( set4 ).not.toThrow();
+    expect( em2.evicts ).toEqual( [ 'CountryList', 'Country' ] );
+  } );
+
+  it( 'fetchSharing property works', () => {
+
+    const em2 = new ExtensionManager( 'data_source', '/model/path' );
+
+    function set1() { em2.fetchSharing = 'copy'; }
+    function set2() { em2.fetchSharing = 3; }
+    function set3() { em2.fetchSharing = FetchSharing.instance; }
+
+    expect( set1 ).toThrow();
+    expect( set2 ).toThrow();
+    expect( set3 ).not.toThrow();
+    expect( em2.fetchSharing ).toBe( FetchSharing.instance );
+  } );
+
+  it( 'softDelete property works', () => {
+
+    const em2 = new ExtensionManager( 'data_source', '/model/path' );
+
+    function set1() { em2.softDelete = 42; }
+    function set2() { em2.softDelete = 'isDeleted'; }
+    function set3() { em2.softDelete = null; }
+
+    expect( set1 ).toThrow();
+    expect( set2 ).not.toThrow();
+    expect( em2.softDelete ).toBe( 'isDeleted' );
+    expect( set3 ).not.toThrow();
+    expect( em2.softDelete ).toBeNull();
+  } );
+
+  it( 'includeDeleted property works', () => {
+
+    const em2 = new ExtensionManager( 'data_source', '/model/path' );
+
+    function set1() { em2.includeDeleted = null; }
+    function set2() { em2.includeDeleted = 'true'; }
+    function set3() { em2.includeDeleted = true; }
+
+    expect( set1 ).toThrow();
+    expect( set2 ).toThrow();
+    expect( set3 ).not.toThrow();
+    expect( em2.includeDeleted ).toBe( true );
+  } );
+
+  it( 'recordChanges property works', () => {
+
+    const em2 = new ExtensionManager( 'data_source', '/model/path' );
+
+    function set1() { em2.recordChanges = null; }
+    function set2() { em2.recordChanges = 1; }
+    function set3() { em2.recordChanges = true; }
+
+    expect( set1 ).toThrow();
+    expect( set2 ).toThrow();
+    expect( set3 ).not.toThrow();
+    expect( em2.recordChanges ).toBe( true );
+  } );
+
   //endregion
 
   //region Command object extensions
@@ -320,4 +451,17 @@ describe( 'Extension manager', () => {
 
     expect( test01 ).toThrow( 'The methodName argument of ExtensionManager.$runMethod method must be a non-empty string.' );
   } );
+
+  it( '$runInEnvironment method works', () => {
+
+    const em2 = new ExtensionManager( 'data_source', '/model/path' );
+    const environment = new Environment();
+
+    expect( em2.$runInEnvironment( () => Environment.current ) ).toBeNull();
+
+    em2.environment = environment;
+
+    expect( em2.$runInEnvironment( () => Environment.current ) ).toBe( environment );
+    expect( Environment.current ).toBeNull();
+  } );
 } );
@@ -0,0 +1,55 @@
+console.log( 'Testing common/fetch-sharing.js...' );
+
+function read ( filename ) {
+  return require( '../../../source/' + filename );
+}
+const FetchSharing = read( 'common/fetch-sharing.js' );
+
+describe( 'Fetch sharing enumeration', () => {
+
+  it( '$name property returns the type name', () => {
+
+    expect( FetchSharing.$name ).toBe( 'FetchSharing' );
+  } );
+
+  it( 'has the defined items', () => {
+
+    expect( FetchSharing.none ).toBe( 0 );
+    expect( FetchSharing.copy ).toBe( 1 );
+    expect( FetchSharing.instance ).toBe( 2 );
+  } );
+
+  it( 'count method returns the item count', () => {
+
+    expect( FetchSharing.count() ).toBe( 3 );
+  } );
+
+  it( 'getName method returns the item name', () => {
+
+    expect( FetchSharing.getName( 0 ) ).toBe( 'none' );
+    expect( FetchSharing.getName( 1 ) ).toBe( 'copy' );
+    expect( FetchSharing.getName( 2 ) ).toBe( 'instance' );
+  } );
+
+  it( 'getValue method returns the item value', () => {
+
+    expect( FetchSharing.getValue( 'none' ) ).toBe( 0 );
+    expect( FetchSharing.getValue( 'copy' ) ).toBe( 1 );
+    expect( FetchSharing.getValue( 'instance' ) ).toBe( 2 );
+  } );
+
+  it( 'check method inspects a value', () => {
+
+    function check1() {FetchSharing.check( -1 ); }
+    function check2() {FetchSharing.check( FetchSharing.none ); }
+    function check3() {FetchSharing.check( FetchSharing.copy ); }
+    function check4() {FetchSharing.check( FetchSharing.instance ); }
+    function check5() {FetchSharing.check( 3 ); }
+
+    expect( check1 ).toThrow();
+    expect( check2 ).not.toThrow();
+    expect( check3 ).not.toThrow();
+    expect( check4 ).not.toThrow();
+    expect( check5 ).toThrow();
+  } );
+} );
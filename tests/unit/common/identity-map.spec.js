@@ -0,0 +1,90 @@
+console.log( 'Testing common/identity-map.js...' );
+
+function read ( filename ) {
+  return require( '../../../source/' + filename );
+}
+const IdentityMap = read( 'common/identity-map.js' );
+
+describe( 'Identity map', () => {
+
+  it( 'stores the business objects by model name and key', () => {
+    const map = new IdentityMap();
+    const order = {};
+    const customer = {};
+
+    map.set( 'Order', 1, order );
+    map.set( 'Customer', 1, customer );
+    map.set( 'Order', { year: 2024, number: 7 }, customer );
+
+    expect( map.count ).toBe( 3 );
+    expect( map.get( 'Order', 1 ) ).toBe( order );
+    expect( map.get( 'Customer', 1 ) ).toBe( customer );
+    expect( map.get( 'Order', { year: 2024, number: 7 } ) ).toBe( customer );
+    expect( map.get( 'Order', 2 ) ).toBeUndefined();
+  } );
+
+  it( 'set method expects a model name and an object', () => {
+    const map = new IdentityMap();
+
+    function set1() { map.set( null, 1, {} ); }
+    function set2() { map.set( 'Order', 1, 'order' ); }
+    function set3() { map.set( 'Order', 1, {} ); }
+
+    expect( set1 ).toThrow();
+    expect( set2 ).toThrow();
+    expect( set3 ).not.toThrow();
+  } );
+
+  it( 'removes the business objects', () => {
+    const map = new IdentityMap();
+
+    map.set( 'Order', 1, {} );
+    map.set( 'Order', 2, {} );
+
+    expect( map.delete( 'Order', 1 ) ).toBe( true );
+    expect( map.delete( 'Order', 1 ) ).toBe( false );
+    expect( map.count ).toBe( 1 );
+
+    map.clear();
+    expect( map.count ).toBe( 0 );
+  } );
+
+  it( 'runs a function within its scope', done => {
+    const map = new IdentityMap();
+
+    expect( IdentityMap.current ).toBeNull();
+    map.run( () => {
+      expect( IdentityMap.current ).toBe( map );
+      return Promise.resolve( null )
+        .then( none => {
+          expect( IdentityMap.current ).toBe( map );
+          return IdentityMap.run( () => IdentityMap.current );
+        } );
+    } )
+      .then( inner => {
+        expect( inner ).toEqual( jasmine.any( IdentityMap ) );
+        expect( inner ).not.toBe( map );
+        expect( IdentityMap.current ).toBeNull();
+        done();
+      } );
+  } );
+
+  it( 'keeps track of the successful fetches', done => {
+    const map = new IdentityMap();
+    const fetch1 = Promise.resolve( {} );
+    const fetch2 = Promise.reject( new Error( 'Not found.' ) );
+
+    expect( map.$addFetch( 'Order', 'fetch', 1, fetch1 ) ).toBe( fetch1 );
+    map.$addFetch( 'Order', 'fetch', 2, fetch2 );
+
+    expect( map.$findFetch( 'Order', 'fetch', 1 ) ).toBe( fetch1 );
+    expect( map.$findFetch( 'Order', 'fetchByNumber', 1 ) ).toBeUndefined();
+
+    fetch2.catch( reason => {
+      setTimeout( () => {
+        expect( map.$findFetch( 'Order', 'fetch', 2 ) ).toBeUndefined();
+        done();
+      }, 0 );
+    } );
+  } );
+} );
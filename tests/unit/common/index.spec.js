@@ -24,12 +24,23 @@ const PropertyManager = read( 'common/property-manager.js' );
 const PropertyContext = read( 'common/property-context.js' );
 const ClientTransferContext = read( 'common/client-transfer-context.js' );
 const DataTransferContext = read( 'common/data-transfer-context.js' );
+const PagingCriteria = read( 'common/paging-criteria.js' );
+const FetchSharing = read( 'common/fetch-sharing.js' );
 
 const DataPortalAction = read( 'common/data-portal-action.js' );
 const DataPortalContext = read( 'common/data-portal-context.js' );
 const DataPortalEvent = read( 'common/data-portal-event.js' );
 const DataPortalEventArgs = read( 'common/data-portal-event-args.js' );
+const PropertyChangedEventArgs = read( 'common/property-changed-event-args.js' );
+const StateChangedEventArgs = read( 'common/state-changed-event-args.js' );
+const CollectionChangedEventArgs = read( 'common/collection-changed-event-args.js' );
 const DataPortalError = read( 'common/data-portal-error.js' );
+const ConcurrencyError = read( 'common/concurrency-error.js' );
+const PartialSaveError = read( 'common/partial-save-error.js' );
+const AbortError = read( 'common/abort-error.js' );
+const UnitOfWork = read( 'common/unit-of-work.js' );
+const IdentityMap = read( 'common/identity-map.js' );
+const ChangeSet = read( 'common/change-set.js' );
 
 const Enumeration = read( 'system/enumeration.js' );
 
@@ -77,6 +88,9 @@ describe( 'Shared component index', () => {
       .toEqual( jasmine.any( ClientTransferContext ) );
     expect( new common.DataTransferContext( [], getValue, setValue ) )
       .toEqual( jasmine.any( DataTransferContext ) );
+    expect( new common.PagingCriteria( 0, 20 ) )
+      .toEqual( jasmine.any( PagingCriteria ) );
+    expect( common.FetchSharing ).toBe( FetchSharing );
 
     expect( common.DataPortalAction ).toBe( DataPortalAction );
     expect( new common.DataPortalContext( dao, [], getValue, setValue ) )
@@ -84,7 +98,25 @@ describe( 'Shared component index', () => {
     expect( common.DataPortalEvent ).toBe( DataPortalEvent );
     expect( new common.DataPortalEventArgs( DataPortalEvent.preCreate, 'model' ) )
       .toEqual( jasmine.any( DataPortalEventArgs ) );
+    expect( new common.PropertyChangedEventArgs( 'model', 'property', 1, 2 ) )
+      .toEqual( jasmine.any( PropertyChangedEventArgs ) );
+    expect( new common.StateChangedEventArgs( 'model', null, common.ModelState.created ) )
+      .toEqual( jasmine.any( StateChangedEventArgs ) );
+    expect( new common.CollectionChangedEventArgs( 'collection', 0, {} ) )
+      .toEqual( jasmine.any( CollectionChangedEventArgs ) );
     expect( new common.DataPortalError( 'type', 'name', 0, {} ) )
       .toEqual( jasmine.any( DataPortalError ) );
+    expect( new common.ConcurrencyError() )
+      .toEqual( jasmine.any( ConcurrencyError ) );
+    expect( new common.PartialSaveError( 'model', {}, [] ) )
+      .toEqual( jasmine.any( PartialSaveError ) );
+    expect( new common.AbortError() )
+      .toEqual( jasmine.any( AbortError ) );
+    expect( new common.UnitOfWork( 'db' ) )
+      .toEqual( jasmine.any( UnitOfWork ) );
+    expect( new common.IdentityMap() )
+      .toEqual( jasmine.any( IdentityMap ) );
+    expect( new common.ChangeSet( 'model', 1, DataPortalAction.update ) )
+      .toEqual( jasmine.any( ChangeSet ) );
   } );
 } );
@@ -40,4 +40,37 @@ describe( 'Model base', () => {
 
     expect( result ).toBe( 'Nice Boy Bob' );
   } );
+
+  it( 'accepts listeners when it is frozen', () => {
+
+    const frozen = new ModelBase();
+    const listener = jasmine.createSpy( 'listener' );
+    Object.freeze( frozen );
+
+    frozen.on( 'childHasChanged', listener );
+    frozen.emit( 'childHasChanged', 'Nice Boy Bob' );
+    frozen.removeListener( 'childHasChanged', listener );
+    frozen.emit( 'childHasChanged', 'Nice Boy Bob' );
+
+    expect( listener.callCount ).toBe( 1 );
+    expect( listener ).toHaveBeenCalledWith( 'Nice Boy Bob' );
+    expect( frozen.listenerCount( 'childHasChanged' ) ).toBe( 0 );
+  } );
+
+  it( 'removes the listeners by off method', () => {
+
+    const frozen = new ModelBase();
+    const listener = jasmine.createSpy( 'listener' );
+    Object.freeze( frozen );
+
+    frozen.once( 'childHasChanged', listener );
+    expect( frozen.rawListeners( 'childHasChanged' ).length ).toBe( 1 );
+    expect( frozen.listeners( 'childHasChanged' ) ).toEqual( [ listener ] );
+
+    frozen.off( 'childHasChanged', listener );
+    frozen.emit( 'childHasChanged', 'Nice Boy Bob' );
+
+    expect( listener ).not.toHaveBeenCalled();
+    expect( frozen.eventNames() ).toEqual( [] );
+  } );
 } );
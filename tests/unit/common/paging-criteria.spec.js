@@ -0,0 +1,57 @@
+console.log( 'Testing common/paging-criteria.js...' );
+
+function read( filename ) {
+  return require( '../../../source/' + filename );
+}
+const PagingCriteria = read( 'common/paging-criteria.js' );
+
+describe( 'Paging criteria', () => {
+
+  it( 'constructor expects a page index, a page size and an optional filter', () => {
+
+    const build01 = function () { return new PagingCriteria(); };
+    const build02 = function () { return new PagingCriteria( 1 ); };
+    const build03 = function () { return new PagingCriteria( '1', 20 ); };
+    const build04 = function () { return new PagingCriteria( 1, 2.5 ); };
+    const build05 = function () { return new PagingCriteria( 0, 20 ); };
+    const build06 = function () { return new PagingCriteria( 2, 20, { country: 'HU' } ); };
+
+    expect( build01 ).toThrow();
+    expect( build02 ).toThrow();
+    expect( build03 ).toThrow();
+    expect( build04 ).toThrow();
+    expect( build05 ).not.toThrow();
+    expect( build06 ).not.toThrow();
+  } );
+
+  it( 'has four properties', () => {
+
+    const filter = { country: 'HU' };
+    const criteria = new PagingCriteria( 2, 20, filter );
+
+    expect( criteria.pageIndex ).toBe( 2 );
+    expect( criteria.pageSize ).toBe( 20 );
+    expect( criteria.filter ).toBe( filter );
+    expect( criteria.skip ).toBe( 40 );
+  } );
+
+  it( 'corrects the invalid values', () => {
+
+    const criteria = new PagingCriteria( -1, 0 );
+
+    expect( criteria.pageIndex ).toBe( 0 );
+    expect( criteria.pageSize ).toBe( 1 );
+    expect( criteria.filter ).toBeNull();
+    expect( criteria.skip ).toBe( 0 );
+  } );
+
+  it( 'is immutable', () => {
+
+    const criteria = new PagingCriteria( 1, 10 );
+    criteria.pageIndex = 5;
+    criteria.extent = 'extent';
+
+    expect( criteria.pageIndex ).toBe( 1 );
+    expect( criteria.extent ).toBeUndefined();
+  } );
+} );
@@ -0,0 +1,34 @@
+console.log( 'Testing common/partial-save-error.js...' );
+
+function read ( filename ) {
+  return require( '../../../source/' + filename );
+}
+const PartialSaveError = read( 'common/partial-save-error.js' );
+
+describe( 'Partial save error', () => {
+
+  it( 'constructor expects three arguments', () => {
+    const model = {};
+    const errors = [ new Error( 'First.' ), new Error( 'Second.' ) ];
+    const pse = new PartialSaveError( 'BlanketOrder', model, errors );
+
+    expect( pse ).toEqual( jasmine.any( Error ) );
+    expect( pse.name ).toBe( 'PartialSaveError' );
+    expect( pse.modelName ).toBe( 'BlanketOrder' );
+    expect( pse.model ).toBe( model );
+    expect( pse.errors ).toBe( errors );
+    expect( pse.message ).toBe( 'BlanketOrder has been saved, but 2 of its child objects have failed to save.' );
+  } );
+
+  it( 'constructor checks its arguments', () => {
+    function build01() { return new PartialSaveError(); }
+    function build02() { return new PartialSaveError( 'BlanketOrder' ); }
+    function build03() { return new PartialSaveError( 'BlanketOrder', {} ); }
+    function build04() { return new PartialSaveError( 'BlanketOrder', {}, 'error' ); }
+
+    expect( build01 ).toThrow();
+    expect( build02 ).toThrow();
+    expect( build03 ).toThrow();
+    expect( build04 ).toThrow();
+  } );
+} );
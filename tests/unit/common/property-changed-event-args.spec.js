@@ -0,0 +1,41 @@
+console.log( 'Testing common/property-changed-event-args.js...' );
+
+function read ( filename ) {
+  return require( '../../../source/' + filename );
+}
+const PropertyChangedEventArgs = read( 'common/property-changed-event-args.js' );
+
+describe( 'Property changed event arguments', () => {
+
+  it( 'constructor expects two-four arguments', () => {
+
+    const build01 = function () { return new PropertyChangedEventArgs(); };
+    const build02 = function () { return new PropertyChangedEventArgs( 'model' ); };
+    const build03 = function () { return new PropertyChangedEventArgs( 'model', 'property' ); };
+    const build04 = function () { return new PropertyChangedEventArgs( 'model', 'property', 1, 2 ); };
+
+    expect( build01 ).toThrow( 'The modelName argument of PropertyChangedEventArgs constructor must be a non-empty string.' );
+    expect( build02 ).toThrow( 'The propertyName argument of PropertyChangedEventArgs constructor must be a non-empty string.' );
+    expect( build03 ).not.toThrow();
+    expect( build04 ).not.toThrow();
+  } );
+
+  it( 'has four properties', () => {
+
+    const eventArgs = new PropertyChangedEventArgs( 'Customer', 'name', 'Ada', 'Ada Lovelace' );
+
+    expect( eventArgs.modelName ).toBe( 'Customer' );
+    expect( eventArgs.propertyName ).toBe( 'name' );
+    expect( eventArgs.oldValue ).toBe( 'Ada' );
+    expect( eventArgs.newValue ).toBe( 'Ada Lovelace' );
+  } );
+
+  it( 'is immutable', () => {
+
+    const eventArgs = new PropertyChangedEventArgs( 'Customer', 'name', 'Ada', 'Ada Lovelace' );
+
+    eventArgs.newValue = 'Grace Hopper';
+
+    expect( eventArgs.newValue ).toBe( 'Ada Lovelace' );
+  } );
+} );
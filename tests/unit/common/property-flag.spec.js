@@ -15,6 +15,12 @@ describe( 'Property flag', () => {
     expect( PropertyFlag.parentKey ).toBe( 4 );
     expect( PropertyFlag.onCtoOnly ).toBe( 8 );
     expect( PropertyFlag.onDtoOnly ).toBe( 16 );
+    expect( PropertyFlag.rowVersion ).toBe( 32 );
+    expect( PropertyFlag.lazy ).toBe( 64 );
+    expect( PropertyFlag.createdBy ).toBe( 128 );
+    expect( PropertyFlag.createdAt ).toBe( 256 );
+    expect( PropertyFlag.modifiedBy ).toBe( 512 );
+    expect( PropertyFlag.modifiedAt ).toBe( 1024 );
   } );
 
   it( 'items are read-only', () => {
@@ -24,6 +30,12 @@ describe( 'Property flag', () => {
     PropertyFlag.parentKey = 11;
     PropertyFlag.onCtoOnly = 112;
     PropertyFlag.onDtoOnly = 113;
+    PropertyFlag.rowVersion = 114;
+    PropertyFlag.lazy = 115;
+    PropertyFlag.createdBy = 116;
+    PropertyFlag.createdAt = 117;
+    PropertyFlag.modifiedBy = 118;
+    PropertyFlag.modifiedAt = 119;
 
     expect( PropertyFlag.none ).toBe( 0 );
     expect( PropertyFlag.readOnly ).toBe( 1 );
@@ -31,5 +43,11 @@ describe( 'Property flag', () => {
     expect( PropertyFlag.parentKey ).toBe( 4 );
     expect( PropertyFlag.onCtoOnly ).toBe( 8 );
     expect( PropertyFlag.onDtoOnly ).toBe( 16 );
+    expect( PropertyFlag.rowVersion ).toBe( 32 );
+    expect( PropertyFlag.lazy ).toBe( 64 );
+    expect( PropertyFlag.createdBy ).toBe( 128 );
+    expect( PropertyFlag.createdAt ).toBe( 256 );
+    expect( PropertyFlag.modifiedBy ).toBe( 512 );
+    expect( PropertyFlag.modifiedAt ).toBe( 1024 );
   } );
 } );
@@ -7,6 +7,7 @@ const PropertyInfo = read( 'common/property-info.js' );
 const F = read( 'common/property-flag.js' );
 const DataType = read( 'data-types/data-type.js' );
 const Text = read( 'data-types/text.js' );
+const DateTime = read( 'data-types/date-time.js' );
 const CollectionBase = read( 'common/collection-base.js' );
 
 describe( 'Property description', () => {
@@ -37,15 +38,21 @@ describe( 'Property description', () => {
     expect( pi4.name ).toBe( 'property' );
   } );
 
-  it( 'has seven properties', () => {
+  it( 'has thirteen properties', () => {
 
     expect( pi.name ).toBe( 'property' );
     expect( pi.type ).toEqual( jasmine.any( DataType ) );
     expect( pi.isReadOnly ).toBe( false );
     expect( pi.isKey ).toBe( false );
     expect( pi.isParentKey ).toBe( false );
+    expect( pi.isRowVersion ).toBe( false );
     expect( pi.isOnDto ).toBe( true );
     expect( pi.isOnCto ).toBe( true );
+    expect( pi.isLazy ).toBe( false );
+    expect( pi.isCreatedBy ).toBe( false );
+    expect( pi.isCreatedAt ).toBe( false );
+    expect( pi.isModifiedBy ).toBe( false );
+    expect( pi.isModifiedAt ).toBe( false );
   } );
 
   it( 'has read-only properties', () => {
@@ -55,16 +62,64 @@ describe( 'Property description', () => {
     pi.isReadOnly = true;
     pi.isKey = true;
     pi.isParentKey = true;
+    pi.isRowVersion = true;
     pi.isOnDto = false;
     pi.isOnCto = false;
+    pi.isLazy = true;
+    pi.isCreatedBy = true;
+    pi.isModifiedAt = true;
 
     expect( pi.name ).not.toBeNull();
     expect( pi.type ).not.toBeNull();
     expect( pi.isReadOnly ).toBe( false );
     expect( pi.isKey ).toBe( false );
     expect( pi.isParentKey ).toBe( false );
+    expect( pi.isRowVersion ).toBe( false );
     expect( pi.isOnDto ).toBe( true );
     expect( pi.isOnCto ).toBe( true );
+    expect( pi.isLazy ).toBe( false );
+    expect( pi.isCreatedBy ).toBe( false );
+    expect( pi.isCreatedAt ).toBe( false );
+    expect( pi.isModifiedBy ).toBe( false );
+    expect( pi.isModifiedAt ).toBe( false );
+  } );
+
+  it( 'recognizes the row version flag', () => {
+
+    const pi5 = new PropertyInfo( 'version', new Text(), F.rowVersion | F.readOnly );
+
+    expect( pi5.isRowVersion ).toBe( true );
+    expect( pi5.isReadOnly ).toBe( true );
+    expect( pi5.isKey ).toBe( false );
+    expect( pi5.isOnDto ).toBe( true );
+  } );
+
+  it( 'recognizes the lazy flag of children only', () => {
+
+    const pi6 = new PropertyInfo( 'items', items, F.lazy );
+    const pi7 = new PropertyInfo( 'items', items, F.lazy | F.key );
+    const pi8 = new PropertyInfo( 'name', new Text(), F.lazy );
+
+    expect( pi6.isLazy ).toBe( true );
+    expect( pi6.isReadOnly ).toBe( true );
+    expect( pi6.isOnDto ).toBe( false );
+    expect( pi7.isLazy ).toBe( true );
+    expect( pi7.isKey ).toBe( false );
+    expect( pi8.isLazy ).toBe( false );
+  } );
+
+  it( 'recognizes the audit flags', () => {
+
+    const pi9 = new PropertyInfo( 'createdBy', new Text(), F.createdBy | F.readOnly );
+    const pi10 = new PropertyInfo( 'modifiedAt', new DateTime(), F.modifiedAt );
+    const pi11 = new PropertyInfo( 'items', items, F.createdAt );
+
+    expect( pi9.isCreatedBy ).toBe( true );
+    expect( pi9.isCreatedAt ).toBe( false );
+    expect( pi9.isReadOnly ).toBe( true );
+    expect( pi10.isModifiedAt ).toBe( true );
+    expect( pi10.isModifiedBy ).toBe( false );
+    expect( pi11.isCreatedAt ).toBe( false );
   } );
 
   it( 'hasValue method works', () => {
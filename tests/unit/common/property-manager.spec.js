@@ -8,6 +8,7 @@ const PropertyInfo = read( 'common/property-info.js' );
 const F = read( 'common/property-flag.js' );
 const Text = read( 'data-types/text.js' );
 const DateTime = read( 'data-types/date-time.js' );
+const BooleanType = read( 'data-types/boolean.js' );
 const CollectionBase = read( 'common/collection-base.js' );
 const ModelBase = read( 'common/model-base.js' );
 
@@ -252,6 +253,51 @@ describe( 'Property manager', () => {
     expect( verify2 ).toThrow( 'The model type of orders property of PropertyManager is object, but it should be Array.' );
   } );
 
+  it( 'verifyChildTypes method rejects lazy child objects', () => {
+
+    class Line extends ModelBase {
+      static get modelType() { return 'EditableChildObject'; }
+    }
+    class Note extends ModelBase {
+      static get modelType() { return 'ReadOnlyChildObject'; }
+    }
+    class Notes extends ModelBase {
+      static get modelType() { return 'ReadOnlyChildCollection'; }
+    }
+    const pm1 = new PropertyManager( new PropertyInfo( 'notes', Notes, F.lazy ) );
+    const pm2 = new PropertyManager( new PropertyInfo( 'line', Line, F.lazy ) );
+    const pm3 = new PropertyManager( new PropertyInfo( 'note', Note, F.lazy ) );
+
+    const verify1 = function () { pm1.verifyChildTypes( [ 'ReadOnlyChildCollection' ] ); };
+    const verify2 = function () { pm2.verifyChildTypes( [ 'EditableChildObject' ] ); };
+    const verify3 = function () { pm3.verifyChildTypes( [ 'ReadOnlyChildObject' ] ); };
+
+    expect( verify1 ).not.toThrow();
+    expect( verify2 ).toThrow( 'The line property of PropertyManager is a child object, only child collections can be loaded lazily.' );
+    expect( verify3 ).toThrow( 'The note property of PropertyManager is a child object, only child collections can be loaded lazily.' );
+  } );
+
+  it( 'verifySoftDelete method works', () => {
+
+    const pm = new PropertyManager(
+      new PropertyInfo( 'name', new Text() ),
+      new PropertyInfo( 'isDeleted', new BooleanType() ),
+      new PropertyInfo( 'deletedAt', new DateTime() )
+    );
+
+    const verify1 = function () { pm.verifySoftDelete( null ); };
+    const verify2 = function () { pm.verifySoftDelete( 'isDeleted' ); };
+    const verify3 = function () { pm.verifySoftDelete( 'deletedAt' ); };
+    const verify4 = function () { pm.verifySoftDelete( 'name' ); };
+    const verify5 = function () { pm.verifySoftDelete( 'removed' ); };
+
+    expect( verify1 ).not.toThrow();
+    expect( verify2 ).not.toThrow();
+    expect( verify3 ).not.toThrow();
+    expect( verify4 ).toThrow( 'The soft delete property name of PropertyManager must be a Boolean or DateTime property.' );
+    expect( verify5 ).toThrow( 'The soft delete property removed of PropertyManager must be a Boolean or DateTime property.' );
+  } );
+
   //endregion
 
   //region Key
@@ -311,6 +357,42 @@ describe( 'Property manager', () => {
     expect( key ).toEqual( object );
   } );
 
+  it( 'getKey method works - row version', () => {
+
+    const one = new PropertyInfo( 'uno', new Text(), F.key );
+    const two = new PropertyInfo( 'due', new Text() );
+    const three = new PropertyInfo( 'tre', new Text(), F.rowVersion );
+    const pm = new PropertyManager( one, two, three );
+
+    expect( pm.getKey( getPropertyValue ) ).toBe( 'uno' );
+  } );
+
+  it( 'getKeyWithVersion method works', () => {
+
+    const one = new PropertyInfo( 'uno', new Text(), F.key );
+    const two = new PropertyInfo( 'due', new Text() );
+    const three = new PropertyInfo( 'tre', new Text(), F.rowVersion );
+    const pm1 = new PropertyManager( one, two, three );
+
+    const four = new PropertyInfo( 'quattro', new Text(), F.key );
+    const pm2 = new PropertyManager( one, two, three, four );
+    const pm3 = new PropertyManager( one, two );
+
+    function get01() { const k = pm1.getKeyWithVersion( 1024 ); };
+
+    expect( pm3.getKeyWithVersion( getPropertyValue ) ).toBe( 'uno' );
+    expect( get01 ).toThrow( 'The getPropertyValue argument of PropertyManager.getKeyWithVersion method must be a function.' );
+    expect( pm1.getKeyWithVersion( getPropertyValue ) ).toEqual( {
+      uno: 'uno',
+      tre: 'tre'
+    } );
+    expect( pm2.getKeyWithVersion( getPropertyValue ) ).toEqual( {
+      uno: 'uno',
+      quattro: 'quattro',
+      tre: 'tre'
+    } );
+  } );
+
   it( 'getKey method works - no properties', () => {
 
     const pm = new PropertyManager();
@@ -331,5 +413,26 @@ describe( 'Property manager', () => {
     expect( equals01 ).toThrow( 'The data argument of PropertyManager.keyEquals method must be an object.' );
   } );
 
+  it( 'keyMatches method works', () => {
+
+    const code = new PropertyInfo( 'code', new Text(), F.key );
+    const name = new PropertyInfo( 'name', new Text(), F.key );
+    const pm1 = new PropertyManager( code );
+    const pm2 = new PropertyManager( code, name );
+    const pm3 = new PropertyManager( new PropertyInfo( 'name', new Text() ) );
+
+    function matches01() { const is = pm1.keyMatches( 'code' ); }
+
+    expect( pm1.keyMatches( 'code', getPropertyValue ) ).toBe( true );
+    expect( pm1.keyMatches( 'name', getPropertyValue ) ).toBe( false );
+    expect( pm1.keyMatches( { code: 'code' }, getPropertyValue ) ).toBe( true );
+    expect( pm1.keyMatches( null, getPropertyValue ) ).toBe( false );
+    expect( pm2.keyMatches( { code: 'code', name: 'name' }, getPropertyValue ) ).toBe( true );
+    expect( pm2.keyMatches( { code: 'code' }, getPropertyValue ) ).toBe( false );
+    expect( pm2.keyMatches( 'code', getPropertyValue ) ).toBe( false );
+    expect( pm3.keyMatches( 'name', getPropertyValue ) ).toBe( false );
+    expect( matches01 ).toThrow( 'The getPropertyValue argument of PropertyManager.keyMatches method must be a function.' );
+  } );
+
   //endregion
 } );
@@ -0,0 +1,83 @@
+console.log( 'Testing common/save-child-models.js...' );
+
+function read( filename ) {
+  return require( '../../../source/' + filename );
+}
+
+const configuration = read( 'system/configuration-reader.js' );
+const saveChildModels = read( 'common/save-child-models.js' );
+
+function child( error ) {
+  return {
+    save: function ( connection ) {
+      return error ? Promise.reject( error ) : Promise.resolve( this );
+    }
+  };
+}
+
+describe( 'Save child models function', () => {
+
+  const connection = { connectionId: 7 };
+
+  it( 'isolates the failed children in savepoints', done => {
+
+    const calls = [];
+    const cm = configuration.connectionManager;
+    spyOn( cm, '$hasSavepoints' ).andReturn( true );
+    cm.createSavepoint = function ( dsc ) {
+      calls.push( 'create ' + dsc.connectionId );
+      return Promise.resolve( 'sp' + calls.length );
+    };
+    cm.rollbackToSavepoint = function ( dsc, savepoint ) {
+      calls.push( 'rollback ' + savepoint );
+      return Promise.resolve( dsc );
+    };
+    cm.releaseSavepoint = function ( dsc, savepoint ) {
+      calls.push( 'release ' + savepoint );
+      return Promise.resolve( dsc );
+    };
+    const error = new Error( 'Failed.' );
+    const children = [ child(), child( error ), child() ];
+    const errors = [];
+
+    saveChildModels( connection, children, errors )
+      .then( results => {
+        delete cm.createSavepoint;
+        delete cm.rollbackToSavepoint;
+        delete cm.releaseSavepoint;
+
+        expect( results ).toEqual( [ children[ 0 ], null, children[ 2 ] ] );
+        expect( errors.length ).toBe( 1 );
+        expect( errors[ 0 ] ).toBe( error );
+        expect( calls ).toEqual( [
+          'create 7', 'release sp1', 'create 7', 'rollback sp3', 'create 7', 'release sp5'
+        ] );
+        done();
+      } );
+  } );
+
+  it( 'fails on the first failed child without savepoints', done => {
+
+    spyOn( configuration.connectionManager, '$hasSavepoints' ).andReturn( false );
+    const children = [ child(), child( new Error( 'Failed.' ) ) ];
+
+    saveChildModels( connection, children, [] )
+      .catch( reason => {
+        expect( reason.message ).toBe( 'Failed.' );
+        done();
+      } );
+  } );
+
+  it( 'fails on the first failed child without an error list', done => {
+
+    spyOn( configuration.connectionManager, '$hasSavepoints' ).andReturn( true );
+    const children = [ child(), child( new Error( 'Failed.' ) ) ];
+
+    saveChildModels( connection, children )
+      .catch( reason => {
+        expect( reason.message ).toBe( 'Failed.' );
+        expect( configuration.connectionManager.$hasSavepoints ).not.toHaveBeenCalled();
+        done();
+      } );
+  } );
+} );
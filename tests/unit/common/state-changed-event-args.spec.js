@@ -0,0 +1,48 @@
+console.log( 'Testing common/state-changed-event-args.js...' );
+
+function read ( filename ) {
+  return require( '../../../source/' + filename );
+}
+const StateChangedEventArgs = read( 'common/state-changed-event-args.js' );
+const ModelState = read( 'common/model-state.js' );
+
+describe( 'State changed event arguments', () => {
+
+  it( 'constructor expects three arguments', () => {
+
+    const build01 = function () { return new StateChangedEventArgs(); };
+    const build02 = function () { return new StateChangedEventArgs( 'model', null ); };
+    const build03 = function () { return new StateChangedEventArgs( 'model', null, ModelState.created ); };
+    const build04 = function () { return new StateChangedEventArgs( 'model', 'created', ModelState.changed ); };
+    const build05 = function () { return new StateChangedEventArgs( 'model', ModelState.pristine, ModelState.changed ); };
+    const build06 = function () { return new StateChangedEventArgs( null, ModelState.pristine, ModelState.changed ); };
+
+    expect( build01 ).toThrow();
+    expect( build02 ).toThrow();
+    expect( build03 ).not.toThrow();
+    expect( build04 ).toThrow();
+    expect( build05 ).not.toThrow();
+    expect( build06 ).toThrow( 'The modelName argument of StateChangedEventArgs constructor must be a non-empty string.' );
+  } );
+
+  it( 'has three properties', () => {
+
+    const eventArgs1 = new StateChangedEventArgs( 'Customer', ModelState.pristine, ModelState.markedForRemoval );
+    const eventArgs2 = new StateChangedEventArgs( 'Customer', null, ModelState.created );
+
+    expect( eventArgs1.modelName ).toBe( 'Customer' );
+    expect( eventArgs1.oldState ).toBe( 'pristine' );
+    expect( eventArgs1.newState ).toBe( 'markedForRemoval' );
+    expect( eventArgs2.oldState ).toBeNull();
+    expect( eventArgs2.newState ).toBe( 'created' );
+  } );
+
+  it( 'is immutable', () => {
+
+    const eventArgs = new StateChangedEventArgs( 'Customer', ModelState.pristine, ModelState.changed );
+
+    eventArgs.newState = 'removed';
+
+    expect( eventArgs.newState ).toBe( 'changed' );
+  } );
+} );
@@ -0,0 +1,74 @@
+console.log( 'Testing common/unit-of-work.js...' );
+
+function read ( filename ) {
+  return require( '../../../source/' + filename );
+}
+const UnitOfWork = read( 'common/unit-of-work.js' );
+const ModelError = read( 'common/model-error.js' );
+const IdentityMap = read( 'common/identity-map.js' );
+
+class FakeRoot {
+  static get modelType() {
+    return 'EditableRootObject';
+  }
+}
+
+class FakeCommand {
+  static get modelType() {
+    return 'CommandObject';
+  }
+}
+
+describe( 'Unit of work', () => {
+
+  it( 'constructor expects one argument', () => {
+    const build01 = function () { return new UnitOfWork(); };
+    const build02 = function () { return new UnitOfWork( 99 ); };
+    const build03 = function () { return new UnitOfWork( 'db' ); };
+
+    expect( build01 ).toThrow();
+    expect( build02 ).toThrow();
+    expect( build03 ).not.toThrow();
+  } );
+
+  it( 'has read-only dataSource property', () => {
+    const uow = new UnitOfWork( 'db' );
+
+    expect( uow.dataSource ).toBe( 'db' );
+
+    uow.dataSource = 'audit';
+    expect( uow.dataSource ).toBe( 'db' );
+  } );
+
+  it( 'runs functions within the scope of its identity map', () => {
+    const uow = new UnitOfWork( 'db' );
+
+    expect( uow.identityMap ).toEqual( jasmine.any( IdentityMap ) );
+    expect( uow.run( () => IdentityMap.current ) ).toBe( uow.identityMap );
+    expect( new UnitOfWork( 'db' ).identityMap ).not.toBe( uow.identityMap );
+  } );
+
+  it( 'save method accepts editable root models', () => {
+    const uow = new UnitOfWork( 'db' );
+
+    expect( uow.save( new FakeRoot() ) ).toBe( uow );
+    expect( () => { uow.save( new FakeCommand() ); } ).toThrow();
+    expect( () => { uow.save( {} ); } ).toThrow();
+
+    try {
+      uow.save( new FakeCommand() );
+    } catch (e) {
+      expect( e ).toEqual( jasmine.any( ModelError ) );
+      expect( e.message ).toBe( 'The model type of model is CommandObject, but the unit of work can save editable root objects and collections only.' );
+    }
+  } );
+
+  it( 'execute method accepts command objects', () => {
+    const uow = new UnitOfWork( 'db' );
+
+    expect( uow.execute( new FakeCommand() ) ).toBe( uow );
+    expect( uow.execute( new FakeCommand(), 'post' ) ).toBe( uow );
+    expect( () => { uow.execute( new FakeCommand(), 42 ); } ).toThrow();
+    expect( () => { uow.execute( new FakeRoot() ); } ).toThrow();
+  } );
+} );
@@ -36,4 +36,16 @@ describe( 'Base connection manager', () => {
     expect( call4 ).toThrow( 'The ConnectionManagerBase.commitTransaction method is not implemented.' );
     expect( call5 ).toThrow( 'The ConnectionManagerBase.rollbackTransaction method is not implemented.' );
   } );
+
+  it( 'has optional savepoint methods', () => {
+
+    class SavepointManager extends ConnectionManagerBase {
+      createSavepoint( connection ) { return Promise.resolve( 'sp1' ); }
+      rollbackToSavepoint( connection, savepoint ) { return Promise.resolve( connection ); }
+      releaseSavepoint( connection, savepoint ) { return Promise.resolve( connection ); }
+    }
+
+    expect( cm.$hasSavepoints() ).toBe( false );
+    expect( new SavepointManager().$hasSavepoints() ).toBe( true );
+  } );
 } );
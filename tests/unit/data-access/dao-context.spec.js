@@ -5,6 +5,9 @@ function read ( filename ) {
 }
 const DaoContext = read( 'data-access/dao-context.js' );
 
+// AbortController is a global object since Node 15.
+const itWithController = typeof AbortController === 'undefined' ? xit : it;
+
 describe( 'DAO context', () => {
 
   function fulfill( value ) {
@@ -52,4 +55,27 @@ describe( 'DAO context', () => {
     expect( ctx.reject ).toBe( reject );
     expect( ctx.connection ).toBe( connection );
   })
+
+  itWithController( 'has an optional abort signal', () => {
+    const controller = new AbortController();
+    function create01() { return new DaoContext( fulfill, reject, connection, {} ); }
+
+    const ctx1 = new DaoContext( fulfill, reject, connection );
+    const ctx2 = new DaoContext( fulfill, reject, connection, controller.signal );
+
+    expect( create01 ).toThrow();
+    expect( ctx1.signal ).toBeNull();
+    expect( ctx2.signal ).toBe( controller.signal );
+  })
+
+  it( 'has an optional soft delete property name', () => {
+    function create01() { return new DaoContext( fulfill, reject, connection, null, 51 ); }
+
+    const ctx1 = new DaoContext( fulfill, reject, connection );
+    const ctx2 = new DaoContext( fulfill, reject, connection, null, 'isDeleted' );
+
+    expect( create01 ).toThrow();
+    expect( ctx1.softDelete ).toBeNull();
+    expect( ctx2.softDelete ).toBe( 'isDeleted' );
+  })
 });
@@ -0,0 +1,100 @@
+console.log( 'Testing data-access/data-portal-server.js...' );
+
+function read ( filename ) {
+  return require( '../../../source/' + filename );
+}
+const http = require( 'http' );
+const DataPortalServer = read( 'data-access/data-portal-server.js' );
+
+class Dog {
+  static create() {
+    return Promise.resolve( new Dog( 'Rex' ) );
+  }
+  static fetch( filter ) {
+    return filter === 7 ?
+      Promise.resolve( new Dog( 'Fido' ) ) :
+      Promise.reject( new Error( 'Dog not found.' ) );
+  }
+  constructor( name ) {
+    this.name = name;
+  }
+  $toTransfer() {
+    return { data: { name: this.name } };
+  }
+}
+
+describe( 'Data portal server', () => {
+
+  it( 'constructor expects one argument', () => {
+    const build01 = function () { return new DataPortalServer(); };
+    const build02 = function () { return new DataPortalServer( 'Dog' ); };
+    const build03 = function () { return new DataPortalServer( { Dog: Dog } ); };
+
+    expect( build01 ).toThrow();
+    expect( build02 ).toThrow();
+    expect( build03 ).not.toThrow();
+  } );
+
+  it( 'handle method returns the state of the model', done => {
+    const server = new DataPortalServer( { Dog: Dog } );
+
+    server.handle( JSON.stringify( { modelName: 'Dog', action: 'fetch', filter: 7 } ) )
+      .then( message => {
+        expect( JSON.parse( message ) ).toEqual( { transfer: { data: { name: 'Fido' } } } );
+        done();
+      } );
+  } );
+
+  it( 'handle method returns the error of the action', done => {
+    const server = new DataPortalServer( { Dog: Dog } );
+
+    server.handle( JSON.stringify( { modelName: 'Dog', action: 'fetch', filter: 3 } ) )
+      .then( message => {
+        const error = JSON.parse( message ).error;
+        expect( error.name ).toBe( 'Error' );
+        expect( error.message ).toBe( 'Dog not found.' );
+        done();
+      } );
+  } );
+
+  it( 'handle method rejects unknown models and actions', done => {
+    const server = new DataPortalServer( { Dog: Dog } );
+
+    Promise.all( [
+      server.handle( JSON.stringify( { modelName: 'Cat', action: 'fetch' } ) ),
+      server.handle( JSON.stringify( { modelName: 'Dog', action: 'execute' } ) )
+    ] )
+      .then( messages => {
+        const error1 = JSON.parse( messages[ 0 ] ).error;
+        const error2 = JSON.parse( messages[ 1 ] ).error;
+        expect( error1.name ).toBe( 'DaoError' );
+        expect( error1.message ).toBe( 'The data portal server has no model named Cat.' );
+        expect( error2.name ).toBe( 'DaoError' );
+        expect( error2.message ).toBe( 'The data portal server cannot execute execute action on Dog.' );
+        done();
+      } );
+  } );
+
+  it( 'listen method serves the posted requests', done => {
+    const portal = new DataPortalServer( { Dog: Dog } );
+
+    portal.listen( 0, '127.0.0.1' )
+      .then( server => {
+        const body = JSON.stringify( { modelName: 'Dog', action: 'create' } );
+        const request = http.request( {
+          hostname: '127.0.0.1',
+          port: server.address().port,
+          method: 'POST'
+        }, response => {
+          let message = '';
+          response.on( 'data', chunk => { message += chunk; } );
+          response.on( 'end', () => {
+            expect( response.statusCode ).toBe( 200 );
+            expect( JSON.parse( message ) ).toEqual( { transfer: { data: { name: 'Rex' } } } );
+            server.close( done );
+          } );
+        } );
+        request.end( body );
+      } );
+  } );
+} );
@@ -0,0 +1,63 @@
+console.log( 'Testing data-access/data-portal-transport.js...' );
+
+function read ( filename ) {
+  return require( '../../../source/' + filename );
+}
+const DataPortalTransport = read( 'data-access/data-portal-transport.js' );
+const ConcurrencyError = read( 'common/concurrency-error.js' );
+
+class EchoTransport extends DataPortalTransport {
+  constructor( response ) {
+    super();
+    this.response = response;
+  }
+  send( message ) {
+    this.request = JSON.parse( message );
+    return Promise.resolve( JSON.stringify( this.response ) );
+  }
+}
+
+describe( 'Data portal transport', () => {
+
+  it( 'send method must be overridden', () => {
+    const transport = new DataPortalTransport();
+
+    expect( () => { transport.send( '{}' ); } ).toThrow();
+  } );
+
+  it( '$execute method returns the transferred state', done => {
+    const transport = new EchoTransport( { transfer: { data: { name: 'Fido' } } } );
+
+    transport.$execute( { modelName: 'Dog', action: 'fetch', filter: 7 } )
+      .then( transfer => {
+        expect( transport.request.modelName ).toBe( 'Dog' );
+        expect( transport.request.action ).toBe( 'fetch' );
+        expect( transport.request.filter ).toBe( 7 );
+        expect( transfer.data.name ).toBe( 'Fido' );
+        done();
+      } );
+  } );
+
+  it( '$execute method rejects with the error of the server', done => {
+    const transport = new EchoTransport( { error: { name: 'DaoError', message: 'Not found.' } } );
+
+    transport.$execute( { modelName: 'Dog', action: 'fetch' } )
+      .catch( reason => {
+        expect( reason ).toEqual( jasmine.any( Error ) );
+        expect( reason.name ).toBe( 'DaoError' );
+        expect( reason.message ).toBe( 'Not found.' );
+        done();
+      } );
+  } );
+
+  it( '$execute method restores concurrency errors', done => {
+    const transport = new EchoTransport( { error: { name: 'ConcurrencyError', message: 'Changed.' } } );
+
+    transport.$execute( { modelName: 'Dog', action: 'update' } )
+      .catch( reason => {
+        expect( reason ).toEqual( jasmine.any( ConcurrencyError ) );
+        expect( reason.message ).toBe( 'Changed.' );
+        done();
+      } );
+  } );
+} );
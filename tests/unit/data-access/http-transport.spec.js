@@ -0,0 +1,75 @@
+console.log( 'Testing data-access/http-transport.js...' );
+
+function read ( filename ) {
+  return require( '../../../source/' + filename );
+}
+const http = require( 'http' );
+const HttpTransport = read( 'data-access/http-transport.js' );
+const DataPortalTransport = read( 'data-access/data-portal-transport.js' );
+const DaoError = read( 'data-access/dao-error.js' );
+
+function listen( handler ) {
+  return new Promise( fulfill => {
+    const server = http.createServer( handler );
+    server.listen( 0, '127.0.0.1', () => {
+      fulfill( server );
+    } );
+  } );
+}
+
+describe( 'HTTP transport', () => {
+
+  it( 'constructor expects one argument', () => {
+    const build01 = function () { return new HttpTransport(); };
+    const build02 = function () { return new HttpTransport( 42 ); };
+    const build03 = function () { return new HttpTransport( 'http://localhost:8080/portal' ); };
+
+    expect( build01 ).toThrow();
+    expect( build02 ).toThrow();
+    expect( build03 ).not.toThrow();
+  } );
+
+  it( 'has a read-only address', () => {
+    const transport = new HttpTransport( 'http://localhost:8080/portal' );
+
+    expect( transport ).toEqual( jasmine.any( DataPortalTransport ) );
+    expect( transport.address ).toBe( 'http://localhost:8080/portal' );
+
+    transport.address = 'http://localhost:9090/';
+    expect( transport.address ).toBe( 'http://localhost:8080/portal' );
+  } );
+
+  it( 'send method posts the message', done => {
+    listen( ( request, response ) => {
+      let body = '';
+      request.on( 'data', chunk => { body += chunk; } );
+      request.on( 'end', () => {
+        response.end( request.method + ' ' + request.url + ' ' + body );
+      } );
+    } )
+      .then( server => {
+        const transport = new HttpTransport( 'http://127.0.0.1:' + server.address().port + '/portal' );
+        return transport.send( '{"action":"fetch"}' )
+          .then( message => {
+            expect( message ).toBe( 'POST /portal {"action":"fetch"}' );
+            server.close( done );
+          } );
+      } );
+  } );
+
+  it( 'send method rejects unexpected responses', done => {
+    listen( ( request, response ) => {
+      response.writeHead( 500 );
+      response.end( 'Server failure.' );
+    } )
+      .then( server => {
+        const transport = new HttpTransport( 'http://127.0.0.1:' + server.address().port + '/' );
+        return transport.send( '{}' )
+          .catch( reason => {
+            expect( reason ).toEqual( jasmine.any( DaoError ) );
+            expect( reason.message ).toBe( 'The data portal server responded with status 500: Server failure.' );
+            server.close( done );
+          } );
+      } );
+  } );
+} );
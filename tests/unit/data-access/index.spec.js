@@ -14,5 +14,13 @@ describe( 'Data access index', () => {
     expect( da.DaoBase ).toEqual( jasmine.any( Function ) );
     expect( da.DaoContext ).toEqual( jasmine.any( Function ) );
     expect( da.DaoError ).toEqual( jasmine.any( Function ) );
+    expect( da.DataPortalTransport ).toEqual( jasmine.any( Function ) );
+    expect( da.HttpTransport ).toEqual( jasmine.any( Function ) );
+    expect( da.DataPortalServer ).toEqual( jasmine.any( Function ) );
+    expect( da.RetryPolicy ).toEqual( jasmine.any( Function ) );
+    expect( da.RetryEventArgs ).toEqual( jasmine.any( Function ) );
+    expect( da.CacheStore ).toEqual( jasmine.any( Function ) );
+    expect( da.MemoryCache ).toEqual( jasmine.any( Function ) );
+    expect( da.AuditSink ).toEqual( jasmine.any( Function ) );
   } );
 } );
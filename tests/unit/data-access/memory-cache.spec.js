@@ -0,0 +1,104 @@
+console.log( 'Testing data-access/memory-cache.js...' );
+
+function read ( filename ) {
+  return require( '../../../source/' + filename );
+}
+const MemoryCache = read( 'data-access/memory-cache.js' );
+const CacheStore = read( 'data-access/cache-store.js' );
+
+describe( 'Memory cache', () => {
+
+  it( 'constructor expects an optional integer argument', () => {
+    function create01() { return new MemoryCache(); }
+    function create02() { return new MemoryCache( 10 ); }
+    function create03() { return new MemoryCache( 'ten' ); }
+    function create04() { return new MemoryCache( 2.5 ); }
+
+    expect( create01 ).not.toThrow();
+    expect( create02 ).not.toThrow();
+    expect( create03 ).toThrow();
+    expect( create04 ).toThrow();
+  } );
+
+  it( 'has default settings', () => {
+    const cache1 = new MemoryCache();
+    const cache2 = new MemoryCache( 0 );
+
+    expect( cache1 ).toEqual( jasmine.any( CacheStore ) );
+    expect( cache1.maxItems ).toBe( 1000 );
+    expect( cache1.count ).toBe( 0 );
+    expect( cache2.maxItems ).toBe( 1 );
+  } );
+
+  it( 'stores and returns the entries of the models', done => {
+    const cache = new MemoryCache();
+
+    cache.set( 'Model1', 'fetch:1', { one: 1 }, 1000 )
+      .then( none => cache.set( 'Model2', 'fetch:1', { two: 2 }, 1000 ) )
+      .then( none => cache.get( 'Model1', 'fetch:1' ) )
+      .then( value => {
+        expect( value ).toEqual( { one: 1 } );
+        return cache.get( 'Model1', 'fetch:2' );
+      } )
+      .then( value => {
+        expect( value ).toBeUndefined();
+        expect( cache.count ).toBe( 2 );
+        done();
+      } );
+  } );
+
+  it( 'does not return the expired entries', done => {
+    const cache = new MemoryCache();
+
+    cache.set( 'Model', 'fetch:1', { one: 1 }, 0 )
+      .then( none => cache.get( 'Model', 'fetch:1' ) )
+      .then( value => {
+        expect( value ).toBeUndefined();
+        expect( cache.count ).toBe( 0 );
+        done();
+      } );
+  } );
+
+  it( 'removes the least recently used entries', done => {
+    const cache = new MemoryCache( 2 );
+
+    cache.set( 'Model', 'a', 'A', 1000 )
+      .then( none => cache.set( 'Model', 'b', 'B', 1000 ) )
+      .then( none => cache.get( 'Model', 'a' ) )
+      .then( none => cache.set( 'Model', 'c', 'C', 1000 ) )
+      .then( none => Promise.all( [
+        cache.get( 'Model', 'a' ),
+        cache.get( 'Model', 'b' ),
+        cache.get( 'Model', 'c' )
+      ] ) )
+      .then( values => {
+        expect( values ).toEqual( [ 'A', undefined, 'C' ] );
+        expect( cache.count ).toBe( 2 );
+        done();
+      } );
+  } );
+
+  it( 'removes the entries on demand', done => {
+    const cache = new MemoryCache();
+
+    Promise.all( [
+      cache.set( 'Model1', 'a', 'A', 1000 ),
+      cache.set( 'Model1', 'b', 'B', 1000 ),
+      cache.set( 'Model2', 'a', 'A', 1000 ),
+      cache.set( 'Model3', 'a', 'A', 1000 )
+    ] )
+      .then( none => cache.delete( 'Model1', 'a' ) )
+      .then( none => {
+        expect( cache.count ).toBe( 3 );
+        return cache.clear( 'Model1' );
+      } )
+      .then( none => {
+        expect( cache.count ).toBe( 2 );
+        return cache.clear();
+      } )
+      .then( none => {
+        expect( cache.count ).toBe( 0 );
+        done();
+      } );
+  } );
+} );
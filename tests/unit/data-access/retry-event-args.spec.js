@@ -0,0 +1,52 @@
+console.log( 'Testing data-access/retry-event-args.js...' );
+
+function read ( filename ) {
+  return require( '../../../source/' + filename );
+}
+const RetryEventArgs = read( 'data-access/retry-event-args.js' );
+
+describe( 'Retry event arguments', () => {
+
+  const error = new Error( 'Connection reset.' );
+
+  it( 'constructor expects five or six arguments', () => {
+    function create01() { return new RetryEventArgs(); }
+    function create02() { return new RetryEventArgs( 'Model' ); }
+    function create03() { return new RetryEventArgs( 'Model', 'fetch' ); }
+    function create04() { return new RetryEventArgs( 'Model', 'fetch', 1, 3 ); }
+    function create05() { return new RetryEventArgs( 'Model', 'fetch', 1, 3, 0 ); }
+    function create06() { return new RetryEventArgs( 'Model', 'fetch', 2, 3, 100, error ); }
+    function create07() { return new RetryEventArgs( 'Model', 'fetch', 1.5, 3, 0 ); }
+
+    expect( create01 ).toThrow();
+    expect( create02 ).toThrow();
+    expect( create03 ).toThrow();
+    expect( create04 ).toThrow();
+    expect( create05 ).not.toThrow();
+    expect( create06 ).not.toThrow();
+    expect( create07 ).toThrow();
+  } );
+
+  it( 'has six read-only properties', () => {
+    const args1 = new RetryEventArgs( 'Model', 'fetch', 1, 3, 0 );
+    const args2 = new RetryEventArgs( 'Model', 'update', 2, 3, 100, error );
+
+    expect( args1.modelName ).toBe( 'Model' );
+    expect( args1.action ).toBe( 'fetch' );
+    expect( args1.attempt ).toBe( 1 );
+    expect( args1.maxAttempts ).toBe( 3 );
+    expect( args1.delay ).toBe( 0 );
+    expect( args1.error ).toBeNull();
+
+    expect( args2.action ).toBe( 'update' );
+    expect( args2.attempt ).toBe( 2 );
+    expect( args2.delay ).toBe( 100 );
+    expect( args2.error ).toBe( error );
+
+    args2.attempt = 3;
+    args2.error = null;
+
+    expect( args2.attempt ).toBe( 2 );
+    expect( args2.error ).toBe( error );
+  } );
+} );
@@ -0,0 +1,150 @@
+console.log( 'Testing data-access/retry-policy.js...' );
+
+function read ( filename ) {
+  return require( '../../../source/' + filename );
+}
+const RetryPolicy = read( 'data-access/retry-policy.js' );
+const RetryEventArgs = read( 'data-access/retry-event-args.js' );
+const DataPortalAction = read( 'common/data-portal-action.js' );
+
+// AbortController is a global object since Node 15.
+const itWithController = typeof AbortController === 'undefined' ? xit : it;
+
+describe( 'Retry policy', () => {
+
+  function isTransient( error ) {
+    return error.code === 'ECONNRESET';
+  }
+  function transientError() {
+    const error = new Error( 'Connection reset.' );
+    error.code = 'ECONNRESET';
+    return error;
+  }
+
+  it( 'constructor expects a predicate and optional settings', () => {
+    function create01() { return new RetryPolicy(); }
+    function create02() { return new RetryPolicy( 'isTransient' ); }
+    function create03() { return new RetryPolicy( isTransient ); }
+    function create04() { return new RetryPolicy( isTransient, 5, 20, 1.5 ); }
+    function create05() { return new RetryPolicy( isTransient, 2.5 ); }
+    function create06() { return new RetryPolicy( isTransient, 5, 'long' ); }
+    function create07() { return new RetryPolicy( isTransient, 5, 20, '2' ); }
+
+    expect( create01 ).toThrow();
+    expect( create02 ).toThrow();
+    expect( create03 ).not.toThrow();
+    expect( create04 ).not.toThrow();
+    expect( create05 ).toThrow();
+    expect( create06 ).toThrow();
+    expect( create07 ).toThrow();
+  } );
+
+  it( 'has default settings', () => {
+    const policy1 = new RetryPolicy( isTransient );
+    const policy2 = new RetryPolicy( isTransient, 5, 20, 1.5 );
+
+    expect( policy1.maxAttempts ).toBe( 3 );
+    expect( policy1.delay ).toBe( 100 );
+    expect( policy1.factor ).toBe( 2 );
+
+    expect( policy2.maxAttempts ).toBe( 5 );
+    expect( policy2.delay ).toBe( 20 );
+    expect( policy2.factor ).toBe( 1.5 );
+  } );
+
+  it( 'calculates exponential backoff', () => {
+    const policy = new RetryPolicy( isTransient, 5, 100, 2 );
+
+    expect( policy.getDelay( 1 ) ).toBe( 0 );
+    expect( policy.getDelay( 2 ) ).toBe( 100 );
+    expect( policy.getDelay( 3 ) ).toBe( 200 );
+    expect( policy.getDelay( 4 ) ).toBe( 400 );
+  } );
+
+  it( 'classifies the errors', () => {
+    const policy = new RetryPolicy( isTransient );
+
+    expect( policy.isTransient( transientError() ) ).toBe( true );
+    expect( policy.isTransient( new Error( 'Syntax error.' ) ) ).toBe( false );
+  } );
+
+  it( 'repeats the operation failed with a transient error', done => {
+    const policy = new RetryPolicy( isTransient, 3, 1 );
+    const attempts = [];
+    let calls = 0;
+
+    policy.on( 'attempt', eventArgs => {
+      attempts.push( eventArgs );
+    } );
+    policy.$execute( 'Model', DataPortalAction.fetch, () => {
+      return ++calls < 3 ? Promise.reject( transientError() ) : Promise.resolve( 'result' );
+    } )
+      .then( result => {
+
+        expect( result ).toBe( 'result' );
+        expect( calls ).toBe( 3 );
+        expect( attempts.length ).toBe( 3 );
+        expect( attempts[ 0 ] ).toEqual( jasmine.any( RetryEventArgs ) );
+        expect( attempts[ 0 ].modelName ).toBe( 'Model' );
+        expect( attempts[ 0 ].action ).toBe( 'fetch' );
+        expect( attempts[ 0 ].attempt ).toBe( 1 );
+        expect( attempts[ 0 ].error ).toBeNull();
+        expect( attempts[ 1 ].attempt ).toBe( 2 );
+        expect( attempts[ 1 ].delay ).toBe( 1 );
+        expect( attempts[ 1 ].error.code ).toBe( 'ECONNRESET' );
+        expect( attempts[ 2 ].attempt ).toBe( 3 );
+        expect( attempts[ 2 ].delay ).toBe( 2 );
+        done();
+      } );
+  } );
+
+  it( 'passes the error after the last attempt', done => {
+    const policy = new RetryPolicy( isTransient, 2, 1 );
+    let calls = 0;
+
+    policy.$execute( 'Model', DataPortalAction.insert, () => {
+      calls++;
+      throw transientError();
+    } )
+      .catch( reason => {
+
+        expect( reason.code ).toBe( 'ECONNRESET' );
+        expect( calls ).toBe( 2 );
+        done();
+      } );
+  } );
+
+  it( 'does not repeat the operation failed with other error', done => {
+    const policy = new RetryPolicy( isTransient, 3, 1 );
+    let calls = 0;
+
+    policy.$execute( 'Model', DataPortalAction.update, () => {
+      calls++;
+      return Promise.reject( new Error( 'Syntax error.' ) );
+    } )
+      .catch( reason => {
+
+        expect( reason.message ).toBe( 'Syntax error.' );
+        expect( calls ).toBe( 1 );
+        done();
+      } );
+  } );
+
+  itWithController( 'does not repeat the operation of an aborted action', done => {
+    const policy = new RetryPolicy( isTransient, 3, 1 );
+    const controller = new AbortController();
+    let calls = 0;
+
+    policy.$execute( 'Model', DataPortalAction.execute, () => {
+      calls++;
+      controller.abort();
+      return Promise.reject( transientError() );
+    }, controller.signal )
+      .catch( reason => {
+
+        expect( reason.code ).toBe( 'ECONNRESET' );
+        expect( calls ).toBe( 1 );
+        done();
+      } );
+  } );
+} );
@@ -4,6 +4,10 @@ function read( filename ) {
   return require( '../../../source/' + filename );
 }
 const i18n = read( 'locales/i18n.js' );
+const RequestContext = read( 'system/request-context.js' );
+const Environment = read( 'system/environment.js' );
+
+const ConnectionManager = require( '../../../data/connection-manager.js' );
 
 describe( 'Internationalization', () => {
 
@@ -150,4 +154,59 @@ describe( 'Internationalization', () => {
 
     currentLocale = '';
   } );
+
+  it( 'get method works with the locale of the request context', () => {
+
+    const i1 = new i18n();
+
+    RequestContext.run( { locale: 'hu-HU' }, () => {
+
+      expect( i1.get( 'capitols.France' ) ).toBe( 'Párizs' );
+      expect( i1.get( 'dashboard:manager' ) ).toBe( 'Kovács János' );
+      expect( i1.get( 'default*capitols.France' ) ).toBe( 'Paris' );
+    } );
+
+    expect( i1.get( 'capitols.France' ) ).toBe( 'Paris' );
+  } );
+
+  it( 'reads the project messages of the running environment', () => {
+
+    const north = new Environment( {
+      connectionManager: ConnectionManager,
+      localeReader: () => 'hu-HU',
+      pathOfLocales: '/data/environment/locales'
+    } );
+    const south = new Environment( { connectionManager: ConnectionManager } );
+    const i1 = new i18n();
+    const i2 = new i18n( '$bo' );
+
+    north.run( () => {
+      expect( i1.get( 'welcome', 'Grace' ) ).toBe( 'Isten hozott északon, Grace!' );
+      expect( i1.get( 'default*welcome', 'Grace' ) ).toBe( 'Welcome to the north, Grace!' );
+      expect( i1.get( 'property1' ) ).toBe( 'property1' );
+      expect( i2.get( 'default' ) ).toBe( 'Ez egy tesztüzenet.' );
+    } );
+    south.run( () => {
+      expect( i1.get( 'welcome' ) ).toBe( 'welcome' );
+      expect( i1.get( 'property1' ) ).toBe( 'value1' );
+    } );
+    expect( i1.get( 'welcome' ) ).toBe( 'welcome' );
+  } );
+
+  it( 'can be reset and initialized again', () => {
+
+    const i1 = new i18n();
+    const i2 = new i18n( '$bo' );
+
+    expect( () => { i18n.initialize( pathOfLocales, getLocale ); } ).toThrow();
+
+    i18n.reset();
+
+    expect( i1.get( 'property1' ) ).toBe( 'property1' );
+    expect( i2.get( 'default' ) ).toBe( 'This is a test message.' );
+
+    i18n.initialize( pathOfLocales, getLocale );
+
+    expect( i1.get( 'property1' ) ).toBe( 'value1' );
+  } );
 } );
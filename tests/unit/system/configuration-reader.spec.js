@@ -9,8 +9,11 @@ const NoAccessBehavior = read( 'rules/no-access-behavior.js' );
 const BrokenRulesOutput = read( 'rules/broken-rules-output.js' );
 const BrokenRulesResponse = read( 'rules/broken-rules-response.js' );
 const daoBuilder = read( 'data-access/dao-builder.js' );
+const RetryPolicy = read( 'data-access/retry-policy.js' );
+const RequestContext = read( 'system/request-context.js' );
 
 const ConnectionManager = require( '../../../data/connection-manager.js' );
+const User = require( '../../../data/user.js' );
 
 describe( 'Business objects configuration reader object', () => {
 
@@ -99,6 +102,34 @@ describe( 'Business objects configuration reader object', () => {
     expect( locale ).toBe( 'hu-HU' );
   } );
 
+  it( 'prefers the user and locale of the request context', done => {
+
+    const user = new User( 'grace-hopper', 'Grace Hopper', 'grace.hopper@navy.mil', [ 'developers' ] );
+
+    RequestContext.run( { user: user, locale: 'en-US' }, () => {
+
+      expect( configuration.getUser() ).toBe( user );
+      expect( configuration.getLocale() ).toBe( 'en-US' );
+
+      return Promise.resolve( null )
+        .then( none => {
+
+          expect( configuration.getUser() ).toBe( user );
+          expect( configuration.getLocale() ).toBe( 'en-US' );
+
+          RequestContext.run( { user: null }, () => {
+
+            expect( configuration.getUser() ).toBeNull();
+            expect( configuration.getLocale() ).toBe( 'en-US' );
+          } );
+          done();
+        } );
+    } );
+
+    expect( configuration.getUser().userCode ).toBe( 'ada-lovelace' );
+    expect( configuration.getLocale() ).toBe( 'hu-HU' );
+  } );
+
   it( 'has a broken rules response method', () => {
 
     expect( configuration.brokenRulesResponse ).toEqual( jasmine.any( Function ) );
@@ -113,6 +144,125 @@ describe( 'Business objects configuration reader object', () => {
     expect( brr.data ).toBe( bro );
   } );
 
+  it( 'has no remote data portal transport by default', () => {
+
+    expect( configuration.transport ).toBeNull();
+  } );
+
+  it( 'has a list of data portal interceptors', () => {
+
+    const interceptor = function ( modelName, action, connection, next ) {
+      return next();
+    };
+
+    expect( configuration.interceptors ).toEqual( [] );
+    expect( () => { configuration.addInterceptor( 'interceptor' ); } ).toThrow();
+
+    configuration.addInterceptor( interceptor );
+
+    expect( configuration.interceptors ).toEqual( [ interceptor ] );
+
+    configuration.interceptors.pop();
+
+    expect( configuration.interceptors.length ).toBe( 1 );
+    expect( configuration.removeInterceptor( interceptor ) ).toBe( true );
+    expect( configuration.removeInterceptor( interceptor ) ).toBe( false );
+    expect( configuration.interceptors ).toEqual( [] );
+  } );
+
+  it( 'has no retry policy by default', () => {
+
+    expect( configuration.retryPolicy ).toBeNull();
+  } );
+
+  it( 'accepts a configuration object after reset', () => {
+
+    const userReader = function () {
+      return new User( 'grace-hopper', 'Grace Hopper', 'grace.hopper@navy.mil', [ 'developers' ] );
+    };
+    const interceptor = function ( modelName, action, connection, next ) {
+      return next();
+    };
+    const isTransient = function ( error ) {
+      return error.code === 'ETIMEDOUT';
+    };
+    const connectionManager = new ConnectionManager();
+    const retryPolicy = new RetryPolicy( isTransient, 5 );
+
+    configuration.reset();
+
+    expect( configuration.connectionManager ).toBeNull();
+    expect( configuration.getUser() ).toBeNull();
+    expect( configuration.getLocale() ).toBe( '' );
+    expect( configuration.pathOfLocales ).toBeNull();
+    expect( configuration.interceptors ).toEqual( [] );
+    expect( configuration.retryPolicy ).toBeNull();
+
+    configuration.initialize( {
+      connectionManager: connectionManager,
+      userReader: userReader,
+      localeReader: () => 'en-US',
+      noAccessBehavior: NoAccessBehavior.showWarning,
+      interceptors: [ interceptor ],
+      retryPolicy: retryPolicy
+    } );
+
+    expect( configuration.connectionManager ).toBe( connectionManager );
+    expect( configuration.daoBuilder ).toBe( daoBuilder );
+    expect( configuration.getUser().userCode ).toBe( 'grace-hopper' );
+    expect( configuration.getLocale() ).toBe( 'en-US' );
+    expect( configuration.noAccessBehavior ).toBe( NoAccessBehavior.showWarning );
+    expect( configuration.interceptors ).toEqual( [ interceptor ] );
+    expect( configuration.retryPolicy ).toBe( retryPolicy );
+
+    configuration.reset();
+    configuration.initialize( {
+      connectionManager: ConnectionManager,
+      localeReader: '/data/get-locale.js',
+      retryPolicy: { isTransient: '/data/is-transient.js', delay: 50 }
+    } );
+
+    const transient = new Error( 'Connection reset.' );
+    transient.code = 'ECONNRESET';
+
+    expect( configuration.connectionManager ).toEqual( jasmine.any( ConnectionManager ) );
+    expect( configuration.connectionManager ).not.toBe( connectionManager );
+    expect( configuration.getLocale() ).toBe( 'hu-HU' );
+    expect( configuration.retryPolicy ).toEqual( jasmine.any( RetryPolicy ) );
+    expect( configuration.retryPolicy.delay ).toBe( 50 );
+    expect( configuration.retryPolicy.isTransient( transient ) ).toBe( true );
+    expect( configuration.retryPolicy.isTransient( new Error( 'Syntax error.' ) ) ).toBe( false );
+
+    const wrongInit01 = function () {
+      configuration.reset();
+      configuration.initialize( 1 );
+    };
+    const wrongInit02 = function () {
+      configuration.reset();
+      configuration.initialize( { connectionManager: {} } );
+    };
+    const wrongInit03 = function () {
+      configuration.reset();
+      configuration.initialize( { connectionManager: connectionManager, userReader: {} } );
+    };
+    const wrongInit04 = function () {
+      configuration.reset();
+      configuration.initialize( { connectionManager: connectionManager, retryPolicy: { maxAttempts: 2 } } );
+    };
+
+    expect( wrongInit01 ).toThrow();
+    expect( wrongInit02 ).toThrow();
+    expect( wrongInit03 ).toThrow();
+    expect( wrongInit04 ).toThrow();
+
+    // Restore the configuration of the tests.
+    configuration.reset();
+    configuration.initialize( '/config/business-objects.js' );
+
+    expect( configuration.getUser().userCode ).toBe( 'ada-lovelace' );
+    expect( configuration.retryPolicy ).toBeNull();
+  } );
+
   it( 'is immutable', () => {
 
     const init = function () {
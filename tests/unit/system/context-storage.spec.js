@@ -0,0 +1,64 @@
+console.log( 'Testing system/context-storage.js...' );
+
+const asyncHooks = require( 'async_hooks' );
+
+function read( filename ) {
+  return require( '../../../source/' + filename );
+}
+const contextStorage = read( 'system/context-storage.js' );
+
+describe( 'Context storage', () => {
+
+  it( 'keeps the store through asynchronous operations', done => {
+
+    expect( contextStorage.getItems() ).toBeUndefined();
+
+    contextStorage.run( { tenant: 'north' }, () => {
+      return Promise.resolve( null )
+        .then( none => contextStorage.getItems() );
+    } )
+      .then( items => {
+        expect( items.tenant ).toBe( 'north' );
+        expect( contextStorage.getItems() ).toBeUndefined();
+        done();
+      } );
+  } );
+
+  it( 'keeps the state of the framework apart from the items', () => {
+
+    const result = contextStorage.runState( 'environment', 'sample', () => {
+      return contextStorage.run( { tenant: 'north' }, () => {
+        return {
+          items: contextStorage.getItems(),
+          environment: contextStorage.getState( 'environment' )
+        };
+      } );
+    } );
+
+    expect( result.items ).toEqual( { tenant: 'north' } );
+    expect( result.environment ).toBe( 'sample' );
+    expect( contextStorage.getState( 'environment' ) ).toBeUndefined();
+  } );
+
+  it( 'requires AsyncLocalStorage to run a context', () => {
+    // Load the module as it is loaded before Node 12.17.
+    const path = require.resolve( '../../../source/system/context-storage.js' );
+    const AsyncLocalStorage = asyncHooks.AsyncLocalStorage;
+    delete require.cache[ path ];
+    const legacyStorage = require( path );
+    delete require.cache[ path ];
+
+    asyncHooks.AsyncLocalStorage = undefined;
+    let store = null;
+    try {
+      // The storage is created on first use.
+      store = legacyStorage.getItems();
+    } finally {
+      asyncHooks.AsyncLocalStorage = AsyncLocalStorage;
+    }
+    const run = function () { legacyStorage.run( { tenant: 'south' }, () => null ); };
+
+    expect( store ).toBeUndefined();
+    expect( run ).toThrow( 'The request context requires AsyncLocalStorage, which is available since Node 12.17.' );
+  } );
+} );
@@ -0,0 +1,184 @@
+console.log( 'Testing system/environment.js...' );
+
+function read( filename ) {
+  return require( '../../../source/' + filename );
+}
+const Environment = read( 'system/environment.js' );
+const RequestContext = read( 'system/request-context.js' );
+const configuration = read( 'system/configuration-reader.js' );
+const NoAccessBehavior = read( 'rules/no-access-behavior.js' );
+const BrokenRulesResponse = read( 'rules/broken-rules-response.js' );
+const RetryPolicy = read( 'data-access/retry-policy.js' );
+const daoBuilder = read( 'data-access/dao-builder.js' );
+const MemoryCache = read( 'data-access/memory-cache.js' );
+const AuditSink = read( 'data-access/audit-sink.js' );
+
+const ConnectionManager = require( '../../../data/connection-manager.js' );
+const User = require( '../../../data/user.js' );
+
+describe( 'Environment', () => {
+
+  const northUser = new User( 'grace-hopper', 'Grace Hopper', 'grace.hopper@navy.mil', [ 'developers' ] );
+  const southUser = new User( 'alan-turing', 'Alan Turing', 'alan.turing@bletchley.uk', [ 'analysts' ] );
+
+  const north = new Environment( {
+    connectionManager: ConnectionManager,
+    userReader: () => northUser,
+    localeReader: () => 'en-US',
+    noAccessBehavior: NoAccessBehavior.showWarning
+  } );
+  const south = new Environment( {
+    connectionManager: new ConnectionManager(),
+    userReader: () => southUser,
+    localeReader: () => 'hu-HU',
+    retryPolicy: { isTransient: () => false, maxAttempts: 2 }
+  } );
+
+  it( 'constructor expects an optional configuration', () => {
+
+    const build01 = function () { return new Environment(); };
+    const build02 = function () { return new Environment( '/config/business-objects.js' ); };
+    const build03 = function () { return new Environment( { connectionManager: ConnectionManager } ); };
+    const build04 = function () { return new Environment( 42 ); };
+    const build05 = function () { return new Environment( { userReader: () => null } ); };
+    const build06 = function () { return new Environment( { connectionManager: {} } ); };
+    const build07 = function () { return new Environment( { connectionManager: ConnectionManager, interceptors: 'all' } ); };
+    const build08 = function () { return new Environment( { connectionManager: ConnectionManager, cacheStore: MemoryCache } ); };
+    const build09 = function () { return new Environment( { connectionManager: ConnectionManager, cacheStore: new Map() } ); };
+    const build10 = function () { return new Environment( { connectionManager: ConnectionManager, auditSink: AuditSink } ); };
+    const build11 = function () { return new Environment( { connectionManager: ConnectionManager, auditSink: [] } ); };
+
+    expect( build01 ).not.toThrow();
+    expect( build02 ).not.toThrow();
+    expect( build03 ).not.toThrow();
+    expect( build04 ).toThrow();
+    expect( build05 ).toThrow();
+    expect( build06 ).toThrow();
+    expect( build07 ).toThrow();
+    expect( build08 ).not.toThrow();
+    expect( build09 ).toThrow();
+    expect( build10 ).not.toThrow();
+    expect( build11 ).toThrow();
+  } );
+
+  it( 'has default settings', () => {
+
+    const environment = new Environment();
+
+    expect( environment.connectionManager ).toBeNull();
+    expect( environment.transport ).toBeNull();
+    expect( environment.daoBuilder ).toBe( daoBuilder );
+    expect( environment.getUser() ).toBeNull();
+    expect( environment.getLocale() ).toBe( '' );
+    expect( environment.pathOfLocales ).toBeNull();
+    expect( environment.noAccessBehavior ).toBe( NoAccessBehavior.throwError );
+    expect( environment.brokenRulesResponse ).toBe( BrokenRulesResponse );
+    expect( environment.interceptors ).toEqual( [] );
+    expect( environment.retryPolicy ).toBeNull();
+    expect( environment.cacheStore ).toEqual( jasmine.any( MemoryCache ) );
+    expect( environment.auditSink ).toBeNull();
+  } );
+
+  it( 'has its own settings', () => {
+
+    expect( north.connectionManager ).toEqual( jasmine.any( ConnectionManager ) );
+    expect( south.connectionManager ).toEqual( jasmine.any( ConnectionManager ) );
+    expect( north.connectionManager ).not.toBe( south.connectionManager );
+    expect( north.getUser() ).toBe( northUser );
+    expect( south.getUser() ).toBe( southUser );
+    expect( north.getLocale() ).toBe( 'en-US' );
+    expect( south.getLocale() ).toBe( 'hu-HU' );
+    expect( north.noAccessBehavior ).toBe( NoAccessBehavior.showWarning );
+    expect( south.noAccessBehavior ).toBe( NoAccessBehavior.throwError );
+    expect( north.retryPolicy ).toBeNull();
+    expect( south.retryPolicy ).toEqual( jasmine.any( RetryPolicy ) );
+    expect( south.retryPolicy.maxAttempts ).toBe( 2 );
+    expect( north.cacheStore ).not.toBe( south.cacheStore );
+  } );
+
+  it( 'reads the current time from its clock', () => {
+
+    const time = new Date( 1843, 9, 1 );
+    const stopped = new Environment( { connectionManager: ConnectionManager, clock: () => time } );
+    const broken = new Environment( { connectionManager: ConnectionManager, clock: () => '1843-10-01' } );
+    const before = new Date();
+    const now = north.now();
+
+    expect( now ).toEqual( jasmine.any( Date ) );
+    expect( now >= before ).toBe( true );
+    expect( stopped.now() ).toBe( time );
+    expect( () => { broken.now(); } ).toThrow(
+      'The function defined by the clock property of business objects\' configuration must return a Date object.' );
+  } );
+
+  it( 'prefers the user and locale of the request context', () => {
+
+    RequestContext.run( { user: southUser, locale: 'de-DE' }, () => {
+
+      expect( north.getUser() ).toBe( southUser );
+      expect( north.getLocale() ).toBe( 'de-DE' );
+    } );
+  } );
+
+  it( 'has its own data portal interceptors', () => {
+
+    const interceptor = function ( modelName, action, connection, next ) {
+      return next();
+    };
+
+    north.addInterceptor( interceptor );
+
+    expect( north.interceptors ).toEqual( [ interceptor ] );
+    expect( south.interceptors ).toEqual( [] );
+    expect( north.removeInterceptor( interceptor ) ).toBe( true );
+    expect( north.removeInterceptor( interceptor ) ).toBe( false );
+    expect( () => { north.addInterceptor( 'interceptor' ); } ).toThrow();
+  } );
+
+  it( 'provides its settings through the configuration while it runs', done => {
+
+    expect( Environment.current ).toBeNull();
+    expect( () => { north.run(); } ).toThrow();
+
+    const result = north.run( () => {
+
+      expect( Environment.current ).toBe( north );
+      // The environment is not an item of the request context.
+      expect( RequestContext.current ).toBeNull();
+      expect( configuration.connectionManager ).toBe( north.connectionManager );
+      expect( configuration.getUser() ).toBe( northUser );
+      expect( configuration.noAccessBehavior ).toBe( NoAccessBehavior.showWarning );
+
+      south.run( () => {
+
+        expect( Environment.current ).toBe( south );
+        expect( configuration.getUser() ).toBe( southUser );
+      } );
+
+      return Promise.resolve( null )
+        .then( none => {
+
+          expect( configuration.connectionManager ).toBe( north.connectionManager );
+          expect( configuration.getLocale() ).toBe( 'en-US' );
+          return 'result';
+        } );
+    } );
+
+    expect( Environment.current ).toBeNull();
+    expect( configuration.getUser().userCode ).toBe( 'ada-lovelace' );
+
+    result.then( value => {
+      expect( value ).toBe( 'result' );
+      done();
+    } );
+  } );
+
+  it( 'is immutable', () => {
+
+    north.connectionManager = null;
+    north.extent = 'extent';
+
+    expect( north.connectionManager ).not.toBeNull();
+    expect( north.extent ).toBeUndefined();
+  } );
+} );
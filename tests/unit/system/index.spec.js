@@ -18,6 +18,8 @@ const NotImplementedError = read( 'system/not-implemented-error.js' );
 const Enumeration = read( 'system/enumeration.js' );
 const Argument = read( 'system/argument-check.js' );
 const UserInfo = read( 'system/user-info.js' );
+const RequestContext = read( 'system/request-context.js' );
+const Environment = read( 'system/environment.js' );
 //const Utility = read( 'system/utility.js');
 
 describe( 'System component index', () => {
@@ -37,6 +39,8 @@ describe( 'System component index', () => {
     expect( new system.Enumeration( 'item' ) ).toEqual( jasmine.any( Enumeration ) );
     expect( system.Argument ).toEqual( Argument );
     expect( new system.UserInfo( 'anonymous' ) ).toEqual( jasmine.any( UserInfo ) );
+    expect( system.RequestContext ).toBe( RequestContext );
+    expect( system.Environment ).toBe( Environment );
     expect( system.Utility ).toEqual( jasmine.any( Function ) );
   } );
 } );
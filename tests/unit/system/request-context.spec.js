@@ -0,0 +1,97 @@
+console.log( 'Testing system/request-context.js...' );
+
+function read( filename ) {
+  return require( '../../../source/' + filename );
+}
+const RequestContext = read( 'system/request-context.js' );
+const UserInfo = read( 'system/user-info.js' );
+
+const User = require( '../../../data/user.js' );
+
+describe( 'Request context', () => {
+
+  const user = new User( 'grace-hopper', 'Grace Hopper', 'grace.hopper@navy.mil', [ 'developers' ] );
+
+  it( 'run method expects two arguments', () => {
+    function run01() { return RequestContext.run(); }
+    function run02() { return RequestContext.run( {} ); }
+    function run03() { return RequestContext.run( 'context', () => null ); }
+    function run04() { return RequestContext.run( { user: 'grace-hopper' }, () => null ); }
+    function run05() { return RequestContext.run( { locale: 7 }, () => null ); }
+    function run06() { return RequestContext.run( { user: user, locale: 'en-US' }, () => null ); }
+    function run07() { return RequestContext.run( { user: null, tenant: 'north' }, () => null ); }
+
+    expect( run01 ).toThrow();
+    expect( run02 ).toThrow();
+    expect( run03 ).toThrow();
+    expect( run04 ).toThrow();
+    expect( run05 ).toThrow();
+    expect( run06 ).not.toThrow();
+    expect( run07 ).not.toThrow();
+  } );
+
+  it( 'has no current context by default', () => {
+
+    expect( RequestContext.current ).toBeNull();
+    expect( RequestContext.getItem( 'user' ) ).toBeUndefined();
+  } );
+
+  it( 'returns the result of the function', () => {
+
+    const result = RequestContext.run( { user: user }, () => 'result' );
+
+    expect( result ).toBe( 'result' );
+  } );
+
+  it( 'provides the items of the context', () => {
+
+    RequestContext.run( { user: user, locale: 'en-US', tenant: 'north' }, () => {
+
+      expect( RequestContext.current.user ).toBe( user );
+      expect( RequestContext.current.user ).toEqual( jasmine.any( UserInfo ) );
+      expect( RequestContext.getItem( 'locale' ) ).toBe( 'en-US' );
+      expect( RequestContext.getItem( 'tenant' ) ).toBe( 'north' );
+      expect( RequestContext.getItem( 'missing' ) ).toBeUndefined();
+
+      RequestContext.current.tenant = 'south';
+
+      expect( RequestContext.getItem( 'tenant' ) ).toBe( 'north' );
+    } );
+  } );
+
+  it( 'inherits the items of the enclosing context', () => {
+
+    RequestContext.run( { user: user, tenant: 'north' }, () => {
+      RequestContext.run( { tenant: 'south' }, () => {
+
+        expect( RequestContext.getItem( 'user' ) ).toBe( user );
+        expect( RequestContext.getItem( 'tenant' ) ).toBe( 'south' );
+      } );
+
+      expect( RequestContext.getItem( 'tenant' ) ).toBe( 'north' );
+    } );
+  } );
+
+  it( 'keeps the contexts of concurrent requests apart', done => {
+
+    function request( userCode, delay ) {
+      const requestUser = new User( userCode, userCode, userCode + '@company.com', [] );
+      return RequestContext.run( { user: requestUser }, () => {
+        return new Promise( fulfill => {
+          setTimeout( fulfill, delay );
+        } )
+          .then( none => {
+            return RequestContext.current.user.userCode;
+          } );
+      } );
+    }
+
+    Promise.all( [ request( 'first', 20 ), request( 'second', 5 ) ] )
+      .then( userCodes => {
+
+        expect( userCodes ).toEqual( [ 'first', 'second' ] );
+        expect( RequestContext.current ).toBeNull();
+        done();
+      } );
+  } );
+} );